@@ -19,17 +19,25 @@ import QuestionBank from './pages/questions/QuestionBank';
 import CreateQuestion from './pages/questions/CreateQuestion';
 import EditQuestion from './pages/questions/EditQuestion';
 import QuestionGenerator from './pages/questions/QuestionGenerator';
+import ImportExport from './pages/questions/ImportExport';
 import ExamList from './pages/exams/ExamList';
 import CreateExam from './pages/exams/CreateExam';
 import EditExam from './pages/exams/EditExam';
 import ExamPreview from './pages/exams/ExamPreview';
 import TakeExam from './pages/exams/TakeExam';
 import ExamResults from './pages/exams/ExamResults';
+import GradingQueue from './pages/exams/GradingQueue';
+import ItemAnalysisReport from './pages/exams/ItemAnalysisReport';
+import ExamReport from './pages/exams/ExamReport';
+import CourseList from './pages/courses/CourseList';
+import CourseDetail from './pages/courses/CourseDetail';
 import AdminDashboard from './pages/admin/AdminDashboard';
 import UserManagement from './pages/admin/UserManagement';
 import ViolationMonitoring from './pages/admin/ViolationMonitoring';
 import FlaggedAttempts from './pages/admin/FlaggedAttempts';
 import Analytics from './pages/admin/Analytics';
+import OrganizationSettings from './pages/admin/OrganizationSettings';
+import Organizations from './pages/admin/Organizations';
 import Profile from './pages/Profile';
 
 // Create a client
@@ -80,6 +88,11 @@ function App() {
                       <EditQuestion />
                     </ProtectedRoute>
                   } />
+                  <Route path="/questions/export" element={
+                    <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+                      <ImportExport />
+                    </ProtectedRoute>
+                  } />
                   <Route path="/questions/generator" element={
                     <ProtectedRoute allowedRoles={['instructor', 'admin']}>
                       <QuestionGenerator />
@@ -117,6 +130,33 @@ function App() {
                       <ExamResults />
                     </ProtectedRoute>
                   } />
+                  <Route path="/exams/:id/grading" element={
+                    <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+                      <GradingQueue />
+                    </ProtectedRoute>
+                  } />
+                  <Route path="/exams/:id/item-analysis" element={
+                    <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+                      <ItemAnalysisReport />
+                    </ProtectedRoute>
+                  } />
+                  <Route path="/exams/:id/report" element={
+                    <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+                      <ExamReport />
+                    </ProtectedRoute>
+                  } />
+                  
+                  {/* Courses */}
+                  <Route path="/courses" element={
+                    <ProtectedRoute>
+                      <CourseList />
+                    </ProtectedRoute>
+                  } />
+                  <Route path="/courses/:id" element={
+                    <ProtectedRoute allowedRoles={['instructor', 'admin']}>
+                      <CourseDetail />
+                    </ProtectedRoute>
+                  } />
                   
                   {/* Admin Routes */}
                   <Route path="/admin" element={
@@ -129,6 +169,16 @@ function App() {
                       <UserManagement />
                     </ProtectedRoute>
                   } />
+                  <Route path="/admin/settings" element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <OrganizationSettings />
+                    </ProtectedRoute>
+                  } />
+                  <Route path="/admin/organizations" element={
+                    <ProtectedRoute allowedRoles={['admin']}>
+                      <Organizations />
+                    </ProtectedRoute>
+                  } />
                   <Route path="/admin/violations" element={
                     <ProtectedRoute allowedRoles={['instructor', 'admin']}>
                       <ViolationMonitoring />
@@ -0,0 +1,309 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, Edit, Trash2, X, Users, Clock, Calendar, CameraOff, RotateCcw } from 'lucide-react';
+import { toLocalInput } from './ExamBuilder';
+
+const emptyAccommodation = {
+  name: '',
+  students: '',
+  timeMultiplier: 1.5,
+  extraAttempts: 0,
+  startDate: '',
+  endDate: '',
+  disableWebcam: false,
+  notes: ''
+};
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const studentName = (student) => `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.email;
+
+const toForm = (accommodation) => ({
+  id: accommodation.id,
+  name: accommodation.name,
+  students: accommodation.students.map(student => student.email).join(', '),
+  timeMultiplier: accommodation.timeMultiplier,
+  extraAttempts: accommodation.extraAttempts,
+  startDate: toLocalInput(accommodation.startDate),
+  endDate: toLocalInput(accommodation.endDate),
+  disableWebcam: accommodation.disableWebcam,
+  notes: accommodation.notes || ''
+});
+
+// Per-student overrides of the exam's time limits, attempts, window and webcam requirement
+const AccommodationManager = ({ examId }) => {
+  const queryClient = useQueryClient();
+  const [editing, setEditing] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['accommodations', examId],
+    () => axios.get(`/api/exams/${examId}/accommodations`).then(res => res.data)
+  );
+  const accommodations = data?.accommodations || [];
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
+
+  const saveMutation = useMutation(
+    ({ id, ...accommodation }) => (id
+      ? axios.put(`/api/exams/${examId}/accommodations/${id}`, accommodation)
+      : axios.post(`/api/exams/${examId}/accommodations`, accommodation)),
+    {
+      onSuccess: () => {
+        toast.success('Accommodation saved');
+        setEditing(null);
+        queryClient.invalidateQueries(['accommodations', examId]);
+      },
+      onError: onError('Failed to save accommodation')
+    }
+  );
+
+  const deleteMutation = useMutation(
+    (id) => axios.delete(`/api/exams/${examId}/accommodations/${id}`),
+    {
+      onSuccess: () => {
+        toast.success('Accommodation removed');
+        queryClient.invalidateQueries(['accommodations', examId]);
+      },
+      onError: onError('Failed to remove accommodation')
+    }
+  );
+
+  const update = (field, value) => setEditing(prev => ({ ...prev, [field]: value }));
+
+  const handleSave = () => {
+    const students = editing.students.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+    if (students.length === 0) {
+      toast.error('Add at least one student email');
+      return;
+    }
+
+    saveMutation.mutate({
+      id: editing.id,
+      name: editing.name.trim(),
+      students,
+      timeMultiplier: Number(editing.timeMultiplier) || 1,
+      extraAttempts: parseInt(editing.extraAttempts, 10) || 0,
+      startDate: editing.startDate ? new Date(editing.startDate).toISOString() : null,
+      endDate: editing.endDate ? new Date(editing.endDate).toISOString() : null,
+      disableWebcam: editing.disableWebcam,
+      notes: editing.notes
+    });
+  };
+
+  const handleDelete = (accommodation) => {
+    if (window.confirm(`Remove the accommodation for ${accommodation.students.map(studentName).join(', ')}?`)) {
+      deleteMutation.mutate(accommodation.id);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Accommodations</h3>
+          <p className="text-sm text-gray-500">
+            Extra time, extra attempts, a different window or no webcam for specific students.
+          </p>
+        </div>
+        {!editing && (
+          <button
+            type="button"
+            onClick={() => setEditing({ ...emptyAccommodation })}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Accommodation
+          </button>
+        )}
+      </div>
+
+      {editing && (
+        <div className="border border-gray-200 rounded-md p-4 mb-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-gray-900">
+              {editing.id ? 'Edit Accommodation' : 'New Accommodation'}
+            </h4>
+            <button type="button" onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                type="text"
+                value={editing.name}
+                onChange={(e) => update('name', e.target.value)}
+                placeholder="e.g. Extended time group"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Student Emails *</label>
+              <input
+                type="text"
+                value={editing.students}
+                onChange={(e) => update('students', e.target.value)}
+                placeholder="Comma separated"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Time Multiplier</label>
+              <input
+                type="number"
+                min="1"
+                max="5"
+                step="0.25"
+                value={editing.timeMultiplier}
+                onChange={(e) => update('timeMultiplier', e.target.value)}
+                className={inputClass}
+              />
+              <p className="mt-1 text-xs text-gray-500">Applies to the exam and section time limits.</p>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Extra Attempts</label>
+              <input
+                type="number"
+                min="0"
+                max="20"
+                value={editing.extraAttempts}
+                onChange={(e) => update('extraAttempts', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Available From</label>
+              <input
+                type="datetime-local"
+                value={editing.startDate}
+                onChange={(e) => update('startDate', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700">Available Until</label>
+              <input
+                type="datetime-local"
+                value={editing.endDate}
+                onChange={(e) => update('endDate', e.target.value)}
+                className={inputClass}
+              />
+              <p className="mt-1 text-xs text-gray-500">Leave a date empty to keep the exam's own.</p>
+            </div>
+            <div className="sm:col-span-2">
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={editing.disableWebcam}
+                  onChange={(e) => update('disableWebcam', e.target.checked)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+                />
+                Don't require webcam monitoring
+              </label>
+            </div>
+            <div className="sm:col-span-2">
+              <label className="block text-sm font-medium text-gray-700">Notes</label>
+              <textarea
+                rows={2}
+                value={editing.notes}
+                onChange={(e) => update('notes', e.target.value)}
+                placeholder="Only visible to instructors"
+                className={inputClass}
+              />
+            </div>
+          </div>
+
+          <div className="flex justify-end">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={saveMutation.isLoading}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {saveMutation.isLoading ? 'Saving...' : 'Save Accommodation'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : accommodations.length === 0 ? (
+        <p className="text-sm text-gray-500">No accommodations. Every student takes the exam with its own settings.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {accommodations.map(accommodation => (
+            <li key={accommodation.id} className="py-3 flex items-start justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  {accommodation.name || 'Accommodation'}
+                </p>
+                <p className="mt-1 flex items-center text-xs text-gray-500">
+                  <Users className="h-3 w-3 mr-1" />
+                  {accommodation.students.map(studentName).join(', ')}
+                </p>
+                <div className="mt-1 flex flex-wrap gap-x-4 text-xs text-gray-600">
+                  {accommodation.timeMultiplier > 1 && (
+                    <span className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {accommodation.timeMultiplier}× time
+                    </span>
+                  )}
+                  {accommodation.extraAttempts > 0 && (
+                    <span className="flex items-center">
+                      <RotateCcw className="h-3 w-3 mr-1" />
+                      +{accommodation.extraAttempts} attempt{accommodation.extraAttempts === 1 ? '' : 's'}
+                    </span>
+                  )}
+                  {(accommodation.startDate || accommodation.endDate) && (
+                    <span className="flex items-center">
+                      <Calendar className="h-3 w-3 mr-1" />
+                      {accommodation.startDate ? new Date(accommodation.startDate).toLocaleString() : 'Exam start'}
+                      {' – '}
+                      {accommodation.endDate ? new Date(accommodation.endDate).toLocaleString() : 'exam end'}
+                    </span>
+                  )}
+                  {accommodation.disableWebcam && (
+                    <span className="flex items-center">
+                      <CameraOff className="h-3 w-3 mr-1" />
+                      No webcam
+                    </span>
+                  )}
+                </div>
+                {accommodation.notes && (
+                  <p className="mt-1 text-xs text-gray-500 italic">{accommodation.notes}</p>
+                )}
+              </div>
+              <div className="flex space-x-2 ml-4">
+                <button
+                  type="button"
+                  onClick={() => setEditing(toForm(accommodation))}
+                  className="text-gray-400 hover:text-indigo-600"
+                >
+                  <Edit className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleDelete(accommodation)}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AccommodationManager;
@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { X, Copy } from 'lucide-react';
+import { toLocalInput } from './ExamBuilder';
+import { QuestionModeField } from './TemplatePicker';
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Modal for cloning an exam into a new draft, typically for the next term. The
+// clone's dates move with its new opening date, or by a number of days.
+const CloneExamDialog = ({ exam, onClose, onCloned }) => {
+  const [form, setForm] = useState({
+    title: `${exam.title} (Copy)`,
+    dates: exam.startDate ? 'start' : 'none',
+    startDate: toLocalInput(exam.startDate),
+    shiftDays: 7,
+    questionMode: 'reference'
+  });
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const cloneMutation = useMutation(
+    (data) => axios.post(`/api/exams/${exam.id}/clone`, data).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        toast.success('Exam cloned');
+        onCloned(data.exam);
+      },
+      onError: (error) => toast.error(
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to clone exam'
+      )
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) {
+      toast.error('Title is required');
+      return;
+    }
+
+    const data = { title: form.title.trim(), questionMode: form.questionMode };
+    if (form.dates === 'start' && form.startDate) data.startDate = new Date(form.startDate).toISOString();
+    if (form.dates === 'shift') data.shiftDays = parseInt(form.shiftDays, 10) || 0;
+    cloneMutation.mutate(data);
+  };
+
+  const end = exam.startDate && exam.endDate && form.dates === 'start' && form.startDate
+    ? new Date(new Date(form.startDate).getTime() + (new Date(exam.endDate) - new Date(exam.startDate)))
+    : null;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <form onSubmit={handleSubmit} className="relative bg-white rounded-lg shadow-xl max-w-lg w-full">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Clone Exam</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <p className="text-sm text-gray-500">
+              Sections, grading, anti-cheating and settings are copied into a new unpublished exam.
+              Accommodations and results stay with this exam.
+            </p>
+
+            <div>
+              <label htmlFor="cloneTitle" className="block text-sm font-medium text-gray-700">Title</label>
+              <input
+                id="cloneTitle"
+                type="text"
+                value={form.title}
+                onChange={(e) => updateField('title', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+
+            <div>
+              <label htmlFor="cloneDates" className="block text-sm font-medium text-gray-700">Dates</label>
+              <select
+                id="cloneDates"
+                value={form.dates}
+                onChange={(e) => updateField('dates', e.target.value)}
+                className={inputClass}
+              >
+                <option value="start">Open on a new date</option>
+                <option value="shift">Move by a number of days</option>
+                <option value="none">Leave unscheduled</option>
+              </select>
+              {form.dates === 'start' && (
+                <>
+                  <input
+                    type="datetime-local"
+                    value={form.startDate}
+                    onChange={(e) => updateField('startDate', e.target.value)}
+                    className={inputClass}
+                  />
+                  {end && (
+                    <p className="mt-1 text-xs text-gray-500">Closes {end.toLocaleString()}</p>
+                  )}
+                </>
+              )}
+              {form.dates === 'shift' && (
+                <input
+                  type="number"
+                  value={form.shiftDays}
+                  onChange={(e) => updateField('shiftDays', e.target.value)}
+                  className={inputClass}
+                />
+              )}
+            </div>
+
+            <QuestionModeField value={form.questionMode} onChange={(value) => updateField('questionMode', value)} />
+          </div>
+
+          <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={cloneMutation.isLoading}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Copy className="h-4 w-4 mr-2" />
+              {cloneMutation.isLoading ? 'Cloning...' : 'Clone Exam'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CloneExamDialog;
@@ -0,0 +1,961 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  FileText,
+  Layers,
+  Award,
+  Shield,
+  Eye,
+  Plus,
+  Trash2,
+  ChevronLeft,
+  ChevronRight,
+  Send,
+  CheckCircle,
+  Bookmark
+} from 'lucide-react';
+import SectionManager from './SectionManager';
+import TemplatePicker from './TemplatePicker';
+import SaveTemplateDialog from './SaveTemplateDialog';
+import ExamPreview from '../../pages/exams/ExamPreview';
+
+const STEPS = [
+  { id: 'details', name: 'Details', icon: FileText },
+  { id: 'sections', name: 'Sections', icon: Layers },
+  { id: 'grading', name: 'Grading', icon: Award },
+  { id: 'security', name: 'Anti-Cheating', icon: Shield },
+  { id: 'preview', name: 'Preview', icon: Eye }
+];
+
+const DEFAULT_GRADING = {
+  method: 'points',
+  passingScore: 60,
+  gradeScale: [
+    { grade: 'A', minScore: 90, maxScore: 100 },
+    { grade: 'B', minScore: 80, maxScore: 89.99 },
+    { grade: 'C', minScore: 70, maxScore: 79.99 },
+    { grade: 'D', minScore: 60, maxScore: 69.99 },
+    { grade: 'F', minScore: 0, maxScore: 59.99 }
+  ],
+  penalties: { timePenalty: 0, violationPenalty: 0 },
+  bonuses: { earlyCompletion: 0 },
+  partialCredit: 'all-or-nothing',
+  negativeMarking: { enabled: false, penalty: 0.25 },
+  sectionWeights: {},
+  difficultyWeights: { easy: 1, medium: 1.5, hard: 2 }
+};
+
+const GRADING_METHOD_HELP = {
+  points: 'Every point counts the same.',
+  percentage: 'Every question counts the same, whatever its points.',
+  weighted: 'Each section counts by the weight you give it; weights must add up to 100%.',
+  adaptive: 'Harder questions count for more, scaled by the difficulty weights below.'
+};
+
+const DEFAULT_ANTI_CHEATING = {
+  enabled: false,
+  browserLock: { enabled: false, allowCopy: false, allowPaste: false, allowRightClick: false, allowDevTools: false },
+  focusDetection: { enabled: false, maxBlurTime: 10 },
+  webcamMonitoring: { enabled: false, frequency: 30 },
+  behaviorMonitoring: { enabled: false, trackMouseMovement: true, trackKeyboardActivity: true, trackTabSwitching: true },
+  plagiarismDetection: { enabled: false, checkOnline: false, similarityThreshold: 80 }
+};
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const primaryButtonClass = 'inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50';
+const secondaryButtonClass = 'inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+// datetime-local inputs need "YYYY-MM-DDTHH:mm" in local time
+export const toLocalInput = (date) => {
+  if (!date) return '';
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) return '';
+  const offset = value.getTimezoneOffset() * 60000;
+  return new Date(value.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const mergeDefaults = (defaults, value = {}) => Object.keys(defaults).reduce((acc, key) => {
+  const isGroup = defaults[key] && typeof defaults[key] === 'object' && !Array.isArray(defaults[key]);
+  acc[key] = isGroup ? { ...defaults[key], ...(value[key] || {}) } : (value[key] !== undefined ? value[key] : defaults[key]);
+  return acc;
+}, {});
+
+const Toggle = ({ label, checked, onChange, description }) => (
+  <label className="flex items-start">
+    <input
+      type="checkbox"
+      checked={!!checked}
+      onChange={(e) => onChange(e.target.checked)}
+      className="h-4 w-4 mt-0.5 text-indigo-600 border-gray-300 rounded mr-2"
+    />
+    <span>
+      <span className="text-sm text-gray-700">{label}</span>
+      {description && <span className="block text-xs text-gray-500">{description}</span>}
+    </span>
+  </label>
+);
+
+const DetailsStep = ({ exam, isSaving, onSave }) => {
+  const [form, setForm] = useState({
+    title: '',
+    description: '',
+    instructions: '',
+    startDate: '',
+    endDate: '',
+    settings: {
+      totalTimeLimit: 60,
+      maxAttempts: 1,
+      attemptPolicy: 'highest',
+      attemptCooldown: '',
+      allowReview: true,
+      allowSkip: true,
+      password: ''
+    }
+  });
+
+  // New exams may start from a saved template
+  const [template, setTemplate] = useState(null);
+  const [questionMode, setQuestionMode] = useState('reference');
+
+  useEffect(() => {
+    if (!exam) return;
+    setForm({
+      title: exam.title || '',
+      description: exam.description || '',
+      instructions: exam.instructions || '',
+      startDate: toLocalInput(exam.startDate),
+      endDate: toLocalInput(exam.endDate),
+      settings: {
+        totalTimeLimit: exam.settings?.totalTimeLimit || '',
+        maxAttempts: exam.settings?.maxAttempts || exam.maxAttempts || 1,
+        attemptPolicy: exam.settings?.attemptPolicy || 'highest',
+        attemptCooldown: exam.settings?.attemptCooldown || '',
+        allowReview: exam.settings?.allowReview !== undefined ? exam.settings.allowReview : true,
+        allowSkip: exam.settings?.allowSkip !== undefined ? exam.settings.allowSkip : true,
+        password: exam.settings?.password || ''
+      }
+    });
+  }, [exam]);
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+  const updateSetting = (field, value) => setForm(prev => ({ ...prev, settings: { ...prev.settings, [field]: value } }));
+
+  // A template fills in the form with its settings; the title and dates stay as typed
+  const handleTemplateChange = (selected) => {
+    setTemplate(selected);
+    if (!selected) return;
+    const { description, settings = {} } = selected.blueprint || {};
+    setForm(prev => ({
+      ...prev,
+      description: description || prev.description,
+      settings: {
+        ...prev.settings,
+        totalTimeLimit: settings.totalTimeLimit || '',
+        maxAttempts: settings.maxAttempts || selected.blueprint.maxAttempts || 1,
+        attemptPolicy: settings.attemptPolicy || 'highest',
+        attemptCooldown: settings.attemptCooldown || '',
+        allowReview: settings.allowReview !== undefined ? settings.allowReview : true,
+        allowSkip: settings.allowSkip !== undefined ? settings.allowSkip : true
+      }
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) {
+      toast.error('Title is required');
+      return;
+    }
+    if (form.startDate && form.endDate && new Date(form.endDate) <= new Date(form.startDate)) {
+      toast.error('End date must be after the start date');
+      return;
+    }
+
+    const timeLimit = parseInt(form.settings.totalTimeLimit, 10);
+    const maxAttempts = parseInt(form.settings.maxAttempts, 10) || 1;
+    const settings = {
+      ...(exam?.settings || {}),
+      maxAttempts,
+      attemptPolicy: form.settings.attemptPolicy,
+      attemptCooldown: parseInt(form.settings.attemptCooldown, 10) || 0,
+      allowReview: form.settings.allowReview,
+      allowSkip: form.settings.allowSkip,
+      password: form.settings.password || null,
+      totalTimeLimit: timeLimit > 0 ? timeLimit : null
+    };
+    if (!settings.totalTimeLimit) delete settings.totalTimeLimit;
+
+    const examData = {
+      title: form.title.trim(),
+      settings,
+      maxAttempts,
+      startDate: form.startDate ? new Date(form.startDate).toISOString() : null,
+      endDate: form.endDate ? new Date(form.endDate).toISOString() : null
+    };
+    if (timeLimit > 0) examData.duration = timeLimit;
+    if (form.description.trim()) examData.description = form.description.trim();
+    if (form.instructions.trim()) examData.instructions = form.instructions.trim();
+    if (!exam && template) {
+      examData.template = template.id;
+      examData.questionMode = questionMode;
+    }
+
+    onSave(examData);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      {!exam && (
+        <TemplatePicker
+          template={template}
+          questionMode={questionMode}
+          onTemplateChange={handleTemplateChange}
+          onQuestionModeChange={setQuestionMode}
+        />
+      )}
+      <div>
+        <label htmlFor="title" className="block text-sm font-medium text-gray-700">Title *</label>
+        <input
+          id="title"
+          type="text"
+          value={form.title}
+          onChange={(e) => updateField('title', e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+        <textarea
+          id="description"
+          rows={3}
+          value={form.description}
+          onChange={(e) => updateField('description', e.target.value)}
+          className={inputClass}
+        />
+      </div>
+      <div>
+        <label htmlFor="instructions" className="block text-sm font-medium text-gray-700">Instructions for students</label>
+        <textarea
+          id="instructions"
+          rows={4}
+          value={form.instructions}
+          onChange={(e) => updateField('instructions', e.target.value)}
+          className={inputClass}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="startDate" className="block text-sm font-medium text-gray-700">Opens</label>
+          <input
+            id="startDate"
+            type="datetime-local"
+            value={form.startDate}
+            onChange={(e) => updateField('startDate', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="endDate" className="block text-sm font-medium text-gray-700">Closes</label>
+          <input
+            id="endDate"
+            type="datetime-local"
+            value={form.endDate}
+            onChange={(e) => updateField('endDate', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="totalTimeLimit" className="block text-sm font-medium text-gray-700">Time Limit (minutes)</label>
+          <input
+            id="totalTimeLimit"
+            type="number"
+            min="1"
+            value={form.settings.totalTimeLimit}
+            onChange={(e) => updateSetting('totalTimeLimit', e.target.value)}
+            placeholder="No limit"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="maxAttempts" className="block text-sm font-medium text-gray-700">Max Attempts</label>
+          <input
+            id="maxAttempts"
+            type="number"
+            min="1"
+            value={form.settings.maxAttempts}
+            onChange={(e) => updateSetting('maxAttempts', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        {Number(form.settings.maxAttempts) > 1 && (
+          <>
+            <div>
+              <label htmlFor="attemptPolicy" className="block text-sm font-medium text-gray-700">Score That Counts</label>
+              <select
+                id="attemptPolicy"
+                value={form.settings.attemptPolicy}
+                onChange={(e) => updateSetting('attemptPolicy', e.target.value)}
+                className={inputClass}
+              >
+                <option value="highest">Highest attempt</option>
+                <option value="latest">Latest attempt</option>
+                <option value="average">Average of attempts</option>
+                <option value="first">First attempt</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="attemptCooldown" className="block text-sm font-medium text-gray-700">Wait Between Attempts (minutes)</label>
+              <input
+                id="attemptCooldown"
+                type="number"
+                min="0"
+                value={form.settings.attemptCooldown}
+                onChange={(e) => updateSetting('attemptCooldown', e.target.value)}
+                placeholder="No wait"
+                className={inputClass}
+              />
+            </div>
+          </>
+        )}
+        <div>
+          <label htmlFor="password" className="block text-sm font-medium text-gray-700">Access Password</label>
+          <input
+            id="password"
+            type="text"
+            value={form.settings.password}
+            onChange={(e) => updateSetting('password', e.target.value)}
+            placeholder="Optional"
+            className={inputClass}
+          />
+        </div>
+        <div className="flex flex-col justify-end space-y-2">
+          <Toggle
+            label="Allow students to review answers"
+            checked={form.settings.allowReview}
+            onChange={(value) => updateSetting('allowReview', value)}
+          />
+          <Toggle
+            label="Allow skipping questions"
+            checked={form.settings.allowSkip}
+            onChange={(value) => updateSetting('allowSkip', value)}
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button type="submit" disabled={isSaving} className={primaryButtonClass}>
+          {isSaving ? 'Saving...' : exam ? 'Save & Continue' : 'Create Exam & Continue'}
+          <ChevronRight className="h-4 w-4 ml-1" />
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const GradingStep = ({ exam, isSaving, onSave }) => {
+  const [grading, setGrading] = useState(DEFAULT_GRADING);
+
+  useEffect(() => {
+    if (exam) setGrading(mergeDefaults(DEFAULT_GRADING, exam.grading));
+  }, [exam]);
+
+  const updateGroup = (group, field, value) => {
+    setGrading(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  const updateGradeRow = (index, field, value) => {
+    setGrading(prev => ({
+      ...prev,
+      gradeScale: prev.gradeScale.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const gradeScale = grading.gradeScale
+      .filter(row => row.grade.trim() !== '')
+      .map(row => ({ grade: row.grade.trim(), minScore: Number(row.minScore) || 0, maxScore: Number(row.maxScore) || 0 }));
+
+    if (gradeScale.some(row => row.minScore > row.maxScore)) {
+      toast.error('Each grade needs a minimum score below its maximum');
+      return;
+    }
+
+    const sectionWeights = (exam.sections || []).reduce((weights, section) => ({
+      ...weights,
+      [section.id]: Number(grading.sectionWeights[section.id]) || 0
+    }), {});
+    const totalWeight = Object.values(sectionWeights).reduce((sum, weight) => sum + weight, 0);
+    if (grading.method === 'weighted' && Math.abs(totalWeight - 100) > 0.01) {
+      toast.error(`Section weights must add up to 100% (currently ${totalWeight}%)`);
+      return;
+    }
+
+    onSave({
+      method: grading.method,
+      passingScore: Number(grading.passingScore) || 0,
+      gradeScale,
+      partialCredit: grading.partialCredit,
+      negativeMarking: {
+        enabled: !!grading.negativeMarking.enabled,
+        penalty: Number(grading.negativeMarking.penalty) || 0
+      },
+      sectionWeights,
+      difficultyWeights: Object.keys(grading.difficultyWeights).reduce((weights, difficulty) => ({
+        ...weights,
+        [difficulty]: Number(grading.difficultyWeights[difficulty]) || 0
+      }), {}),
+      penalties: {
+        timePenalty: Number(grading.penalties.timePenalty) || 0,
+        violationPenalty: Number(grading.penalties.violationPenalty) || 0
+      },
+      bonuses: {
+        earlyCompletion: Number(grading.bonuses.earlyCompletion) || 0
+      }
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="method" className="block text-sm font-medium text-gray-700">Grading Method</label>
+          <select
+            id="method"
+            value={grading.method}
+            onChange={(e) => setGrading(prev => ({ ...prev, method: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="points">Points</option>
+            <option value="percentage">Percentage</option>
+            <option value="weighted">Weighted sections</option>
+            <option value="adaptive">Adaptive</option>
+          </select>
+          <p className="mt-1 text-xs text-gray-500">{GRADING_METHOD_HELP[grading.method]}</p>
+        </div>
+        <div>
+          <label htmlFor="passingScore" className="block text-sm font-medium text-gray-700">Passing Score (%)</label>
+          <input
+            id="passingScore"
+            type="number"
+            min="0"
+            max="100"
+            value={grading.passingScore}
+            onChange={(e) => setGrading(prev => ({ ...prev, passingScore: e.target.value }))}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {grading.method === 'weighted' && (
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Section Weights (%)</h4>
+          {(exam.sections || []).length === 0 ? (
+            <p className="text-sm text-gray-500">Add sections to the exam to weight them.</p>
+          ) : (
+            <div className="space-y-2">
+              {exam.sections.map(section => (
+                <div key={section.id} className="flex items-center justify-between">
+                  <span className="text-sm text-gray-700">{section.name}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    step="0.1"
+                    value={grading.sectionWeights[section.id] ?? ''}
+                    onChange={(e) => updateGroup('sectionWeights', section.id, e.target.value)}
+                    className="w-24 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  />
+                </div>
+              ))}
+              <p className="text-xs text-gray-500 text-right">
+                Total: {exam.sections.reduce((sum, section) => sum + (Number(grading.sectionWeights[section.id]) || 0), 0)}%
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {grading.method === 'adaptive' && (
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+          {Object.keys(DEFAULT_GRADING.difficultyWeights).map(difficulty => (
+            <div key={difficulty}>
+              <label htmlFor={`weight-${difficulty}`} className="block text-sm font-medium text-gray-700 capitalize">
+                {difficulty} question weight
+              </label>
+              <input
+                id={`weight-${difficulty}`}
+                type="number"
+                min="0"
+                step="0.1"
+                value={grading.difficultyWeights[difficulty]}
+                onChange={(e) => updateGroup('difficultyWeights', difficulty, e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="partialCredit" className="block text-sm font-medium text-gray-700">Multi-select credit</label>
+          <select
+            id="partialCredit"
+            value={grading.partialCredit}
+            onChange={(e) => setGrading(prev => ({ ...prev, partialCredit: e.target.value }))}
+            className={inputClass}
+          >
+            <option value="all-or-nothing">All or nothing</option>
+            <option value="per-option">Per option (wrong choices cancel right ones)</option>
+          </select>
+        </div>
+        <div>
+          <Toggle
+            label="Negative marking"
+            description="Wrong choice answers lose a share of the question's points"
+            checked={grading.negativeMarking.enabled}
+            onChange={(value) => updateGroup('negativeMarking', 'enabled', value)}
+          />
+          {grading.negativeMarking.enabled && (
+            <div className="mt-2">
+              <label htmlFor="negativePenalty" className="block text-sm font-medium text-gray-700">
+                Penalty (share of question points)
+              </label>
+              <input
+                id="negativePenalty"
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={grading.negativeMarking.penalty}
+                onChange={(e) => updateGroup('negativeMarking', 'penalty', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-700">Grade Scale</h4>
+          <button
+            type="button"
+            onClick={() => setGrading(prev => ({ ...prev, gradeScale: [...prev.gradeScale, { grade: '', minScore: 0, maxScore: 0 }] }))}
+            className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Grade
+          </button>
+        </div>
+        <div className="space-y-2">
+          {grading.gradeScale.map((row, index) => (
+            <div key={index} className="grid grid-cols-7 gap-2 items-center">
+              <input
+                type="text"
+                value={row.grade}
+                onChange={(e) => updateGradeRow(index, 'grade', e.target.value)}
+                placeholder="Grade"
+                className="col-span-2 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={row.minScore}
+                onChange={(e) => updateGradeRow(index, 'minScore', e.target.value)}
+                className="col-span-2 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              />
+              <input
+                type="number"
+                step="0.01"
+                value={row.maxScore}
+                onChange={(e) => updateGradeRow(index, 'maxScore', e.target.value)}
+                className="col-span-2 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              />
+              <button
+                type="button"
+                onClick={() => setGrading(prev => ({ ...prev, gradeScale: prev.gradeScale.filter((r, i) => i !== index) }))}
+                className="text-gray-400 hover:text-red-600 justify-self-center"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <div>
+          <label htmlFor="timePenalty" className="block text-sm font-medium text-gray-700">Overtime penalty (% per unit)</label>
+          <input
+            id="timePenalty"
+            type="number"
+            min="0"
+            step="0.1"
+            value={grading.penalties.timePenalty}
+            onChange={(e) => updateGroup('penalties', 'timePenalty', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="violationPenalty" className="block text-sm font-medium text-gray-700">Penalty per violation (%)</label>
+          <input
+            id="violationPenalty"
+            type="number"
+            min="0"
+            step="0.1"
+            value={grading.penalties.violationPenalty}
+            onChange={(e) => updateGroup('penalties', 'violationPenalty', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="earlyCompletion" className="block text-sm font-medium text-gray-700">Early completion bonus (%)</label>
+          <input
+            id="earlyCompletion"
+            type="number"
+            min="0"
+            step="0.1"
+            value={grading.bonuses.earlyCompletion}
+            onChange={(e) => updateGroup('bonuses', 'earlyCompletion', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="flex justify-end">
+        <button type="submit" disabled={isSaving} className={primaryButtonClass}>
+          {isSaving ? 'Saving...' : 'Save & Continue'}
+          <ChevronRight className="h-4 w-4 ml-1" />
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Also edits an organization's default policy, which has its own submit label
+export const SecurityStep = ({ exam, isSaving, onSave, submitLabel }) => {
+  const [settings, setSettings] = useState(DEFAULT_ANTI_CHEATING);
+
+  useEffect(() => {
+    if (exam) setSettings(mergeDefaults(DEFAULT_ANTI_CHEATING, exam.antiCheating));
+  }, [exam]);
+
+  const update = (group, field, value) => {
+    setSettings(prev => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      ...settings,
+      webcamMonitoring: { ...settings.webcamMonitoring, frequency: parseInt(settings.webcamMonitoring.frequency, 10) || 30 },
+      focusDetection: { ...settings.focusDetection, maxBlurTime: parseInt(settings.focusDetection.maxBlurTime, 10) || 10 },
+      plagiarismDetection: {
+        ...settings.plagiarismDetection,
+        similarityThreshold: Number(settings.plagiarismDetection.similarityThreshold) || 80
+      }
+    });
+  };
+
+  const disabled = !settings.enabled;
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-6">
+      <Toggle
+        label="Enable anti-cheating measures"
+        description="Individual measures below only apply while this is on."
+        checked={settings.enabled}
+        onChange={(value) => setSettings(prev => ({ ...prev, enabled: value }))}
+      />
+
+      <fieldset disabled={disabled} className={`grid grid-cols-1 gap-6 sm:grid-cols-2 ${disabled ? 'opacity-50' : ''}`}>
+        <div className="border border-gray-200 rounded-md p-4 space-y-2">
+          <Toggle label="Browser lockdown" checked={settings.browserLock.enabled} onChange={(v) => update('browserLock', 'enabled', v)} />
+          <div className="pl-6 space-y-1">
+            <Toggle label="Allow copy" checked={settings.browserLock.allowCopy} onChange={(v) => update('browserLock', 'allowCopy', v)} />
+            <Toggle label="Allow paste" checked={settings.browserLock.allowPaste} onChange={(v) => update('browserLock', 'allowPaste', v)} />
+            <Toggle label="Allow right click" checked={settings.browserLock.allowRightClick} onChange={(v) => update('browserLock', 'allowRightClick', v)} />
+            <Toggle label="Allow developer tools" checked={settings.browserLock.allowDevTools} onChange={(v) => update('browserLock', 'allowDevTools', v)} />
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-md p-4 space-y-2">
+          <Toggle label="Focus detection" checked={settings.focusDetection.enabled} onChange={(v) => update('focusDetection', 'enabled', v)} />
+          <label className="block pl-6 text-sm text-gray-700">
+            Max time away (seconds)
+            <input
+              type="number"
+              min="1"
+              max="300"
+              value={settings.focusDetection.maxBlurTime}
+              onChange={(e) => update('focusDetection', 'maxBlurTime', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="border border-gray-200 rounded-md p-4 space-y-2">
+          <Toggle label="Webcam monitoring" checked={settings.webcamMonitoring.enabled} onChange={(v) => update('webcamMonitoring', 'enabled', v)} />
+          <label className="block pl-6 text-sm text-gray-700">
+            Snapshot every (seconds)
+            <input
+              type="number"
+              min="5"
+              max="300"
+              value={settings.webcamMonitoring.frequency}
+              onChange={(e) => update('webcamMonitoring', 'frequency', e.target.value)}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <div className="border border-gray-200 rounded-md p-4 space-y-2">
+          <Toggle label="Behavior monitoring" checked={settings.behaviorMonitoring.enabled} onChange={(v) => update('behaviorMonitoring', 'enabled', v)} />
+          <div className="pl-6 space-y-1">
+            <Toggle label="Track mouse movement" checked={settings.behaviorMonitoring.trackMouseMovement} onChange={(v) => update('behaviorMonitoring', 'trackMouseMovement', v)} />
+            <Toggle label="Track keyboard activity" checked={settings.behaviorMonitoring.trackKeyboardActivity} onChange={(v) => update('behaviorMonitoring', 'trackKeyboardActivity', v)} />
+            <Toggle label="Track tab switching" checked={settings.behaviorMonitoring.trackTabSwitching} onChange={(v) => update('behaviorMonitoring', 'trackTabSwitching', v)} />
+          </div>
+        </div>
+
+        <div className="border border-gray-200 rounded-md p-4 space-y-2 sm:col-span-2">
+          <Toggle label="Plagiarism detection" checked={settings.plagiarismDetection.enabled} onChange={(v) => update('plagiarismDetection', 'enabled', v)} />
+          <div className="pl-6 grid grid-cols-1 gap-2 sm:grid-cols-2">
+            <Toggle label="Check online sources" checked={settings.plagiarismDetection.checkOnline} onChange={(v) => update('plagiarismDetection', 'checkOnline', v)} />
+            <label className="block text-sm text-gray-700">
+              Similarity threshold (%)
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={settings.plagiarismDetection.similarityThreshold}
+                onChange={(e) => update('plagiarismDetection', 'similarityThreshold', e.target.value)}
+                className={inputClass}
+              />
+            </label>
+          </div>
+        </div>
+      </fieldset>
+
+      <div className="flex justify-end">
+        <button type="submit" disabled={isSaving} className={primaryButtonClass}>
+          {isSaving ? 'Saving...' : submitLabel || 'Save & Continue'}
+          {!submitLabel && <ChevronRight className="h-4 w-4 ml-1" />}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Multi-step exam builder shared by the CreateExam and EditExam pages
+const ExamBuilder = ({ examId, initialStep = 'details', onCreated }) => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [step, setStep] = useState(initialStep);
+  const [isSavingTemplate, setIsSavingTemplate] = useState(false);
+
+  const { data: exam, isLoading, error, refetch } = useQuery(
+    ['exam', examId],
+    () => axios.get(`/api/exams/${examId}`).then(res => res.data),
+    { enabled: !!examId }
+  );
+
+  const refreshExam = () => {
+    queryClient.invalidateQueries(['exam', examId]);
+    queryClient.invalidateQueries(['examPreview', examId]);
+    refetch();
+  };
+
+  const saveDetailsMutation = useMutation(
+    (examData) => (examId
+      ? axios.put(`/api/exams/${examId}`, examData)
+      : axios.post('/api/exams', examData)),
+    {
+      onSuccess: (response) => {
+        toast.success(examId ? 'Exam details saved' : 'Exam created');
+        if (!examId) {
+          onCreated(response.data.exam.id);
+          return;
+        }
+        refreshExam();
+        setStep('sections');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save exam'))
+    }
+  );
+
+  const saveGradingMutation = useMutation(
+    (grading) => axios.post(`/api/exams/${examId}/grading-rules`, grading),
+    {
+      onSuccess: () => {
+        toast.success('Grading rules saved');
+        refreshExam();
+        setStep('security');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save grading rules'))
+    }
+  );
+
+  const saveSecurityMutation = useMutation(
+    (settings) => axios.put(`/api/anti-cheating/settings/${examId}`, settings),
+    {
+      onSuccess: () => {
+        toast.success('Anti-cheating settings saved');
+        refreshExam();
+        setStep('preview');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save anti-cheating settings'))
+    }
+  );
+
+  const publishMutation = useMutation(
+    () => axios.post(`/api/exams/${examId}/${exam?.isPublished ? 'unpublish' : 'publish'}`),
+    {
+      onSuccess: () => {
+        toast.success(exam?.isPublished ? 'Exam unpublished' : 'Exam published');
+        refreshExam();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to update publish status'))
+    }
+  );
+
+  const handlePublish = () => {
+    if (!exam?.isPublished && (!exam?.sections || exam.sections.length === 0)) {
+      toast.error('Add at least one section before publishing');
+      return;
+    }
+    publishMutation.mutate();
+  };
+
+  if (examId && isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (examId && error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading exam</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  const stepIndex = STEPS.findIndex(s => s.id === step);
+
+  return (
+    <div className="space-y-6">
+      {/* Step navigation */}
+      <nav className="bg-white shadow rounded-lg">
+        <ol className="flex divide-x divide-gray-200">
+          {STEPS.map((s, index) => {
+            const Icon = s.icon;
+            const isActive = s.id === step;
+            const isAvailable = index === 0 || !!examId;
+            return (
+              <li key={s.id} className="flex-1">
+                <button
+                  type="button"
+                  disabled={!isAvailable}
+                  onClick={() => setStep(s.id)}
+                  className={`w-full flex items-center justify-center px-3 py-4 text-sm font-medium ${
+                    isActive ? 'text-indigo-600 border-b-2 border-indigo-600' : 'text-gray-500 hover:text-gray-700'
+                  } disabled:opacity-40 disabled:cursor-not-allowed`}
+                >
+                  {index < stepIndex ? (
+                    <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+                  ) : (
+                    <Icon className="h-4 w-4 mr-2" />
+                  )}
+                  <span className="hidden sm:inline">{s.name}</span>
+                </button>
+              </li>
+            );
+          })}
+        </ol>
+      </nav>
+
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-4 py-5 sm:p-6">
+          {step === 'details' && (
+            <DetailsStep exam={exam} isSaving={saveDetailsMutation.isLoading} onSave={saveDetailsMutation.mutate} />
+          )}
+
+          {step === 'sections' && exam && (
+            <div className="space-y-6">
+              <SectionManager examId={examId} sections={exam.sections || []} onChange={refreshExam} />
+              <div className="flex justify-between">
+                <button type="button" onClick={() => setStep('details')} className={secondaryButtonClass}>
+                  <ChevronLeft className="h-4 w-4 mr-1" />
+                  Back
+                </button>
+                <button type="button" onClick={() => setStep('grading')} className={primaryButtonClass}>
+                  Continue
+                  <ChevronRight className="h-4 w-4 ml-1" />
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'grading' && exam && (
+            <GradingStep exam={exam} isSaving={saveGradingMutation.isLoading} onSave={saveGradingMutation.mutate} />
+          )}
+
+          {step === 'security' && exam && (
+            <SecurityStep exam={exam} isSaving={saveSecurityMutation.isLoading} onSave={saveSecurityMutation.mutate} />
+          )}
+
+          {step === 'preview' && exam && (
+            <div className="space-y-6">
+              <ExamPreview examId={examId} embedded />
+              <div className="flex justify-between">
+                <button type="button" onClick={() => setStep('security')} className={secondaryButtonClass}>
+                  <ChevronLeft className="h-4 w-4 mr-1" />
+                  Back
+                </button>
+                <div className="space-x-3">
+                  <button type="button" onClick={() => setIsSavingTemplate(true)} className={secondaryButtonClass}>
+                    <Bookmark className="h-4 w-4 mr-2" />
+                    Save as Template
+                  </button>
+                  <button type="button" onClick={() => navigate('/exams')} className={secondaryButtonClass}>
+                    Done
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handlePublish}
+                    disabled={publishMutation.isLoading}
+                    className={primaryButtonClass}
+                  >
+                    <Send className="h-4 w-4 mr-2" />
+                    {exam.isPublished ? 'Unpublish' : 'Publish Exam'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {isSavingTemplate && exam && (
+        <SaveTemplateDialog exam={exam} onClose={() => setIsSavingTemplate(false)} />
+      )}
+    </div>
+  );
+};
+
+export default ExamBuilder;
@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Users, Save } from 'lucide-react';
+
+const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+// Which course groups may take the exam. Without any, every student can.
+const GroupAssignment = ({ examId }) => {
+  const queryClient = useQueryClient();
+  const [selected, setSelected] = useState([]);
+
+  const { data: assigned, isLoading: assignedLoading } = useQuery(
+    ['examGroups', examId],
+    () => axios.get(`/api/exams/${examId}/groups`).then(res => res.data.groups)
+  );
+
+  const { data: courses = [], isLoading: coursesLoading } = useQuery(
+    'courses',
+    () => axios.get('/api/courses').then(res => res.data),
+    { select: data => data.courses }
+  );
+
+  const assignedIds = (assigned || []).map(group => group.id);
+
+  useEffect(() => {
+    if (assigned) setSelected(assigned.map(group => group.id));
+  }, [assigned]);
+
+  const saveMutation = useMutation(
+    (groups) => axios.put(`/api/exams/${examId}/groups`, { groups }).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.setQueryData(['examGroups', examId], data.groups);
+        queryClient.invalidateQueries('exams');
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to assign groups')
+    }
+  );
+
+  const toggle = (groupId) => setSelected(prev => (
+    prev.includes(groupId) ? prev.filter(id => id !== groupId) : [...prev, groupId]
+  ));
+
+  // Groups assigned by someone else (e.g. an admin) aren't in this user's courses but
+  // stay assigned unless unticked here
+  const ownGroupIds = courses.flatMap(course => course.groups.map(group => group.id));
+  const otherGroups = (assigned || []).filter(group => !ownGroupIds.includes(group.id));
+
+  const isLoading = assignedLoading || coursesLoading;
+  const changed = !sameIds(selected, assignedIds);
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Assigned Groups</h3>
+          <p className="text-sm text-gray-500">
+            {selected.length > 0
+              ? 'Only students enrolled in the selected groups can see and take this exam.'
+              : 'Not assigned to any group: every student can see and take this exam.'}
+          </p>
+        </div>
+        <button
+          type="button"
+          onClick={() => saveMutation.mutate(selected)}
+          disabled={!changed || saveMutation.isLoading}
+          className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4 mr-1" />
+          {saveMutation.isLoading ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : courses.length === 0 && otherGroups.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          You have no courses yet. <Link to="/courses" className="text-indigo-600 hover:text-indigo-500">Create a course</Link> to
+          enroll students and assign exams to its groups.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {courses.map(course => (
+            <div key={course.id}>
+              <h4 className="text-sm font-medium text-gray-900">
+                {course.code ? `${course.code} · ` : ''}{course.name}
+                {course.term && <span className="ml-2 font-normal text-gray-500">{course.term}</span>}
+              </h4>
+              {course.groups.length === 0 ? (
+                <p className="mt-1 text-sm text-gray-500">No groups</p>
+              ) : (
+                <div className="mt-2 flex flex-wrap gap-4">
+                  {course.groups.map(group => (
+                    <label key={group.id} className="inline-flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selected.includes(group.id)}
+                        onChange={() => toggle(group.id)}
+                        className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                      />
+                      <span className="ml-2">{group.name}</span>
+                      <span className="ml-1 inline-flex items-center text-gray-500">
+                        (<Users className="h-3 w-3 mr-0.5" />{group.studentCount})
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+
+          {otherGroups.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-900">Other courses</h4>
+              <div className="mt-2 flex flex-wrap gap-4">
+                {otherGroups.map(group => (
+                  <label key={group.id} className="inline-flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(group.id)}
+                      onChange={() => toggle(group.id)}
+                      className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+                    />
+                    <span className="ml-2">
+                      {group.course?.code || group.course?.name} · {group.name}
+                    </span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupAssignment;
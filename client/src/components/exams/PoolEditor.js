@@ -0,0 +1,246 @@
+import React from 'react';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, Trash2, CheckCircle, AlertTriangle } from 'lucide-react';
+import { QUESTION_TYPES } from './QuestionPicker';
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+export const emptyPool = {
+  count: 5,
+  points: 1,
+  filters: { topic: '', tags: '', difficulty: '', type: '' },
+  strata: []
+};
+
+const emptyStratum = { count: 1, difficulty: '', type: '' };
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Pool form state from a stored pool, and back into the shape the API expects
+export const poolToForm = (pool) => ({
+  count: pool.count,
+  points: pool.points || 1,
+  filters: {
+    topic: pool.filters?.topic || '',
+    tags: (pool.filters?.tags || []).join(', '),
+    difficulty: pool.filters?.difficulty?.[0] || '',
+    type: pool.filters?.type?.[0] || ''
+  },
+  strata: (pool.strata || []).map(stratum => ({
+    count: stratum.count,
+    difficulty: stratum.difficulty?.[0] || '',
+    type: stratum.type?.[0] || ''
+  }))
+});
+
+const listOf = (value) => (value ? [value] : []);
+
+export const formToPool = (form) => ({
+  count: parseInt(form.count, 10) || 1,
+  points: Number(form.points) || 1,
+  filters: {
+    topic: form.filters.topic.trim() || null,
+    tags: form.filters.tags.split(',').map(tag => tag.trim()).filter(Boolean),
+    difficulty: listOf(form.filters.difficulty),
+    type: listOf(form.filters.type)
+  },
+  strata: form.strata
+    .filter(stratum => Number(stratum.count) > 0)
+    .map(stratum => ({
+      count: parseInt(stratum.count, 10),
+      difficulty: listOf(stratum.difficulty),
+      type: listOf(stratum.type)
+    }))
+});
+
+// Settings for a section that draws its questions from the question bank per attempt
+const PoolEditor = ({ pool, onChange }) => {
+  const availabilityMutation = useMutation(
+    (poolData) => axios.post('/api/exams/pools/preview', { pool: poolData }).then(res => res.data),
+    {
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to check the question pool')
+    }
+  );
+  const availability = availabilityMutation.data;
+
+  const update = (changes) => {
+    availabilityMutation.reset();
+    onChange({ ...pool, ...changes });
+  };
+
+  const updateFilter = (field, value) => update({ filters: { ...pool.filters, [field]: value } });
+
+  const updateStratum = (index, field, value) => update({
+    strata: pool.strata.map((stratum, i) => (i === index ? { ...stratum, [field]: value } : stratum))
+  });
+
+  const strataTotal = pool.strata.reduce((sum, stratum) => sum + (parseInt(stratum.count, 10) || 0), 0);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Questions to draw *</label>
+          <input
+            type="number"
+            min="1"
+            value={pool.count}
+            onChange={(e) => update({ count: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Points per question</label>
+          <input
+            type="number"
+            min="0"
+            step="0.5"
+            value={pool.points}
+            onChange={(e) => update({ points: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Topic</label>
+          <input
+            type="text"
+            value={pool.filters.topic}
+            onChange={(e) => updateFilter('topic', e.target.value)}
+            placeholder="Any topic"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Tags</label>
+          <input
+            type="text"
+            value={pool.filters.tags}
+            onChange={(e) => updateFilter('tags', e.target.value)}
+            placeholder="Comma separated, any tag matches"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Difficulty</label>
+          <select
+            value={pool.filters.difficulty}
+            onChange={(e) => updateFilter('difficulty', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any difficulty</option>
+            {DIFFICULTIES.map(difficulty => (
+              <option key={difficulty} value={difficulty}>{difficulty}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700">Question Type</label>
+          <select
+            value={pool.filters.type}
+            onChange={(e) => updateFilter('type', e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Any type</option>
+            {QUESTION_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <div>
+            <h4 className="text-sm font-medium text-gray-700">Stratification</h4>
+            <p className="text-xs text-gray-500">
+              e.g. 2 easy, 3 medium, 1 hard. Any remaining questions are drawn from the whole pool.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => update({ strata: [...pool.strata, { ...emptyStratum }] })}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Plus className="h-4 w-4 mr-1" />
+            Add Rule
+          </button>
+        </div>
+
+        {pool.strata.map((stratum, index) => (
+          <div key={index} className="flex items-center space-x-3 mb-2">
+            <input
+              type="number"
+              min="1"
+              value={stratum.count}
+              onChange={(e) => updateStratum(index, 'count', e.target.value)}
+              className="w-20 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+            <select
+              value={stratum.difficulty}
+              onChange={(e) => updateStratum(index, 'difficulty', e.target.value)}
+              className="flex-1 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">Any difficulty</option>
+              {DIFFICULTIES.map(difficulty => (
+                <option key={difficulty} value={difficulty}>{difficulty}</option>
+              ))}
+            </select>
+            <select
+              value={stratum.type}
+              onChange={(e) => updateStratum(index, 'type', e.target.value)}
+              className="flex-1 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">Any type</option>
+              {QUESTION_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => update({ strata: pool.strata.filter((s, i) => i !== index) })}
+              className="text-gray-400 hover:text-red-600"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          </div>
+        ))}
+
+        {strataTotal > (parseInt(pool.count, 10) || 0) && (
+          <p className="text-xs text-yellow-700">
+            The rules add up to {strataTotal} questions, so {strataTotal} will be drawn.
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between bg-gray-50 border border-gray-200 rounded-md px-3 py-2">
+        <div className="text-sm">
+          {!availability && <span className="text-gray-500">Check that the question bank has enough matching questions.</span>}
+          {availability && availability.satisfiable && (
+            <span className="flex items-center text-green-700">
+              <CheckCircle className="h-4 w-4 mr-1" />
+              {availability.available} matching questions for {availability.required} draws
+            </span>
+          )}
+          {availability && !availability.satisfiable && (
+            <span className="flex items-center text-red-700">
+              <AlertTriangle className="h-4 w-4 mr-1" />
+              Needs {availability.shortage.required} question(s) but only {availability.shortage.available} match
+            </span>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={() => availabilityMutation.mutate(formToPool(pool))}
+          disabled={availabilityMutation.isLoading}
+          className="ml-3 px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+        >
+          {availabilityMutation.isLoading ? 'Checking...' : 'Check Availability'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PoolEditor;
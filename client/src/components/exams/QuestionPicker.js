@@ -0,0 +1,190 @@
+import React, { useState } from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { Search, X, CheckSquare, Square, ChevronLeft, ChevronRight } from 'lucide-react';
+
+export const QUESTION_TYPES = [
+  'mcq', 'true-false', 'short-answer', 'numerical', 'fill-blank', 'matching',
+  'drag-drop', 'hotspot', 'essay', 'code', 'image-based'
+];
+
+// Modal for choosing questions from the question bank
+const QuestionPicker = ({ isOpen, excludeIds = [], onClose, onConfirm }) => {
+  const [filters, setFilters] = useState({ search: '', type: '', difficulty: '', page: 1, limit: 10 });
+  const [selected, setSelected] = useState({});
+
+  const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+  const { data, isLoading, error } = useQuery(
+    ['questionPicker', params],
+    () => axios.get('/api/questions', { params }).then(res => res.data),
+    { enabled: isOpen, keepPreviousData: true }
+  );
+
+  if (!isOpen) return null;
+
+  const questions = data?.questions || [];
+  const pagination = data?.pagination || { current: 1, pages: 1 };
+  const selectedCount = Object.keys(selected).length;
+
+  const handleFilterChange = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value, page: 1 }));
+  };
+
+  const toggleQuestion = (question) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[question.id]) {
+        delete next[question.id];
+      } else {
+        next[question.id] = question;
+      }
+      return next;
+    });
+  };
+
+  const handleConfirm = () => {
+    onConfirm(Object.values(selected));
+    setSelected({});
+  };
+
+  const handleClose = () => {
+    setSelected({});
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={handleClose} />
+
+        <div className="relative bg-white rounded-lg shadow-xl max-w-3xl w-full">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Add Questions from Question Bank</h3>
+            <button onClick={handleClose} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+              <div className="sm:col-span-2 relative">
+                <Search className="absolute left-3 top-2.5 h-4 w-4 text-gray-400" />
+                <input
+                  type="text"
+                  value={filters.search}
+                  onChange={(e) => handleFilterChange('search', e.target.value)}
+                  placeholder="Search questions..."
+                  className="pl-9 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                />
+              </div>
+              <select
+                value={filters.type}
+                onChange={(e) => handleFilterChange('type', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              >
+                <option value="">All types</option>
+                {QUESTION_TYPES.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+              <select
+                value={filters.difficulty}
+                onChange={(e) => handleFilterChange('difficulty', e.target.value)}
+                className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+              >
+                <option value="">All difficulties</option>
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+              </select>
+            </div>
+
+            <div className="border border-gray-200 rounded-md divide-y divide-gray-200 max-h-96 overflow-y-auto">
+              {isLoading && (
+                <div className="flex justify-center py-8">
+                  <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+                </div>
+              )}
+              {error && (
+                <div className="p-4 text-sm text-red-700">
+                  {error.response?.data?.message || 'Failed to load questions'}
+                </div>
+              )}
+              {!isLoading && !error && questions.length === 0 && (
+                <div className="p-6 text-center text-sm text-gray-500">No questions match these filters.</div>
+              )}
+              {questions.map(question => {
+                const alreadyAdded = excludeIds.includes(question.id);
+                const isSelected = !!selected[question.id];
+                return (
+                  <button
+                    key={question.id}
+                    type="button"
+                    disabled={alreadyAdded}
+                    onClick={() => toggleQuestion(question)}
+                    className={`w-full flex items-start px-4 py-3 text-left ${alreadyAdded ? 'opacity-50 cursor-not-allowed' : 'hover:bg-gray-50'}`}
+                  >
+                    {isSelected || alreadyAdded ? (
+                      <CheckSquare className="h-5 w-5 text-indigo-600 mr-3 flex-shrink-0" />
+                    ) : (
+                      <Square className="h-5 w-5 text-gray-400 mr-3 flex-shrink-0" />
+                    )}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{question.title}</p>
+                      <p className="text-xs text-gray-500">
+                        {question.type} • {question.metadata?.difficulty || 'unrated'} • {question.metadata?.topic || 'No topic'} • {question.metadata?.points || 1} pts
+                        {alreadyAdded && ' • already in this section'}
+                      </p>
+                    </div>
+                  </button>
+                );
+              })}
+            </div>
+
+            <div className="flex items-center justify-between text-sm text-gray-500">
+              <span>Page {pagination.current} of {pagination.pages || 1}</span>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  disabled={filters.page <= 1}
+                  onClick={() => setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+                  className="inline-flex items-center px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </button>
+                <button
+                  type="button"
+                  disabled={filters.page >= (pagination.pages || 1)}
+                  onClick={() => setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+                  className="inline-flex items-center px-2 py-1 border border-gray-300 rounded-md disabled:opacity-50"
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200 bg-gray-50 rounded-b-lg">
+            <button
+              type="button"
+              onClick={handleClose}
+              className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              disabled={selectedCount === 0}
+              onClick={handleConfirm}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              Add {selectedCount} {selectedCount === 1 ? 'Question' : 'Questions'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default QuestionPicker;
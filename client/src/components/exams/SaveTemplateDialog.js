@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { X, Bookmark } from 'lucide-react';
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Modal for saving an exam as a template to start new exams from. The template keeps
+// the exam's settings, grading and anti-cheating, and optionally its sections.
+const SaveTemplateDialog = ({ exam, onClose }) => {
+  const queryClient = useQueryClient();
+  const [form, setForm] = useState({
+    name: exam.title,
+    description: '',
+    includeSections: true,
+    isShared: false
+  });
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const saveMutation = useMutation(
+    (data) => axios.post('/api/exams/templates', data),
+    {
+      onSuccess: () => {
+        toast.success('Template saved');
+        queryClient.invalidateQueries('examTemplates');
+        onClose();
+      },
+      onError: (error) => toast.error(
+        error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save template'
+      )
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    saveMutation.mutate({ ...form, name: form.name.trim(), description: form.description.trim(), exam: exam.id });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4">
+        <div className="fixed inset-0 bg-gray-500 bg-opacity-75" onClick={onClose} />
+
+        <form onSubmit={handleSubmit} className="relative bg-white rounded-lg shadow-xl max-w-lg w-full">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <h3 className="text-lg font-medium text-gray-900">Save as Template</h3>
+            <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+
+          <div className="px-6 py-4 space-y-4">
+            <div>
+              <label htmlFor="templateName" className="block text-sm font-medium text-gray-700">Name</label>
+              <input
+                id="templateName"
+                type="text"
+                value={form.name}
+                onChange={(e) => updateField('name', e.target.value)}
+                placeholder="e.g. Midterm with full proctoring"
+                className={inputClass}
+              />
+            </div>
+            <div>
+              <label htmlFor="templateDescription" className="block text-sm font-medium text-gray-700">Description</label>
+              <textarea
+                id="templateDescription"
+                rows={2}
+                value={form.description}
+                onChange={(e) => updateField('description', e.target.value)}
+                className={inputClass}
+              />
+            </div>
+            <label className="flex items-start">
+              <input
+                type="checkbox"
+                checked={form.includeSections}
+                onChange={(e) => updateField('includeSections', e.target.checked)}
+                className="h-4 w-4 mt-0.5 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              <span>
+                <span className="text-sm text-gray-700">Include sections and questions</span>
+                <span className="block text-xs text-gray-500">Leave unchecked to save only the settings, grading and anti-cheating.</span>
+              </span>
+            </label>
+            <label className="flex items-start">
+              <input
+                type="checkbox"
+                checked={form.isShared}
+                onChange={(e) => updateField('isShared', e.target.checked)}
+                className="h-4 w-4 mt-0.5 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              <span>
+                <span className="text-sm text-gray-700">Share with other instructors</span>
+                <span className="block text-xs text-gray-500">The access password is never saved in a template.</span>
+              </span>
+            </label>
+          </div>
+
+          <div className="flex justify-end space-x-3 px-6 py-4 border-t border-gray-200">
+            <button
+              type="button"
+              onClick={onClose}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saveMutation.isLoading}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Bookmark className="h-4 w-4 mr-2" />
+              {saveMutation.isLoading ? 'Saving...' : 'Save Template'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SaveTemplateDialog;
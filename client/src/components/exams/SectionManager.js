@@ -0,0 +1,490 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { Plus, Edit, Trash2, GripVertical, Clock, FileText, BookOpen, Shuffle, X } from 'lucide-react';
+import QuestionPicker from './QuestionPicker';
+import PoolEditor, { emptyPool, poolToForm, formToPool } from './PoolEditor';
+
+// Section questions hold either a question ID or the populated question document
+const getQuestionId = (question) => (question && typeof question === 'object' ? question.id : question);
+const getSectionId = (section) => section.id || section._id;
+
+const emptySection = {
+  name: '',
+  description: '',
+  timeLimit: '',
+  randomizeQuestions: false,
+  randomizeOptions: false,
+  questions: [],
+  pool: null
+};
+
+const moveItem = (items, from, to) => {
+  const result = [...items];
+  const [moved] = result.splice(from, 1);
+  result.splice(to, 0, moved);
+  return result;
+};
+
+const SectionManager = ({ examId, sections = [], onChange }) => {
+  const [editingSection, setEditingSection] = useState(null);
+  const [showPicker, setShowPicker] = useState(false);
+
+  const onError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback);
+  };
+
+  const saveSectionMutation = useMutation(
+    ({ id, ...sectionData }) => (id
+      ? axios.put(`/api/exams/${examId}/sections/${id}`, sectionData)
+      : axios.post(`/api/exams/${examId}/sections`, sectionData)),
+    {
+      onSuccess: () => {
+        toast.success('Section saved');
+        setEditingSection(null);
+        onChange();
+      },
+      onError: onError('Failed to save section')
+    }
+  );
+
+  const deleteSectionMutation = useMutation(
+    (sectionId) => axios.delete(`/api/exams/${examId}/sections/${sectionId}`),
+    {
+      onSuccess: () => {
+        toast.success('Section deleted');
+        onChange();
+      },
+      onError: onError('Failed to delete section')
+    }
+  );
+
+  const reorderSectionsMutation = useMutation(
+    (sectionIds) => axios.post(`/api/exams/${examId}/sections/reorder`, { sectionIds }),
+    {
+      onSuccess: () => onChange(),
+      onError: onError('Failed to reorder sections')
+    }
+  );
+
+  const handleSectionDragEnd = (result) => {
+    if (!result.destination || result.destination.index === result.source.index) return;
+    const ordered = moveItem(sections, result.source.index, result.destination.index);
+    reorderSectionsMutation.mutate(ordered.map(getSectionId));
+  };
+
+  const startEditing = (section) => {
+    if (!section) {
+      setEditingSection({ ...emptySection });
+      return;
+    }
+    setEditingSection({
+      id: getSectionId(section),
+      name: section.name,
+      description: section.description || '',
+      timeLimit: section.timeLimit || '',
+      randomizeQuestions: !!section.randomizeQuestions,
+      randomizeOptions: !!section.randomizeOptions,
+      questions: section.questions.map(ref => ({
+        question: getQuestionId(ref.question),
+        points: ref.points || 1,
+        title: ref.question?.title || ref.title || getQuestionId(ref.question),
+        type: ref.question?.type || ref.type || '',
+        revision: ref.revision || null,
+        latestRevision: ref.question?.revision || null
+      })),
+      pool: section.pool ? poolToForm(section.pool) : null
+    });
+  };
+
+  const updateEditing = (field, value) => {
+    setEditingSection(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddQuestions = (questions) => {
+    setEditingSection(prev => ({
+      ...prev,
+      questions: [
+        ...prev.questions,
+        ...questions.map(question => ({
+          question: question.id,
+          points: question.metadata?.points || 1,
+          title: question.title,
+          type: question.type,
+          revision: question.revision || null,
+          latestRevision: question.revision || null
+        }))
+      ]
+    }));
+    setShowPicker(false);
+  };
+
+  const updateQuestionPoints = (index, points) => {
+    setEditingSection(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (i === index ? { ...q, points } : q))
+    }));
+  };
+
+  // Sections keep the question revision they were built with until moved to the latest
+  const pinLatestRevision = (index) => {
+    setEditingSection(prev => ({
+      ...prev,
+      questions: prev.questions.map((q, i) => (i === index ? { ...q, revision: q.latestRevision } : q))
+    }));
+  };
+
+  const removeQuestion = (index) => {
+    setEditingSection(prev => ({
+      ...prev,
+      questions: prev.questions.filter((q, i) => i !== index)
+    }));
+  };
+
+  const handleQuestionDragEnd = (result) => {
+    if (!result.destination) return;
+    updateEditing('questions', moveItem(editingSection.questions, result.source.index, result.destination.index));
+  };
+
+  const handleSaveSection = () => {
+    if (!editingSection.name.trim()) {
+      toast.error('Section name is required');
+      return;
+    }
+    if (!editingSection.pool && editingSection.questions.length === 0) {
+      toast.error('Add at least one question to the section');
+      return;
+    }
+
+    const sectionData = {
+      id: editingSection.id,
+      name: editingSection.name.trim(),
+      description: editingSection.description,
+      randomizeQuestions: editingSection.randomizeQuestions,
+      randomizeOptions: editingSection.randomizeOptions
+    };
+    // Saving listed questions switches an existing section back from a pool
+    if (editingSection.pool) {
+      sectionData.pool = formToPool(editingSection.pool);
+    } else {
+      sectionData.questions = editingSection.questions.map(q => ({
+        question: q.question,
+        revision: q.revision || undefined,
+        points: Number(q.points) || 1
+      }));
+    }
+    if (editingSection.timeLimit) sectionData.timeLimit = parseInt(editingSection.timeLimit, 10);
+
+    saveSectionMutation.mutate(sectionData);
+  };
+
+  const handleDeleteSection = (section) => {
+    if (window.confirm(`Delete section "${section.name}"?`)) {
+      deleteSectionMutation.mutate(getSectionId(section));
+    }
+  };
+
+  if (editingSection) {
+    const sectionPoints = editingSection.questions.reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+    const questionModes = [
+      { value: false, label: 'Pick questions' },
+      { value: true, label: 'Draw from question pool' }
+    ];
+
+    return (
+      <div className="space-y-6">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">
+            {editingSection.id ? 'Edit Section' : 'New Section'}
+          </h3>
+          <button onClick={() => setEditingSection(null)} className="text-gray-400 hover:text-gray-600">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Section Name *</label>
+            <input
+              type="text"
+              value={editingSection.name}
+              onChange={(e) => updateEditing('name', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Description</label>
+            <textarea
+              rows={2}
+              value={editingSection.description}
+              onChange={(e) => updateEditing('description', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Time Limit (minutes)</label>
+            <input
+              type="number"
+              min="1"
+              value={editingSection.timeLimit}
+              onChange={(e) => updateEditing('timeLimit', e.target.value)}
+              placeholder="No section limit"
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+          <div className="flex flex-col justify-end space-y-2">
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editingSection.randomizeQuestions}
+                onChange={(e) => updateEditing('randomizeQuestions', e.target.checked)}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              Randomize question order
+            </label>
+            <label className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editingSection.randomizeOptions}
+                onChange={(e) => updateEditing('randomizeOptions', e.target.checked)}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              Randomize answer options
+            </label>
+          </div>
+        </div>
+
+        <div className="flex space-x-2">
+          {questionModes.map(mode => (
+            <button
+              key={mode.label}
+              type="button"
+              onClick={() => updateEditing('pool', mode.value ? (editingSection.pool || { ...emptyPool }) : null)}
+              className={`px-3 py-1.5 rounded-md text-sm font-medium border ${
+                !!editingSection.pool === mode.value
+                  ? 'bg-indigo-50 border-indigo-300 text-indigo-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+
+        {editingSection.pool ? (
+          <PoolEditor pool={editingSection.pool} onChange={(pool) => updateEditing('pool', pool)} />
+        ) : (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-medium text-gray-700">
+                Questions ({editingSection.questions.length}) • {sectionPoints} points
+              </h4>
+              <button
+                type="button"
+                onClick={() => setShowPicker(true)}
+                className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <BookOpen className="h-4 w-4 mr-1" />
+                Add from Question Bank
+              </button>
+            </div>
+
+            {editingSection.questions.length === 0 ? (
+              <div className="border-2 border-dashed border-gray-300 rounded-md p-6 text-center text-sm text-gray-500">
+                No questions yet. Add questions from the question bank.
+              </div>
+            ) : (
+              <DragDropContext onDragEnd={handleQuestionDragEnd}>
+                <Droppable droppableId="section-questions">
+                  {(provided) => (
+                    <div {...provided.droppableProps} ref={provided.innerRef} className="space-y-2">
+                      {editingSection.questions.map((q, index) => (
+                        <Draggable key={q.question} draggableId={String(q.question)} index={index}>
+                          {(provided) => (
+                            <div
+                              ref={provided.innerRef}
+                              {...provided.draggableProps}
+                              className="flex items-center bg-gray-50 border border-gray-200 rounded-md px-3 py-2"
+                            >
+                              <span {...provided.dragHandleProps} className="mr-2 text-gray-400">
+                                <GripVertical className="h-4 w-4" />
+                              </span>
+                              <div className="flex-1 min-w-0">
+                                <p className="text-sm text-gray-900 truncate">{index + 1}. {q.title}</p>
+                                <p className="text-xs text-gray-500">
+                                  {q.type}
+                                  {q.revision && ` · Revision ${q.revision}`}
+                                  {q.revision && q.latestRevision > q.revision && (
+                                    <>
+                                      <span className="text-amber-600"> · Revision {q.latestRevision} available </span>
+                                      <button
+                                        type="button"
+                                        onClick={() => pinLatestRevision(index)}
+                                        className="text-indigo-600 hover:text-indigo-800"
+                                      >
+                                        Use latest
+                                      </button>
+                                    </>
+                                  )}
+                                </p>
+                              </div>
+                              <label className="flex items-center text-xs text-gray-500 ml-3">
+                                Points
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.5"
+                                  value={q.points}
+                                  onChange={(e) => updateQuestionPoints(index, e.target.value)}
+                                  className="ml-2 w-20 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                                />
+                              </label>
+                              <button
+                                type="button"
+                                onClick={() => removeQuestion(index)}
+                                className="ml-3 text-gray-400 hover:text-red-600"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            </div>
+                          )}
+                        </Draggable>
+                      ))}
+                      {provided.placeholder}
+                    </div>
+                  )}
+                </Droppable>
+              </DragDropContext>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            type="button"
+            onClick={() => setEditingSection(null)}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            onClick={handleSaveSection}
+            disabled={saveSectionMutation.isLoading}
+            className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {saveSectionMutation.isLoading ? 'Saving...' : 'Save Section'}
+          </button>
+        </div>
+
+        <QuestionPicker
+          isOpen={showPicker}
+          excludeIds={editingSection.questions.map(q => q.question)}
+          onClose={() => setShowPicker(false)}
+          onConfirm={handleAddQuestions}
+        />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900">Sections</h3>
+          <p className="text-sm text-gray-500">Drag sections to change the order students see them in.</p>
+        </div>
+        <button
+          type="button"
+          onClick={() => startEditing(null)}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Section
+        </button>
+      </div>
+
+      {sections.length === 0 ? (
+        <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center">
+          <FileText className="mx-auto h-8 w-8 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">This exam has no sections yet.</p>
+        </div>
+      ) : (
+        <DragDropContext onDragEnd={handleSectionDragEnd}>
+          <Droppable droppableId="exam-sections">
+            {(provided) => (
+              <div {...provided.droppableProps} ref={provided.innerRef} className="space-y-3">
+                {sections.map((section, index) => (
+                  <Draggable key={getSectionId(section)} draggableId={String(getSectionId(section))} index={index}>
+                    {(provided, snapshot) => (
+                      <div
+                        ref={provided.innerRef}
+                        {...provided.draggableProps}
+                        className={`flex items-center border rounded-lg p-4 bg-white ${snapshot.isDragging ? 'border-indigo-300 shadow-lg' : 'border-gray-200'}`}
+                      >
+                        <span {...provided.dragHandleProps} className="mr-3 text-gray-400">
+                          <GripVertical className="h-5 w-5" />
+                        </span>
+                        <div className="flex-1 min-w-0">
+                          <h4 className="text-sm font-medium text-gray-900">
+                            Section {index + 1}: {section.name}
+                          </h4>
+                          <div className="mt-1 flex items-center space-x-4 text-xs text-gray-500">
+                            {section.pool ? (
+                              <>
+                                <span className="flex items-center">
+                                  <Shuffle className="h-3 w-3 mr-1" />
+                                  {section.pool.count} drawn from pool
+                                </span>
+                                <span>{section.pool.count * (section.pool.points || 1)} points</span>
+                              </>
+                            ) : (
+                              <>
+                                <span className="flex items-center">
+                                  <FileText className="h-3 w-3 mr-1" />
+                                  {section.questions.length} questions
+                                </span>
+                                <span>
+                                  {section.questions.reduce((sum, q) => sum + (q.points || 1), 0)} points
+                                </span>
+                              </>
+                            )}
+                            {section.timeLimit && (
+                              <span className="flex items-center">
+                                <Clock className="h-3 w-3 mr-1" />
+                                {section.timeLimit} min
+                              </span>
+                            )}
+                          </div>
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => startEditing(section)}
+                          className="ml-3 text-gray-400 hover:text-indigo-600"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDeleteSection(section)}
+                          className="ml-3 text-gray-400 hover:text-red-600"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </div>
+                    )}
+                  </Draggable>
+                ))}
+                {provided.placeholder}
+              </div>
+            )}
+          </Droppable>
+        </DragDropContext>
+      )}
+    </div>
+  );
+};
+
+export default SectionManager;
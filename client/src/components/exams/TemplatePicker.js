@@ -0,0 +1,132 @@
+import React from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Trash2 } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const QUESTION_MODES = [
+  {
+    value: 'reference',
+    label: 'Use the same questions',
+    description: 'The new exam asks the questions exactly as the original does. Editing them in the bank won\'t change either exam.'
+  },
+  {
+    value: 'copy',
+    label: 'Copy the questions',
+    description: 'Each question is copied into your question bank, so you can revise the copies for the new exam.'
+  }
+];
+
+// How an exam created from another one or from a template gets its listed questions
+const QuestionModeField = ({ value, onChange }) => (
+  <fieldset className="space-y-2">
+    <legend className="block text-sm font-medium text-gray-700">Questions</legend>
+    {QUESTION_MODES.map(mode => (
+      <label key={mode.value} className="flex items-start">
+        <input
+          type="radio"
+          name="questionMode"
+          value={mode.value}
+          checked={value === mode.value}
+          onChange={() => onChange(mode.value)}
+          className="h-4 w-4 mt-0.5 text-indigo-600 border-gray-300 mr-2"
+        />
+        <span>
+          <span className="text-sm text-gray-700">{mode.label}</span>
+          <span className="block text-xs text-gray-500">{mode.description}</span>
+        </span>
+      </label>
+    ))}
+  </fieldset>
+);
+
+const describeBlueprint = (blueprint = {}) => {
+  const sections = blueprint.sections || [];
+  const parts = [];
+  if (sections.length > 0) {
+    const questions = sections.reduce((sum, section) => sum + (section.pool ? section.pool.count : (section.questions || []).length), 0);
+    parts.push(`${sections.length} section${sections.length === 1 ? '' : 's'}, ${questions} question${questions === 1 ? '' : 's'}`);
+  } else {
+    parts.push('Settings only');
+  }
+  if (blueprint.settings?.totalTimeLimit) parts.push(`${blueprint.settings.totalTimeLimit} min`);
+  if (blueprint.antiCheating?.enabled) parts.push('anti-cheating on');
+  return parts.join(' · ');
+};
+
+// Choice of a saved exam template to start a new exam from, for the exam builder
+const TemplatePicker = ({ template, questionMode, onTemplateChange, onQuestionModeChange }) => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+
+  const { data } = useQuery(
+    'examTemplates',
+    () => axios.get('/api/exams/templates').then(res => res.data)
+  );
+  const templates = data?.templates || [];
+
+  const deleteMutation = useMutation(
+    (id) => axios.delete(`/api/exams/templates/${id}`),
+    {
+      onSuccess: () => {
+        toast.success('Template deleted');
+        onTemplateChange(null);
+        queryClient.invalidateQueries('examTemplates');
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Failed to delete template')
+    }
+  );
+
+  if (templates.length === 0) return null;
+
+  const canDelete = template && (template.author?.id === user?.id || user?.role === 'admin');
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-md p-4 space-y-3">
+      <div>
+        <label htmlFor="template" className="block text-sm font-medium text-gray-700">Start from a template</label>
+        <div className="flex items-center space-x-2">
+          <select
+            id="template"
+            value={template?.id || ''}
+            onChange={(e) => onTemplateChange(templates.find(t => t.id === e.target.value) || null)}
+            className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            <option value="">Blank exam</option>
+            {templates.map(t => (
+              <option key={t.id} value={t.id}>
+                {t.name}{t.isShared && t.author?.id !== user?.id ? ` (${t.author?.firstName} ${t.author?.lastName})` : ''}
+              </option>
+            ))}
+          </select>
+          {canDelete && (
+            <button
+              type="button"
+              onClick={() => deleteMutation.mutate(template.id)}
+              disabled={deleteMutation.isLoading}
+              title="Delete template"
+              className="mt-1 text-red-600 hover:text-red-500 disabled:opacity-50"
+            >
+              <Trash2 className="h-4 w-4" />
+            </button>
+          )}
+        </div>
+        {template && (
+          <p className="mt-1 text-xs text-gray-500">
+            {template.description ? `${template.description} · ` : ''}{describeBlueprint(template.blueprint)}
+          </p>
+        )}
+      </div>
+      {template?.blueprint?.sections?.length > 0 && (
+        <QuestionModeField value={questionMode} onChange={onQuestionModeChange} />
+      )}
+    </div>
+  );
+};
+
+export default TemplatePicker;
+
+export {
+  QuestionModeField
+};
@@ -1,5 +1,7 @@
 import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import axios from 'axios';
 import { useAuth } from '../../contexts/AuthContext';
 import { 
   Menu, 
@@ -10,7 +12,9 @@ import {
   BookOpen, 
   FileText, 
   BarChart3,
-  Shield
+  Shield,
+  GraduationCap,
+  Building2
 } from 'lucide-react';
 
 const Navbar = () => {
@@ -19,6 +23,14 @@ const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
   const navigate = useNavigate();
 
+  // The header carries the branding of the organization the user works in
+  const { data: organization } = useQuery(
+    'organization',
+    () => axios.get('/api/organizations/current').then(res => res.data.organization),
+    { enabled: isAuthenticated, staleTime: 5 * 60 * 1000 }
+  );
+  const branding = (isAuthenticated && organization?.branding) || {};
+
   const handleLogout = () => {
     logout();
     navigate('/login');
@@ -27,6 +39,7 @@ const Navbar = () => {
   const navigation = [
     { name: 'Dashboard', href: '/', icon: BarChart3 },
     { name: 'Exams', href: '/exams', icon: FileText },
+    { name: 'Courses', href: '/courses', icon: GraduationCap },
   ];
 
   if (user?.role === 'instructor' || user?.role === 'admin') {
@@ -42,14 +55,27 @@ const Navbar = () => {
     );
   }
 
+  if (user?.isSuperAdmin) {
+    navigation.push(
+      { name: 'Organizations', href: '/admin/organizations', icon: Building2 }
+    );
+  }
+
   return (
     <nav className="bg-white shadow-lg">
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
         <div className="flex justify-between h-16">
           <div className="flex">
             <div className="flex-shrink-0 flex items-center">
-              <Link to="/" className="text-2xl font-bold text-indigo-600">
-                QuizEthic
+              <Link
+                to="/"
+                className="flex items-center text-2xl font-bold text-indigo-600"
+                style={branding.primaryColor ? { color: branding.primaryColor } : undefined}
+              >
+                {branding.logoUrl && (
+                  <img src={branding.logoUrl} alt="" className="h-8 w-8 object-contain mr-2" />
+                )}
+                {branding.displayName || 'QuizEthic'}
               </Link>
             </div>
             <div className="hidden sm:ml-6 sm:flex sm:space-x-8">
@@ -96,6 +122,16 @@ const Navbar = () => {
                       <Settings className="w-4 h-4 mr-2" />
                       Profile Settings
                     </Link>
+                    {user?.role === 'admin' && (
+                      <Link
+                        to="/admin/settings"
+                        className="flex items-center px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                        onClick={() => setShowUserMenu(false)}
+                      >
+                        <Building2 className="w-4 h-4 mr-2" />
+                        Organization Settings
+                      </Link>
+                    )}
                     <button
                       onClick={handleLogout}
                       className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
@@ -201,6 +237,16 @@ const Navbar = () => {
                   <Settings className="w-4 h-4 mr-2" />
                   Profile Settings
                 </Link>
+                {user?.role === 'admin' && (
+                  <Link
+                    to="/admin/settings"
+                    className="flex items-center px-4 py-2 text-base font-medium text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                    onClick={() => setIsOpen(false)}
+                  >
+                    <Building2 className="w-4 h-4 mr-2" />
+                    Organization Settings
+                  </Link>
+                )}
                 <button
                   onClick={handleLogout}
                   className="flex items-center w-full px-4 py-2 text-base font-medium text-gray-500 hover:text-gray-800 hover:bg-gray-100"
@@ -0,0 +1,144 @@
+import React from 'react';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { AlertTriangle, CheckCircle } from 'lucide-react';
+
+const FLAG_LABELS = {
+  'too-easy': 'Too easy',
+  'too-hard': 'Too hard',
+  'negative-discrimination': 'Negative discrimination'
+};
+
+const DISTRACTOR_FLAG_LABELS = {
+  'non-functioning': 'Rarely chosen',
+  'attracts-high-scorers': 'Draws strong students'
+};
+
+const percent = (value) => (value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`);
+
+const formatStat = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+const formatTime = (seconds) => {
+  if (seconds === null || seconds === undefined) return '—';
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+};
+
+const ItemFlags = ({ flags }) => (
+  <div className="flex flex-wrap gap-1">
+    {flags.map((flag) => (
+      <span
+        key={flag}
+        className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800"
+      >
+        <AlertTriangle className="h-3 w-3 mr-1" />
+        {FLAG_LABELS[flag] || flag}
+      </span>
+    ))}
+  </div>
+);
+
+// Statistics for one analysed question: difficulty (p-value), point-biserial
+// discrimination, time spent and, for choice questions, how each option was chosen
+const ItemAnalysisDetails = ({ item, minResponses }) => {
+  if (item.responses === 0) {
+    return <p className="text-sm text-gray-500">No graded attempts include this question yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <dl className="grid grid-cols-2 gap-3 sm:grid-cols-5 text-sm">
+        <div>
+          <dt className="text-gray-500">Responses</dt>
+          <dd className="font-medium text-gray-900">{item.responses} ({item.omitted} omitted)</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Difficulty (p)</dt>
+          <dd className="font-medium text-gray-900">{formatStat(item.difficulty)}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Discrimination</dt>
+          <dd className="font-medium text-gray-900">{formatStat(item.discrimination)}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Avg time</dt>
+          <dd className="font-medium text-gray-900">{formatTime(item.averageTimeSpent)}</dd>
+        </div>
+        <div>
+          <dt className="text-gray-500">Flags</dt>
+          <dd>
+            {item.flags.length > 0 ? (
+              <ItemFlags flags={item.flags} />
+            ) : item.responses < minResponses ? (
+              <span className="text-xs text-gray-400">Needs {minResponses} responses</span>
+            ) : (
+              <span className="inline-flex items-center text-xs text-green-700">
+                <CheckCircle className="h-3 w-3 mr-1" />
+                None
+              </span>
+            )}
+          </dd>
+        </div>
+      </dl>
+
+      {item.distractors && (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+              <th className="py-1 pr-4 font-medium">Option</th>
+              <th className="py-1 pr-4 font-medium">Chosen</th>
+              <th className="py-1 pr-4 font-medium">Upper 27%</th>
+              <th className="py-1 pr-4 font-medium">Lower 27%</th>
+              <th className="py-1 font-medium"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {item.distractors.map((option, index) => (
+              <tr key={index}>
+                <td className="py-1 pr-4">
+                  <span className={option.isCorrect ? 'font-medium text-green-700' : 'text-gray-700'}>
+                    {option.text}
+                  </span>
+                  {option.isCorrect && <span className="ml-1 text-xs text-green-700">(correct)</span>}
+                </td>
+                <td className="py-1 pr-4 text-gray-700">{option.count} · {percent(option.proportion)}</td>
+                <td className="py-1 pr-4 text-gray-700">{percent(option.upperProportion)}</td>
+                <td className="py-1 pr-4 text-gray-700">{percent(option.lowerProportion)}</td>
+                <td className="py-1">
+                  {option.flag && (
+                    <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                      {DISTRACTOR_FLAG_LABELS[option.flag] || option.flag}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+// Item analysis of one question across every exam it was used in
+const QuestionItemAnalysis = ({ questionId }) => {
+  const { data, isLoading, error } = useQuery(
+    ['questionStats', questionId],
+    () => axios.get(`/api/questions/${questionId}/stats`).then(res => res.data)
+  );
+
+  if (isLoading) {
+    return <p className="text-sm text-gray-500">Loading item analysis...</p>;
+  }
+  if (error) {
+    return <p className="text-sm text-red-600">{error.response?.data?.message || 'Failed to load item analysis'}</p>;
+  }
+
+  return <ItemAnalysisDetails item={data.itemAnalysis} minResponses={data.minResponses} />;
+};
+
+export {
+  ItemAnalysisDetails,
+  ItemFlags
+};
+
+export default QuestionItemAnalysis;
@@ -0,0 +1,370 @@
+import React from 'react';
+import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
+import { GripVertical, MapPin } from 'lucide-react';
+import { CodeEditor } from './QuestionTypeComponents';
+import { BLANK_PATTERN } from '../../utils/answerValues';
+
+// Student-facing renderers, one per question type. Each receives the student view of
+// a question, the current answer value and onChange, and submits the value the grader
+// expects for its type (see utils/answerValues.js).
+
+const textInputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500';
+
+const wordCount = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+const Prompt = ({ question }) => (
+  <p className="text-gray-700 whitespace-pre-wrap">{question.content}</p>
+);
+
+const QuestionImages = ({ images = [] }) => (images.length > 0 ? (
+  <div className="space-y-4">
+    {images.map((image, index) => (
+      <div key={index} className="border rounded-lg p-4">
+        <img src={image.url} alt={image.alt} className="max-w-full h-auto rounded" />
+        {image.caption && <p className="mt-2 text-sm text-gray-600">{image.caption}</p>}
+      </div>
+    ))}
+  </div>
+) : null);
+
+const ChoiceRenderer = ({ question, value, onChange }) => {
+  const selected = question.multipleSelect ? (Array.isArray(value) ? value : []) : null;
+
+  const toggle = (optionId, checked) => {
+    onChange(checked ? [...selected, optionId] : selected.filter(id => id !== optionId));
+  };
+
+  return (
+    <div className="space-y-3">
+      {question.multipleSelect && <p className="text-sm text-gray-500">Select all that apply.</p>}
+      {question.options.map(option => (
+        <label key={option.id} className="flex items-start space-x-3 cursor-pointer">
+          {question.multipleSelect ? (
+            <input
+              type="checkbox"
+              checked={selected.includes(option.id)}
+              onChange={(e) => toggle(option.id, e.target.checked)}
+              className="mt-1 h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+            />
+          ) : (
+            <input
+              type="radio"
+              name={`question-${question.id}`}
+              checked={value === option.id}
+              onChange={() => onChange(option.id)}
+              className="mt-1 h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300"
+            />
+          )}
+          <span className="text-gray-700">{option.text}</span>
+        </label>
+      ))}
+    </div>
+  );
+};
+
+const TrueFalseRenderer = ({ question, value, onChange }) => (
+  <div className="flex space-x-6">
+    {[true, false].map(choice => (
+      <label key={String(choice)} className="flex items-center space-x-2 cursor-pointer">
+        <input
+          type="radio"
+          name={`question-${question.id}`}
+          checked={value === choice}
+          onChange={() => onChange(choice)}
+          className="h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300"
+        />
+        <span className="text-gray-700">{choice ? 'True' : 'False'}</span>
+      </label>
+    ))}
+  </div>
+);
+
+const TextRenderer = ({ question, value, onChange }) => (
+  <div className="space-y-4">
+    <QuestionImages images={question.images} />
+    <textarea
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value)}
+      className={`${textInputClass} h-32`}
+      placeholder="Enter your answer here..."
+    />
+  </div>
+);
+
+const EssayRenderer = ({ question, value, onChange }) => {
+  const words = wordCount(value || '');
+  const { minLength, maxLength } = question.essayRubric || {};
+
+  return (
+    <div>
+      <textarea
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${textInputClass} h-64`}
+        placeholder="Write your answer here..."
+      />
+      <p className={`mt-1 text-xs ${maxLength && words > maxLength ? 'text-red-600' : 'text-gray-500'}`}>
+        {words} words
+        {minLength && maxLength ? ` (expected ${minLength}–${maxLength})` : ''}
+      </p>
+    </div>
+  );
+};
+
+const NumericalRenderer = ({ question, value, onChange }) => {
+  const answer = value && typeof value === 'object' ? value : { value: '', unit: '' };
+  const { expectsUnit, requireUnit } = question.numerical || {};
+
+  return (
+    <div className="flex items-end space-x-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700">Value</label>
+        <input
+          type="number"
+          step="any"
+          value={answer.value}
+          onChange={(e) => onChange({ ...answer, value: e.target.value })}
+          className={`${textInputClass} w-48`}
+        />
+      </div>
+      {expectsUnit && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700">
+            Unit{requireUnit ? ' *' : ''}
+          </label>
+          <input
+            type="text"
+            value={answer.unit}
+            onChange={(e) => onChange({ ...answer, unit: e.target.value })}
+            placeholder="e.g. m/s"
+            className={`${textInputClass} w-32`}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Blanks sit inline where the content has "___"; content without markers for every
+// blank gets the inputs listed underneath it
+const FillBlankRenderer = ({ question, value, onChange }) => {
+  const answers = Array.isArray(value) ? value : [];
+  const parts = question.content.split(BLANK_PATTERN);
+  const inline = parts.length - 1 === question.blankCount;
+
+  const update = (index, text) => {
+    const next = Array.from({ length: question.blankCount }, (_, i) => answers[i] || '');
+    next[index] = text;
+    onChange(next);
+  };
+
+  const blankInput = (index) => (
+    <input
+      key={`blank-${index}`}
+      type="text"
+      value={answers[index] || ''}
+      onChange={(e) => update(index, e.target.value)}
+      aria-label={`Blank ${index + 1}`}
+      className="mx-1 w-36 px-2 py-1 border-b-2 border-gray-400 focus:border-indigo-500 focus:outline-none"
+    />
+  );
+
+  if (inline) {
+    return (
+      <p className="text-gray-700 whitespace-pre-wrap leading-loose">
+        {parts.map((part, index) => (
+          <React.Fragment key={index}>
+            {part}
+            {index < question.blankCount && blankInput(index)}
+          </React.Fragment>
+        ))}
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <Prompt question={question} />
+      {Array.from({ length: question.blankCount }, (_, index) => (
+        <div key={index} className="flex items-center text-sm text-gray-700">
+          <span className="w-20">Blank {index + 1}</span>
+          {blankInput(index)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const MatchingRenderer = ({ question, value, onChange }) => {
+  const answer = value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+
+  return (
+    <div className="space-y-3">
+      {question.matching.left.map(left => (
+        <div key={left} className="grid grid-cols-2 gap-4 items-center">
+          <span className="text-gray-700">{left}</span>
+          <select
+            value={answer[left] || ''}
+            onChange={(e) => onChange({ ...answer, [left]: e.target.value })}
+            className="border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+          >
+            <option value="">Choose a match</option>
+            {question.matching.right.map(right => (
+              <option key={right} value={right}>{right}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const DragDropRenderer = ({ question, value, onChange }) => {
+  const itemsById = new Map(question.dragDropItems.map(item => [String(item.id), item]));
+  const order = Array.isArray(value) && value.length === question.dragDropItems.length
+    ? value.map(id => itemsById.get(String(id))).filter(Boolean)
+    : question.dragDropItems;
+
+  const handleDragEnd = (result) => {
+    if (!result.destination) return;
+    const next = [...order];
+    const [moved] = next.splice(result.source.index, 1);
+    next.splice(result.destination.index, 0, moved);
+    onChange(next.map(item => item.id));
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-2">Drag the items into the correct order.</p>
+      <DragDropContext onDragEnd={handleDragEnd}>
+        <Droppable droppableId={`order-${question.id}`}>
+          {(provided) => (
+            <ol {...provided.droppableProps} ref={provided.innerRef} className="space-y-2">
+              {order.map((item, index) => (
+                <Draggable key={item.id} draggableId={String(item.id)} index={index}>
+                  {(provided) => (
+                    <li
+                      ref={provided.innerRef}
+                      {...provided.draggableProps}
+                      {...provided.dragHandleProps}
+                      className="flex items-center bg-white border border-gray-200 rounded-md px-3 py-2 shadow-sm"
+                    >
+                      <GripVertical className="h-4 w-4 text-gray-400 mr-2" />
+                      <span className="text-sm text-gray-500 w-6">{index + 1}.</span>
+                      <span className="text-gray-700">{item.content}</span>
+                    </li>
+                  )}
+                </Draggable>
+              ))}
+              {provided.placeholder}
+            </ol>
+          )}
+        </Droppable>
+      </DragDropContext>
+    </div>
+  );
+};
+
+// Clicks are recorded in the coordinates of the canvas the hotspot areas were drawn
+// on, whatever size the image is shown at
+const HotspotRenderer = ({ question, value, onChange }) => {
+  const { image, width, height, maxClicks } = question.hotspot;
+  const clicks = Array.isArray(value) ? value : [];
+
+  const handleClick = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const point = {
+      x: Math.round((e.clientX - rect.left) * width / rect.width),
+      y: Math.round((e.clientY - rect.top) * height / rect.height)
+    };
+    // With a single answer the new click replaces the old one
+    if (maxClicks === 1) {
+      onChange([point]);
+    } else if (clicks.length < maxClicks) {
+      onChange([...clicks, point]);
+    }
+  };
+
+  const removeClick = (e, index) => {
+    e.stopPropagation();
+    onChange(clicks.filter((_, i) => i !== index));
+  };
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-2">
+        Click the image to mark your answer{maxClicks > 1 ? ` (up to ${maxClicks} points)` : ''}. Click a marker to remove it.
+      </p>
+      <div
+        onClick={handleClick}
+        className="relative w-full max-w-2xl border border-gray-300 rounded-md overflow-hidden cursor-crosshair bg-gray-50"
+        style={{ aspectRatio: `${width} / ${height}` }}
+      >
+        {image && (
+          <img src={image} alt="" className="absolute inset-0 w-full h-full object-contain pointer-events-none" />
+        )}
+        {clicks.map((click, index) => (
+          <button
+            key={index}
+            type="button"
+            onClick={(e) => removeClick(e, index)}
+            className="absolute transform -translate-x-1/2 -translate-y-full text-red-600"
+            style={{ left: `${(click.x / width) * 100}%`, top: `${(click.y / height) * 100}%` }}
+          >
+            <MapPin className="h-6 w-6" />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const CodeRenderer = ({ question, value, onChange }) => (
+  <CodeEditor
+    language={question.codeTemplate.language}
+    value={value ?? question.codeTemplate.template}
+    onChange={(code) => onChange(code || '')}
+  />
+);
+
+const renderers = {
+  'mcq': ChoiceRenderer,
+  'multiple-choice': ChoiceRenderer,
+  'true-false': TrueFalseRenderer,
+  'short-answer': TextRenderer,
+  'image-based': TextRenderer,
+  'essay': EssayRenderer,
+  'numerical': NumericalRenderer,
+  'fill-blank': FillBlankRenderer,
+  'matching': MatchingRenderer,
+  'drag-drop': DragDropRenderer,
+  'hotspot': HotspotRenderer,
+  'code': CodeRenderer
+};
+
+// The question's prompt and the answer input for its type
+const QuestionRenderer = ({ question, value, onChange }) => {
+  const Renderer = renderers[question.type] || TextRenderer;
+
+  return (
+    <div className="space-y-6">
+      {question.type !== 'fill-blank' && <Prompt question={question} />}
+      <Renderer question={question} value={value} onChange={onChange} />
+    </div>
+  );
+};
+
+export {
+  ChoiceRenderer,
+  TrueFalseRenderer,
+  TextRenderer,
+  EssayRenderer,
+  NumericalRenderer,
+  FillBlankRenderer,
+  MatchingRenderer,
+  DragDropRenderer,
+  HotspotRenderer,
+  CodeRenderer
+};
+
+export default QuestionRenderer;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { History, RotateCcw, GitCompare } from 'lucide-react';
+
+const fieldLabel = (field) => field
+  .replace(/([A-Z])/g, ' $1')
+  .replace(/^./, first => first.toUpperCase());
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value, null, 2);
+};
+
+const editorName = (revision) => (revision.editedBy
+  ? `${revision.editedBy.firstName || ''} ${revision.editedBy.lastName || ''}`.trim()
+  : 'Unknown');
+
+// A question's revisions with a field-by-field comparison of any two of them and
+// rollback to an earlier one. Exams and attempts keep the revision they were built
+// with, so restoring only affects exams that are later updated to the latest revision.
+const RevisionHistory = ({ questionId, canRestore }) => {
+  const queryClient = useQueryClient();
+  const [compare, setCompare] = useState(null);
+
+  const { data, isLoading } = useQuery(
+    ['questionRevisions', questionId],
+    () => axios.get(`/api/questions/${questionId}/revisions`).then(res => res.data)
+  );
+  const revisions = data?.revisions || [];
+  const current = data?.current;
+
+  const { data: diff, isFetching: diffLoading } = useQuery(
+    ['questionDiff', questionId, compare?.from, compare?.to],
+    () => axios.get(`/api/questions/${questionId}/diff`, { params: compare }).then(res => res.data),
+    { enabled: Boolean(compare) }
+  );
+
+  const restoreMutation = useMutation(
+    (revision) => axios.post(`/api/questions/${questionId}/revisions/${revision}/restore`),
+    {
+      onSuccess: (res) => {
+        toast.success(res.data.message);
+        setCompare(null);
+        queryClient.invalidateQueries(['question', questionId]);
+        queryClient.invalidateQueries(['questionRevisions', questionId]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to restore revision');
+      }
+    }
+  );
+
+  const handleRestore = (revision) => {
+    if (window.confirm(`Restore revision ${revision}? Its content becomes a new revision of this question.`)) {
+      restoreMutation.mutate(revision);
+    }
+  };
+
+  const updateCompare = (field, value) => setCompare(prev => ({ ...prev, [field]: Number(value) }));
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="flex items-center text-lg font-medium text-gray-900">
+            <History className="h-5 w-5 mr-2 text-gray-400" />
+            Revision History
+          </h3>
+          <p className="text-sm text-gray-500">
+            Exams and attempts keep the revision they were built with.
+          </p>
+        </div>
+        {revisions.length > 1 && !compare && (
+          <button
+            type="button"
+            onClick={() => setCompare({ from: revisions[1].revision, to: current })}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <GitCompare className="h-4 w-4 mr-1" />
+            Compare
+          </button>
+        )}
+      </div>
+
+      {compare && (
+        <div className="border border-gray-200 rounded-md p-4 mb-4">
+          <div className="flex items-center space-x-3 text-sm text-gray-700 mb-3">
+            <span>Compare</span>
+            <select
+              value={compare.from}
+              onChange={(e) => updateCompare('from', e.target.value)}
+              className="border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              {revisions.map(revision => (
+                <option key={revision.revision} value={revision.revision}>Revision {revision.revision}</option>
+              ))}
+            </select>
+            <span>with</span>
+            <select
+              value={compare.to}
+              onChange={(e) => updateCompare('to', e.target.value)}
+              className="border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              {revisions.map(revision => (
+                <option key={revision.revision} value={revision.revision}>Revision {revision.revision}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setCompare(null)}
+              className="ml-auto text-sm text-gray-500 hover:text-gray-700"
+            >
+              Close
+            </button>
+          </div>
+
+          {diffLoading ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+            </div>
+          ) : diff && diff.changes.length === 0 ? (
+            <p className="text-sm text-gray-500">These revisions have the same content.</p>
+          ) : diff && (
+            <div className="space-y-3">
+              {diff.changes.map(change => (
+                <div key={change.field}>
+                  <p className="text-sm font-medium text-gray-900 mb-1">{fieldLabel(change.field)}</p>
+                  <div className="grid grid-cols-2 gap-2">
+                    <pre className="text-xs whitespace-pre-wrap break-words bg-red-50 border border-red-100 text-red-800 rounded p-2">
+                      {formatValue(change.before)}
+                    </pre>
+                    <pre className="text-xs whitespace-pre-wrap break-words bg-green-50 border border-green-100 text-green-800 rounded p-2">
+                      {formatValue(change.after)}
+                    </pre>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex justify-center py-6">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-indigo-600"></div>
+        </div>
+      ) : revisions.length === 0 ? (
+        <p className="text-sm text-gray-500">No revisions yet. The first edit records the current content as revision 1.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {revisions.map(revision => (
+            <li key={revision.revision} className="py-3 flex items-center justify-between">
+              <div>
+                <p className="text-sm font-medium text-gray-900">
+                  Revision {revision.revision}
+                  {revision.revision === current && (
+                    <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                      Current
+                    </span>
+                  )}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {editorName(revision)} · {new Date(revision.createdAt).toLocaleString()}
+                  {revision.note && ` · ${revision.note}`}
+                </p>
+              </div>
+              <div className="flex space-x-3">
+                {revision.revision !== current && (
+                  <button
+                    type="button"
+                    onClick={() => setCompare({ from: revision.revision, to: current })}
+                    className="text-sm text-indigo-600 hover:text-indigo-800"
+                  >
+                    Diff
+                  </button>
+                )}
+                {canRestore && revision.revision !== current && (
+                  <button
+                    type="button"
+                    onClick={() => handleRestore(revision.revision)}
+                    disabled={restoreMutation.isLoading}
+                    className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                  >
+                    <RotateCcw className="h-4 w-4 mr-1" />
+                    Restore
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,208 @@
+import React, { useState } from 'react';
+import { useMutation } from 'react-query';
+import axios from 'axios';
+import { Plus, Trash2, Shuffle } from 'lucide-react';
+
+const KINDS = [
+  { value: 'range', label: 'Range' },
+  { value: 'list', label: 'List' },
+  { value: 'computed', label: 'Computed' }
+];
+
+const kindOf = (variable) => {
+  if (variable.expression !== undefined) return 'computed';
+  if (variable.values !== undefined) return 'list';
+  return 'range';
+};
+
+const NEW_VARIABLES = {
+  range: (name) => ({ name, min: 1, max: 10, step: 1 }),
+  list: (name) => ({ name, values: [] }),
+  computed: (name) => ({ name, expression: '' })
+};
+
+const inputClass = 'border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Variables of a templated question: each attempt draws its own values, shown in the
+// question text as {name} and computed inline as {=expression}. The preview fills
+// the question in with one draw, the way a student would see it.
+const TemplateVariables = ({ question, variables, onVariablesChange }) => {
+  const [preview, setPreview] = useState(null);
+
+  const previewMutation = useMutation(
+    () => axios.post('/api/questions/preview-values', question).then(res => res.data),
+    {
+      onSuccess: (data) => setPreview({ data }),
+      onError: (error) => setPreview({
+        problems: error.response?.data?.problems || [error.response?.data?.message || 'Failed to preview values']
+      })
+    }
+  );
+
+  const replaceVariable = (index, replacement) => {
+    onVariablesChange(variables.map((variable, i) => (i === index ? replacement : variable)));
+  };
+
+  const updateVariable = (index, changes) => replaceVariable(index, { ...variables[index], ...changes });
+
+  const changeKind = (index, kind) => {
+    const { name, decimals } = variables[index];
+    replaceVariable(index, { ...NEW_VARIABLES[kind](name), ...(decimals !== undefined && { decimals }) });
+  };
+
+  const changeDecimals = (index, value) => {
+    const { decimals, ...variable } = variables[index];
+    replaceVariable(index, value === '' ? variable : { ...variable, decimals: parseInt(value, 10) });
+  };
+
+  const addVariable = () => {
+    const used = new Set(variables.map(variable => variable.name));
+    const name = 'abcdefghijklmnopqrstuvwxyz'.split('').find(letter => !used.has(letter)) || `v${variables.length + 1}`;
+    onVariablesChange([...variables, NEW_VARIABLES.range(name)]);
+  };
+
+  const removeVariable = (index) => {
+    onVariablesChange(variables.filter((_, i) => i !== index));
+  };
+
+  const numberOrBlank = (value) => (value === '' ? '' : Number(value));
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Write <code>{'{a}'}</code> in the question or options to show a variable and <code>{'{=a * b}'}</code> to
+        show a computed value. A numerical answer and tolerance can be expressions such as <code>a * b</code>.
+      </p>
+
+      <div className="space-y-2">
+        {variables.map((variable, index) => {
+          const kind = kindOf(variable);
+          return (
+            <div key={index} className="flex items-center space-x-2 p-2 bg-gray-50 rounded-md">
+              <input
+                type="text"
+                value={variable.name}
+                onChange={(e) => updateVariable(index, { name: e.target.value.trim() })}
+                placeholder="Name"
+                className={`w-20 ${inputClass}`}
+              />
+              <select
+                value={kind}
+                onChange={(e) => changeKind(index, e.target.value)}
+                className={inputClass}
+              >
+                {KINDS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+
+              {kind === 'range' && (
+                <div className="flex-1 grid grid-cols-3 gap-2">
+                  {['min', 'max', 'step'].map(field => (
+                    <input
+                      key={field}
+                      type="number"
+                      step="any"
+                      value={variable[field] ?? ''}
+                      onChange={(e) => updateVariable(index, { [field]: numberOrBlank(e.target.value) })}
+                      placeholder={field}
+                      title={field}
+                      className={inputClass}
+                    />
+                  ))}
+                </div>
+              )}
+              {kind === 'list' && (
+                <input
+                  type="text"
+                  value={(variable.values || []).join(', ')}
+                  onChange={(e) => updateVariable(index, { values: e.target.value.split(',').map(value => value.trim()) })}
+                  onBlur={() => updateVariable(index, { values: (variable.values || []).filter(Boolean) })}
+                  placeholder="Values, separated by commas"
+                  className={`flex-1 ${inputClass}`}
+                />
+              )}
+              {kind === 'computed' && (
+                <input
+                  type="text"
+                  value={variable.expression}
+                  onChange={(e) => updateVariable(index, { expression: e.target.value })}
+                  placeholder="Expression, e.g. a * b"
+                  className={`flex-1 font-mono ${inputClass}`}
+                />
+              )}
+
+              <input
+                type="number"
+                min="0"
+                max="10"
+                value={variable.decimals ?? ''}
+                onChange={(e) => changeDecimals(index, e.target.value)}
+                placeholder="Decimals"
+                title="Round to this many decimals"
+                className={`w-24 ${inputClass}`}
+              />
+              <button
+                type="button"
+                onClick={() => removeVariable(index)}
+                className="text-red-600 hover:text-red-500"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex space-x-2">
+        <button
+          type="button"
+          onClick={addVariable}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Variable
+        </button>
+        <button
+          type="button"
+          onClick={() => previewMutation.mutate()}
+          disabled={variables.length === 0 || previewMutation.isLoading}
+          className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Shuffle className="h-4 w-4 mr-1" />
+          Preview with sample values
+        </button>
+      </div>
+
+      {preview?.problems && (
+        <ul className="bg-red-50 border border-red-200 rounded-md p-3 text-sm text-red-700 list-disc list-inside">
+          {preview.problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      {preview?.data && (
+        <div className="bg-gray-50 border border-gray-200 rounded-md p-3 space-y-2 text-sm">
+          <p className="text-gray-500">
+            {Object.entries(preview.data.values).map(([name, value]) => `${name} = ${value}`).join(', ')}
+          </p>
+          <p className="text-gray-900 whitespace-pre-wrap">{preview.data.question.content}</p>
+          {preview.data.question.options.length > 0 && (
+            <ul className="list-disc list-inside text-gray-700">
+              {preview.data.question.options.map((option, index) => (
+                <li key={index} className={option.isCorrect ? 'font-medium text-green-700' : ''}>{option.text}</li>
+              ))}
+            </ul>
+          )}
+          {preview.data.answer !== null && (
+            <p className="text-gray-700">
+              Answer: <span className="font-medium">{preview.data.answer}</span>
+              {preview.data.question.numericalAnswer?.tolerance ? ` ± ${preview.data.question.numericalAnswer.tolerance}` : ''}
+              {preview.data.question.numericalAnswer?.unit ? ` ${preview.data.question.numericalAnswer.unit}` : ''}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TemplateVariables;
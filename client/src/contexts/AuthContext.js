@@ -4,6 +4,11 @@ import toast from 'react-hot-toast';
 
 const AuthContext = createContext();
 
+// Super-admins act as admins of the organization they work in, as on the server
+const withEffectiveRole = (user) => (user?.role === 'superadmin'
+  ? { ...user, role: 'admin', isSuperAdmin: true }
+  : user);
+
 const initialState = {
   user: null,
   token: localStorage.getItem('token'),
@@ -16,7 +21,7 @@ const authReducer = (state, action) => {
     case 'LOGIN_SUCCESS':
       return {
         ...state,
-        user: action.payload.user,
+        user: withEffectiveRole(action.payload.user),
         token: action.payload.token,
         isAuthenticated: true,
         loading: false,
@@ -37,7 +42,7 @@ const authReducer = (state, action) => {
     case 'UPDATE_USER':
       return {
         ...state,
-        user: { ...state.user, ...action.payload },
+        user: withEffectiveRole({ ...state.user, ...action.payload }),
       };
     default:
       return state;
@@ -56,6 +61,17 @@ export const AuthProvider = ({ children }) => {
     }
   }, [state.token]);
 
+  // Super-admins can work inside another organization; the server ignores the header
+  // for everyone else
+  useEffect(() => {
+    const organization = localStorage.getItem('organization');
+    if (state.token && organization) {
+      axios.defaults.headers.common['X-Organization'] = organization;
+    } else {
+      delete axios.defaults.headers.common['X-Organization'];
+    }
+  }, [state.token]);
+
   // Check if user is logged in on app start
   useEffect(() => {
     const checkAuth = async () => {
@@ -129,6 +145,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('organization');
     dispatch({ type: 'LOGOUT' });
     toast.success('Logged out successfully');
   };
@@ -149,6 +166,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload into another organization (or back to their own with null), so no data of
+  // the previous one stays cached
+  const switchOrganization = (organizationId) => {
+    if (organizationId) {
+      localStorage.setItem('organization', organizationId);
+    } else {
+      localStorage.removeItem('organization');
+    }
+    window.location.assign('/');
+  };
+
   const changePassword = async (currentPassword, newPassword) => {
     try {
       await axios.put('/api/auth/change-password', {
@@ -171,6 +199,7 @@ export const AuthProvider = ({ children }) => {
     logout,
     updateProfile,
     changePassword,
+    switchOrganization,
   };
 
   return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
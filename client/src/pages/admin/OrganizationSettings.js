@@ -0,0 +1,188 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Palette, Shield } from 'lucide-react';
+import { SecurityStep } from '../../components/exams/ExamBuilder';
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const toBrandingForm = (branding = {}) => ({
+  displayName: branding.displayName || '',
+  logoUrl: branding.logoUrl || '',
+  primaryColor: branding.primaryColor || ''
+});
+
+// Name, logo and color shown in the header for an organization's users
+const BrandingForm = ({ branding, isSaving, onSave }) => {
+  const [form, setForm] = useState(toBrandingForm(branding));
+
+  useEffect(() => {
+    setForm(toBrandingForm(branding));
+  }, [branding]);
+
+  const update = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      displayName: form.displayName.trim(),
+      logoUrl: form.logoUrl.trim(),
+      primaryColor: form.primaryColor.trim()
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+        <div>
+          <label htmlFor="brandingName" className="block text-sm font-medium text-gray-700">Display name</label>
+          <input
+            id="brandingName"
+            type="text"
+            value={form.displayName}
+            onChange={(e) => update('displayName', e.target.value)}
+            placeholder="Shown instead of QuizEthic"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="brandingLogo" className="block text-sm font-medium text-gray-700">Logo URL</label>
+          <input
+            id="brandingLogo"
+            type="url"
+            value={form.logoUrl}
+            onChange={(e) => update('logoUrl', e.target.value)}
+            placeholder="https://..."
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="brandingColor" className="block text-sm font-medium text-gray-700">Primary color</label>
+          <div className="mt-1 flex items-center space-x-2">
+            <input
+              type="color"
+              value={form.primaryColor || '#4f46e5'}
+              onChange={(e) => update('primaryColor', e.target.value)}
+              className="h-9 w-12 border border-gray-300 rounded-md"
+            />
+            <input
+              id="brandingColor"
+              type="text"
+              value={form.primaryColor}
+              onChange={(e) => update('primaryColor', e.target.value)}
+              placeholder="#4f46e5"
+              className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center text-sm text-gray-500">
+          {form.logoUrl && <img src={form.logoUrl} alt="" className="h-8 w-8 object-contain mr-2" />}
+          <span className="font-bold text-lg" style={{ color: form.primaryColor || undefined }}>
+            {form.displayName || 'QuizEthic'}
+          </span>
+        </div>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save Branding'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// An admin's settings for their organization: branding, and the anti-cheating policy
+// new exams start with
+const OrganizationSettings = () => {
+  const queryClient = useQueryClient();
+
+  const { data: organization, isLoading, error } = useQuery(
+    'organization',
+    () => axios.get('/api/organizations/current').then(res => res.data.organization)
+  );
+
+  const saveMutation = useMutation(
+    (settings) => axios.put('/api/organizations/current', settings).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        queryClient.invalidateQueries('organization');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to save settings'))
+    }
+  );
+
+  // SecurityStep reloads its form whenever this object changes
+  const policy = useMemo(() => ({ antiCheating: organization?.antiCheating || {} }), [organization]);
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading organization</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Organization Settings</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          {organization.name} · only your organization's users, questions and exams are visible here.
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center mb-4">
+          <Palette className="h-5 w-5 mr-2 text-gray-400" />
+          Branding
+        </h3>
+        <BrandingForm
+          branding={organization.branding}
+          isSaving={saveMutation.isLoading}
+          onSave={(branding) => saveMutation.mutate({ branding })}
+        />
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        <h3 className="text-lg font-medium text-gray-900 flex items-center">
+          <Shield className="h-5 w-5 mr-2 text-gray-400" />
+          Default Anti-Cheating Policy
+        </h3>
+        <p className="text-sm text-gray-500 mb-4">
+          New exams start with these measures; instructors can still change them per exam.
+        </p>
+        <SecurityStep
+          exam={policy}
+          isSaving={saveMutation.isLoading}
+          onSave={(antiCheating) => saveMutation.mutate({ antiCheating })}
+          submitLabel="Save Policy"
+        />
+      </div>
+    </div>
+  );
+};
+
+export default OrganizationSettings;
+
+export { BrandingForm };
@@ -0,0 +1,413 @@
+import React, { useState } from 'react';
+import { Navigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, Building2, Users, FileText, BookOpen, LogIn, X, ChevronDown, ChevronUp } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { BrandingForm } from './OrganizationSettings';
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const emptyAdmin = { firstName: '', lastName: '', email: '', password: '' };
+
+const emptyOrganization = { name: '', slug: '', withAdmin: true, admin: { ...emptyAdmin } };
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const AdminFields = ({ admin, onChange, idPrefix }) => (
+  <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+    <div>
+      <label htmlFor={`${idPrefix}FirstName`} className="block text-sm font-medium text-gray-700">First name</label>
+      <input id={`${idPrefix}FirstName`} type="text" value={admin.firstName} onChange={(e) => onChange('firstName', e.target.value)} className={inputClass} />
+    </div>
+    <div>
+      <label htmlFor={`${idPrefix}LastName`} className="block text-sm font-medium text-gray-700">Last name</label>
+      <input id={`${idPrefix}LastName`} type="text" value={admin.lastName} onChange={(e) => onChange('lastName', e.target.value)} className={inputClass} />
+    </div>
+    <div>
+      <label htmlFor={`${idPrefix}Email`} className="block text-sm font-medium text-gray-700">Email</label>
+      <input id={`${idPrefix}Email`} type="email" value={admin.email} onChange={(e) => onChange('email', e.target.value)} className={inputClass} />
+    </div>
+    <div>
+      <label htmlFor={`${idPrefix}Password`} className="block text-sm font-medium text-gray-700">Password</label>
+      <input id={`${idPrefix}Password`} type="password" value={admin.password} onChange={(e) => onChange('password', e.target.value)} className={inputClass} />
+    </div>
+  </div>
+);
+
+// Name, slug, branding and admins of one organization
+const OrganizationDetails = ({ organization }) => {
+  const queryClient = useQueryClient();
+  const [name, setName] = useState(organization.name);
+  const [slug, setSlug] = useState(organization.slug);
+  const [admin, setAdmin] = useState(null);
+  const isDefault = organization.id === 'default';
+
+  const { data } = useQuery(
+    ['organization-detail', organization.id],
+    () => axios.get(`/api/organizations/${organization.id}`).then(res => res.data)
+  );
+  const admins = data?.admins || [];
+
+  const updateMutation = useMutation(
+    (changes) => axios.put(`/api/organizations/${organization.id}`, changes).then(res => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        queryClient.invalidateQueries('organizations');
+        queryClient.invalidateQueries('organization');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to update organization'))
+    }
+  );
+
+  const adminMutation = useMutation(
+    (newAdmin) => axios.post(`/api/organizations/${organization.id}/admins`, newAdmin).then(res => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        setAdmin(null);
+        queryClient.invalidateQueries(['organization-detail', organization.id]);
+        queryClient.invalidateQueries('organizations');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to create admin'))
+    }
+  );
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    updateMutation.mutate(isDefault ? { name: name.trim() } : { name: name.trim(), slug: slug.trim() });
+  };
+
+  const handleAddAdmin = (e) => {
+    e.preventDefault();
+    adminMutation.mutate({
+      firstName: admin.firstName.trim(),
+      lastName: admin.lastName.trim(),
+      email: admin.email.trim(),
+      password: admin.password
+    });
+  };
+
+  return (
+    <div className="border-t border-gray-200 mt-4 pt-4 space-y-6">
+      <form onSubmit={handleRename} className="grid grid-cols-1 gap-4 sm:grid-cols-3 items-end">
+        <div>
+          <label htmlFor={`name-${organization.id}`} className="block text-sm font-medium text-gray-700">Name</label>
+          <input id={`name-${organization.id}`} type="text" value={name} onChange={(e) => setName(e.target.value)} className={inputClass} />
+        </div>
+        <div>
+          <label htmlFor={`slug-${organization.id}`} className="block text-sm font-medium text-gray-700">Slug</label>
+          <input
+            id={`slug-${organization.id}`}
+            type="text"
+            value={slug}
+            disabled={isDefault}
+            onChange={(e) => setSlug(e.target.value)}
+            className={`${inputClass} disabled:bg-gray-100`}
+          />
+        </div>
+        <div>
+          <button
+            type="submit"
+            disabled={updateMutation.isLoading}
+            className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+
+      <div>
+        <h4 className="text-sm font-medium text-gray-900 mb-2">Branding</h4>
+        <BrandingForm
+          branding={organization.settings?.branding}
+          isSaving={updateMutation.isLoading}
+          onSave={(branding) => updateMutation.mutate({ branding })}
+        />
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="text-sm font-medium text-gray-900">Admins</h4>
+          {!admin && (
+            <button
+              type="button"
+              onClick={() => setAdmin({ ...emptyAdmin })}
+              className="inline-flex items-center text-sm text-indigo-600 hover:text-indigo-800"
+            >
+              <Plus className="h-4 w-4 mr-1" />
+              Add admin
+            </button>
+          )}
+        </div>
+        {admins.length === 0 ? (
+          <p className="text-sm text-gray-500">No admins yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 text-sm">
+            {admins.map(a => (
+              <li key={a.id} className="py-2 flex justify-between">
+                <span className="text-gray-900">{a.firstName} {a.lastName}</span>
+                <span className="text-gray-500">{a.email}{!a.isActive && ' · inactive'}</span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {admin && (
+          <form onSubmit={handleAddAdmin} className="mt-4 space-y-4">
+            <AdminFields
+              admin={admin}
+              idPrefix={`admin-${organization.id}`}
+              onChange={(field, value) => setAdmin(prev => ({ ...prev, [field]: value }))}
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setAdmin(null)}
+                className="px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={adminMutation.isLoading}
+                className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {adminMutation.isLoading ? 'Creating...' : 'Create Admin'}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Super-admin page: every organization with its size, creating and deactivating
+// organizations, and switching into one to manage it as its admin
+const Organizations = () => {
+  const { user, switchOrganization } = useAuth();
+  const queryClient = useQueryClient();
+  const [creating, setCreating] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const { data, isLoading, error } = useQuery(
+    'organizations',
+    () => axios.get('/api/organizations').then(res => res.data),
+    { enabled: !!user?.isSuperAdmin }
+  );
+  const organizations = data?.organizations || [];
+
+  const { data: current } = useQuery(
+    'organization',
+    () => axios.get('/api/organizations/current').then(res => res.data.organization),
+    { enabled: !!user?.isSuperAdmin }
+  );
+
+  const createMutation = useMutation(
+    (organization) => axios.post('/api/organizations', organization).then(res => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.message);
+        setCreating(null);
+        queryClient.invalidateQueries('organizations');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to create organization'))
+    }
+  );
+
+  const statusMutation = useMutation(
+    ({ id, isActive }) => axios.put(`/api/organizations/${id}`, { isActive }).then(res => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.organization.isActive ? 'Organization activated' : 'Organization deactivated');
+        queryClient.invalidateQueries('organizations');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to update organization'))
+    }
+  );
+
+  if (!user?.isSuperAdmin) {
+    return <Navigate to="/" replace />;
+  }
+
+  const update = (field, value) => setCreating(prev => ({ ...prev, [field]: value }));
+  const updateAdmin = (field, value) => setCreating(prev => ({ ...prev, admin: { ...prev.admin, [field]: value } }));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!creating.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    const organization = { name: creating.name.trim() };
+    if (creating.slug.trim()) organization.slug = creating.slug.trim();
+    if (creating.withAdmin) {
+      organization.admin = {
+        firstName: creating.admin.firstName.trim(),
+        lastName: creating.admin.lastName.trim(),
+        email: creating.admin.email.trim(),
+        password: creating.admin.password
+      };
+    }
+    createMutation.mutate(organization);
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Organizations</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {current ? <>You are working in <span className="font-medium">{current.name}</span>.</> : 'Each organization\'s users and data are kept apart.'}
+            {current && current.id !== user.organization && (
+              <button
+                type="button"
+                onClick={() => switchOrganization(null)}
+                className="ml-2 text-indigo-600 hover:text-indigo-800"
+              >
+                Back to my organization
+              </button>
+            )}
+          </p>
+        </div>
+        {!creating && (
+          <button
+            type="button"
+            onClick={() => setCreating({ ...emptyOrganization, admin: { ...emptyAdmin } })}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Organization
+          </button>
+        )}
+      </div>
+
+      {creating && (
+        <form onSubmit={handleCreate} className="bg-white shadow rounded-lg p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">New Organization</h3>
+            <button type="button" onClick={() => setCreating(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div>
+              <label htmlFor="organizationName" className="block text-sm font-medium text-gray-700">Name *</label>
+              <input id="organizationName" type="text" value={creating.name} onChange={(e) => update('name', e.target.value)} placeholder="e.g. Physics Department" className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="organizationSlug" className="block text-sm font-medium text-gray-700">Slug</label>
+              <input id="organizationSlug" type="text" value={creating.slug} onChange={(e) => update('slug', e.target.value)} placeholder="Derived from the name" className={inputClass} />
+              <p className="mt-1 text-xs text-gray-500">Users enter it when they register.</p>
+            </div>
+          </div>
+          <div className="flex items-center">
+            <input
+              id="organizationWithAdmin"
+              type="checkbox"
+              checked={creating.withAdmin}
+              onChange={(e) => update('withAdmin', e.target.checked)}
+              className="h-4 w-4 text-indigo-600 border-gray-300 rounded"
+            />
+            <label htmlFor="organizationWithAdmin" className="ml-2 text-sm text-gray-700">Create its first admin</label>
+          </div>
+          {creating.withAdmin && (
+            <AdminFields admin={creating.admin} onChange={updateAdmin} idPrefix="newAdmin" />
+          )}
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={createMutation.isLoading}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {createMutation.isLoading ? 'Creating...' : 'Create Organization'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading && (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <h3 className="text-sm font-medium text-red-800">Error loading organizations</h3>
+          <div className="mt-2 text-sm text-red-700">
+            {error.response?.data?.message || 'Something went wrong'}
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-4">
+        {organizations.map(organization => (
+          <div key={organization.id} className="bg-white shadow rounded-lg p-6">
+            <div className="flex items-start justify-between">
+              <div className="flex items-start">
+                <Building2 className="h-8 w-8 text-indigo-600 flex-shrink-0" />
+                <div className="ml-4">
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {organization.name}
+                    {!organization.isActive && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">Inactive</span>
+                    )}
+                    {current?.id === organization.id && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-indigo-100 text-indigo-800">Current</span>
+                    )}
+                  </h3>
+                  <p className="text-sm text-gray-500 font-mono">{organization.slug}</p>
+                  <div className="mt-2 flex space-x-4 text-sm text-gray-500">
+                    <span className="flex items-center"><Users className="h-4 w-4 mr-1" />{organization.counts.users} users</span>
+                    <span className="flex items-center"><FileText className="h-4 w-4 mr-1" />{organization.counts.exams} exams</span>
+                    <span className="flex items-center"><BookOpen className="h-4 w-4 mr-1" />{organization.counts.questions} questions</span>
+                  </div>
+                </div>
+              </div>
+              <div className="flex items-center space-x-2">
+                {current?.id !== organization.id && (
+                  <button
+                    type="button"
+                    onClick={() => switchOrganization(organization.id === user.organization ? null : organization.id)}
+                    className="inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+                  >
+                    <LogIn className="h-4 w-4 mr-1" />
+                    Work in
+                  </button>
+                )}
+                {organization.id !== user.organization && (
+                  <button
+                    type="button"
+                    disabled={statusMutation.isLoading}
+                    onClick={() => statusMutation.mutate({ id: organization.id, isActive: !organization.isActive })}
+                    className={`px-3 py-1.5 rounded-md text-sm font-medium disabled:opacity-50 ${organization.isActive ? 'text-red-700 bg-red-50 hover:bg-red-100' : 'text-green-700 bg-green-50 hover:bg-green-100'}`}
+                  >
+                    {organization.isActive ? 'Deactivate' : 'Activate'}
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setExpanded(expanded === organization.id ? null : organization.id)}
+                  className="p-1.5 text-gray-400 hover:text-gray-600"
+                >
+                  {expanded === organization.id ? <ChevronUp className="h-5 w-5" /> : <ChevronDown className="h-5 w-5" />}
+                </button>
+              </div>
+            </div>
+            {expanded === organization.id && <OrganizationDetails organization={organization} />}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Organizations;
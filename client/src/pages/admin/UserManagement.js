@@ -26,12 +26,17 @@ import { Alert, AlertDescription } from '@/components/ui/alert';
 import { api } from '@/lib/api';
 import { toast } from 'sonner';
 
+const emptyUser = { firstName: '', lastName: '', email: '', password: '', role: 'instructor' };
+
 const UserManagement = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [roleFilter, setRoleFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
   const [selectedUser, setSelectedUser] = useState(null);
   const [isEditDialogOpen, setIsEditDialogOpen] = useState(false);
+  const [editRole, setEditRole] = useState('student');
+  const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
+  const [newUser, setNewUser] = useState(emptyUser);
   
   const queryClient = useQueryClient();
   const limit = 20;
@@ -57,6 +62,36 @@ const UserManagement = () => {
     }
   );
 
+  // Sign-up only creates students, so staff accounts are made here
+  const createUserMutation = useMutation(
+    (user) => api.post('/admin/users', user),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['admin-users']);
+        toast.success('User created successfully');
+        setIsCreateDialogOpen(false);
+        setNewUser(emptyUser);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to create user');
+      }
+    }
+  );
+
+  const updateUserRoleMutation = useMutation(
+    ({ userId, role }) => api.patch(`/admin/users/${userId}/role`, { role }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries(['admin-users']);
+        toast.success('User role updated successfully');
+        setIsEditDialogOpen(false);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to update user role');
+      }
+    }
+  );
+
   const users = usersData?.data?.users || [];
   const pagination = usersData?.data?.pagination || {};
   const roleStats = usersData?.data?.roleStats || {};
@@ -146,7 +181,7 @@ const UserManagement = () => {
           <h1 className="text-3xl font-bold">User Management</h1>
           <p className="text-gray-600">Manage user accounts and permissions</p>
         </div>
-        <Button>
+        <Button onClick={() => setIsCreateDialogOpen(true)}>
           <Users className="h-4 w-4 mr-2" />
           Add User
         </Button>
@@ -281,6 +316,7 @@ const UserManagement = () => {
                             <DropdownMenuItem
                               onClick={() => {
                                 setSelectedUser(user);
+                                setEditRole(user.role);
                                 setIsEditDialogOpen(true);
                               }}
                             >
@@ -360,20 +396,20 @@ const UserManagement = () => {
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <label className="text-sm font-medium">First Name</label>
-                  <Input defaultValue={selectedUser.firstName} />
+                  <Input defaultValue={selectedUser.firstName} disabled />
                 </div>
                 <div>
                   <label className="text-sm font-medium">Last Name</label>
-                  <Input defaultValue={selectedUser.lastName} />
+                  <Input defaultValue={selectedUser.lastName} disabled />
                 </div>
               </div>
               <div>
                 <label className="text-sm font-medium">Email</label>
-                <Input defaultValue={selectedUser.email} />
+                <Input defaultValue={selectedUser.email} disabled />
               </div>
               <div>
                 <label className="text-sm font-medium">Role</label>
-                <Select defaultValue={selectedUser.role}>
+                <Select value={editRole} onValueChange={setEditRole}>
                   <SelectTrigger>
                     <SelectValue />
                   </SelectTrigger>
@@ -388,7 +424,10 @@ const UserManagement = () => {
                 <Button variant="outline" onClick={() => setIsEditDialogOpen(false)}>
                   Cancel
                 </Button>
-                <Button onClick={() => setIsEditDialogOpen(false)}>
+                <Button
+                  disabled={editRole === selectedUser.role || updateUserRoleMutation.isLoading}
+                  onClick={() => updateUserRoleMutation.mutate({ userId: selectedUser.id, role: editRole })}
+                >
                   Save Changes
                 </Button>
               </div>
@@ -396,6 +435,62 @@ const UserManagement = () => {
           )}
         </DialogContent>
       </Dialog>
+
+      {/* Add User Dialog */}
+      <Dialog open={isCreateDialogOpen} onOpenChange={setIsCreateDialogOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Add User</DialogTitle>
+          </DialogHeader>
+          <form
+            className="space-y-4"
+            onSubmit={(e) => {
+              e.preventDefault();
+              createUserMutation.mutate(newUser);
+            }}
+          >
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium">First Name</label>
+                <Input value={newUser.firstName} onChange={(e) => setNewUser({ ...newUser, firstName: e.target.value })} />
+              </div>
+              <div>
+                <label className="text-sm font-medium">Last Name</label>
+                <Input value={newUser.lastName} onChange={(e) => setNewUser({ ...newUser, lastName: e.target.value })} />
+              </div>
+            </div>
+            <div>
+              <label className="text-sm font-medium">Email</label>
+              <Input type="email" value={newUser.email} onChange={(e) => setNewUser({ ...newUser, email: e.target.value })} />
+            </div>
+            <div>
+              <label className="text-sm font-medium">Initial Password</label>
+              <Input type="password" value={newUser.password} onChange={(e) => setNewUser({ ...newUser, password: e.target.value })} />
+            </div>
+            <div>
+              <label className="text-sm font-medium">Role</label>
+              <Select value={newUser.role} onValueChange={(role) => setNewUser({ ...newUser, role })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="student">Student</SelectItem>
+                  <SelectItem value="instructor">Instructor</SelectItem>
+                  <SelectItem value="admin">Admin</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <Button type="button" variant="outline" onClick={() => setIsCreateDialogOpen(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" disabled={createUserMutation.isLoading}>
+                Create User
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
     </div>
   );
 };
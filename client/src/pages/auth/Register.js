@@ -10,7 +10,7 @@ const Register = () => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'student'
+    organization: ''
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
@@ -186,19 +186,19 @@ const Register = () => {
             </div>
 
             <div>
-              <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                Role
+              <label htmlFor="organization" className="block text-sm font-medium text-gray-700">
+                Organization
               </label>
-              <select
-                id="role"
-                name="role"
-                value={formData.role}
+              <input
+                id="organization"
+                name="organization"
+                type="text"
+                value={formData.organization}
                 onChange={handleChange}
-                className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
-              >
-                <option value="student">Student</option>
-                <option value="instructor">Instructor</option>
-              </select>
+                className="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 focus:z-10 sm:text-sm"
+                placeholder="e.g. physics-dept"
+              />
+              <p className="mt-1 text-xs text-gray-500">The code your department gave you. Leave empty if you didn't get one.</p>
             </div>
 
             <div>
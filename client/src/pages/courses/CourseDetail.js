@@ -0,0 +1,341 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeft,
+  Plus,
+  Trash2,
+  Users,
+  KeyRound,
+  RefreshCw,
+  Upload,
+  UserPlus,
+  FileText
+} from 'lucide-react';
+
+const inputClass = 'block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+const secondaryButtonClass = 'inline-flex items-center px-3 py-1.5 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+const studentName = (student) => `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.email;
+
+// Summary of an enrollment request: who was added and which emails didn't match a student
+const reportEnrollment = (data) => {
+  toast.success(data.message);
+  if (data.unknown?.length > 0) {
+    toast.error(`No student account for ${data.unknown.join(', ')}`, { duration: 8000 });
+  }
+  if (data.problems?.length > 0) {
+    toast.error(`Skipped ${data.problems.map(problem => `line ${problem.line}`).join(', ')}`, { duration: 8000 });
+  }
+};
+
+// One group of a course: its join code, assigned exams, students and the ways to enroll them
+const GroupCard = ({ courseId, group, onChange }) => {
+  const [emails, setEmails] = useState('');
+  const basePath = `/api/courses/${courseId}/groups/${group.id}`;
+
+  const onError = (fallback) => (error) => toast.error(getErrorMessage(error, fallback));
+
+  const enrollMutation = useMutation(
+    (list) => axios.post(`${basePath}/students`, { emails: list }).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        reportEnrollment(data);
+        setEmails('');
+        onChange();
+      },
+      onError: onError('Failed to enroll students')
+    }
+  );
+
+  const importMutation = useMutation(
+    (content) => axios.post(`${basePath}/students/import`, { content }).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        reportEnrollment(data);
+        onChange();
+      },
+      onError: onError('Failed to import roster')
+    }
+  );
+
+  const removeMutation = useMutation(
+    (studentId) => axios.delete(`${basePath}/students/${studentId}`),
+    { onSuccess: onChange, onError: onError('Failed to remove student') }
+  );
+
+  const joinCodeMutation = useMutation(
+    (enabled) => (enabled ? axios.post(`${basePath}/join-code`) : axios.delete(`${basePath}/join-code`)),
+    { onSuccess: onChange, onError: onError('Failed to change join code') }
+  );
+
+  const deleteMutation = useMutation(
+    () => axios.delete(basePath),
+    {
+      onSuccess: () => {
+        toast.success('Group deleted');
+        onChange();
+      },
+      onError: onError('Failed to delete group')
+    }
+  );
+
+  const handleEnroll = () => {
+    const list = emails.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+    if (list.length === 0) {
+      toast.error('Add at least one student email');
+      return;
+    }
+    enrollMutation.mutate(list);
+  };
+
+  const handleRoster = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = (e) => importMutation.mutate(e.target.result);
+    reader.readAsText(file);
+  };
+
+  const handleDelete = () => {
+    const warning = group.exams.length > 0
+      ? ` Its ${group.exams.length} assigned exam(s) will no longer admit anyone through it.`
+      : '';
+    if (window.confirm(`Delete the group "${group.name}"?${warning}`)) {
+      deleteMutation.mutate();
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6 space-y-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <h3 className="text-lg font-medium text-gray-900 flex items-center">
+            <Users className="h-5 w-5 mr-2 text-gray-400" />
+            {group.name}
+          </h3>
+          <p className="text-sm text-gray-500">{group.students.length} student{group.students.length === 1 ? '' : 's'}</p>
+        </div>
+        <button type="button" onClick={handleDelete} className="text-gray-400 hover:text-red-600" title="Delete group">
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <KeyRound className="h-4 w-4 text-gray-400" />
+        {group.joinCode ? (
+          <>
+            <span className="text-gray-700">Join code</span>
+            <span className="font-mono tracking-wider bg-gray-100 px-2 py-0.5 rounded">{group.joinCode}</span>
+            <button type="button" onClick={() => joinCodeMutation.mutate(true)} disabled={joinCodeMutation.isLoading} className={secondaryButtonClass}>
+              <RefreshCw className="h-3 w-3 mr-1" />
+              New code
+            </button>
+            <button type="button" onClick={() => joinCodeMutation.mutate(false)} disabled={joinCodeMutation.isLoading} className={secondaryButtonClass}>
+              Turn off
+            </button>
+          </>
+        ) : (
+          <>
+            <span className="text-gray-500">Joining by code is off</span>
+            <button type="button" onClick={() => joinCodeMutation.mutate(true)} disabled={joinCodeMutation.isLoading} className={secondaryButtonClass}>
+              Turn on
+            </button>
+          </>
+        )}
+      </div>
+
+      {group.exams.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <FileText className="h-4 w-4 text-gray-400" />
+          {group.exams.map(exam => (
+            <Link key={exam.id} to={`/exams/${exam.id}/edit`} className="text-indigo-600 hover:text-indigo-500">
+              {exam.title}{exam.isPublished ? '' : ' (draft)'}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+        <input
+          type="text"
+          value={emails}
+          onChange={(e) => setEmails(e.target.value)}
+          placeholder="Student emails, comma separated"
+          className={inputClass}
+        />
+        <button type="button" onClick={handleEnroll} disabled={enrollMutation.isLoading} className={secondaryButtonClass}>
+          <UserPlus className="h-4 w-4 mr-1" />
+          Enroll
+        </button>
+        <label className={`${secondaryButtonClass} cursor-pointer whitespace-nowrap`}>
+          <Upload className="h-4 w-4 mr-1" />
+          {importMutation.isLoading ? 'Importing...' : 'Roster CSV'}
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            className="hidden"
+            onChange={(e) => {
+              handleRoster(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+      </div>
+
+      {group.students.length > 0 && (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md max-h-72 overflow-y-auto">
+          {group.students.map(student => (
+            <li key={student.id} className="px-3 py-2 flex items-center justify-between text-sm">
+              <span>
+                <span className="text-gray-900">{studentName(student)}</span>
+                <span className="ml-2 text-gray-500">{student.email}</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => removeMutation.mutate(student.id)}
+                disabled={removeMutation.isLoading}
+                className="text-gray-400 hover:text-red-600"
+                title="Remove from group"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// A course's groups and enrollment, for its instructor
+const CourseDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [groupName, setGroupName] = useState('');
+
+  const { data: course, isLoading, error } = useQuery(
+    ['course', id],
+    () => axios.get(`/api/courses/${id}`).then(res => res.data)
+  );
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['course', id]);
+    queryClient.invalidateQueries('courses');
+  };
+
+  const addGroupMutation = useMutation(
+    (name) => axios.post(`/api/courses/${id}/groups`, { name }),
+    {
+      onSuccess: () => {
+        toast.success('Group created');
+        setGroupName('');
+        refresh();
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to create group'))
+    }
+  );
+
+  const deleteCourseMutation = useMutation(
+    () => axios.delete(`/api/courses/${id}`),
+    {
+      onSuccess: () => {
+        toast.success('Course deleted');
+        queryClient.invalidateQueries('courses');
+        navigate('/courses');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to delete course'))
+    }
+  );
+
+  const handleAddGroup = (e) => {
+    e.preventDefault();
+    if (groupName.trim()) addGroupMutation.mutate(groupName.trim());
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading course</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <button
+          onClick={() => navigate('/courses')}
+          className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Courses
+        </button>
+        <div className="flex items-start justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">
+              {course.code ? `${course.code} · ` : ''}{course.name}
+            </h1>
+            <p className="mt-1 text-sm text-gray-500">
+              {[course.term, course.description].filter(Boolean).join(' — ') || 'Enroll students in groups, then assign exams to the groups.'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => window.confirm(`Delete the course "${course.name}"?`) && deleteCourseMutation.mutate()}
+            className="inline-flex items-center px-3 py-1.5 border border-red-300 rounded-md text-sm font-medium text-red-700 bg-white hover:bg-red-50"
+          >
+            <Trash2 className="h-4 w-4 mr-1" />
+            Delete Course
+          </button>
+        </div>
+      </div>
+
+      <form onSubmit={handleAddGroup} className="bg-white shadow rounded-lg p-6 flex items-center space-x-2">
+        <input
+          type="text"
+          value={groupName}
+          onChange={(e) => setGroupName(e.target.value)}
+          placeholder="New group, e.g. Lecture A or Lab 2"
+          className={inputClass}
+        />
+        <button
+          type="submit"
+          disabled={!groupName.trim() || addGroupMutation.isLoading}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 whitespace-nowrap"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add Group
+        </button>
+      </form>
+
+      {course.groups.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">
+          No groups yet. Students are enrolled in groups and exams are assigned to them.
+        </p>
+      ) : (
+        course.groups.map(group => (
+          <GroupCard key={group.id} courseId={id} group={group} onChange={refresh} />
+        ))
+      )}
+    </div>
+  );
+};
+
+export default CourseDetail;
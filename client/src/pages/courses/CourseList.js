@@ -0,0 +1,232 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { Plus, GraduationCap, Users, KeyRound, X } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+
+const inputClass = 'mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+const emptyCourse = { name: '', code: '', term: '', description: '' };
+
+const getErrorMessage = (error, fallback) =>
+  error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || fallback;
+
+// Students join a group with the code their instructor gives them
+const JoinCourse = () => {
+  const queryClient = useQueryClient();
+  const [code, setCode] = useState('');
+
+  const joinMutation = useMutation(
+    () => axios.post('/api/courses/join', { code: code.trim() }).then(res => res.data),
+    {
+      onSuccess: (data) => {
+        toast.success(data.message);
+        setCode('');
+        queryClient.invalidateQueries('courses');
+        queryClient.invalidateQueries('exams');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to join course'))
+    }
+  );
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (code.trim()) joinMutation.mutate();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-6">
+      <label htmlFor="joinCode" className="block text-sm font-medium text-gray-700">Join a class</label>
+      <p className="text-sm text-gray-500">Enter the join code your instructor gave you.</p>
+      <div className="mt-2 flex space-x-2">
+        <input
+          id="joinCode"
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value.toUpperCase())}
+          placeholder="e.g. AB3K7QXZ"
+          className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm font-mono tracking-wider"
+        />
+        <button
+          type="submit"
+          disabled={!code.trim() || joinMutation.isLoading}
+          className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <KeyRound className="h-4 w-4 mr-2" />
+          Join
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Courses page: instructors create and open their courses, students see the classes
+// they're enrolled in and join new ones
+const CourseList = () => {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [creating, setCreating] = useState(null);
+  const isStudent = user?.role === 'student';
+
+  const { data, isLoading, error } = useQuery(
+    'courses',
+    () => axios.get('/api/courses').then(res => res.data)
+  );
+  const courses = data?.courses || [];
+
+  const createMutation = useMutation(
+    (course) => axios.post('/api/courses', course),
+    {
+      onSuccess: () => {
+        toast.success('Course created');
+        setCreating(null);
+        queryClient.invalidateQueries('courses');
+      },
+      onError: (error) => toast.error(getErrorMessage(error, 'Failed to create course'))
+    }
+  );
+
+  const update = (field, value) => setCreating(prev => ({ ...prev, [field]: value }));
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!creating.name.trim()) {
+      toast.error('Name is required');
+      return;
+    }
+    createMutation.mutate({
+      name: creating.name.trim(),
+      code: creating.code.trim(),
+      term: creating.term.trim(),
+      description: creating.description.trim()
+    });
+  };
+
+  return (
+    <div className="max-w-5xl mx-auto space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Courses</h1>
+          <p className="mt-1 text-sm text-gray-500">
+            {isStudent
+              ? 'Your classes. Exams assigned to them appear in your exam list.'
+              : 'Your courses and their groups. Assign exams to groups from the exam\'s edit page.'}
+          </p>
+        </div>
+        {!isStudent && !creating && (
+          <button
+            type="button"
+            onClick={() => setCreating({ ...emptyCourse })}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Course
+          </button>
+        )}
+      </div>
+
+      {isStudent && <JoinCourse />}
+
+      {creating && (
+        <form onSubmit={handleCreate} className="bg-white shadow rounded-lg p-6 space-y-4">
+          <div className="flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900">New Course</h3>
+            <button type="button" onClick={() => setCreating(null)} className="text-gray-400 hover:text-gray-600">
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-3">
+            <div>
+              <label htmlFor="courseName" className="block text-sm font-medium text-gray-700">Name *</label>
+              <input id="courseName" type="text" value={creating.name} onChange={(e) => update('name', e.target.value)} className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="courseCode" className="block text-sm font-medium text-gray-700">Code</label>
+              <input id="courseCode" type="text" value={creating.code} onChange={(e) => update('code', e.target.value)} placeholder="e.g. CS101" className={inputClass} />
+            </div>
+            <div>
+              <label htmlFor="courseTerm" className="block text-sm font-medium text-gray-700">Term</label>
+              <input id="courseTerm" type="text" value={creating.term} onChange={(e) => update('term', e.target.value)} placeholder="e.g. Fall 2026" className={inputClass} />
+            </div>
+            <div className="sm:col-span-3">
+              <label htmlFor="courseDescription" className="block text-sm font-medium text-gray-700">Description</label>
+              <textarea id="courseDescription" rows={2} value={creating.description} onChange={(e) => update('description', e.target.value)} className={inputClass} />
+            </div>
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={createMutation.isLoading}
+              className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {createMutation.isLoading ? 'Creating...' : 'Create Course'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading && (
+        <div className="flex justify-center items-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+        </div>
+      )}
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-md p-4">
+          <h3 className="text-sm font-medium text-red-800">Error loading courses</h3>
+          <div className="mt-2 text-sm text-red-700">
+            {error.response?.data?.message || 'Something went wrong'}
+          </div>
+        </div>
+      )}
+
+      {!isLoading && !error && courses.length === 0 && (
+        <div className="text-center py-12 bg-white shadow rounded-lg">
+          <GraduationCap className="mx-auto h-12 w-12 text-gray-400" />
+          <h3 className="mt-2 text-sm font-medium text-gray-900">No courses yet</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            {isStudent ? 'Join a class with the code from your instructor.' : 'Create a course to enroll students and assign exams.'}
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 sm:grid-cols-2">
+        {courses.map(course => {
+          const card = (
+            <div className="bg-white shadow rounded-lg p-6 h-full">
+              <div className="flex items-start">
+                <GraduationCap className="h-8 w-8 text-indigo-600 flex-shrink-0" />
+                <div className="ml-4">
+                  <h3 className="text-lg font-medium text-gray-900">
+                    {course.code ? `${course.code} · ` : ''}{course.name}
+                  </h3>
+                  {course.term && <p className="text-sm text-gray-500">{course.term}</p>}
+                  {course.instructor?.firstName && (
+                    <p className="text-sm text-gray-500">by {course.instructor.firstName} {course.instructor.lastName}</p>
+                  )}
+                </div>
+              </div>
+              {course.description && <p className="mt-3 text-sm text-gray-600 line-clamp-2">{course.description}</p>}
+              <div className="mt-4 flex flex-wrap gap-2">
+                {course.groups.map(group => (
+                  <span key={group.id} className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                    <Users className="h-3 w-3 mr-1" />
+                    {group.name}{group.studentCount !== undefined ? ` (${group.studentCount})` : ''}
+                  </span>
+                ))}
+                {course.groups.length === 0 && <span className="text-xs text-gray-500">No groups yet</span>}
+              </div>
+            </div>
+          );
+          return isStudent
+            ? <div key={course.id}>{card}</div>
+            : <Link key={course.id} to={`/courses/${course.id}`} className="block hover:opacity-90">{card}</Link>;
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CourseList;
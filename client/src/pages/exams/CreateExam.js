@@ -1,6 +1,7 @@
 import React from 'react';
 import { ArrowLeft } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import ExamBuilder from '../../components/exams/ExamBuilder';
 
 const CreateExam = () => {
   const navigate = useNavigate();
@@ -21,16 +22,9 @@ const CreateExam = () => {
         </p>
       </div>
 
-      <div className="bg-white shadow rounded-lg">
-        <div className="px-4 py-5 sm:p-6">
-          <div className="text-center py-12">
-            <h3 className="text-lg font-medium text-gray-900">Create Exam Form</h3>
-            <p className="mt-1 text-sm text-gray-500">
-              This would contain a comprehensive form for creating exams with sections, questions, settings, and anti-cheating configurations.
-            </p>
-          </div>
-        </div>
-      </div>
+      <ExamBuilder
+        onCreated={(examId) => navigate(`/exams/${examId}/edit`, { replace: true, state: { step: 'sections' } })}
+      />
     </div>
   );
 };
@@ -1,8 +1,13 @@
 import React from 'react';
 import { ArrowLeft } from 'lucide-react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import ExamBuilder from '../../components/exams/ExamBuilder';
+import AccommodationManager from '../../components/exams/AccommodationManager';
+import GroupAssignment from '../../components/exams/GroupAssignment';
 
 const EditExam = () => {
+  const { id } = useParams();
+  const location = useLocation();
   const navigate = useNavigate();
 
   return (
@@ -21,15 +26,14 @@ const EditExam = () => {
         </p>
       </div>
 
-      <div className="bg-white shadow rounded-lg">
-        <div className="px-4 py-5 sm:p-6">
-          <div className="text-center py-12">
-            <h3 className="text-lg font-medium text-gray-900">Edit Exam Form</h3>
-            <p className="mt-1 text-sm text-gray-500">
-              This would contain the same form as CreateExam but pre-populated with existing data.
-            </p>
-          </div>
-        </div>
+      <ExamBuilder key={id} examId={id} initialStep={location.state?.step || 'details'} />
+
+      <div className="mt-6">
+        <GroupAssignment examId={id} />
+      </div>
+
+      <div className="mt-6">
+        <AccommodationManager examId={id} />
       </div>
     </div>
   );
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import { useQuery } from 'react-query';
 import axios from 'axios';
 import { 
@@ -14,10 +14,17 @@ import {
   Clock,
   Users,
   FileText,
-  Settings
+  Settings,
+  ClipboardCheck,
+  BarChart3,
+  PieChart,
+  Copy
 } from 'lucide-react';
+import CloneExamDialog from '../../components/exams/CloneExamDialog';
 
 const ExamList = () => {
+  const navigate = useNavigate();
+  const [cloning, setCloning] = useState(null);
   const [filters, setFilters] = useState({
     search: '',
     status: '',
@@ -264,6 +271,35 @@ const ExamList = () => {
                     <Edit className="h-3 w-3 mr-1" />
                     Edit
                   </Link>
+                  <Link
+                    to={`/exams/${exam._id}/grading`}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <ClipboardCheck className="h-3 w-3 mr-1" />
+                    Grade
+                  </Link>
+                  <Link
+                    to={`/exams/${exam._id}/item-analysis`}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <BarChart3 className="h-3 w-3 mr-1" />
+                    Items
+                  </Link>
+                  <Link
+                    to={`/exams/${exam._id}/report`}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <PieChart className="h-3 w-3 mr-1" />
+                    Report
+                  </Link>
+                  <button
+                    type="button"
+                    onClick={() => setCloning(exam)}
+                    className="inline-flex items-center px-3 py-1 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <Copy className="h-3 w-3 mr-1" />
+                    Clone
+                  </button>
                   {exam.isPublished && (
                     <Link
                       to={`/exams/${exam._id}/take`}
@@ -368,6 +404,14 @@ const ExamList = () => {
           </div>
         </div>
       )}
+
+      {cloning && (
+        <CloneExamDialog
+          exam={cloning}
+          onClose={() => setCloning(null)}
+          onCloned={(clone) => navigate(`/exams/${clone.id}/edit`)}
+        />
+      )}
     </div>
   );
 };
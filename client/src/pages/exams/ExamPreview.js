@@ -15,8 +15,10 @@ import {
   Lock
 } from 'lucide-react';
 
-const ExamPreview = () => {
-  const { id } = useParams();
+// Rendered as a page for students, or embedded in the exam builder with an explicit examId
+const ExamPreview = ({ examId, embedded = false }) => {
+  const params = useParams();
+  const id = examId || params.id;
   const navigate = useNavigate();
 
   const { data: exam, isLoading, error } = useQuery(
@@ -78,6 +80,7 @@ const ExamPreview = () => {
 
   const getStatusColor = () => {
     const now = new Date();
+    if (!exam.isPublished) return 'bg-gray-100 text-gray-800';
     if (exam.startDate && new Date(exam.startDate) > now) return 'bg-blue-100 text-blue-800';
     if (exam.endDate && new Date(exam.endDate) < now) return 'bg-green-100 text-green-800';
     return 'bg-yellow-100 text-yellow-800';
@@ -85,22 +88,32 @@ const ExamPreview = () => {
 
   const getStatusText = () => {
     const now = new Date();
+    if (!exam.isPublished) return 'Draft';
     if (exam.startDate && new Date(exam.startDate) > now) return 'Scheduled';
     if (exam.endDate && new Date(exam.endDate) < now) return 'Completed';
     return 'Active';
   };
 
+  const securityMeasures = [
+    { key: 'browserLock', label: 'Browser Lockdown', icon: Shield },
+    { key: 'focusDetection', label: 'Focus Detection', icon: Eye },
+    { key: 'webcamMonitoring', label: 'Webcam Monitoring', icon: Camera },
+    { key: 'behaviorMonitoring', label: 'Behavior Analysis', icon: Lock }
+  ];
+
   return (
-    <div className="max-w-4xl mx-auto">
+    <div className={embedded ? '' : 'max-w-4xl mx-auto'}>
       {/* Header */}
       <div className="mb-6">
-        <button
-          onClick={() => navigate('/exams')}
-          className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
-        >
-          <ArrowLeft className="h-4 w-4 mr-1" />
-          Back to Exams
-        </button>
+        {!embedded && (
+          <button
+            onClick={() => navigate('/exams')}
+            className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
+          >
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Back to Exams
+          </button>
+        )}
         
         <div className="flex items-center justify-between">
           <div>
@@ -111,13 +124,15 @@ const ExamPreview = () => {
             <span className={`inline-flex items-center px-3 py-1 rounded-full text-sm font-medium ${getStatusColor()}`}>
               {getStatusText()}
             </span>
-            <button
-              onClick={() => navigate(`/exams/${id}/take`)}
-              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
-            >
-              <Play className="h-4 w-4 mr-2" />
-              Start Exam
-            </button>
+            {!embedded && (
+              <button
+                onClick={() => navigate(`/exams/${id}/take`)}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+              >
+                <Play className="h-4 w-4 mr-2" />
+                Start Exam
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -165,6 +180,11 @@ const ExamPreview = () => {
                       <p className="text-sm text-gray-600">{section.description}</p>
                     )}
                     <div className="mt-2 flex flex-wrap gap-2">
+                      {section.drawnFromPool && (
+                        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                          Questions Drawn From a Pool
+                        </span>
+                      )}
                       {section.randomizeQuestions && (
                         <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
                           Randomize Questions
@@ -208,6 +228,20 @@ const ExamPreview = () => {
                   <dt className="text-sm font-medium text-gray-500">Max Attempts</dt>
                   <dd className="text-sm text-gray-900">{exam.settings.maxAttempts}</dd>
                 </div>
+                {exam.settings.maxAttempts > 1 && (
+                  <div className="flex items-center justify-between">
+                    <dt className="text-sm font-medium text-gray-500">Score That Counts</dt>
+                    <dd className="text-sm text-gray-900 capitalize">
+                      {exam.settings.attemptPolicy === 'average' ? 'Average of attempts' : `${exam.settings.attemptPolicy} attempt`}
+                    </dd>
+                  </div>
+                )}
+                {exam.settings.attemptCooldown > 0 && (
+                  <div className="flex items-center justify-between">
+                    <dt className="text-sm font-medium text-gray-500">Wait Between Attempts</dt>
+                    <dd className="text-sm text-gray-900">{exam.settings.attemptCooldown} minutes</dd>
+                  </div>
+                )}
                 <div className="flex items-center justify-between">
                   <dt className="text-sm font-medium text-gray-500">Review Allowed</dt>
                   <dd className="text-sm text-gray-900">
@@ -252,48 +286,48 @@ const ExamPreview = () => {
             <div className="px-4 py-5 sm:p-6">
               <h3 className="text-lg font-medium text-gray-900 mb-4">Security Measures</h3>
               <div className="space-y-3">
-                <div className="flex items-center">
-                  <Shield className="h-5 w-5 text-gray-400 mr-3" />
-                  <span className="text-sm text-gray-700">Browser Lockdown</span>
-                </div>
-                <div className="flex items-center">
-                  <Eye className="h-5 w-5 text-gray-400 mr-3" />
-                  <span className="text-sm text-gray-700">Focus Detection</span>
-                </div>
-                <div className="flex items-center">
-                  <Camera className="h-5 w-5 text-gray-400 mr-3" />
-                  <span className="text-sm text-gray-700">Webcam Monitoring</span>
-                </div>
-                <div className="flex items-center">
-                  <Lock className="h-5 w-5 text-gray-400 mr-3" />
-                  <span className="text-sm text-gray-700">Behavior Analysis</span>
-                </div>
+                {securityMeasures.map(({ key, label, icon: Icon }) => {
+                  const enabled = exam.antiCheating?.[key];
+                  return (
+                    <div key={key} className="flex items-center justify-between">
+                      <div className="flex items-center">
+                        <Icon className={`h-5 w-5 mr-3 ${enabled ? 'text-indigo-500' : 'text-gray-300'}`} />
+                        <span className={`text-sm ${enabled ? 'text-gray-700' : 'text-gray-400'}`}>{label}</span>
+                      </div>
+                      <span className={`text-xs ${enabled ? 'text-green-600' : 'text-gray-400'}`}>
+                        {enabled ? 'On' : 'Off'}
+                      </span>
+                    </div>
+                  );
+                })}
               </div>
             </div>
           </div>
 
           {/* Actions */}
-          <div className="bg-white shadow rounded-lg">
-            <div className="px-4 py-5 sm:p-6">
-              <h3 className="text-lg font-medium text-gray-900 mb-4">Actions</h3>
-              <div className="space-y-3">
-                <button
-                  onClick={() => navigate(`/exams/${id}/take`)}
-                  className="w-full inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
-                >
-                  <Play className="h-4 w-4 mr-2" />
-                  Start Exam
-                </button>
-                <button
-                  onClick={() => navigate('/exams')}
-                  className="w-full inline-flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
-                >
-                  <ArrowLeft className="h-4 w-4 mr-2" />
-                  Back to Exams
-                </button>
+          {!embedded && (
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Actions</h3>
+                <div className="space-y-3">
+                  <button
+                    onClick={() => navigate(`/exams/${id}/take`)}
+                    className="w-full inline-flex items-center justify-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <Play className="h-4 w-4 mr-2" />
+                    Start Exam
+                  </button>
+                  <button
+                    onClick={() => navigate('/exams')}
+                    className="w-full inline-flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                  >
+                    <ArrowLeft className="h-4 w-4 mr-2" />
+                    Back to Exams
+                  </button>
+                </div>
               </div>
             </div>
-          </div>
+          )}
         </div>
       </div>
     </div>
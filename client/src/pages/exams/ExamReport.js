@@ -0,0 +1,242 @@
+import React from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Download } from 'lucide-react';
+
+const formatStat = (value, suffix = '') => (value === null || value === undefined ? '—' : `${value}${suffix}`);
+
+// Reliability coefficients below this are usually too low for grading decisions
+const ACCEPTABLE_RELIABILITY = 0.7;
+
+const StatCard = ({ label, value, hint }) => (
+  <div className="bg-white shadow rounded-lg p-4">
+    <dt className="text-sm text-gray-500">{label}</dt>
+    <dd className="mt-1 text-2xl font-semibold text-gray-900">{value}</dd>
+    {hint && <p className="mt-1 text-xs text-gray-500">{hint}</p>}
+  </div>
+);
+
+const Histogram = ({ bins }) => {
+  const highest = Math.max(1, ...bins.map(bin => bin.count));
+  return (
+    <div>
+      <div className="flex items-end h-40 gap-1">
+        {bins.map(bin => (
+          <div key={bin.from} className="flex-1 flex flex-col items-center justify-end h-full">
+            {bin.count > 0 && <span className="text-xs text-gray-600">{bin.count}</span>}
+            <div
+              className="w-full bg-indigo-500 rounded-t"
+              style={{ height: `${(bin.count / highest) * 100}%` }}
+              title={`${bin.from}–${bin.to}%: ${bin.count} students`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 mt-1">
+        {bins.map(bin => (
+          <span key={bin.from} className="flex-1 text-center text-xs text-gray-500">{bin.from}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const SCATTER_SIZE = { width: 400, height: 200, padding: 30 };
+
+const TimeScatter = ({ points }) => {
+  if (points.length === 0) {
+    return <p className="text-sm text-gray-500">No timed attempts yet.</p>;
+  }
+
+  const { width, height, padding } = SCATTER_SIZE;
+  const longest = Math.max(1, ...points.map(point => point.minutes));
+  const x = minutes => padding + (minutes / longest) * (width - padding * 2);
+  const y = percentage => height - padding - (percentage / 100) * (height - padding * 2);
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+      <line x1={padding} y1={height - padding} x2={width - padding} y2={height - padding} stroke="#d1d5db" />
+      <line x1={padding} y1={padding} x2={padding} y2={height - padding} stroke="#d1d5db" />
+      <text x={padding} y={padding - 8} fontSize="10" fill="#6b7280">100%</text>
+      <text x={width - padding} y={height - 8} fontSize="10" fill="#6b7280" textAnchor="end">
+        {Math.round(longest)} min
+      </text>
+      {points.map(point => (
+        <circle key={point.attemptId} cx={x(point.minutes)} cy={y(point.percentage)} r="4" fill="#6366f1" fillOpacity="0.7">
+          <title>{`${point.minutes} min, ${point.percentage}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+// Exam report: score reliability, the spread of the students' results, how the
+// sections relate to each other and whether time taken goes with the score
+const ExamReport = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+
+  const { data, isLoading, error } = useQuery(
+    ['examReport', id],
+    () => axios.get(`/api/exams/${id}/report`).then(res => res.data)
+  );
+
+  const handleExport = async (format) => {
+    try {
+      const response = await axios.get(`/api/exams/${id}/export`, {
+        params: { type: 'report', format },
+        responseType: 'blob'
+      });
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `exam-${id}-report.${format}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+    } catch (exportError) {
+      toast.error('Failed to export report');
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading exam report</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  const { reliability, distribution, sections, timeVsScore } = data;
+  const lowReliability = reliability.alpha !== null && reliability.alpha < ACCEPTABLE_RELIABILITY;
+
+  return (
+    <div className="max-w-6xl mx-auto space-y-6">
+      <div>
+        <button
+          onClick={() => navigate('/exams')}
+          className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Exams
+        </button>
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Exam Report</h1>
+            <p className="mt-1 text-sm text-gray-500">
+              {data.exam.title} • {distribution.students} students • {reliability.attempts} graded attempts • {data.policy} attempt counts
+            </p>
+          </div>
+          <div className="flex space-x-2">
+            {['csv', 'json'].map(format => (
+              <button
+                key={format}
+                onClick={() => handleExport(format)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <Download className="h-4 w-4 mr-1" />
+                {format.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <dl className="grid grid-cols-2 gap-4 md:grid-cols-4">
+        <StatCard
+          label="Cronbach's alpha"
+          value={formatStat(reliability.alpha)}
+          hint={`Over ${reliability.items} questions every attempt was given`}
+        />
+        <StatCard
+          label="KR-20"
+          value={formatStat(reliability.kr20)}
+          hint="Only when every question is right-or-wrong"
+        />
+        <StatCard
+          label="Standard error"
+          value={formatStat(reliability.standardError, ' pts')}
+          hint="Of a percentage, from alpha"
+        />
+        <StatCard
+          label="Mean"
+          value={formatStat(distribution.mean, '%')}
+          hint={`SD ${formatStat(distribution.standardDeviation)}`}
+        />
+      </dl>
+
+      {lowReliability && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-md p-3 text-sm text-yellow-800">
+          Reliability is below {ACCEPTABLE_RELIABILITY}: scores on this exam may not separate students consistently.
+          The item analysis shows which questions pull it down.
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 gap-6 lg:grid-cols-2">
+        <div className="bg-white shadow rounded-lg p-4">
+          <h2 className="text-sm font-medium text-gray-900 mb-3">Score distribution (%)</h2>
+          <Histogram bins={distribution.histogram} />
+          <div className="mt-4 flex justify-between text-sm">
+            {distribution.percentiles.map(entry => (
+              <div key={entry.percentile} className="text-center">
+                <p className="text-xs text-gray-500">P{entry.percentile}</p>
+                <p className="font-medium text-gray-900">{formatStat(entry.percentage, '%')}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-4">
+          <h2 className="text-sm font-medium text-gray-900 mb-3">
+            Time vs score
+            <span className="ml-2 text-xs font-normal text-gray-500">r = {formatStat(timeVsScore.correlation)}</span>
+          </h2>
+          <TimeScatter points={timeVsScore.points} />
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <h2 className="px-4 pt-4 text-sm font-medium text-gray-900">Sections</h2>
+        <table className="min-w-full text-sm mt-2">
+          <thead>
+            <tr className="text-left text-xs text-gray-500 uppercase tracking-wide">
+              <th className="px-4 py-2 font-medium">Section</th>
+              <th className="px-4 py-2 font-medium">Average</th>
+              <th className="px-4 py-2 font-medium">With rest of exam</th>
+              {sections.sections.map(section => (
+                <th key={section.sectionId} className="px-4 py-2 font-medium">{section.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {sections.sections.map((section, index) => (
+              <tr key={section.sectionId}>
+                <td className="px-4 py-2 font-medium text-gray-900">{section.name}</td>
+                <td className="px-4 py-2 text-gray-700">{formatStat(section.averagePercentage, '%')}</td>
+                <td className="px-4 py-2 text-gray-700">{formatStat(section.restCorrelation)}</td>
+                {sections.matrix[index].map((value, other) => (
+                  <td key={other} className="px-4 py-2 text-gray-700">{index === other ? '—' : formatStat(value)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ExamReport;
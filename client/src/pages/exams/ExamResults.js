@@ -2,7 +2,7 @@ import React from 'react';
 import { useParams } from 'react-router-dom';
 import { useQuery } from 'react-query';
 import axios from 'axios';
-import { ArrowLeft, CheckCircle, XCircle, Clock, AlertTriangle } from 'lucide-react';
+import { ArrowLeft, CheckCircle, XCircle, Clock, AlertTriangle, Hourglass } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
 
 const ExamResults = () => {
@@ -77,6 +77,15 @@ const ExamResults = () => {
 
       {attempt && (
         <div className="space-y-6">
+          {attempt.status === 'pending-review' && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4 flex items-center">
+              <Hourglass className="h-5 w-5 text-yellow-600 mr-2" />
+              <p className="text-sm text-yellow-800">
+                Some answers are awaiting grading by your instructor. The score below is provisional.
+              </p>
+            </div>
+          )}
+
           {/* Results Summary */}
           <div className="bg-white shadow rounded-lg">
             <div className="px-4 py-5 sm:p-6">
@@ -110,6 +119,33 @@ const ExamResults = () => {
             </div>
           </div>
 
+          {/* Section Breakdown */}
+          {attempt.scoreBreakdown?.sections?.length > 0 && (
+            <div className="bg-white shadow rounded-lg">
+              <div className="px-4 py-5 sm:p-6">
+                <h3 className="text-lg font-medium text-gray-900 mb-4">Section Breakdown</h3>
+                <div className="space-y-3">
+                  {attempt.scoreBreakdown.sections.map(section => (
+                    <div key={section.sectionId}>
+                      <div className="flex items-center justify-between text-sm">
+                        <span className="font-medium text-gray-900">{section.name}</span>
+                        <span className="text-gray-500">
+                          {section.score} / {section.maxScore} points • {section.percentage}% • counts {section.weight}%
+                        </span>
+                      </div>
+                      <div className="mt-1 w-full bg-gray-200 rounded-full h-2">
+                        <div
+                          className="bg-indigo-600 h-2 rounded-full"
+                          style={{ width: `${Math.min(100, section.percentage)}%` }}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+
           {/* Status and Flags */}
           <div className="bg-white shadow rounded-lg">
             <div className="px-4 py-5 sm:p-6">
@@ -118,11 +154,15 @@ const ExamResults = () => {
                 <div className="flex items-center">
                   {attempt.status === 'completed' ? (
                     <CheckCircle className="h-5 w-5 text-green-500 mr-2" />
+                  ) : attempt.status === 'pending-review' ? (
+                    <Hourglass className="h-5 w-5 text-yellow-500 mr-2" />
                   ) : (
                     <XCircle className="h-5 w-5 text-red-500 mr-2" />
                   )}
                   <span className="text-sm font-medium text-gray-900">
-                    {attempt.status.charAt(0).toUpperCase() + attempt.status.slice(1)}
+                    {attempt.status === 'pending-review'
+                      ? 'Awaiting grading'
+                      : attempt.status.charAt(0).toUpperCase() + attempt.status.slice(1)}
                   </span>
                 </div>
                 
@@ -189,7 +229,9 @@ const ExamResults = () => {
                         Question {index + 1}
                       </h4>
                       <div className="flex items-center space-x-2">
-                        {answer.isCorrect ? (
+                        {answer.requiresManualGrading ? (
+                          <Hourglass className="h-4 w-4 text-yellow-500" />
+                        ) : answer.isCorrect ? (
                           <CheckCircle className="h-4 w-4 text-green-500" />
                         ) : (
                           <XCircle className="h-4 w-4 text-red-500" />
@@ -200,8 +242,22 @@ const ExamResults = () => {
                       </div>
                     </div>
                     <p className="text-sm text-gray-600">
-                      Your answer: {answer.answer}
+                      Your answer: {typeof answer.answer === 'object' ? JSON.stringify(answer.answer) : String(answer.answer)}
                     </p>
+                    {answer.manualGrade && (
+                      <div className="mt-3 border-t border-gray-100 pt-3 space-y-1">
+                        {answer.manualGrade.criteria.map(criterion => (
+                          <div key={criterion.name} className="text-xs text-gray-600">
+                            <span className="font-medium text-gray-900">{criterion.name}:</span>{' '}
+                            {criterion.score} / {criterion.maxPoints}
+                            {criterion.comment && ` — ${criterion.comment}`}
+                          </div>
+                        ))}
+                        {answer.manualGrade.comment && (
+                          <p className="text-sm text-gray-700 italic">{answer.manualGrade.comment}</p>
+                        )}
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, ClipboardCheck, User, Clock, CheckCircle } from 'lucide-react';
+
+const itemKey = (item) => `${item.attemptId}:${item.questionId}`;
+
+const studentName = (student) => (student && typeof student === 'object'
+  ? `${student.firstName || ''} ${student.lastName || ''}`.trim() || student.email
+  : 'Student');
+
+const emptyScores = (item) => item.criteria.reduce((scores, criterion) => ({
+  ...scores,
+  [criterion.name]: { score: '', comment: '' }
+}), {});
+
+const answerText = (answer) => {
+  if (answer === null || answer === undefined) return '';
+  if (typeof answer === 'string') return answer;
+  if (typeof answer === 'object' && answer.code) return answer.code;
+  return JSON.stringify(answer, null, 2);
+};
+
+const wordCount = (text) => text.trim().split(/\s+/).filter(Boolean).length;
+
+// Instructor queue of answers waiting for manual grading, scored criterion by criterion
+const GradingQueue = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [scores, setScores] = useState({});
+  const [comment, setComment] = useState('');
+
+  const { data, isLoading, error } = useQuery(
+    ['gradingQueue', id],
+    () => axios.get(`/api/exams/${id}/grading-queue`).then(res => res.data)
+  );
+
+  const items = data?.items || [];
+  const selected = items.find(item => itemKey(item) === selectedKey) || null;
+
+  const selectItem = (item) => {
+    setSelectedKey(item ? itemKey(item) : null);
+    setScores(item ? emptyScores(item) : {});
+    setComment('');
+  };
+
+  const gradeMutation = useMutation(
+    ({ attemptId, ...gradeData }) => axios.post(`/api/attempts/${attemptId}/grade`, gradeData).then(res => res.data),
+    {
+      onSuccess: (result) => {
+        toast.success(result.status === 'completed'
+          ? 'Answer graded, attempt results published'
+          : 'Answer graded');
+        const next = items.find(item => itemKey(item) !== selectedKey);
+        selectItem(next || null);
+        queryClient.invalidateQueries(['gradingQueue', id]);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to save grade');
+      }
+    }
+  );
+
+  const updateScore = (name, field, value) => {
+    setScores(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }));
+  };
+
+  const handleSubmit = () => {
+    const missing = selected.criteria.find(criterion => scores[criterion.name]?.score === '');
+    if (missing) {
+      toast.error(`Score the "${missing.name}" criterion`);
+      return;
+    }
+
+    gradeMutation.mutate({
+      attemptId: selected.attemptId,
+      questionId: selected.questionId,
+      criteria: selected.criteria.map(criterion => ({
+        name: criterion.name,
+        score: Number(scores[criterion.name].score),
+        comment: scores[criterion.name].comment
+      })),
+      comment
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading grading queue</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  const totalScore = selected
+    ? selected.criteria.reduce((sum, criterion) => sum + (Number(scores[criterion.name]?.score) || 0), 0)
+    : 0;
+  const selectedText = selected ? answerText(selected.answer) : '';
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-6">
+        <button
+          onClick={() => navigate('/exams')}
+          className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Exams
+        </button>
+        <h1 className="text-2xl font-bold text-gray-900">Grading Queue</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          {data?.exam?.title} • {items.length} answers from {data?.attemptsPending || 0} attempts awaiting grading
+        </p>
+      </div>
+
+      {items.length === 0 ? (
+        <div className="bg-white shadow rounded-lg p-8 text-center">
+          <CheckCircle className="mx-auto h-10 w-10 text-green-500" />
+          <p className="mt-2 text-sm text-gray-600">All submitted answers have been graded.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-white shadow rounded-lg divide-y divide-gray-200 max-h-[70vh] overflow-y-auto">
+            {items.map(item => (
+              <button
+                key={itemKey(item)}
+                type="button"
+                onClick={() => selectItem(item)}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${itemKey(item) === selectedKey ? 'bg-indigo-50' : ''}`}
+              >
+                <p className="text-sm font-medium text-gray-900 truncate">{item.question?.title || 'Question'}</p>
+                <div className="mt-1 flex items-center space-x-3 text-xs text-gray-500">
+                  <span className="flex items-center">
+                    <User className="h-3 w-3 mr-1" />
+                    {studentName(item.student)}
+                  </span>
+                  {item.submittedAt && (
+                    <span className="flex items-center">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {new Date(item.submittedAt).toLocaleString()}
+                    </span>
+                  )}
+                </div>
+              </button>
+            ))}
+          </div>
+
+          <div className="lg:col-span-2">
+            {!selected ? (
+              <div className="bg-white shadow rounded-lg p-8 text-center text-sm text-gray-500">
+                <ClipboardCheck className="mx-auto h-10 w-10 text-gray-400 mb-2" />
+                Select an answer to grade.
+              </div>
+            ) : (
+              <div className="bg-white shadow rounded-lg p-6 space-y-6">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">{selected.question?.title}</h3>
+                  <p className="mt-1 text-sm text-gray-600 whitespace-pre-wrap">{selected.question?.content}</p>
+                  <p className="mt-1 text-xs text-gray-500">
+                    {studentName(selected.student)} • {selected.maxPoints} points
+                  </p>
+                </div>
+
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <h4 className="text-sm font-medium text-gray-700">Response</h4>
+                    {selected.question?.type === 'essay' && (
+                      <span className="text-xs text-gray-500">
+                        {wordCount(selectedText)} words
+                        {selected.question.essayRubric?.minLength
+                          ? ` (expected ${selected.question.essayRubric.minLength}–${selected.question.essayRubric.maxLength})`
+                          : ''}
+                      </span>
+                    )}
+                  </div>
+                  <div className="border border-gray-200 rounded-md p-4 bg-gray-50 text-sm text-gray-900 whitespace-pre-wrap max-h-80 overflow-y-auto">
+                    {selectedText || <span className="text-gray-400">No response</span>}
+                  </div>
+                </div>
+
+                <div className="space-y-4">
+                  <h4 className="text-sm font-medium text-gray-700">Rubric</h4>
+                  {selected.criteria.map(criterion => (
+                    <div key={criterion.name} className="border border-gray-200 rounded-md p-3">
+                      <div className="flex items-start justify-between">
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{criterion.name}</p>
+                          {criterion.description && (
+                            <p className="text-xs text-gray-500">{criterion.description}</p>
+                          )}
+                        </div>
+                        <label className="flex items-center text-xs text-gray-500 ml-3">
+                          <input
+                            type="number"
+                            min="0"
+                            max={criterion.maxPoints}
+                            step="0.5"
+                            value={scores[criterion.name]?.score ?? ''}
+                            onChange={(e) => updateScore(criterion.name, 'score', e.target.value)}
+                            className="mr-2 w-20 border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                          />
+                          / {criterion.maxPoints}
+                        </label>
+                      </div>
+                      <input
+                        type="text"
+                        value={scores[criterion.name]?.comment ?? ''}
+                        onChange={(e) => updateScore(criterion.name, 'comment', e.target.value)}
+                        placeholder="Comment on this criterion (optional)"
+                        className="mt-2 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                      />
+                    </div>
+                  ))}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700">Feedback for the student</label>
+                  <textarea
+                    rows={3}
+                    value={comment}
+                    onChange={(e) => setComment(e.target.value)}
+                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                  />
+                </div>
+
+                <div className="flex items-center justify-between">
+                  <span className="text-sm text-gray-700">
+                    Total: <span className="font-medium">{Math.round(totalScore * 100) / 100}</span> / {selected.maxPoints}
+                  </span>
+                  <button
+                    type="button"
+                    onClick={handleSubmit}
+                    disabled={gradeMutation.isLoading}
+                    className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                  >
+                    {gradeMutation.isLoading ? 'Saving...' : 'Save Grade'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GradingQueue;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { useQuery } from 'react-query';
+import axios from 'axios';
+import { ArrowLeft, BarChart3, ChevronDown, ChevronRight } from 'lucide-react';
+import { ItemAnalysisDetails, ItemFlags } from '../../components/questions/ItemAnalysis';
+
+const formatStat = (value) => (value === null || value === undefined ? '—' : value.toFixed(2));
+
+// Exam report of how each question performed over the exam's graded attempts, with
+// the questions to review (too easy, too hard, negatively discriminating) flagged
+const ItemAnalysisReport = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [expanded, setExpanded] = useState(null);
+  const [flaggedOnly, setFlaggedOnly] = useState(false);
+
+  const { data, isLoading, error } = useQuery(
+    ['itemAnalysis', id],
+    () => axios.get(`/api/exams/${id}/item-analysis`).then(res => res.data)
+  );
+
+  if (isLoading) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-md p-4">
+        <h3 className="text-sm font-medium text-red-800">Error loading item analysis</h3>
+        <div className="mt-2 text-sm text-red-700">
+          {error.response?.data?.message || 'Something went wrong'}
+        </div>
+      </div>
+    );
+  }
+
+  const items = flaggedOnly ? data.items.filter(item => item.flags.length > 0) : data.items;
+
+  return (
+    <div className="max-w-6xl mx-auto">
+      <div className="mb-6">
+        <button
+          onClick={() => navigate('/exams')}
+          className="inline-flex items-center text-sm font-medium text-gray-500 hover:text-gray-700 mb-4"
+        >
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Exams
+        </button>
+        <h1 className="text-2xl font-bold text-gray-900">Item Analysis</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          {data.exam.title} • {data.attempts} graded attempts • {data.flagged} of {data.items.length} questions flagged
+        </p>
+      </div>
+
+      {data.items.length === 0 ? (
+        <div className="bg-white shadow rounded-lg p-8 text-center">
+          <BarChart3 className="mx-auto h-10 w-10 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-600">This exam has no questions to analyse yet.</p>
+        </div>
+      ) : (
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center justify-between">
+            <p className="text-xs text-gray-500">
+              Flags need at least {data.minResponses} graded attempts per question.
+            </p>
+            <label className="inline-flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={flaggedOnly}
+                onChange={(e) => setFlaggedOnly(e.target.checked)}
+                className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+              />
+              Flagged only
+            </label>
+          </div>
+          <ul className="divide-y divide-gray-200">
+            {items.map(item => (
+              <li key={item.questionId}>
+                <button
+                  onClick={() => setExpanded(expanded === item.questionId ? null : item.questionId)}
+                  className="w-full px-4 py-3 flex items-center justify-between text-left hover:bg-gray-50"
+                >
+                  <div className="flex items-center min-w-0">
+                    {expanded === item.questionId
+                      ? <ChevronDown className="h-4 w-4 text-gray-400 mr-2 flex-shrink-0" />
+                      : <ChevronRight className="h-4 w-4 text-gray-400 mr-2 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{item.title}</p>
+                      <p className="text-xs text-gray-500">
+                        {item.type.replace('-', ' ')} • p {formatStat(item.difficulty)} • r<sub>pb</sub> {formatStat(item.discrimination)} • {item.responses} responses
+                      </p>
+                    </div>
+                  </div>
+                  <ItemFlags flags={item.flags} />
+                </button>
+                {expanded === item.questionId && (
+                  <div className="px-4 pb-4 ml-6">
+                    <ItemAnalysisDetails item={item} minResponses={data.minResponses} />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ItemAnalysisReport;
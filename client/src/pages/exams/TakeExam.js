@@ -4,6 +4,9 @@ import { useQuery, useMutation } from 'react-query';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import { useAntiCheating } from '../../contexts/AntiCheatingContext';
+import { loadDraft, saveDraft, clearDraft } from '../../utils/attemptDrafts';
+import { isAnswered } from '../../utils/answerValues';
+import QuestionRenderer from '../../components/questions/QuestionRenderers';
 import { 
   Clock, 
   Save, 
@@ -20,10 +23,16 @@ const TakeExam = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const webcamRef = useRef(null);
+  const answersRef = useRef({});
   const [currentSection, setCurrentSection] = useState(0);
   const [currentQuestion, setCurrentQuestion] = useState(0);
   const [answers, setAnswers] = useState({});
-  const [timeRemaining, setTimeRemaining] = useState(0);
+  const [unsavedAnswers, setUnsavedAnswers] = useState([]);
+  const [attemptId, setAttemptId] = useState(null);
+  const [attemptExam, setAttemptExam] = useState(null);
+  const [deadlineAt, setDeadlineAt] = useState(null);
+  const [sectionDeadlines, setSectionDeadlines] = useState({});
+  const [timeRemaining, setTimeRemaining] = useState(null);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [showWarning, setShowWarning] = useState(false);
   const [violationCount, setViolationCount] = useState(0);
@@ -40,12 +49,31 @@ const TakeExam = () => {
   } = useAntiCheating();
 
   // Get exam data
-  const { data: exam, isLoading: examLoading } = useQuery(
+  const { data: examDetails, isLoading: examLoading } = useQuery(
     ['exam', id],
     () => axios.get(`/api/exams/${id}`).then(res => res.data),
     { enabled: !!id }
   );
 
+  // Once an attempt is open, show the exam in the attempt's own question order
+  const exam = attemptExam || examDetails;
+
+  // Look for an attempt left in progress (e.g. after a browser crash)
+  const { data: activeAttempt, refetch: refetchActiveAttempt } = useQuery(
+    ['activeAttempt', id],
+    () => axios.get(`/api/attempts/resume/${id}`).then(res => res.data),
+    {
+      enabled: !!id,
+      retry: false,
+      refetchOnWindowFocus: false,
+      onError: (error) => {
+        if (error.response?.data?.expired) {
+          toast.error('Your previous attempt ran out of time and was submitted.');
+        }
+      }
+    }
+  );
+
   // Get exam preview
   const { data: examPreview } = useQuery(
     ['examPreview', id],
@@ -58,13 +86,18 @@ const TakeExam = () => {
     (attemptData) => axios.post('/api/attempts/start', attemptData),
     {
       onSuccess: (response) => {
-        const { attemptId, exam: examData, timeLimit } = response.data;
-        setTimeRemaining(timeLimit * 60); // Convert to seconds
-        startMonitoring(examData.antiCheating);
-        navigate(`/exams/${id}/take/${attemptId}`);
+        openAttempt(response.data);
       },
       onError: (error) => {
-        toast.error(error.response?.data?.message || 'Failed to start exam');
+        // An attempt is already running; pick it up instead
+        const body = error.response?.data;
+        if (error.response?.status === 409 && body?.attemptId) {
+          refetchActiveAttempt().then(({ data }) => data && openAttempt(data));
+        } else if (body?.availableAt) {
+          toast.error(`${body.message}. You can start again at ${new Date(body.availableAt).toLocaleTimeString()}.`);
+        } else {
+          toast.error(body?.message || 'Failed to start exam');
+        }
       }
     }
   );
@@ -78,11 +111,20 @@ const TakeExam = () => {
         timeSpent
       }),
     {
-      onSuccess: () => {
+      onSuccess: (response, { questionId, answer }) => {
+        // Only clear the unsaved flag if the answer wasn't edited again meanwhile
+        if (answersRef.current[questionId] === answer) {
+          setUnsavedAnswers(prev => prev.filter(unsavedId => unsavedId !== questionId));
+        }
         toast.success('Answer saved');
       },
       onError: (error) => {
-        toast.error('Failed to save answer');
+        const data = error.response?.data;
+        if (data?.expired && !data.sectionId) {
+          handleAttemptClosed();
+        } else {
+          toast.error(data?.message || 'Failed to save answer');
+        }
       }
     }
   );
@@ -122,27 +164,93 @@ const TakeExam = () => {
     (attemptId) => axios.post(`/api/attempts/${attemptId}/finish`),
     {
       onSuccess: (response) => {
+        clearDraft(attemptId);
         stopMonitoring();
-        toast.success('Exam submitted successfully!');
+        toast.success(response.data.timeExpired ? 'Time is up. Your exam was submitted.' : 'Exam submitted successfully!');
         navigate(`/exams/${id}/results/${response.data.attemptId}`);
       },
       onError: (error) => {
-        toast.error('Failed to submit exam');
+        // The server already closed the attempt (e.g. it was auto-submitted)
+        if (error.response?.status === 400) {
+          handleAttemptClosed();
+        } else {
+          setIsSubmitting(false);
+          toast.error('Failed to submit exam');
+        }
       }
     }
   );
 
-  // Timer effect
+  // Timer effect: count down to the server deadline, submitting when it is reached
   useEffect(() => {
-    if (timeRemaining > 0) {
-      const timer = setTimeout(() => {
-        setTimeRemaining(prev => prev - 1);
-      }, 1000);
-      return () => clearTimeout(timer);
-    } else if (timeRemaining === 0 && !isSubmitting) {
-      handleSubmitExam();
-    }
-  }, [timeRemaining]);
+    if (!deadlineAt || isSubmitting) return;
+
+    const tick = () => {
+      const remaining = Math.max(0, Math.ceil((deadlineAt - Date.now()) / 1000));
+      setTimeRemaining(remaining);
+      if (remaining === 0) {
+        handleSubmitExam();
+      }
+    };
+
+    tick();
+    const timer = setInterval(tick, 1000);
+    return () => clearInterval(timer);
+  }, [deadlineAt, isSubmitting]);
+
+  // Re-sync with the server clock every minute and notice auto-submission
+  useEffect(() => {
+    if (!attemptId || isSubmitting) return;
+
+    const interval = setInterval(() => {
+      axios.get(`/api/attempts/${attemptId}/time`)
+        .then(res => {
+          if (res.data.status !== 'in-progress') {
+            handleAttemptClosed();
+          } else {
+            applyTimeStatus(res.data);
+          }
+        })
+        .catch(() => {});
+    }, 60000);
+
+    return () => clearInterval(interval);
+  }, [attemptId, isSubmitting]);
+
+  // Keep a local draft of every answer, including edits not yet sent to the server
+  useEffect(() => {
+    answersRef.current = answers;
+    if (!attemptId || isSubmitting) return;
+
+    saveDraft(attemptId, {
+      answers,
+      unsaved: unsavedAnswers,
+      section: currentSection,
+      question: currentQuestion
+    });
+  }, [attemptId, answers, unsavedAnswers, currentSection, currentQuestion]);
+
+  // Send unsaved answers once the connection comes back
+  useEffect(() => {
+    if (!attemptId) return;
+
+    const handleOnline = () => {
+      unsavedAnswers.forEach(questionId => handleSaveAnswer(questionId));
+    };
+
+    window.addEventListener('online', handleOnline);
+    return () => window.removeEventListener('online', handleOnline);
+  }, [attemptId, unsavedAnswers, answers]);
+
+  // Entering a timed section starts its clock on the server
+  useEffect(() => {
+    const section = exam?.sections[currentSection];
+    if (!attemptId || !section?.timeLimit || isSubmitting) return;
+
+    axios.post(`/api/attempts/${attemptId}/sections/${section.id}/start`)
+      .then(res => applyTimeStatus(res.data))
+      .catch(() => {});
+  }, [attemptId, currentSection]);
 
   // Anti-cheating monitoring
   useEffect(() => {
@@ -152,7 +260,7 @@ const TakeExam = () => {
         const behaviorData = getBehaviorData();
         if (Object.keys(behaviorData).length > 0) {
           submitBehaviorMutation.mutate({
-            attemptId: id,
+            attemptId,
             behaviorData
           });
         }
@@ -162,7 +270,7 @@ const TakeExam = () => {
           const imageSrc = webcamRef.current.getScreenshot();
           if (imageSrc) {
             submitWebcamMutation.mutate({
-              attemptId: id,
+              attemptId,
               imageData: imageSrc,
               timestamp: new Date().toISOString()
             });
@@ -226,18 +334,41 @@ const TakeExam = () => {
     });
   };
 
+  // Open a started or resumed attempt. Local drafts win over the server copy since
+  // they may hold edits made after the last successful save.
+  const openAttempt = (session) => {
+    const draft = loadDraft(session.attemptId);
+
+    setAttemptId(session.attemptId);
+    setAttemptExam(session.exam);
+    setAnswers({ ...session.answers, ...draft?.answers });
+    setUnsavedAnswers(draft?.unsaved || []);
+    if (draft && session.exam.sections[draft.section]) {
+      setCurrentSection(draft.section);
+      setCurrentQuestion(draft.question || 0);
+    }
+    applyTimeStatus(session.time);
+    startMonitoring(session.exam.antiCheating);
+  };
+
+  const handleResumeExam = () => {
+    openAttempt(activeAttempt);
+    toast.success('Exam resumed');
+  };
+
   const handleAnswerChange = (questionId, answer) => {
     setAnswers(prev => ({
       ...prev,
       [questionId]: answer
     }));
+    setUnsavedAnswers(prev => (prev.includes(questionId) ? prev : [...prev, questionId]));
   };
 
   const handleSaveAnswer = (questionId) => {
     const answer = answers[questionId];
     if (answer !== undefined) {
       submitAnswerMutation.mutate({
-        attemptId: id,
+        attemptId,
         questionId,
         answer,
         timeSpent: 0 // This would be calculated based on time spent on question
@@ -248,7 +379,7 @@ const TakeExam = () => {
   const handleNextQuestion = () => {
     const currentQ = getCurrentQuestion();
     if (currentQ) {
-      handleSaveAnswer(currentQ.question._id);
+      handleSaveAnswer(currentQ.question.id);
     }
 
     if (currentQuestion < getCurrentSection().questions.length - 1) {
@@ -270,7 +401,33 @@ const TakeExam = () => {
 
   const handleSubmitExam = () => {
     setIsSubmitting(true);
-    finishExamMutation.mutate(id);
+    finishExamMutation.mutate(attemptId);
+  };
+
+  // Deadlines come from the server; shift them onto the local clock so a skewed
+  // client clock can't lengthen or shorten the exam
+  const applyTimeStatus = (time) => {
+    const offset = new Date(time.serverTime).getTime() - Date.now();
+    const toLocal = (deadline) => (deadline ? new Date(deadline).getTime() - offset : null);
+
+    setDeadlineAt(toLocal(time.deadline));
+    setSectionDeadlines(time.sections.reduce((deadlines, section) => ({
+      ...deadlines,
+      [section.sectionId]: toLocal(section.deadline)
+    }), {}));
+  };
+
+  const handleAttemptClosed = () => {
+    setIsSubmitting(true);
+    clearDraft(attemptId);
+    stopMonitoring();
+    toast.error('Time is up. Your exam was submitted automatically.');
+    navigate(`/exams/${id}/results/${attemptId}`);
+  };
+
+  const getSectionTimeRemaining = () => {
+    const deadline = sectionDeadlines[getCurrentSection().id];
+    return deadline ? Math.max(0, Math.ceil((deadline - Date.now()) / 1000)) : null;
   };
 
   const getCurrentSection = () => {
@@ -283,6 +440,7 @@ const TakeExam = () => {
   };
 
   const formatTime = (seconds) => {
+    if (seconds === null) return 'No limit';
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
     const secs = seconds % 60;
@@ -291,7 +449,7 @@ const TakeExam = () => {
 
   const getProgress = () => {
     const totalQuestions = exam?.sections.reduce((total, section) => total + section.questions.length, 0) || 0;
-    const answeredQuestions = Object.keys(answers).length;
+    const answeredQuestions = Object.values(answers).filter(isAnswered).length;
     return (answeredQuestions / totalQuestions) * 100;
   };
 
@@ -316,6 +474,8 @@ const TakeExam = () => {
 
   // Show exam preview if not started
   if (!isMonitoring) {
+    const accommodation = examPreview?.accommodation;
+
     return (
       <div className="max-w-4xl mx-auto">
         <div className="bg-white shadow rounded-lg">
@@ -336,17 +496,22 @@ const TakeExam = () => {
               <div>
                 <h4 className="font-medium text-gray-900 mb-2">Exam Details</h4>
                 <ul className="space-y-1 text-sm text-gray-600">
-                  <li>Duration: {exam.settings.totalTimeLimit || 'No limit'} minutes</li>
+                  <li>
+                    Duration: {exam.settings.totalTimeLimit
+                      ? `${Math.round(exam.settings.totalTimeLimit * (accommodation?.timeMultiplier || 1))} minutes`
+                      : 'No limit'}
+                    {accommodation?.timeMultiplier > 1 && ' (includes your extra time)'}
+                  </li>
                   <li>Questions: {exam.sections.reduce((total, section) => total + section.questions.length, 0)}</li>
                   <li>Points: {exam.totalPoints}</li>
-                  <li>Attempts: {exam.settings.maxAttempts}</li>
+                  <li>Attempts: {examPreview?.settings?.maxAttempts || exam.settings.maxAttempts}</li>
                 </ul>
               </div>
               
               <div>
                 <h4 className="font-medium text-gray-900 mb-2">Anti-Cheating Measures</h4>
                 <ul className="space-y-1 text-sm text-gray-600">
-                  {exam.antiCheating?.webcamMonitoring?.enabled && (
+                  {exam.antiCheating?.webcamMonitoring?.enabled && !accommodation?.disableWebcam && (
                     <li className="flex items-center">
                       <Camera className="h-4 w-4 mr-2" />
                       Webcam monitoring enabled
@@ -368,6 +533,17 @@ const TakeExam = () => {
               </div>
             </div>
 
+            {activeAttempt && (
+              <div className="mb-6 flex items-start bg-yellow-50 border border-yellow-200 rounded-md p-4">
+                <AlertTriangle className="h-5 w-5 text-yellow-600 mr-2 flex-shrink-0" />
+                <p className="text-sm text-yellow-800">
+                  You have an attempt in progress. Resuming restores your saved answers; the timer
+                  kept running while you were away
+                  {activeAttempt.time.remainingSeconds !== null && ` (${formatTime(activeAttempt.time.remainingSeconds)} left)`}.
+                </p>
+              </div>
+            )}
+
             <div className="flex justify-end space-x-3">
               <button
                 onClick={() => navigate('/exams')}
@@ -375,13 +551,22 @@ const TakeExam = () => {
               >
                 Cancel
               </button>
-              <button
-                onClick={handleStartExam}
-                disabled={startAttemptMutation.isLoading}
-                className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
-              >
-                {startAttemptMutation.isLoading ? 'Starting...' : 'Start Exam'}
-              </button>
+              {activeAttempt ? (
+                <button
+                  onClick={handleResumeExam}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+                >
+                  Resume Exam
+                </button>
+              ) : (
+                <button
+                  onClick={handleStartExam}
+                  disabled={startAttemptMutation.isLoading}
+                  className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+                >
+                  {startAttemptMutation.isLoading ? 'Starting...' : 'Start Exam'}
+                </button>
+              )}
             </div>
           </div>
         </div>
@@ -414,10 +599,17 @@ const TakeExam = () => {
               {/* Timer */}
               <div className="flex items-center space-x-2">
                 <Clock className="h-4 w-4 text-gray-400" />
-                <span className={`text-sm font-medium ${timeRemaining < 300 ? 'text-red-600' : 'text-gray-900'}`}>
+                <span className={`text-sm font-medium ${timeRemaining !== null && timeRemaining < 300 ? 'text-red-600' : 'text-gray-900'}`}>
                   {formatTime(timeRemaining)}
                 </span>
               </div>
+
+              {/* Section timer */}
+              {getSectionTimeRemaining() !== null && (
+                <div className="text-sm text-gray-600">
+                  Section: {formatTime(getSectionTimeRemaining())}
+                </div>
+              )}
               
               {/* Violations */}
               {violationCount > 0 && (
@@ -480,76 +672,11 @@ const TakeExam = () => {
                 </div>
               </div>
 
-              <div className="mb-6">
-                <p className="text-gray-700 whitespace-pre-wrap">{currentQ.question.content}</p>
-              </div>
-
-              {/* Question Type Specific Rendering */}
-              {currentQ.question.type === 'mcq' && (
-                <div className="space-y-3">
-                  {currentQ.question.options.map((option, index) => (
-                    <label key={index} className="flex items-start space-x-3 cursor-pointer">
-                      <input
-                        type="radio"
-                        name={`question-${currentQ.question._id}`}
-                        value={option.text}
-                        checked={answers[currentQ.question._id] === option.text}
-                        onChange={(e) => handleAnswerChange(currentQ.question._id, e.target.value)}
-                        className="mt-1 h-4 w-4 text-indigo-600 focus:ring-indigo-500 border-gray-300"
-                      />
-                      <span className="text-gray-700">{option.text}</span>
-                    </label>
-                  ))}
-                </div>
-              )}
-
-              {currentQ.question.type === 'short-answer' && (
-                <textarea
-                  value={answers[currentQ.question._id] || ''}
-                  onChange={(e) => handleAnswerChange(currentQ.question._id, e.target.value)}
-                  className="w-full h-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                  placeholder="Enter your answer here..."
-                />
-              )}
-
-              {currentQ.question.type === 'code' && (
-                <div>
-                  <div className="mb-2">
-                    <span className="text-sm text-gray-600">
-                      Language: {currentQ.question.codeTemplate.language}
-                    </span>
-                  </div>
-                  <textarea
-                    value={answers[currentQ.question._id] || currentQ.question.codeTemplate.template}
-                    onChange={(e) => handleAnswerChange(currentQ.question._id, e.target.value)}
-                    className="w-full h-64 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 font-mono text-sm"
-                    placeholder="Write your code here..."
-                  />
-                </div>
-              )}
-
-              {currentQ.question.type === 'image-based' && currentQ.question.images.length > 0 && (
-                <div className="space-y-4">
-                  {currentQ.question.images.map((image, index) => (
-                    <div key={index} className="border rounded-lg p-4">
-                      <img
-                        src={image.url}
-                        alt={image.alt}
-                        className="max-w-full h-auto rounded"
-                      />
-                      {image.caption && (
-                        <p className="mt-2 text-sm text-gray-600">{image.caption}</p>
-                      )}
-                    </div>
-                  ))}
-                  <textarea
-                    value={answers[currentQ.question._id] || ''}
-                    onChange={(e) => handleAnswerChange(currentQ.question._id, e.target.value)}
-                    className="w-full h-32 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500"
-                    placeholder="Enter your answer here..."
-                  />
-                </div>
-              )}
+              <QuestionRenderer
+                question={currentQ.question}
+                value={answers[currentQ.question.id]}
+                onChange={(answer) => handleAnswerChange(currentQ.question.id, answer)}
+              />
             </div>
           </div>
         </div>
@@ -577,7 +704,7 @@ const TakeExam = () => {
                         className={`w-8 h-8 text-xs rounded ${
                           sectionIndex === currentSection && questionIndex === currentQuestion
                             ? 'bg-indigo-600 text-white'
-                            : answers[q.question._id]
+                            : isAnswered(answers[q.question.id])
                             ? 'bg-green-100 text-green-800'
                             : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
                         }`}
@@ -593,7 +720,7 @@ const TakeExam = () => {
             {/* Actions */}
             <div className="space-y-3">
               <button
-                onClick={() => handleSaveAnswer(currentQ.question._id)}
+                onClick={() => handleSaveAnswer(currentQ.question.id)}
                 className="w-full flex items-center justify-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
               >
                 <Save className="h-4 w-4 mr-2" />
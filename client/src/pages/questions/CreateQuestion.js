@@ -38,6 +38,10 @@ import {
   MatchingPairsComponent,
   FillBlankComponent
 } from '../../components/questions/QuestionTypeComponents';
+import TemplateVariables from '../../components/questions/TemplateVariables';
+
+// Import formats parsed on the server rather than in the browser
+const TEXT_IMPORT_FORMATS = ['csv', 'moodle', 'gift', 'aiken'];
 
 const CreateQuestion = () => {
   const navigate = useNavigate();
@@ -79,6 +83,7 @@ const CreateQuestion = () => {
       shuffleOptions: false,
       shuffleOrder: false,
       randomizeValues: false,
+      variables: [],
       seed: null
     },
     // Additional question type specific fields
@@ -106,6 +111,8 @@ const CreateQuestion = () => {
   const [importType, setImportType] = useState('csv');
   const [importFile, setImportFile] = useState(null);
   const [previewQuestions, setPreviewQuestions] = useState([]);
+  const [importContent, setImportContent] = useState('');
+  const [importIssues, setImportIssues] = useState({ errors: [], warnings: [] });
   const [activeTab, setActiveTab] = useState('basic');
 
   const createQuestionMutation = useMutation(
@@ -121,6 +128,23 @@ const CreateQuestion = () => {
     }
   );
 
+  // Moodle XML, GIFT and Aiken files are parsed by the server; a dry run previews them
+  const previewImportMutation = useMutation(
+    (content) => axios.post('/api/questions/import', { type: importType, content, dryRun: true }),
+    {
+      onSuccess: (response, content) => {
+        setImportContent(content);
+        setPreviewQuestions(response.data.questions);
+        setImportIssues({ errors: response.data.errors, warnings: response.data.warnings });
+        toast.success(`Parsed ${response.data.count} questions from file`);
+      },
+      onError: (error) => {
+        setPreviewQuestions([]);
+        toast.error(error.response?.data?.message || 'Failed to parse file. Please check the format.');
+      }
+    }
+  );
+
   const importQuestionsMutation = useMutation(
     (importData) => axios.post('/api/questions/import', importData),
     {
@@ -128,6 +152,7 @@ const CreateQuestion = () => {
         toast.success(`${response.data.count} questions imported successfully!`);
         setShowImportModal(false);
         setPreviewQuestions([]);
+        setImportContent('');
         navigate('/questions');
       },
       onError: (error) => {
@@ -136,27 +161,6 @@ const CreateQuestion = () => {
     }
   );
 
-  const parseCSV = (csvText) => {
-    const lines = csvText.split('\n');
-    const headers = lines[0].split(',').map(h => h.trim());
-    const questions = [];
-    
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i].trim()) {
-        const values = lines[i].split(',').map(v => v.trim());
-        const question = {};
-        
-        headers.forEach((header, index) => {
-          question[header] = values[index] || '';
-        });
-        
-        questions.push(question);
-      }
-    }
-    
-    return questions;
-  };
-
   const parseJSON = (jsonText) => {
     return JSON.parse(jsonText);
   };
@@ -164,13 +168,13 @@ const CreateQuestion = () => {
   const handleFileImport = (file) => {
     const reader = new FileReader();
     reader.onload = (e) => {
+      if (TEXT_IMPORT_FORMATS.includes(importType)) {
+        previewImportMutation.mutate(e.target.result);
+        return;
+      }
+
       try {
-        let questions = [];
-        if (importType === 'csv') {
-          questions = parseCSV(e.target.result);
-        } else if (importType === 'json') {
-          questions = parseJSON(e.target.result);
-        }
+        const questions = parseJSON(e.target.result);
         setPreviewQuestions(questions);
         toast.success(`Parsed ${questions.length} questions from file`);
       } catch (error) {
@@ -189,7 +193,9 @@ const CreateQuestion = () => {
     },
     accept: {
       'text/csv': ['.csv'],
-      'application/json': ['.json']
+      'application/json': ['.json'],
+      'text/xml': ['.xml'],
+      'text/plain': ['.txt', '.gift']
     }
   });
 
@@ -373,6 +379,7 @@ const CreateQuestion = () => {
   };
 
   const QuestionIcon = getQuestionIcon(formData.type);
+  const usesVariables = Boolean(formData.randomization.randomizeValues);
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -523,6 +530,15 @@ const CreateQuestion = () => {
                         className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
                         placeholder="Explanation (optional)"
                       />
+                      <label className="mt-1 inline-flex items-center text-xs text-gray-600">
+                        <input
+                          type="checkbox"
+                          checked={!!option.pinLast}
+                          onChange={(e) => handleOptionChange(index, 'pinLast', e.target.checked)}
+                          className="h-3 w-3 mr-1 text-indigo-600 focus:ring-indigo-500 border-gray-300 rounded"
+                        />
+                        Keep last when options are shuffled (e.g. "All of the above")
+                      </label>
                     </div>
                     <button
                       type="button"
@@ -596,25 +612,45 @@ const CreateQuestion = () => {
                   <label className="block text-sm font-medium text-gray-700">
                     Correct Value
                   </label>
-                  <input
-                    type="number"
-                    step="any"
-                    value={formData.numericalAnswer.value}
-                    onChange={(e) => handleChange('numericalAnswer.value', parseFloat(e.target.value) || 0)}
-                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                  />
+                  {usesVariables ? (
+                    <input
+                      type="text"
+                      value={formData.numericalAnswer.value}
+                      onChange={(e) => handleChange('numericalAnswer.value', e.target.value)}
+                      className="mt-1 block w-full font-mono border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                      placeholder="e.g., a * b"
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      step="any"
+                      value={formData.numericalAnswer.value}
+                      onChange={(e) => handleChange('numericalAnswer.value', parseFloat(e.target.value) || 0)}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    />
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700">
                     Tolerance
                   </label>
-                  <input
-                    type="number"
-                    step="any"
-                    value={formData.numericalAnswer.tolerance}
-                    onChange={(e) => handleChange('numericalAnswer.tolerance', parseFloat(e.target.value) || 0)}
-                    className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                  />
+                  {usesVariables ? (
+                    <input
+                      type="text"
+                      value={formData.numericalAnswer.tolerance}
+                      onChange={(e) => handleChange('numericalAnswer.tolerance', e.target.value)}
+                      className="mt-1 block w-full font-mono border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                      placeholder="e.g., 0.01 * a"
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      step="any"
+                      value={formData.numericalAnswer.tolerance}
+                      onChange={(e) => handleChange('numericalAnswer.tolerance', parseFloat(e.target.value) || 0)}
+                      className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                    />
+                  )}
                 </div>
                 <div>
                   <label className="block text-sm font-medium text-gray-700">
@@ -633,6 +669,35 @@ const CreateQuestion = () => {
           </div>
         )}
 
+        {/* Variables: different numbers for each student */}
+        <div className="bg-white shadow rounded-lg">
+          <div className="px-4 py-5 sm:p-6">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg leading-6 font-medium text-gray-900">
+                <Shuffle className="h-5 w-5 inline mr-2" />
+                Variables
+              </h3>
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={usesVariables}
+                  onChange={(e) => handleChange('randomization.randomizeValues', e.target.checked)}
+                  className="h-4 w-4 text-indigo-600 border-gray-300 rounded mr-2"
+                />
+                Give each student different values
+              </label>
+            </div>
+
+            {usesVariables && (
+              <TemplateVariables
+                question={formData}
+                variables={formData.randomization.variables || []}
+                onVariablesChange={(variables) => handleChange('randomization.variables', variables)}
+              />
+            )}
+          </div>
+        </div>
+
         {formData.type === 'matching' && (
           <div className="bg-white shadow rounded-lg">
             <div className="px-4 py-5 sm:p-6">
@@ -1059,11 +1124,18 @@ const CreateQuestion = () => {
                   </label>
                   <select
                     value={importType}
-                    onChange={(e) => setImportType(e.target.value)}
+                    onChange={(e) => {
+                      setImportType(e.target.value);
+                      setPreviewQuestions([]);
+                      setImportIssues({ errors: [], warnings: [] });
+                    }}
                     className="block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
                   >
                     <option value="csv">CSV</option>
                     <option value="json">JSON</option>
+                    <option value="moodle">Moodle XML</option>
+                    <option value="gift">GIFT</option>
+                    <option value="aiken">Aiken</option>
                   </select>
                 </div>
 
@@ -1079,13 +1151,30 @@ const CreateQuestion = () => {
                           Drag and drop a file here, or click to select
                         </p>
                         <p className="text-xs text-gray-500 mt-1">
-                          Supports CSV and JSON formats
+                          Supports CSV, JSON, Moodle XML, GIFT and Aiken formats
                         </p>
                       </div>
                     )}
                   </div>
                 </div>
 
+                {(importIssues.errors.length > 0 || importIssues.warnings.length > 0) && (
+                  <div className="max-h-40 overflow-y-auto border rounded-md p-3 space-y-1">
+                    {importIssues.errors.map(message => (
+                      <p key={message} className="flex items-start text-xs text-red-600">
+                        <XCircle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                        {message}
+                      </p>
+                    ))}
+                    {importIssues.warnings.map(message => (
+                      <p key={message} className="flex items-start text-xs text-yellow-700">
+                        <AlertTriangle className="h-3 w-3 mr-1 mt-0.5 flex-shrink-0" />
+                        {message}
+                      </p>
+                    ))}
+                  </div>
+                )}
+
                 {previewQuestions.length > 0 && (
                   <div>
                     <h4 className="text-sm font-medium text-gray-700 mb-2">
@@ -1117,7 +1206,9 @@ const CreateQuestion = () => {
                   </button>
                   <button
                     type="button"
-                    onClick={() => importQuestionsMutation.mutate({ questions: previewQuestions, type: importType })}
+                    onClick={() => importQuestionsMutation.mutate(TEXT_IMPORT_FORMATS.includes(importType)
+                      ? { type: importType, content: importContent }
+                      : { questions: previewQuestions, type: importType })}
                     disabled={previewQuestions.length === 0 || importQuestionsMutation.isLoading}
                     className="px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed"
                   >
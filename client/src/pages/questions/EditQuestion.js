@@ -4,10 +4,13 @@ import { useQuery } from 'react-query';
 import axios from 'axios';
 import { ArrowLeft } from 'lucide-react';
 import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import RevisionHistory from '../../components/questions/RevisionHistory';
 
 const EditQuestion = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user } = useAuth();
 
   const { data: question, isLoading, error } = useQuery(
     ['question', id],
@@ -40,6 +43,8 @@ const EditQuestion = () => {
     );
   }
 
+  const canRestore = user?.role === 'admin' || question.author?.id === user?.id;
+
   return (
     <div className="max-w-4xl mx-auto">
       <div className="mb-6">
@@ -53,6 +58,7 @@ const EditQuestion = () => {
         <h1 className="text-2xl font-bold text-gray-900">Edit Question</h1>
         <p className="mt-1 text-sm text-gray-500">
           Modify your question details
+          {question.revision > 0 && ` · Revision ${question.revision}`}
         </p>
       </div>
 
@@ -69,6 +75,10 @@ const EditQuestion = () => {
           </div>
         </div>
       </div>
+
+      <div className="mt-6">
+        <RevisionHistory questionId={id} canRestore={canRestore} />
+      </div>
     </div>
   );
 };
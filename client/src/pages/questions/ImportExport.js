@@ -0,0 +1,326 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import axios from 'axios';
+import toast from 'react-hot-toast';
+import { ArrowLeft, Download, Upload, CheckCircle, AlertTriangle, X } from 'lucide-react';
+import { QUESTION_TYPES } from '../../components/exams/QuestionPicker';
+
+const EXPORT_FORMATS = [
+  { value: 'json', label: 'JSON', params: { format: 'json' }, filename: 'questions.json' },
+  { value: 'csv', label: 'CSV', params: { format: 'csv' }, filename: 'questions.csv' },
+  { value: 'qti-2.1', label: 'QTI 2.1 package', params: { format: 'qti', version: '2.1' }, filename: 'questions-qti21.zip' },
+  { value: 'qti-3.0', label: 'QTI 3.0 package', params: { format: 'qti', version: '3.0' }, filename: 'questions-qti30.zip' },
+  { value: 'moodle', label: 'Moodle XML', params: { format: 'moodle' }, filename: 'questions-moodle.xml' },
+  { value: 'gift', label: 'GIFT', params: { format: 'gift' }, filename: 'questions-gift.txt' },
+  { value: 'aiken', label: 'Aiken', params: { format: 'aiken' }, filename: 'questions-aiken.txt' }
+];
+
+// Question types each interchange format can hold; other questions are left out
+const FORMAT_TYPES = {
+  'qti-2.1': ['mcq', 'true-false', 'fill-blank', 'matching', 'numerical', 'essay', 'hotspot', 'drag-drop'],
+  'qti-3.0': ['mcq', 'true-false', 'fill-blank', 'matching', 'numerical', 'essay', 'hotspot', 'drag-drop'],
+  moodle: ['mcq', 'true-false', 'short-answer', 'fill-blank', 'matching', 'numerical', 'essay', 'drag-drop'],
+  gift: ['mcq', 'true-false', 'short-answer', 'fill-blank', 'matching', 'numerical', 'essay'],
+  aiken: ['mcq', 'true-false']
+};
+
+const downloadBlob = (data, filename) => {
+  const url = window.URL.createObjectURL(new Blob([data]));
+  const link = document.createElement('a');
+  link.href = url;
+  link.setAttribute('download', filename);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
+};
+
+// Blob requests return their error bodies as blobs too
+const blobErrorMessage = async (error, fallback) => {
+  try {
+    const body = JSON.parse(await error.response.data.text());
+    return body.message || fallback;
+  } catch (parseError) {
+    return fallback;
+  }
+};
+
+const ImportExport = () => {
+  const queryClient = useQueryClient();
+  const [exportSettings, setExportSettings] = useState({ format: 'json', topic: '', difficulty: '', type: '' });
+  const [isExporting, setIsExporting] = useState(false);
+  const [packageFile, setPackageFile] = useState(null);
+  const [importDefaults, setImportDefaults] = useState({ topic: '', difficulty: 'medium' });
+  const [importResult, setImportResult] = useState(null);
+
+  const { data: topics } = useQuery('topics', () =>
+    axios.get('/api/questions/metadata/topics').then(res => res.data)
+  );
+
+  const updateExport = (field, value) => setExportSettings(prev => ({ ...prev, [field]: value }));
+
+  const handleExport = async () => {
+    const format = EXPORT_FORMATS.find(option => option.value === exportSettings.format);
+    const params = { ...format.params };
+    ['topic', 'difficulty', 'type'].forEach(field => {
+      if (exportSettings[field]) params[field] = exportSettings[field];
+    });
+
+    setIsExporting(true);
+    try {
+      const response = await axios.get('/api/questions/export', { params, responseType: 'blob' });
+      downloadBlob(response.data, format.filename);
+
+      const skipped = Number(response.headers['x-skipped-questions'] || 0);
+      const incomplete = Number(response.headers['x-incomplete-questions'] || 0);
+      if (skipped > 0) {
+        toast(`${skipped} question(s) can't be written in this format and were left out`, { icon: '⚠️' });
+      }
+      if (incomplete > 0) {
+        toast(`${incomplete} question(s) were exported without settings this format can't hold, such as accepted units`, { icon: '⚠️' });
+      }
+      if (skipped === 0 && incomplete === 0) {
+        toast.success('Questions exported');
+      }
+    } catch (error) {
+      toast.error(await blobErrorMessage(error, 'Failed to export questions'));
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const importMutation = useMutation(
+    (formData) => axios.post('/api/questions/import/qti', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+    {
+      onSuccess: (response) => {
+        setImportResult(response.data);
+        setPackageFile(null);
+        queryClient.invalidateQueries('questions');
+        toast.success(response.data.message);
+      },
+      onError: (error) => {
+        toast.error(error.response?.data?.message || 'Failed to import package');
+      }
+    }
+  );
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    if (!packageFile) return;
+
+    const formData = new FormData();
+    formData.append('package', packageFile);
+    if (importDefaults.topic) formData.append('topic', importDefaults.topic);
+    formData.append('difficulty', importDefaults.difficulty);
+    setImportResult(null);
+    importMutation.mutate(formData);
+  };
+
+  const formatTypes = FORMAT_TYPES[exportSettings.format];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <Link to="/questions" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeft className="h-4 w-4 mr-1" />
+          Back to Question Bank
+        </Link>
+        <h1 className="mt-2 text-2xl font-bold text-gray-900">Import & Export</h1>
+        <p className="mt-1 text-sm text-gray-500">
+          Move questions in and out of the bank as JSON, CSV, Moodle XML, GIFT, Aiken or IMS QTI content packages.
+          Moodle XML, GIFT and Aiken files are imported from the Import button on the Create Question page.
+        </p>
+      </div>
+
+      {/* Export */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="flex items-center text-lg font-medium text-gray-900 mb-4">
+          <Download className="h-5 w-5 mr-2 text-gray-400" />
+          Export
+        </h2>
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Format</label>
+            <select
+              value={exportSettings.format}
+              onChange={(e) => updateExport('format', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              {EXPORT_FORMATS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Topic</label>
+            <select
+              value={exportSettings.topic}
+              onChange={(e) => updateExport('topic', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">All topics</option>
+              {(topics || []).map(topic => (
+                <option key={topic} value={topic}>{topic}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Difficulty</label>
+            <select
+              value={exportSettings.difficulty}
+              onChange={(e) => updateExport('difficulty', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">All difficulties</option>
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Type</label>
+            <select
+              value={exportSettings.type}
+              onChange={(e) => updateExport('type', e.target.value)}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="">All types</option>
+              {(formatTypes || QUESTION_TYPES).map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        {formatTypes && (
+          <p className="mt-3 text-sm text-gray-500">
+            This format holds {formatTypes.join(', ')} questions. Other types are left out.
+            {exportSettings.format === 'gift' && ' GIFT fill-in-the-blank questions have a single blank.'}
+            {exportSettings.format === 'aiken' && ' Aiken multiple choice questions have a single correct option.'}
+          </p>
+        )}
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={handleExport}
+            disabled={isExporting}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Download className="h-4 w-4 mr-2" />
+            {isExporting ? 'Exporting...' : 'Export'}
+          </button>
+        </div>
+      </div>
+
+      {/* QTI import */}
+      <div className="bg-white shadow rounded-lg p-6">
+        <h2 className="flex items-center text-lg font-medium text-gray-900 mb-1">
+          <Upload className="h-5 w-5 mr-2 text-gray-400" />
+          Import QTI Package
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          Upload a QTI 2.1 or 3.0 content package (.zip). Items without a topic or difficulty in the package get the defaults below.
+        </p>
+        <form onSubmit={handleImport} className="grid grid-cols-1 gap-4 sm:grid-cols-4">
+          <div className="sm:col-span-2">
+            <label className="block text-sm font-medium text-gray-700">Package</label>
+            <input
+              type="file"
+              accept=".zip,application/zip"
+              onChange={(e) => setPackageFile(e.target.files[0] || null)}
+              className="mt-1 block w-full text-sm text-gray-700"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Default topic</label>
+            <input
+              type="text"
+              value={importDefaults.topic}
+              onChange={(e) => setImportDefaults(prev => ({ ...prev, topic: e.target.value }))}
+              placeholder="Imported"
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700">Default difficulty</label>
+            <select
+              value={importDefaults.difficulty}
+              onChange={(e) => setImportDefaults(prev => ({ ...prev, difficulty: e.target.value }))}
+              className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+            >
+              <option value="easy">Easy</option>
+              <option value="medium">Medium</option>
+              <option value="hard">Hard</option>
+            </select>
+          </div>
+          <div className="sm:col-span-4 flex justify-end">
+            <button
+              type="submit"
+              disabled={!packageFile || importMutation.isLoading}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              {importMutation.isLoading ? 'Importing...' : 'Import'}
+            </button>
+          </div>
+        </form>
+
+        {importResult && (
+          <div className="mt-6 border-t border-gray-200 pt-4">
+            <div className="flex items-center justify-between mb-3">
+              <h3 className="text-sm font-medium text-gray-900">{importResult.message}</h3>
+              <button
+                type="button"
+                onClick={() => setImportResult(null)}
+                className="text-gray-400 hover:text-gray-600"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            {importResult.notes.length > 0 && (
+              <ul className="mb-3 text-sm text-gray-600 list-disc list-inside">
+                {importResult.notes.map(note => <li key={note}>{note}</li>)}
+              </ul>
+            )}
+            <ul className="divide-y divide-gray-200">
+              {importResult.report.map(item => (
+                <li key={`${item.href}-${item.identifier}`} className="py-3">
+                  <div className="flex items-center">
+                    {item.imported ? (
+                      <CheckCircle className="h-4 w-4 mr-2 text-green-500" />
+                    ) : (
+                      <AlertTriangle className="h-4 w-4 mr-2 text-red-500" />
+                    )}
+                    <span className="text-sm font-medium text-gray-900">{item.title || item.identifier || item.href}</span>
+                    {item.type && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        {item.type}
+                      </span>
+                    )}
+                    {!item.imported && <span className="ml-2 text-xs text-red-600">Not imported</span>}
+                  </div>
+                  {item.issues.length > 0 && (
+                    <ul className="mt-1 ml-6 space-y-0.5">
+                      {item.issues.map((issue, index) => (
+                        <li
+                          key={index}
+                          className={`text-xs ${issue.level === 'error' ? 'text-red-600' : 'text-yellow-700'}`}
+                        >
+                          {issue.message}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ImportExport;
@@ -34,6 +34,24 @@ import {
   Target,
   Layers
 } from 'lucide-react';
+import QuestionItemAnalysis from '../../components/questions/ItemAnalysis';
+
+const FACET_GROUPS = [
+  { key: 'type', label: 'Type' },
+  { key: 'difficulty', label: 'Difficulty' },
+  { key: 'topic', label: 'Topic' },
+  { key: 'tags', label: 'Tags' }
+];
+
+// Query parameters for the questions API, leaving out filters that aren't set
+const questionParams = (filters) => {
+  const params = { page: filters.page, limit: filters.limit };
+  ['search', 'topic', 'difficulty', 'type'].forEach((key) => {
+    if (filters[key]) params[key] = filters[key];
+  });
+  if (filters.tags.length > 0) params.tags = filters.tags.join(',');
+  return params;
+};
 
 const QuestionBank = () => {
   const [filters, setFilters] = useState({
@@ -57,10 +75,11 @@ const QuestionBank = () => {
   const [availableTags, setAvailableTags] = useState([]);
   const [availableTopics, setAvailableTopics] = useState([]);
   const [stats, setStats] = useState(null);
+  const [analysisQuestionId, setAnalysisQuestionId] = useState(null);
 
   const { data, isLoading, error, refetch } = useQuery(
     ['questions', filters],
-    () => axios.get('/api/questions', { params: filters }).then(res => res.data),
+    () => axios.get('/api/questions', { params: questionParams(filters) }).then(res => res.data),
     { keepPreviousData: true }
   );
 
@@ -357,7 +376,7 @@ const QuestionBank = () => {
                     value={filters.search}
                     onChange={(e) => handleFilterChange('search', e.target.value)}
                     className="block w-full pl-10 pr-3 py-2 border border-gray-300 rounded-md leading-5 bg-white placeholder-gray-500 focus:outline-none focus:placeholder-gray-400 focus:ring-1 focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
-                    placeholder="Search questions..."
+                    placeholder='Words, "a phrase" or prefix*'
                   />
                 </div>
               </div>
@@ -373,11 +392,9 @@ const QuestionBank = () => {
                   className="mt-1 block w-full pl-3 pr-10 py-2 text-base border-gray-300 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm rounded-md"
                 >
                   <option value="">All Topics</option>
-                  <option value="javascript">JavaScript</option>
-                  <option value="react">React</option>
-                  <option value="nodejs">Node.js</option>
-                  <option value="database">Database</option>
-                  <option value="algorithms">Algorithms</option>
+                  {data?.facets?.topic?.map(({ value, count }) => (
+                    <option key={value} value={value}>{value} ({count})</option>
+                  ))}
                 </select>
               </div>
 
@@ -427,6 +444,39 @@ const QuestionBank = () => {
               </div>
             </div>
           </form>
+
+          {data?.facets && (
+            <div className="mt-4 pt-4 border-t border-gray-200 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              {FACET_GROUPS.map(({ key, label }) => (
+                <div key={key}>
+                  <h4 className="text-xs font-medium text-gray-500 uppercase tracking-wide">{label}</h4>
+                  <div className="mt-2 flex flex-wrap gap-2">
+                    {data.facets[key].length === 0 && (
+                      <span className="text-xs text-gray-400">No matches</span>
+                    )}
+                    {data.facets[key].map(({ value, count }) => {
+                      const active = key === 'tags' ? filters.tags.includes(value) : filters[key] === value;
+                      return (
+                        <button
+                          key={value}
+                          type="button"
+                          onClick={() => (key === 'tags'
+                            ? handleTagToggle(value)
+                            : handleFilterChange(key, active ? '' : value))}
+                          className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${
+                            active ? 'bg-indigo-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          {value}
+                          <span className="ml-1 opacity-75">{count}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
@@ -470,6 +520,13 @@ const QuestionBank = () => {
                     </div>
                   </div>
                   <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => setAnalysisQuestionId(analysisQuestionId === question.id ? null : question.id)}
+                      className={analysisQuestionId === question.id ? 'text-indigo-600' : 'text-gray-400 hover:text-gray-600'}
+                      title="Item analysis"
+                    >
+                      <BarChart3 className="h-4 w-4" />
+                    </button>
                     <Link
                       to={`/questions/${question._id}/edit`}
                       className="text-indigo-600 hover:text-indigo-900"
@@ -491,6 +548,11 @@ const QuestionBank = () => {
                     </button>
                   </div>
                 </div>
+                {analysisQuestionId === question.id && (
+                  <div className="px-4 pb-4 ml-10">
+                    <QuestionItemAnalysis questionId={question.id} />
+                  </div>
+                )}
               </li>
             );
           })}
@@ -0,0 +1,28 @@
+// Answer values submitted for each question type. These are the shapes the server
+// grader accepts (server/services/grading.js); the question fields each renderer
+// works from are described in server/services/studentQuestions.js.
+//
+//   mcq / multiple-choice  option id, or an array of option ids for multi-select
+//   true-false             true / false
+//   short-answer, essay    string
+//   image-based            string
+//   numerical              { value, unit }, value as typed
+//   fill-blank             array of strings in blank order
+//   matching               { [left]: right }
+//   drag-drop              array of item ids in the chosen order
+//   hotspot                array of { x, y } clicks in the question's canvas coordinates
+//   code                   source string
+
+export const BLANK_PATTERN = /_{3,}/g;
+
+// Whether a student has answered, matching the grader's idea of a blank answer
+export const isAnswered = (value) => {
+  if (value === null || value === undefined) return false;
+  if (typeof value === 'string') return value.trim() !== '';
+  if (Array.isArray(value)) return value.some(entry => isAnswered(entry));
+  if (typeof value === 'object') {
+    if ('value' in value) return String(value.value).trim() !== '';
+    return Object.values(value).some(entry => isAnswered(entry));
+  }
+  return true;
+};
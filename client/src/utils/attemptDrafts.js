@@ -0,0 +1,29 @@
+// Local copies of in-progress exam answers, so a crash or reload doesn't lose work
+// that hasn't reached the server yet (e.g. essay text typed since the last save).
+
+const draftKey = (attemptId) => `quizethic:attempt-draft:${attemptId}`;
+
+export const loadDraft = (attemptId) => {
+  try {
+    const stored = localStorage.getItem(draftKey(attemptId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const saveDraft = (attemptId, draft) => {
+  try {
+    localStorage.setItem(draftKey(attemptId), JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch (error) {
+    // Storage can be full or disabled (private browsing); the server copy still applies
+  }
+};
+
+export const clearDraft = (attemptId) => {
+  try {
+    localStorage.removeItem(draftKey(attemptId));
+  } catch (error) {
+    // Nothing to clean up
+  }
+};
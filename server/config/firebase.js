@@ -16,6 +16,9 @@ const initializeFirebase = () => {
         storageBucket: process.env.FIREBASE_STORAGE_BUCKET
       });
 
+      // Models carry optional fields that may be undefined
+      admin.firestore().settings({ ignoreUndefinedProperties: true });
+
       console.log('Firebase Admin SDK initialized successfully');
     }
   } catch (error) {
@@ -39,6 +42,9 @@ const getStorage = () => {
   return admin.storage();
 };
 
+const timestampToDate = (timestamp) =>
+  new Date(timestamp._seconds * 1000 + Math.floor((timestamp._nanoseconds || 0) / 1e6));
+
 // Helper function to convert Firestore timestamps
 const convertTimestamps = (data) => {
   if (!data) return data;
@@ -49,10 +55,14 @@ const convertTimestamps = (data) => {
     if (converted[key] && typeof converted[key] === 'object') {
       if (converted[key]._seconds !== undefined) {
         // Firestore timestamp
-        converted[key] = new Date(converted[key]._seconds * 1000);
+        converted[key] = timestampToDate(converted[key]);
       } else if (Array.isArray(converted[key])) {
-        // Array of objects
-        converted[key] = converted[key].map(item => convertTimestamps(item));
+        // Array items; only objects need converting, primitives are kept as-is
+        converted[key] = converted[key].map(item => {
+          if (!item || typeof item !== 'object') return item;
+          if (item._seconds !== undefined) return timestampToDate(item);
+          return convertTimestamps(item);
+        });
       } else if (typeof converted[key] === 'object') {
         // Nested object
         converted[key] = convertTimestamps(converted[key]);
@@ -4,7 +4,10 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
-const { initializeFirebase } = require('./config/firebase');
+const { initializeStorage, getBackendName } = require('./storage');
+const { attachIO } = require('./services/realtime');
+const { startAttemptSweeper } = require('./services/attemptSweeper');
+const tenancy = require('./services/tenancy');
 
 const authRoutes = require('./routes/auth');
 const questionRoutes = require('./routes/questions');
@@ -13,6 +16,8 @@ const attemptRoutes = require('./routes/attempts');
 const adminRoutes = require('./routes/admin');
 const antiCheatingRoutes = require('./routes/antiCheating');
 const questionGeneratorRoutes = require('./routes/questionGenerator');
+const courseRoutes = require('./routes/courses');
+const organizationRoutes = require('./routes/organizations');
 
 const app = express();
 const server = createServer(app);
@@ -22,6 +27,7 @@ const io = new Server(server, {
     methods: ["GET", "POST"]
   }
 });
+attachIO(io);
 
 // Security middleware
 app.use(helmet());
@@ -41,12 +47,15 @@ app.use(limiter);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Initialize Firebase
+// Each request only sees its organization's data (see services/tenancy.js)
+app.use('/api', tenancy.middleware);
+
+// Initialize storage (Firestore, or a local backend selected by STORAGE_BACKEND)
 try {
-  initializeFirebase();
-  console.log('Firebase initialized successfully');
+  initializeStorage();
+  console.log(`Storage initialized with the ${getBackendName()} backend`);
 } catch (error) {
-  console.error('Firebase initialization error:', error);
+  console.error('Storage initialization error:', error);
   process.exit(1);
 }
 
@@ -55,7 +64,7 @@ app.get('/health', (req, res) => {
   res.status(200).json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    database: 'firebase'
+    database: getBackendName()
   });
 });
 
@@ -66,6 +75,8 @@ app.use('/api/exams', examRoutes);
 app.use('/api/attempts', attemptRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/anti-cheating', antiCheatingRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/organizations', organizationRoutes);
 app.use('/api/questions/generate', questionGeneratorRoutes);
 
 // Socket.io for real-time monitoring
@@ -103,6 +114,9 @@ app.use('*', (req, res) => {
 const PORT = process.env.PORT || 5000;
 server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+
+  // Auto-submit attempts whose time limit has run out
+  startAttemptSweeper();
 });
 
 module.exports = { app, io };
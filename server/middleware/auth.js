@@ -1,23 +1,43 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { unscoped, setOrganization } = require('../services/tenancy');
+const { findOrganization } = require('../services/organizations');
+
+// Load the token's user and move the request into their organization. Super-admins
+// work in the organization named by the X-Organization header (their own without
+// one) and act as its admin there; req.isSuperAdmin tells them apart.
+async function identify(req, token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  const user = await unscoped(() => User.findById(decoded.userId));
+  if (!user || !user.isActive) return null;
+
+  const isSuperAdmin = user.role === 'superadmin';
+  const requested = isSuperAdmin && req.header('X-Organization');
+  const organization = await findOrganization(requested || user.organization);
+  if (!organization || (!organization.isActive && !isSuperAdmin)) return null;
+
+  req.userId = user.id;
+  req.userRole = isSuperAdmin ? 'admin' : user.role;
+  req.isSuperAdmin = isSuperAdmin;
+  req.organization = organization;
+  setOrganization(req, organization.id);
+  return user;
+}
 
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
-    
+
     if (!token) {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
-    const user = await User.findById(decoded.userId);
-    
-    if (!user || !user.isActive) {
+    const user = await identify(req, token);
+
+    if (!user) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.userId = user._id;
-    req.userRole = user.role;
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -25,6 +45,19 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, without rejecting anonymous requests
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      await identify(req, token);
+    }
+  } catch (error) {
+    // Invalid tokens are treated as anonymous
+  }
+  next();
+};
+
 const requireRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.userRole)) {
@@ -34,4 +67,11 @@ const requireRole = (roles) => {
   };
 };
 
-module.exports = { auth, requireRole };
+const requireSuperAdmin = (req, res, next) => {
+  if (!req.isSuperAdmin) {
+    return res.status(403).json({ message: 'Access denied. Insufficient permissions.' });
+  }
+  next();
+};
+
+module.exports = { auth, optionalAuth, requireRole, requireSuperAdmin };
@@ -1,22 +1,46 @@
-const { getFirestore, convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const { getDatabase } = require('../storage');
+const { convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const Exam = require('./Exam');
+const { getAttemptPolicy, officialResults, summarizeResults } = require('../services/attemptPolicy');
+const { DEFAULT_ORGANIZATION, organizationForNew, inCurrentOrganization } = require('../services/tenancy');
 
 class Attempt {
   constructor(data = {}) {
     this.id = data.id || null;
     this.exam = data.exam || null;
     this.student = data.student || null;
-    this.answers = data.answers || {};
+    this.answers = data.answers || [];
     this.score = data.score || 0;
     this.percentage = data.percentage || 0;
     this.grade = data.grade || null;
+    this.scoreBreakdown = data.scoreBreakdown || null;
     this.status = data.status || 'in-progress';
     this.startTime = data.startTime || new Date();
     this.endTime = data.endTime || null;
     this.duration = data.duration || 0;
+    this.deadline = data.deadline || null;
+    this.sectionTimings = data.sectionTimings || {};
+    this.layout = data.layout || null;
+    this.questionRevisions = data.questionRevisions || {};
+    this.questionValues = data.questionValues || {};
+    this.accommodation = data.accommodation || null;
+    this.timeExpired = data.timeExpired !== undefined ? data.timeExpired : false;
+    this.autoSubmitted = data.autoSubmitted !== undefined ? data.autoSubmitted : false;
     this.isFlagged = data.isFlagged !== undefined ? data.isFlagged : false;
     this.flagReason = data.flagReason || null;
-    this.antiCheating = data.antiCheating || {};
+    this.antiCheating = {
+      violations: [],
+      webcamSnapshots: [],
+      ...data.antiCheating,
+      behaviorData: {
+        mouseMovements: [],
+        keyboardActivity: [],
+        focusEvents: [],
+        ...(data.antiCheating && data.antiCheating.behaviorData)
+      }
+    };
     this.proctoringSession = data.proctoringSession || null;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -24,11 +48,12 @@ class Attempt {
   // Create a new attempt
   static async create(attemptData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const attemptRef = db.collection('attempts').doc();
       
       const attempt = new Attempt({
         ...attemptData,
+        organization: organizationForNew(attemptData.organization),
         id: attemptRef.id,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -47,7 +72,7 @@ class Attempt {
   // Find attempt by ID
   static async findById(id) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const attemptDoc = await db.collection('attempts').doc(id).get();
       
       if (!attemptDoc.exists) {
@@ -55,7 +80,8 @@ class Attempt {
       }
 
       const attemptData = convertTimestamps(attemptDoc.data());
-      return new Attempt({ id: attemptDoc.id, ...attemptData });
+      const attempt = new Attempt({ id: attemptDoc.id, ...attemptData });
+      return inCurrentOrganization(attempt) ? attempt : null;
     } catch (error) {
       console.error('Error finding attempt by ID:', error);
       throw error;
@@ -65,7 +91,7 @@ class Attempt {
   // Find attempts with filters
   static async find(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let attemptsQuery = db.collection('attempts');
 
       // Apply filters
@@ -100,7 +126,8 @@ class Attempt {
 
       attemptsSnapshot.forEach(doc => {
         const attemptData = convertTimestamps(doc.data());
-        attempts.push(new Attempt({ id: doc.id, ...attemptData }));
+        const attempt = new Attempt({ id: doc.id, ...attemptData });
+        if (inCurrentOrganization(attempt)) attempts.push(attempt);
       });
 
       return attempts;
@@ -113,7 +140,7 @@ class Attempt {
   // Find attempts by exam and student
   static async findByExamAndStudent(examId, studentId) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const attemptsSnapshot = await db.collection('attempts')
         .where('exam', '==', examId)
         .where('student', '==', studentId)
@@ -123,7 +150,8 @@ class Attempt {
       const attempts = [];
       attemptsSnapshot.forEach(doc => {
         const attemptData = convertTimestamps(doc.data());
-        attempts.push(new Attempt({ id: doc.id, ...attemptData }));
+        const attempt = new Attempt({ id: doc.id, ...attemptData });
+        if (inCurrentOrganization(attempt)) attempts.push(attempt);
       });
 
       return attempts;
@@ -136,7 +164,7 @@ class Attempt {
   // Find active attempts (in-progress)
   static async findActiveAttempts() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const attemptsSnapshot = await db.collection('attempts')
         .where('status', '==', 'in-progress')
         .get();
@@ -144,7 +172,8 @@ class Attempt {
       const attempts = [];
       attemptsSnapshot.forEach(doc => {
         const attemptData = convertTimestamps(doc.data());
-        attempts.push(new Attempt({ id: doc.id, ...attemptData }));
+        const attempt = new Attempt({ id: doc.id, ...attemptData });
+        if (inCurrentOrganization(attempt)) attempts.push(attempt);
       });
 
       return attempts;
@@ -157,7 +186,7 @@ class Attempt {
   // Count attempts
   static async count(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let attemptsQuery = db.collection('attempts');
 
       // Apply filters
@@ -172,7 +201,7 @@ class Attempt {
       }
 
       const attemptsSnapshot = await attemptsQuery.get();
-      return attemptsSnapshot.size;
+      return attemptsSnapshot.docs.filter(doc => inCurrentOrganization(doc.data())).length;
     } catch (error) {
       console.error('Error counting attempts:', error);
       throw error;
@@ -182,11 +211,12 @@ class Attempt {
   // Update attempt
   async update(updateData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const attemptRef = db.collection('attempts').doc(this.id);
 
       const updatedData = {
         ...updateData,
+        organization: this.organization,
         updatedAt: new Date()
       };
 
@@ -205,7 +235,7 @@ class Attempt {
   // Delete attempt
   async delete() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       await db.collection('attempts').doc(this.id).delete();
       return true;
     } catch (error) {
@@ -280,57 +310,27 @@ class Attempt {
     }
   }
 
-  // Get attempt statistics
+  // Get attempt statistics over each student's official result (see services/attemptPolicy.js)
   static async getStatistics(examId) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
+      const exam = await Exam.findById(examId);
       const attemptsSnapshot = await db.collection('attempts')
         .where('exam', '==', examId)
-        .where('status', '==', 'completed')
+        .where('status', 'in', ['completed', 'pending-review'])
         .get();
 
-      const stats = {
-        totalAttempts: attemptsSnapshot.size,
-        averageScore: 0,
-        averagePercentage: 0,
-        averageDuration: 0,
-        flaggedAttempts: 0,
-        gradeDistribution: {}
-      };
-
-      if (attemptsSnapshot.size === 0) {
-        return stats;
-      }
-
-      let totalScore = 0;
-      let totalPercentage = 0;
-      let totalDuration = 0;
-      let flaggedCount = 0;
-
+      const attempts = [];
       attemptsSnapshot.forEach(doc => {
         const attemptData = convertTimestamps(doc.data());
         const attempt = new Attempt({ id: doc.id, ...attemptData });
-
-        totalScore += attempt.score || 0;
-        totalPercentage += attempt.percentage || 0;
-        totalDuration += attempt.duration || 0;
-
-        if (attempt.isFlagged) {
-          flaggedCount++;
-        }
-
-        if (attempt.grade) {
-          stats.gradeDistribution[attempt.grade] = 
-            (stats.gradeDistribution[attempt.grade] || 0) + 1;
-        }
+        if (inCurrentOrganization(attempt)) attempts.push(attempt);
       });
 
-      stats.averageScore = totalScore / attemptsSnapshot.size;
-      stats.averagePercentage = totalPercentage / attemptsSnapshot.size;
-      stats.averageDuration = totalDuration / attemptsSnapshot.size;
-      stats.flaggedAttempts = flaggedCount;
-
-      return stats;
+      return {
+        policy: getAttemptPolicy(exam),
+        ...summarizeResults(officialResults(exam, attempts))
+      };
     } catch (error) {
       console.error('Error getting attempt statistics:', error);
       throw error;
@@ -0,0 +1,54 @@
+const { getDatabase } = require('../storage');
+const { prepareForFirestore } = require('../config/firebase');
+const { DEFAULT_ORGANIZATION, organizationForNew } = require('../services/tenancy');
+
+// A course an instructor teaches, such as "CS 101, Fall 2026". Students are enrolled
+// in its groups (models/Group.js); see services/enrollment.js.
+class Course {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.code = data.code || '';
+    this.term = data.term || '';
+    this.description = data.description || '';
+    this.instructor = data.instructor || null;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Create a new course
+  static async create(courseData) {
+    try {
+      const db = getDatabase();
+      const courseRef = db.collection('courses').doc();
+
+      const course = new Course({
+        ...courseData,
+        organization: organizationForNew(courseData.organization),
+        id: courseRef.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await courseRef.set(prepareForFirestore(course));
+      return course;
+    } catch (error) {
+      console.error('Error creating course:', error);
+      throw error;
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Convert to plain object
+  toObject() {
+    return { ...this };
+  }
+}
+
+module.exports = Course;
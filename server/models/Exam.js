@@ -1,4 +1,6 @@
-const { getFirestore, convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const { getDatabase } = require('../storage');
+const { convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const { DEFAULT_ORGANIZATION, organizationForNew, inCurrentOrganization } = require('../services/tenancy');
 
 class Exam {
   constructor(data = {}) {
@@ -11,6 +13,7 @@ class Exam {
     this.grading = data.grading || {};
     this.author = data.author || null;
     this.isPublished = data.isPublished !== undefined ? data.isPublished : false;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.startDate = data.startDate || null;
     this.endDate = data.endDate || null;
     this.totalPoints = data.totalPoints || 0;
@@ -19,6 +22,9 @@ class Exam {
     this.password = data.password || null;
     this.ipRestrictions = data.ipRestrictions || [];
     this.deviceRestrictions = data.deviceRestrictions || [];
+    this.accommodations = data.accommodations || [];
+    this.groups = data.groups || [];
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -26,11 +32,12 @@ class Exam {
   // Create a new exam
   static async create(examData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const examRef = db.collection('exams').doc();
       
       const exam = new Exam({
         ...examData,
+        organization: organizationForNew(examData.organization),
         id: examRef.id,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -49,7 +56,7 @@ class Exam {
   // Find exam by ID
   static async findById(id) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const examDoc = await db.collection('exams').doc(id).get();
       
       if (!examDoc.exists) {
@@ -57,7 +64,8 @@ class Exam {
       }
 
       const examData = convertTimestamps(examDoc.data());
-      return new Exam({ id: examDoc.id, ...examData });
+      const exam = new Exam({ id: examDoc.id, ...examData });
+      return inCurrentOrganization(exam) ? exam : null;
     } catch (error) {
       console.error('Error finding exam by ID:', error);
       throw error;
@@ -67,7 +75,7 @@ class Exam {
   // Find exams with filters
   static async find(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let examsQuery = db.collection('exams');
 
       // Apply filters
@@ -110,7 +118,8 @@ class Exam {
 
       examsSnapshot.forEach(doc => {
         const examData = convertTimestamps(doc.data());
-        exams.push(new Exam({ id: doc.id, ...examData }));
+        const exam = new Exam({ id: doc.id, ...examData });
+        if (inCurrentOrganization(exam)) exams.push(exam);
       });
 
       return exams;
@@ -123,7 +132,7 @@ class Exam {
   // Search exams by text
   static async search(searchTerm, filters = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let examsQuery = db.collection('exams');
 
       // Apply filters
@@ -147,7 +156,7 @@ class Exam {
           exam.description
         ].join(' ').toLowerCase();
 
-        if (searchableText.includes(searchTerm.toLowerCase())) {
+        if (inCurrentOrganization(exam) && searchableText.includes(searchTerm.toLowerCase())) {
           exams.push(exam);
         }
       });
@@ -162,7 +171,7 @@ class Exam {
   // Count exams
   static async count(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let examsQuery = db.collection('exams');
 
       // Apply filters
@@ -174,7 +183,7 @@ class Exam {
       }
 
       const examsSnapshot = await examsQuery.get();
-      return examsSnapshot.size;
+      return examsSnapshot.docs.filter(doc => inCurrentOrganization(doc.data())).length;
     } catch (error) {
       console.error('Error counting exams:', error);
       throw error;
@@ -184,11 +193,12 @@ class Exam {
   // Update exam
   async update(updateData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const examRef = db.collection('exams').doc(this.id);
 
       const updatedData = {
         ...updateData,
+        organization: this.organization,
         updatedAt: new Date()
       };
 
@@ -207,7 +217,7 @@ class Exam {
   // Delete exam
   async delete() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       await db.collection('exams').doc(this.id).delete();
       return true;
     } catch (error) {
@@ -235,7 +245,7 @@ class Exam {
   // Get active exams (currently running)
   static async getActiveExams() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const now = new Date();
       
       const examsSnapshot = await db.collection('exams')
@@ -247,7 +257,8 @@ class Exam {
       const exams = [];
       examsSnapshot.forEach(doc => {
         const examData = convertTimestamps(doc.data());
-        exams.push(new Exam({ id: doc.id, ...examData }));
+        const exam = new Exam({ id: doc.id, ...examData });
+        if (inCurrentOrganization(exam)) exams.push(exam);
       });
 
       return exams;
@@ -260,7 +271,7 @@ class Exam {
   // Get scheduled exams (not yet started)
   static async getScheduledExams() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const now = new Date();
       
       const examsSnapshot = await db.collection('exams')
@@ -271,7 +282,8 @@ class Exam {
       const exams = [];
       examsSnapshot.forEach(doc => {
         const examData = convertTimestamps(doc.data());
-        exams.push(new Exam({ id: doc.id, ...examData }));
+        const exam = new Exam({ id: doc.id, ...examData });
+        if (inCurrentOrganization(exam)) exams.push(exam);
       });
 
       return exams;
@@ -284,7 +296,7 @@ class Exam {
   // Get completed exams
   static async getCompletedExams() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const now = new Date();
       
       const examsSnapshot = await db.collection('exams')
@@ -295,7 +307,8 @@ class Exam {
       const exams = [];
       examsSnapshot.forEach(doc => {
         const examData = convertTimestamps(doc.data());
-        exams.push(new Exam({ id: doc.id, ...examData }));
+        const exam = new Exam({ id: doc.id, ...examData });
+        if (inCurrentOrganization(exam)) exams.push(exam);
       });
 
       return exams;
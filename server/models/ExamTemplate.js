@@ -0,0 +1,55 @@
+const { getDatabase } = require('../storage');
+const { prepareForFirestore } = require('../config/firebase');
+const { DEFAULT_ORGANIZATION, organizationForNew } = require('../services/tenancy');
+
+// A saved exam blueprint to create new exams from, such as "Midterm with full
+// proctoring". Shared templates are offered to every instructor; see
+// services/examReuse.js for what a blueprint holds.
+class ExamTemplate {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.description = data.description || '';
+    this.blueprint = data.blueprint || {};
+    this.sourceExam = data.sourceExam || null;
+    this.author = data.author || null;
+    this.isShared = data.isShared !== undefined ? data.isShared : false;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Create a new template
+  static async create(templateData) {
+    try {
+      const db = getDatabase();
+      const templateRef = db.collection('examTemplates').doc();
+
+      const template = new ExamTemplate({
+        ...templateData,
+        organization: organizationForNew(templateData.organization),
+        id: templateRef.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await templateRef.set(prepareForFirestore(template));
+      return template;
+    } catch (error) {
+      console.error('Error creating exam template:', error);
+      throw error;
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Convert to plain object
+  toObject() {
+    return { ...this };
+  }
+}
+
+module.exports = ExamTemplate;
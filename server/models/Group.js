@@ -0,0 +1,53 @@
+const { getDatabase } = require('../storage');
+const { prepareForFirestore } = require('../config/firebase');
+const { DEFAULT_ORGANIZATION, organizationForNew } = require('../services/tenancy');
+
+// A class of students within a course, such as a lecture section or lab group. Exams
+// are assigned to groups; students join with the group's join code or are enrolled
+// by their instructor. See services/enrollment.js.
+class Group {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.course = data.course || null;
+    this.name = data.name || '';
+    this.students = data.students || [];
+    this.joinCode = data.joinCode || null;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Create a new group
+  static async create(groupData) {
+    try {
+      const db = getDatabase();
+      const groupRef = db.collection('groups').doc();
+
+      const group = new Group({
+        ...groupData,
+        organization: organizationForNew(groupData.organization),
+        id: groupRef.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await groupRef.set(prepareForFirestore(group));
+      return group;
+    } catch (error) {
+      console.error('Error creating group:', error);
+      throw error;
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Convert to plain object
+  toObject() {
+    return { ...this };
+  }
+}
+
+module.exports = Group;
@@ -0,0 +1,55 @@
+const { getDatabase } = require('../storage');
+const { prepareForFirestore } = require('../config/firebase');
+
+// A tenant, such as one department, whose users and data are kept apart from every
+// other organization's (see services/tenancy.js). Settings hold its branding and the
+// anti-cheating policy new exams start with.
+class Organization {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.slug = data.slug || '';
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.settings = {
+      branding: {},
+      antiCheating: null,
+      ...data.settings
+    };
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  // Create a new organization; the default organization is created with its fixed ID
+  static async create(organizationData) {
+    try {
+      const db = getDatabase();
+      const collection = db.collection('organizations');
+      const organizationRef = organizationData.id ? collection.doc(organizationData.id) : collection.doc();
+
+      const organization = new Organization({
+        ...organizationData,
+        id: organizationRef.id,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+
+      await organizationRef.set(prepareForFirestore(organization));
+      return organization;
+    } catch (error) {
+      console.error('Error creating organization:', error);
+      throw error;
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Convert to plain object
+  toObject() {
+    return { ...this };
+  }
+}
+
+module.exports = Organization;
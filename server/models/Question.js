@@ -1,4 +1,7 @@
-const { getFirestore, convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const { getDatabase } = require('../storage');
+const { convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const questionSearch = require('../services/questionSearch');
+const { DEFAULT_ORGANIZATION, organizationForNew, inCurrentOrganization } = require('../services/tenancy');
 
 class Question {
   constructor(data = {}) {
@@ -16,7 +19,7 @@ class Question {
     this.references = data.references || [];
     this.adaptiveSettings = data.adaptiveSettings || {};
     this.randomization = data.randomization || {};
-    this.trueFalseAnswer = data.trueFalseAnswer || null;
+    this.trueFalseAnswer = data.trueFalseAnswer !== undefined ? data.trueFalseAnswer : null;
     this.fillBlankAnswers = data.fillBlankAnswers || [];
     this.matchingPairs = data.matchingPairs || [];
     this.numericalAnswer = data.numericalAnswer || null;
@@ -24,8 +27,11 @@ class Question {
     this.hotspotAreas = data.hotspotAreas || [];
     this.mathematicalExpression = data.mathematicalExpression || '';
     this.essayRubric = data.essayRubric || {};
+    this.revision = data.revision || 0;
     this.author = data.author || null;
     this.isPublished = data.isPublished !== undefined ? data.isPublished : false;
+    this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -33,11 +39,12 @@ class Question {
   // Create a new question
   static async create(questionData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const questionRef = db.collection('questions').doc();
       
       const question = new Question({
         ...questionData,
+        organization: organizationForNew(questionData.organization),
         id: questionRef.id,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -45,6 +52,7 @@ class Question {
 
       const questionDataToSave = prepareForFirestore(question);
       await questionRef.set(questionDataToSave);
+      questionSearch.sync(question.id, question);
       
       return question;
     } catch (error) {
@@ -56,7 +64,7 @@ class Question {
   // Find question by ID
   static async findById(id) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const questionDoc = await db.collection('questions').doc(id).get();
       
       if (!questionDoc.exists) {
@@ -64,7 +72,8 @@ class Question {
       }
 
       const questionData = convertTimestamps(questionDoc.data());
-      return new Question({ id: questionDoc.id, ...questionData });
+      const question = new Question({ id: questionDoc.id, ...questionData });
+      return inCurrentOrganization(question) ? question : null;
     } catch (error) {
       console.error('Error finding question by ID:', error);
       throw error;
@@ -74,7 +83,7 @@ class Question {
   // Find questions with filters
   static async find(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let questionsQuery = db.collection('questions');
 
       // Apply filters
@@ -112,7 +121,8 @@ class Question {
 
       questionsSnapshot.forEach(doc => {
         const questionData = convertTimestamps(doc.data());
-        questions.push(new Question({ id: doc.id, ...questionData }));
+        const question = new Question({ id: doc.id, ...questionData });
+        if (inCurrentOrganization(question)) questions.push(question);
       });
 
       return questions;
@@ -122,44 +132,12 @@ class Question {
     }
   }
 
-  // Search questions by text
+  // Search questions by text through the search index, best matches first.
+  // Filters are type, difficulty, topic, tags and author.
   static async search(searchTerm, filters = {}) {
     try {
-      const db = getFirestore();
-      let questionsQuery = db.collection('questions');
-
-      // Apply filters
-      if (filters.type) {
-        questionsQuery = questionsQuery.where('type', '==', filters.type);
-      }
-      if (filters.author) {
-        questionsQuery = questionsQuery.where('author', '==', filters.author);
-      }
-      if (filters.isPublished !== undefined) {
-        questionsQuery = questionsQuery.where('isPublished', '==', filters.isPublished);
-      }
-
-      const questionsSnapshot = await questionsQuery.get();
-      const questions = [];
-
-      questionsSnapshot.forEach(doc => {
-        const questionData = convertTimestamps(doc.data());
-        const question = new Question({ id: doc.id, ...questionData });
-        
-        // Simple text search (Firestore doesn't support full-text search natively)
-        const searchableText = [
-          question.title,
-          question.content,
-          question.metadata.topic,
-          ...question.metadata.tags || []
-        ].join(' ').toLowerCase();
-
-        if (searchableText.includes(searchTerm.toLowerCase())) {
-          questions.push(question);
-        }
-      });
-
-      return questions;
+      const { ids } = await questionSearch.search({ ...filters, text: searchTerm });
+      return Question.findByIds(ids);
     } catch (error) {
       console.error('Error searching questions:', error);
       throw error;
@@ -169,7 +147,7 @@ class Question {
   // Count questions
   static async count(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let questionsQuery = db.collection('questions');
 
       // Apply filters
@@ -184,7 +162,7 @@ class Question {
       }
 
       const questionsSnapshot = await questionsQuery.get();
-      return questionsSnapshot.size;
+      return questionsSnapshot.docs.filter(doc => inCurrentOrganization(doc.data())).length;
     } catch (error) {
       console.error('Error counting questions:', error);
       throw error;
@@ -194,11 +172,12 @@ class Question {
   // Update question
   async update(updateData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const questionRef = db.collection('questions').doc(this.id);
 
       const updatedData = {
         ...updateData,
+        organization: this.organization,
         updatedAt: new Date()
       };
 
@@ -207,6 +186,7 @@ class Question {
 
       // Update local instance
       Object.assign(this, updatedData);
+      questionSearch.sync(this.id, this);
       return this;
     } catch (error) {
       console.error('Error updating question:', error);
@@ -217,8 +197,9 @@ class Question {
   // Delete question
   async delete() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       await db.collection('questions').doc(this.id).delete();
+      questionSearch.sync(this.id, null);
       return true;
     } catch (error) {
       console.error('Error deleting question:', error);
@@ -242,31 +223,21 @@ class Question {
     }
   }
 
-  // Get questions by IDs
+  // Get questions by IDs, preserving the requested order
   static async findByIds(ids) {
     try {
-      const db = getFirestore();
-      const questions = [];
-
-      // Firestore 'in' queries are limited to 10 items, so we need to batch them
-      const batches = [];
-      for (let i = 0; i < ids.length; i += 10) {
-        const batch = ids.slice(i, i + 10);
-        batches.push(batch);
+      if (!ids || ids.length === 0) {
+        return [];
       }
 
-      for (const batch of batches) {
-        const questionsSnapshot = await db.collection('questions')
-          .where(admin.firestore.FieldPath.documentId(), 'in', batch)
-          .get();
-
-        questionsSnapshot.forEach(doc => {
-          const questionData = convertTimestamps(doc.data());
-          questions.push(new Question({ id: doc.id, ...questionData }));
-        });
-      }
+      const db = getDatabase();
+      const refs = ids.map(id => db.collection('questions').doc(id));
+      const questionDocs = await db.getAll(...refs);
 
-      return questions;
+      return questionDocs
+        .filter(doc => doc.exists)
+        .map(doc => new Question({ id: doc.id, ...convertTimestamps(doc.data()) }))
+        .filter(inCurrentOrganization);
     } catch (error) {
       console.error('Error finding questions by IDs:', error);
       throw error;
@@ -284,4 +255,19 @@ class Question {
   }
 }
 
+// Question types supported by the model and the grading engine
+Question.TYPES = [
+  'mcq',
+  'short-answer',
+  'code',
+  'image-based',
+  'true-false',
+  'numerical',
+  'matching',
+  'drag-drop',
+  'hotspot',
+  'fill-blank',
+  'essay'
+];
+
 module.exports = Question;
\ No newline at end of file
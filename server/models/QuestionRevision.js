@@ -0,0 +1,52 @@
+const { getDatabase } = require('../storage');
+const { prepareForFirestore } = require('../config/firebase');
+const { DEFAULT_ORGANIZATION, organizationForNew } = require('../services/tenancy');
+
+// An immutable snapshot of a question's content. Revisions are only ever created,
+// never updated; see services/questionRevisions.js.
+class QuestionRevision {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.question = data.question || null;
+    this.revision = data.revision || 1;
+    this.snapshot = data.snapshot || {};
+    this.editedBy = data.editedBy || null;
+    this.note = data.note || '';
+    this.restoredFrom = data.restoredFrom || null;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  // Create a new revision
+  static async create(revisionData) {
+    try {
+      const db = getDatabase();
+      const revisionRef = db.collection('questionRevisions').doc();
+
+      const revision = new QuestionRevision({
+        ...revisionData,
+        organization: organizationForNew(revisionData.organization),
+        id: revisionRef.id,
+        createdAt: new Date()
+      });
+
+      await revisionRef.set(prepareForFirestore(revision));
+      return revision;
+    } catch (error) {
+      console.error('Error creating question revision:', error);
+      throw error;
+    }
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return { ...this };
+  }
+
+  // Convert to plain object
+  toObject() {
+    return { ...this };
+  }
+}
+
+module.exports = QuestionRevision;
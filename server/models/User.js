@@ -1,5 +1,7 @@
-const { getFirestore, convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const { getDatabase } = require('../storage');
+const { convertTimestamps, prepareForFirestore } = require('../config/firebase');
 const bcrypt = require('bcryptjs');
+const { DEFAULT_ORGANIZATION, organizationForNew, inCurrentOrganization } = require('../services/tenancy');
 
 class User {
   constructor(data = {}) {
@@ -10,6 +12,7 @@ class User {
     this.password = data.password || '';
     this.role = data.role || 'student';
     this.isActive = data.isActive !== undefined ? data.isActive : true;
+    this.organization = data.organization || (data.id ? DEFAULT_ORGANIZATION : null);
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.lastLogin = data.lastLogin || null;
@@ -19,7 +22,7 @@ class User {
   // Create a new user
   static async create(userData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const userRef = db.collection('users').doc();
       
       // Hash password if provided
@@ -29,6 +32,7 @@ class User {
       
       const user = new User({
         ...userData,
+        organization: organizationForNew(userData.organization),
         id: userRef.id,
         createdAt: new Date(),
         updatedAt: new Date()
@@ -47,7 +51,7 @@ class User {
   // Find user by ID
   static async findById(id) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const userDoc = await db.collection('users').doc(id).get();
       
       if (!userDoc.exists) {
@@ -55,7 +59,8 @@ class User {
       }
 
       const userData = convertTimestamps(userDoc.data());
-      return new User({ id: userDoc.id, ...userData });
+      const user = new User({ id: userDoc.id, ...userData });
+      return inCurrentOrganization(user) ? user : null;
     } catch (error) {
       console.error('Error finding user by ID:', error);
       throw error;
@@ -65,7 +70,7 @@ class User {
   // Find user by email
   static async findByEmail(email) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const usersSnapshot = await db.collection('users')
         .where('email', '==', email)
         .limit(1)
@@ -77,7 +82,8 @@ class User {
 
       const userDoc = usersSnapshot.docs[0];
       const userData = convertTimestamps(userDoc.data());
-      return new User({ id: userDoc.id, ...userData });
+      const user = new User({ id: userDoc.id, ...userData });
+      return inCurrentOrganization(user) ? user : null;
     } catch (error) {
       console.error('Error finding user by email:', error);
       throw error;
@@ -87,7 +93,7 @@ class User {
   // Find all users with optional filters
   static async find(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let usersQuery = db.collection('users');
 
       // Apply filters
@@ -116,7 +122,8 @@ class User {
 
       usersSnapshot.forEach(doc => {
         const userData = convertTimestamps(doc.data());
-        users.push(new User({ id: doc.id, ...userData }));
+        const user = new User({ id: doc.id, ...userData });
+        if (inCurrentOrganization(user)) users.push(user);
       });
 
       return users;
@@ -129,7 +136,7 @@ class User {
   // Count users
   static async count(query = {}) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       let usersQuery = db.collection('users');
 
       // Apply filters
@@ -141,7 +148,7 @@ class User {
       }
 
       const usersSnapshot = await usersQuery.get();
-      return usersSnapshot.size;
+      return usersSnapshot.docs.filter(doc => inCurrentOrganization(doc.data())).length;
     } catch (error) {
       console.error('Error counting users:', error);
       throw error;
@@ -151,11 +158,12 @@ class User {
   // Update user
   async update(updateData) {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       const userRef = db.collection('users').doc(this.id);
 
       const updatedData = {
         ...updateData,
+        organization: this.organization,
         updatedAt: new Date()
       };
 
@@ -174,7 +182,7 @@ class User {
   // Delete user
   async delete() {
     try {
-      const db = getFirestore();
+      const db = getDatabase();
       await db.collection('users').doc(this.id).delete();
       return true;
     } catch (error) {
@@ -199,6 +207,18 @@ class User {
     }
   }
 
+  // Check a plain-text password against the stored hash
+  async comparePassword(candidatePassword) {
+    if (!this.password) return false;
+    return bcrypt.compare(candidatePassword, this.password);
+  }
+
+  // Hash and store a new password
+  async setPassword(newPassword) {
+    const password = await bcrypt.hash(newPassword, 12);
+    return this.update({ password });
+  }
+
   // Convert to JSON
   toJSON() {
     const { password, ...userWithoutPassword } = this;
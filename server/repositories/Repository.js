@@ -0,0 +1,370 @@
+const { getDatabase } = require('../storage');
+const { convertTimestamps, prepareForFirestore } = require('../config/firebase');
+const {
+  normalizePath,
+  cloneDocument,
+  getPath,
+  matchesFilter,
+  extractEqualityFilters,
+  applyProjection,
+  sortDocuments,
+  applyUpdate
+} = require('./filters');
+const { runPipeline } = require('./aggregate');
+const { inCurrentOrganization } = require('../services/tenancy');
+
+// Firestore rejects getAll calls with too many document references
+const GET_ALL_BATCH_SIZE = 100;
+
+// Chainable, thenable query so routes can write repo.find(filter).sort(...).limit(...)
+class Query {
+  constructor(repository, filter = {}, options = {}) {
+    this.repository = repository;
+    this.filter = filter;
+    this.single = options.single || false;
+    this.id = options.id || null;
+    this.sortSpec = null;
+    this.skipCount = 0;
+    this.limitCount = null;
+    this.projection = null;
+    this.populates = [];
+    this.plain = false;
+  }
+
+  sort(spec) {
+    this.sortSpec = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.skipCount = Math.max(0, parseInt(count, 10) || 0);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = parseInt(count, 10) || null;
+    return this;
+  }
+
+  select(spec) {
+    this.projection = spec;
+    return this;
+  }
+
+  // populate('author', 'firstName lastName') or populate({ path, select })
+  populate(path, select) {
+    if (Array.isArray(path)) {
+      path.forEach(entry => this.populate(entry));
+    } else if (typeof path === 'object') {
+      this.populates.push({ path: path.path, select: path.select });
+    } else {
+      path.split(/\s+/).filter(Boolean).forEach(entry => this.populates.push({ path: entry, select }));
+    }
+    return this;
+  }
+
+  // Return plain objects instead of model instances
+  lean() {
+    this.plain = true;
+    return this;
+  }
+
+  async exec() {
+    let docs;
+
+    if (this.id !== null) {
+      const doc = await this.repository.loadById(this.id);
+      docs = doc && matchesFilter(doc, this.filter) ? [doc] : [];
+    } else {
+      docs = await this.repository.loadMatching(this.filter);
+    }
+
+    docs = sortDocuments(docs, this.sortSpec);
+    if (this.skipCount) docs = docs.slice(this.skipCount);
+    if (this.single) docs = docs.slice(0, 1);
+    else if (this.limitCount) docs = docs.slice(0, this.limitCount);
+
+    for (const { path, select } of this.populates) {
+      await this.repository.populate(docs, path, select);
+    }
+
+    if (this.projection) {
+      docs = docs.map(doc => applyProjection(this.plain ? doc.toObject() : doc, this.projection));
+    } else if (this.plain) {
+      docs = docs.map(doc => doc.toObject());
+    }
+
+    return this.single ? docs[0] || null : docs;
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+// Data access for one Firestore collection. Wraps the model class with MongoDB-style
+// querying (filters, sorting, population, aggregation and atomic updates) so routes
+// never talk to Firestore directly. onChange(id, doc) is called after the repository
+// updates a document, and with a null doc after it deletes one; creates go through
+// Model.create.
+//
+// Tenant repositories only see documents of the current organization
+// (services/tenancy.js): every load filters on it, so documents of other organizations
+// behave as if they didn't exist, including for updates and deletes by ID. The
+// organization isn't pushed down to Firestore because documents from before
+// organizations existed don't have the field.
+class Repository {
+  constructor({ collection, model, refs = {}, indexedFields = [], registry, onChange = null, tenant = false }) {
+    this.collection = collection;
+    this.Model = model;
+    this.refs = refs;
+    this.indexedFields = indexedFields;
+    this.registry = registry;
+    this.onChange = onChange;
+    this.tenant = tenant;
+  }
+
+  visible(doc) {
+    return !this.tenant || inCurrentOrganization(doc);
+  }
+
+  changed(id, doc) {
+    if (this.onChange) this.onChange(id, doc);
+  }
+
+  get db() {
+    return getDatabase();
+  }
+
+  collectionRef() {
+    return this.db.collection(this.collection);
+  }
+
+  hydrate(doc) {
+    return new this.Model({ id: doc.id, ...convertTimestamps(doc.data()) });
+  }
+
+  async loadById(id) {
+    if (!id || typeof id !== 'string') return null;
+    const doc = await this.collectionRef().doc(id).get();
+    if (!doc.exists) return null;
+    const model = this.hydrate(doc);
+    return this.visible(model) ? model : null;
+  }
+
+  async loadByIds(ids) {
+    const uniqueIds = [...new Set(ids.filter(id => id && typeof id === 'string'))];
+    const docs = [];
+
+    for (let i = 0; i < uniqueIds.length; i += GET_ALL_BATCH_SIZE) {
+      const refs = uniqueIds.slice(i, i + GET_ALL_BATCH_SIZE).map(id => this.collectionRef().doc(id));
+      const snapshots = await this.db.getAll(...refs);
+      snapshots.forEach(doc => {
+        if (!doc.exists) return;
+        const model = this.hydrate(doc);
+        if (this.visible(model)) docs.push(model);
+      });
+    }
+
+    return docs;
+  }
+
+  // Push indexable equality conditions down to Firestore and evaluate the rest in memory.
+  // Matching runs on model instances so constructor defaults (e.g. isActive) apply.
+  async loadMatching(filter = {}) {
+    const idCondition = filter.id !== undefined ? filter.id : filter._id;
+    if (typeof idCondition === 'string') {
+      const doc = await this.loadById(idCondition);
+      return doc && matchesFilter(doc, filter) ? [doc] : [];
+    }
+    if (idCondition && Array.isArray(idCondition.$in) && Object.keys(idCondition).length === 1) {
+      const docs = await this.loadByIds(idCondition.$in.map(String));
+      return docs.filter(doc => matchesFilter(doc, filter));
+    }
+
+    let query = this.collectionRef();
+    extractEqualityFilters(filter, this.indexedFields).forEach(({ field, value }) => {
+      query = query.where(field, '==', value);
+    });
+
+    const snapshot = await query.get();
+    const docs = [];
+    snapshot.forEach(doc => {
+      const model = this.hydrate(doc);
+      if (this.visible(model) && matchesFilter(model, filter)) docs.push(model);
+    });
+    return docs;
+  }
+
+  find(filter = {}) {
+    return new Query(this, filter);
+  }
+
+  findOne(filter = {}) {
+    return new Query(this, filter, { single: true });
+  }
+
+  findById(id) {
+    return new Query(this, {}, { single: true, id: id ? String(id) : '' });
+  }
+
+  async findByIds(ids = []) {
+    const docs = await this.loadByIds(ids.map(String));
+    const byId = new Map(docs.map(doc => [doc.id, doc]));
+    return ids.map(id => byId.get(String(id))).filter(Boolean);
+  }
+
+  async exists(filter = {}) {
+    return (await this.findOne(filter)) !== null;
+  }
+
+  async countDocuments(filter = {}) {
+    return (await this.loadMatching(filter)).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const docs = await this.loadMatching(filter);
+    const values = new Map();
+    docs.forEach(doc => {
+      const value = getPath(doc, field);
+      (Array.isArray(value) ? value : [value]).forEach(item => {
+        if (item !== undefined && item !== null) values.set(JSON.stringify(item), item);
+      });
+    });
+    return [...values.values()];
+  }
+
+  // Replace reference IDs at `path` with the referenced documents
+  async populate(docs, path, select) {
+    const normalized = normalizePath(path);
+    const target = this.registry[this.refs[normalized]];
+    if (!target) {
+      throw new Error(`${this.collection}.${normalized} is not a populatable reference`);
+    }
+
+    const parts = normalized.split('.');
+    const slots = [];
+    const collect = (node, depth) => {
+      if (node === null || node === undefined) return;
+      if (Array.isArray(node)) {
+        node.forEach(item => collect(item, depth));
+        return;
+      }
+      const key = parts[depth];
+      if (depth === parts.length - 1) {
+        slots.push({ owner: node, key });
+      } else {
+        collect(node[key], depth + 1);
+      }
+    };
+    docs.forEach(doc => collect(doc, 0));
+
+    const idOf = value => (value && typeof value === 'object' ? value.id : value);
+    const related = await target.loadByIds(slots.flatMap(({ owner, key }) =>
+      (Array.isArray(owner[key]) ? owner[key].map(idOf) : [idOf(owner[key])])));
+    const byId = new Map(related.map(doc => [doc.id, select ? applyProjection(doc, select) : doc]));
+
+    slots.forEach(({ owner, key }) => {
+      owner[key] = Array.isArray(owner[key])
+        ? owner[key].map(value => byId.get(idOf(value))).filter(Boolean)
+        : byId.get(idOf(owner[key])) || null;
+    });
+
+    return docs;
+  }
+
+  // Run an aggregation pipeline; $lookup stages read from the other repositories
+  async aggregate(pipeline = []) {
+    const [first, ...rest] = pipeline;
+    const initialMatch = first && first.$match ? first.$match : {};
+    const docs = await this.loadMatching(initialMatch);
+
+    return runPipeline(
+      docs.map(doc => doc.toObject()),
+      first && first.$match ? rest : pipeline,
+      {
+        lookup: async collection => {
+          const repository = this.registry[collection];
+          if (!repository) throw new Error(`Unknown collection ${collection} in $lookup`);
+          return (await repository.loadMatching({})).map(doc => doc.toObject());
+        }
+      }
+    );
+  }
+
+  async create(data) {
+    return this.Model.create(data);
+  }
+
+  // Apply update operators inside a transaction so concurrent writers don't clobber
+  // each other. Returns the updated document (or the original with { new: false }).
+  async updateById(id, update, options = {}) {
+    if (!id || typeof id !== 'string') return null;
+    const ref = this.collectionRef().doc(id);
+
+    const result = await this.db.runTransaction(async transaction => {
+      const snapshot = await transaction.get(ref);
+      if (!snapshot.exists) return null;
+
+      const original = this.hydrate(snapshot);
+      if (!this.visible(original)) return null;
+      if (options.filter && !matchesFilter(original, options.filter)) return null;
+
+      const data = applyUpdate(cloneDocument(original.toObject()), update);
+      delete data.id;
+      data.updatedAt = new Date();
+
+      transaction.set(ref, prepareForFirestore(data));
+      return { original, updated: new this.Model({ id, ...data }) };
+    });
+    if (!result) return null;
+
+    this.changed(id, result.updated);
+    return options.new === false ? result.original : result.updated;
+  }
+
+  findByIdAndUpdate(id, update, options = {}) {
+    return this.updateById(id ? String(id) : '', update, options);
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const doc = await this.findOne(filter);
+    if (!doc) return null;
+    return this.updateById(doc.id, update, { ...options, filter });
+  }
+
+  async updateMany(filter, update) {
+    const docs = await this.loadMatching(filter);
+    let modifiedCount = 0;
+
+    for (const doc of docs) {
+      if (await this.updateById(doc.id, update, { filter })) modifiedCount++;
+    }
+
+    return { matchedCount: docs.length, modifiedCount };
+  }
+
+  async deleteById(id) {
+    if (!id || typeof id !== 'string') return false;
+    if (this.tenant && !(await this.loadById(id))) return false;
+    await this.collectionRef().doc(id).delete();
+    this.changed(id, null);
+    return true;
+  }
+
+  async deleteMany(filter) {
+    const docs = await this.loadMatching(filter);
+    for (const doc of docs) {
+      await this.collectionRef().doc(doc.id).delete();
+      this.changed(doc.id, null);
+    }
+    return { deletedCount: docs.length };
+  }
+}
+
+module.exports = Repository;
+module.exports.Query = Query;
@@ -0,0 +1,360 @@
+// In-memory evaluator for the subset of the MongoDB aggregation pipeline the
+// reporting routes use. Documents are plain objects; $lookup reads the foreign
+// collection through the `lookup` callback supplied by the repository.
+const {
+  normalizePath,
+  isPlainObject,
+  cloneDocument,
+  readField,
+  getPath,
+  setPath,
+  valuesEqual,
+  compareValues,
+  matchesFilter,
+  sortDocuments
+} = require('./filters');
+
+// '$a.b' resolves through arrays, collecting values the way MongoDB field paths do
+function resolveFieldPath(doc, path) {
+  return path.split('.').reduce((value, part) => {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(part)) {
+      return value.map(item => (item === null || item === undefined ? undefined : readField(item, part)))
+        .filter(item => item !== undefined);
+    }
+    return readField(value, part);
+  }, doc);
+}
+
+const toNumbers = values => values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+function evaluate(expression, doc, vars = {}) {
+  if (typeof expression === 'string' && expression.startsWith('$$')) {
+    const [name, ...rest] = expression.slice(2).split('.');
+    const value = name === 'ROOT' || name === 'CURRENT' ? doc : vars[name];
+    return rest.length > 0 ? resolveFieldPath(value, rest.join('.')) : value;
+  }
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return resolveFieldPath(doc, expression.slice(1));
+  }
+  if (Array.isArray(expression)) {
+    return expression.map(item => evaluate(item, doc, vars));
+  }
+  if (isPlainObject(expression)) {
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      return evaluateOperator(keys[0], expression[keys[0]], doc, vars);
+    }
+    return keys.reduce((result, key) => {
+      result[key] = evaluate(expression[key], doc, vars);
+      return result;
+    }, {});
+  }
+  return expression;
+}
+
+// Accumulator-style operators accept either an array expression or a list of arguments
+function operandValues(operand, doc, vars) {
+  if (Array.isArray(operand)) {
+    return operand.map(item => evaluate(item, doc, vars)).flatMap(value => (Array.isArray(value) ? value : [value]));
+  }
+  const value = evaluate(operand, doc, vars);
+  return Array.isArray(value) ? value : [value];
+}
+
+function evaluateOperator(operator, operand, doc, vars) {
+  const args = () => (Array.isArray(operand) ? operand : [operand]).map(item => evaluate(item, doc, vars));
+
+  switch (operator) {
+    case '$literal':
+      return operand;
+    case '$sum':
+      return toNumbers(operandValues(operand, doc, vars)).reduce((sum, value) => sum + value, 0);
+    case '$avg': {
+      const values = toNumbers(operandValues(operand, doc, vars));
+      return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+    case '$min': {
+      const values = operandValues(operand, doc, vars).filter(value => value !== null && value !== undefined);
+      return values.length ? values.reduce((min, value) => (compareValues(value, min) < 0 ? value : min)) : null;
+    }
+    case '$max': {
+      const values = operandValues(operand, doc, vars).filter(value => value !== null && value !== undefined);
+      return values.length ? values.reduce((max, value) => (compareValues(value, max) > 0 ? value : max)) : null;
+    }
+    case '$add':
+      return args().reduce((sum, value) => (value instanceof Date ? new Date(value.getTime() + sum) : sum + (Number(value) || 0)), 0);
+    case '$subtract': {
+      const [left, right] = args();
+      if (left instanceof Date && right instanceof Date) return left.getTime() - right.getTime();
+      if (left instanceof Date) return new Date(left.getTime() - right);
+      return (Number(left) || 0) - (Number(right) || 0);
+    }
+    case '$multiply':
+      return args().reduce((product, value) => product * (Number(value) || 0), 1);
+    case '$divide': {
+      const [left, right] = args();
+      return right ? left / right : null;
+    }
+    case '$round': {
+      const [value, places = 0] = args();
+      if (value === null || value === undefined) return null;
+      const factor = Math.pow(10, places);
+      return Math.round(value * factor) / factor;
+    }
+    case '$abs': {
+      const [value] = args();
+      return value === null || value === undefined ? null : Math.abs(value);
+    }
+    case '$eq': {
+      const [left, right] = args();
+      return valuesEqual(left, right);
+    }
+    case '$ne': {
+      const [left, right] = args();
+      return !valuesEqual(left, right);
+    }
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte': {
+      const [left, right] = args();
+      const result = compareValues(left, right);
+      return { $gt: result > 0, $gte: result >= 0, $lt: result < 0, $lte: result <= 0 }[operator];
+    }
+    case '$and':
+      return args().every(Boolean);
+    case '$or':
+      return args().some(Boolean);
+    case '$not':
+      return !args()[0];
+    case '$in': {
+      const [value, list] = args();
+      return Array.isArray(list) && list.some(item => valuesEqual(item, value));
+    }
+    case '$cond': {
+      const [condition, then, otherwise] = Array.isArray(operand)
+        ? operand
+        : [operand.if, operand.then, operand.else];
+      return evaluate(condition, doc, vars) ? evaluate(then, doc, vars) : evaluate(otherwise, doc, vars);
+    }
+    case '$ifNull': {
+      const values = args();
+      const found = values.find(value => value !== null && value !== undefined);
+      return found === undefined ? values[values.length - 1] : found;
+    }
+    case '$switch': {
+      const branch = (operand.branches || []).find(({ case: condition }) => evaluate(condition, doc, vars));
+      return branch ? evaluate(branch.then, doc, vars) : evaluate(operand.default, doc, vars);
+    }
+    case '$size': {
+      const [value] = args();
+      return Array.isArray(value) ? value.length : 0;
+    }
+    case '$arrayElemAt': {
+      const [array, index] = args();
+      if (!Array.isArray(array)) return undefined;
+      return array[index < 0 ? array.length + index : index];
+    }
+    case '$filter': {
+      const input = evaluate(operand.input, doc, vars);
+      const name = operand.as || 'this';
+      return (Array.isArray(input) ? input : []).filter(item => evaluate(operand.cond, doc, { ...vars, [name]: item }));
+    }
+    case '$map': {
+      const input = evaluate(operand.input, doc, vars);
+      const name = operand.as || 'this';
+      return (Array.isArray(input) ? input : []).map(item => evaluate(operand.in, doc, { ...vars, [name]: item }));
+    }
+    case '$concat':
+      return args().some(value => value === null || value === undefined) ? null : args().join('');
+    case '$toString': {
+      const [value] = args();
+      return value === null || value === undefined ? null : String(value);
+    }
+    case '$dateToString': {
+      const date = evaluate(operand.date, doc, vars);
+      if (!(date instanceof Date)) return null;
+      const pad = value => String(value).padStart(2, '0');
+      return (operand.format || '%Y-%m-%dT%H:%M:%S')
+        .replace('%Y', date.getUTCFullYear())
+        .replace('%m', pad(date.getUTCMonth() + 1))
+        .replace('%d', pad(date.getUTCDate()))
+        .replace('%H', pad(date.getUTCHours()))
+        .replace('%M', pad(date.getUTCMinutes()))
+        .replace('%S', pad(date.getUTCSeconds()));
+    }
+    default:
+      throw new Error(`Unsupported aggregation operator ${operator}`);
+  }
+}
+
+function accumulate(operator, operand, docs) {
+  const values = docs.map(doc => evaluate(operand, doc));
+
+  switch (operator) {
+    case '$sum':
+      return toNumbers(values).reduce((sum, value) => sum + value, 0);
+    case '$avg': {
+      const numbers = toNumbers(values);
+      return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+    }
+    case '$min':
+    case '$max': {
+      const present = values.filter(value => value !== null && value !== undefined);
+      if (present.length === 0) return null;
+      const direction = operator === '$min' ? -1 : 1;
+      return present.reduce((best, value) => (compareValues(value, best) * direction > 0 ? value : best));
+    }
+    case '$push':
+      return values;
+    case '$addToSet':
+      return values.reduce((set, value) => (set.some(existing => valuesEqual(existing, value)) ? set : [...set, value]), []);
+    case '$first':
+      return values[0];
+    case '$last':
+      return values[values.length - 1];
+    case '$count':
+      return docs.length;
+    default:
+      throw new Error(`Unsupported accumulator ${operator}`);
+  }
+}
+
+function group(docs, spec) {
+  const { _id: keyExpression, ...fields } = spec;
+  const groups = new Map();
+
+  docs.forEach(doc => {
+    const key = keyExpression === null || keyExpression === undefined ? null : evaluate(keyExpression, doc);
+    const hash = JSON.stringify(key === undefined ? null : key);
+    if (!groups.has(hash)) groups.set(hash, { key: key === undefined ? null : key, docs: [] });
+    groups.get(hash).docs.push(doc);
+  });
+
+  return [...groups.values()].map(({ key, docs: members }) => {
+    const result = { _id: key };
+    Object.keys(fields).forEach(field => {
+      const [operator] = Object.keys(fields[field]);
+      result[field] = accumulate(operator, fields[field][operator], members);
+    });
+    return result;
+  });
+}
+
+function project(docs, spec) {
+  const fields = Object.keys(spec);
+  const exclusive = fields.every(field => spec[field] === 0 || spec[field] === false);
+
+  return docs.map(doc => {
+    if (exclusive) {
+      const result = cloneDocument(doc);
+      fields.forEach(field => {
+        const path = normalizePath(field);
+        const parts = path.split('.');
+        const parent = parts.length > 1 ? getPath(result, parts.slice(0, -1).join('.')) : result;
+        if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+        if (field === '_id') delete result._id;
+      });
+      return result;
+    }
+
+    const result = {};
+    if (spec._id !== 0 && spec._id !== false) {
+      if (doc._id !== undefined) result._id = doc._id;
+      if (doc.id !== undefined) result.id = doc.id;
+    }
+    fields.filter(field => field !== '_id' || (spec._id !== 0 && spec._id !== false && spec._id !== 1 && spec._id !== true))
+      .forEach(field => {
+        const value = spec[field] === 1 || spec[field] === true
+          ? getPath(doc, field)
+          : evaluate(spec[field], doc);
+        if (value !== undefined) setPath(result, field, value);
+      });
+    return result;
+  });
+}
+
+function unwind(docs, spec) {
+  const options = typeof spec === 'string' ? { path: spec } : spec;
+  const path = options.path.replace(/^\$/, '');
+
+  return docs.flatMap(doc => {
+    const value = getPath(doc, path);
+    if (!Array.isArray(value) || value.length === 0) {
+      if (options.preserveNullAndEmptyArrays) return [doc];
+      return Array.isArray(value) || value === null || value === undefined ? [] : [doc];
+    }
+    return value.map(item => {
+      const copy = { ...doc };
+      setPath(copy, path, item);
+      return copy;
+    });
+  });
+}
+
+async function runPipeline(input, pipeline = [], { lookup }) {
+  let docs = input;
+
+  for (const stage of pipeline) {
+    const [name] = Object.keys(stage);
+    const spec = stage[name];
+
+    switch (name) {
+      case '$match':
+        docs = docs.filter(doc => matchesFilter(doc, spec));
+        break;
+      case '$project':
+        docs = project(docs, spec);
+        break;
+      case '$addFields':
+      case '$set':
+        docs = docs.map(doc => {
+          const copy = { ...doc };
+          Object.keys(spec).forEach(field => setPath(copy, field, evaluate(spec[field], doc)));
+          return copy;
+        });
+        break;
+      case '$unwind':
+        docs = unwind(docs, spec);
+        break;
+      case '$lookup': {
+        const foreign = await lookup(spec.from);
+        const foreignField = normalizePath(spec.foreignField);
+        docs = docs.map(doc => {
+          const local = getPath(doc, spec.localField);
+          const localValues = Array.isArray(local) ? local : [local];
+          const matches = foreign.filter(item => localValues.some(value => valuesEqual(getPath(item, foreignField), value)));
+          const copy = { ...doc };
+          setPath(copy, spec.as, matches);
+          return copy;
+        });
+        break;
+      }
+      case '$group':
+        docs = group(docs, spec);
+        break;
+      case '$sort':
+        docs = sortDocuments(docs, spec);
+        break;
+      case '$skip':
+        docs = docs.slice(spec);
+        break;
+      case '$limit':
+        docs = docs.slice(0, spec);
+        break;
+      case '$count':
+        docs = docs.length ? [{ [spec]: docs.length }] : [];
+        break;
+      default:
+        throw new Error(`Unsupported aggregation stage ${name}`);
+    }
+  }
+
+  return docs;
+}
+
+module.exports = {
+  runPipeline,
+  evaluate
+};
@@ -0,0 +1,337 @@
+// In-memory evaluation of MongoDB-style filters, projections, sorts and update
+// operators. Firestore can only serve a small subset of these queries without
+// composite indexes, so repositories fetch by the indexable equality fields and
+// evaluate everything else here.
+
+// Mongoose-era callers refer to the document ID as _id
+const normalizePath = path => (path === '_id' ? 'id' : path.replace(/(^|\.)_id(?=\.|$)/g, '$1id'));
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    !(value instanceof Date) && !(value instanceof RegExp);
+}
+
+function isOperatorObject(value) {
+  return isPlainObject(value) && Object.keys(value).length > 0 &&
+    Object.keys(value).every(key => key.startsWith('$'));
+}
+
+// Documents are keyed by id, while routes and pipeline stages may still say _id
+function readField(value, part) {
+  if (part === '_id' && value._id === undefined) return value.id;
+  return value[part];
+}
+
+// Resolve a dotted path, fanning out through arrays like MongoDB does
+function getValues(doc, path) {
+  let current = [doc];
+
+  for (const part of path.split('.')) {
+    const next = [];
+    current.forEach(value => {
+      if (value === null || value === undefined) return;
+      if (Array.isArray(value) && !/^\d+$/.test(part)) {
+        value.forEach(item => {
+          if (item !== null && typeof item === 'object' && readField(item, part) !== undefined) next.push(readField(item, part));
+        });
+      } else if (typeof value === 'object' && readField(value, part) !== undefined) {
+        next.push(readField(value, part));
+      }
+    });
+    current = next;
+  }
+
+  return current;
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, part) =>
+    (value === null || value === undefined ? undefined : readField(value, part)), doc);
+}
+
+function setPath(doc, path, value) {
+  const parts = path.split('.');
+  let target = doc;
+  parts.slice(0, -1).forEach(part => {
+    if (target[part] === null || typeof target[part] !== 'object') target[part] = {};
+    target = target[part];
+  });
+  target[parts[parts.length - 1]] = value;
+}
+
+function unsetPath(doc, path) {
+  const parts = normalizePath(path).split('.');
+  const parent = getPath(doc, parts.slice(0, -1).join('.')) || (parts.length === 1 ? doc : null);
+  if (parent && typeof parent === 'object') delete parent[parts[parts.length - 1]];
+}
+
+function toComparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (value && typeof value.toDate === 'function') return value.toDate().getTime();
+  return value;
+}
+
+function valuesEqual(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return true;
+  if (left === null || right === null || left === undefined || right === undefined) {
+    return (left === null || left === undefined) && (right === null || right === undefined);
+  }
+  if (Array.isArray(left) && Array.isArray(right)) {
+    return left.length === right.length && left.every((item, index) => valuesEqual(item, right[index]));
+  }
+  if (typeof left === 'object' && typeof right === 'object') {
+    const keys = Object.keys(left);
+    return keys.length === Object.keys(right).length && keys.every(key => valuesEqual(left[key], right[key]));
+  }
+  return String(left) === String(right) && typeof left === typeof right;
+}
+
+function compareValues(a, b) {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === null || left === undefined) return -1;
+  if (right === null || right === undefined) return 1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left).localeCompare(String(right));
+}
+
+// A candidate matches a value directly, or through any element when it is an array
+function candidateMatches(candidate, predicate) {
+  if (predicate(candidate)) return true;
+  return Array.isArray(candidate) && candidate.some(item => predicate(item));
+}
+
+// Literal text for use in a $regex, e.g. a user's search input
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toRegExp(pattern, options = '') {
+  return pattern instanceof RegExp ? pattern : new RegExp(String(pattern), options);
+}
+
+function cloneDocument(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(cloneDocument);
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((copy, key) => {
+      copy[key] = cloneDocument(value[key]);
+      return copy;
+    }, {});
+  }
+  return value;
+}
+
+function matchesOperators(candidates, operators) {
+  const exists = candidates.length > 0;
+
+  return Object.keys(operators).every(operator => {
+    const operand = operators[operator];
+
+    switch (operator) {
+      case '$eq':
+        return candidates.some(c => candidateMatches(c, v => valuesEqual(v, operand)));
+      case '$ne':
+        return !candidates.some(c => candidateMatches(c, v => valuesEqual(v, operand)));
+      case '$in':
+        return (!exists && operand.some(v => v === null)) ||
+          candidates.some(c => candidateMatches(c, v => operand.some(o => (o instanceof RegExp ? o.test(v) : valuesEqual(v, o)))));
+      case '$nin':
+        return !candidates.some(c => candidateMatches(c, v => operand.some(o => valuesEqual(v, o))));
+      case '$gt':
+        return candidates.some(c => candidateMatches(c, v => v !== null && v !== undefined && compareValues(v, operand) > 0));
+      case '$gte':
+        return candidates.some(c => candidateMatches(c, v => v !== null && v !== undefined && compareValues(v, operand) >= 0));
+      case '$lt':
+        return candidates.some(c => candidateMatches(c, v => v !== null && v !== undefined && compareValues(v, operand) < 0));
+      case '$lte':
+        return candidates.some(c => candidateMatches(c, v => v !== null && v !== undefined && compareValues(v, operand) <= 0));
+      case '$exists':
+        return operand ? exists : !exists;
+      case '$regex': {
+        const regex = toRegExp(operand, operators.$options);
+        return candidates.some(c => candidateMatches(c, v => typeof v === 'string' && regex.test(v)));
+      }
+      case '$options':
+        return true;
+      case '$size':
+        return candidates.some(c => Array.isArray(c) && c.length === operand);
+      case '$all':
+        return candidates.some(c => Array.isArray(c) && operand.every(o => c.some(v => valuesEqual(v, o))));
+      case '$elemMatch':
+        return candidates.some(c => Array.isArray(c) && c.some(item =>
+          (isOperatorObject(operand) ? matchesOperators([item], operand) : matchesFilter(item, operand))));
+      case '$not':
+        return !matchesOperators(candidates, operand instanceof RegExp ? { $regex: operand } : operand);
+      default:
+        throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+}
+
+// Evaluate a MongoDB-style filter against a plain document
+function matchesFilter(doc, filter = {}) {
+  return Object.keys(filter).every(key => {
+    const condition = filter[key];
+
+    if (key === '$or') return condition.some(sub => matchesFilter(doc, sub));
+    if (key === '$and') return condition.every(sub => matchesFilter(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matchesFilter(doc, sub));
+
+    const candidates = getValues(doc, key);
+
+    if (condition instanceof RegExp) {
+      return candidates.some(c => candidateMatches(c, v => typeof v === 'string' && condition.test(v)));
+    }
+    if (isOperatorObject(condition)) {
+      return matchesOperators(candidates, condition);
+    }
+    if (condition === null || condition === undefined) {
+      return candidates.length === 0 || candidates.some(c => c === null);
+    }
+    return candidates.some(c => candidateMatches(c, v => valuesEqual(v, condition)));
+  });
+}
+
+// Equality conditions on the given fields that a Firestore query can serve directly
+function extractEqualityFilters(filter = {}, fields = []) {
+  return Object.keys(filter)
+    .filter(key => fields.includes(normalizePath(key)))
+    .map(key => ({ field: normalizePath(key), value: filter[key] }))
+    .filter(({ value }) => ['string', 'number', 'boolean'].includes(typeof value));
+}
+
+// Accepts 'a b -c', ['a', 'b'] or { a: 1, c: 0 }
+function parseFieldSpec(spec) {
+  if (!spec) return null;
+  const entries = typeof spec === 'string'
+    ? spec.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+    : Array.isArray(spec) ? spec.map(field => [field, 1]) : Object.entries(spec);
+  return entries.map(([field, include]) => [normalizePath(field), include ? 1 : 0]);
+}
+
+function applyProjection(doc, spec) {
+  const fields = parseFieldSpec(spec);
+  if (!fields || fields.length === 0) return doc;
+
+  const inclusive = fields.some(([field, include]) => include && field !== 'id');
+  if (inclusive) {
+    const projected = { id: doc.id };
+    fields.forEach(([field, include]) => {
+      if (!include) {
+        if (field === 'id') delete projected.id;
+        return;
+      }
+      const value = getPath(doc, field);
+      if (value !== undefined) setPath(projected, field, value);
+    });
+    return projected;
+  }
+
+  const projected = cloneDocument(doc);
+  fields.forEach(([field]) => unsetPath(projected, field));
+  return projected;
+}
+
+// Accepts { createdAt: -1 }, { name: 'asc' } or '-createdAt name'
+function parseSortSpec(spec) {
+  if (!spec) return [];
+  if (typeof spec === 'string') {
+    return spec.split(/\s+/).filter(Boolean).map(field =>
+      (field.startsWith('-') ? [field.slice(1), -1] : [field, 1]));
+  }
+  return Object.entries(spec).map(([field, direction]) =>
+    [field, direction === -1 || direction === 'desc' || direction === 'descending' ? -1 : 1]);
+}
+
+function sortDocuments(docs, spec) {
+  const fields = parseSortSpec(spec);
+  if (fields.length === 0) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const result = compareValues(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+// Apply MongoDB-style update operators to a plain document in place
+function applyUpdate(doc, update = {}) {
+  const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+  const operations = hasOperators ? update : { $set: update };
+
+  Object.keys(operations).forEach(operator => {
+    const fields = operations[operator] || {};
+
+    Object.keys(fields).forEach(path => {
+      const operand = fields[path];
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set':
+          setPath(doc, path, operand);
+          break;
+        case '$unset':
+          unsetPath(doc, path);
+          break;
+        case '$inc':
+          setPath(doc, path, (Number(current) || 0) + Number(operand));
+          break;
+        case '$min':
+          if (current === undefined || compareValues(operand, current) < 0) setPath(doc, path, operand);
+          break;
+        case '$max':
+          if (current === undefined || compareValues(operand, current) > 0) setPath(doc, path, operand);
+          break;
+        case '$push': {
+          const items = isPlainObject(operand) && Array.isArray(operand.$each) ? operand.$each : [operand];
+          setPath(doc, path, [...(Array.isArray(current) ? current : []), ...items]);
+          break;
+        }
+        case '$addToSet': {
+          const items = isPlainObject(operand) && Array.isArray(operand.$each) ? operand.$each : [operand];
+          const next = [...(Array.isArray(current) ? current : [])];
+          items.forEach(item => {
+            if (!next.some(existing => valuesEqual(existing, item))) next.push(item);
+          });
+          setPath(doc, path, next);
+          break;
+        }
+        case '$pull': {
+          if (!Array.isArray(current)) break;
+          const remove = item => (isPlainObject(operand)
+            ? (isOperatorObject(operand) ? matchesOperators([item], operand) : matchesFilter(item, operand))
+            : valuesEqual(item, operand));
+          setPath(doc, path, current.filter(item => !remove(item)));
+          break;
+        }
+        default:
+          throw new Error(`Unsupported update operator ${operator}`);
+      }
+    });
+  });
+
+  return doc;
+}
+
+module.exports = {
+  normalizePath,
+  isPlainObject,
+  cloneDocument,
+  readField,
+  getValues,
+  getPath,
+  setPath,
+  valuesEqual,
+  compareValues,
+  escapeRegExp,
+  matchesFilter,
+  extractEqualityFilters,
+  applyProjection,
+  sortDocuments,
+  applyUpdate
+};
@@ -0,0 +1,119 @@
+const Repository = require('./Repository');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Exam = require('../models/Exam');
+const Attempt = require('../models/Attempt');
+const QuestionRevision = require('../models/QuestionRevision');
+const ExamTemplate = require('../models/ExamTemplate');
+const Course = require('../models/Course');
+const Group = require('../models/Group');
+const Organization = require('../models/Organization');
+const questionSearch = require('../services/questionSearch');
+
+// Repositories look each other up by collection name for populate() and $lookup
+const registry = {};
+
+const userRepository = new Repository({
+  collection: 'users',
+  model: User,
+  indexedFields: ['email', 'role'],
+  registry,
+  tenant: true
+});
+
+const questionRepository = new Repository({
+  collection: 'questions',
+  model: Question,
+  refs: { author: 'users' },
+  indexedFields: ['type', 'author', 'metadata.difficulty', 'metadata.topic'],
+  registry,
+  onChange: questionSearch.sync,
+  tenant: true
+});
+
+const examRepository = new Repository({
+  collection: 'exams',
+  model: Exam,
+  refs: { author: 'users', 'sections.questions.question': 'questions', groups: 'groups' },
+  indexedFields: ['author', 'isPublished'],
+  registry,
+  tenant: true
+});
+
+const attemptRepository = new Repository({
+  collection: 'attempts',
+  model: Attempt,
+  refs: { exam: 'exams', student: 'users' },
+  indexedFields: ['exam', 'student', 'status'],
+  registry,
+  tenant: true
+});
+
+const questionRevisionRepository = new Repository({
+  collection: 'questionRevisions',
+  model: QuestionRevision,
+  refs: { question: 'questions', editedBy: 'users' },
+  indexedFields: ['question'],
+  registry,
+  tenant: true
+});
+
+const examTemplateRepository = new Repository({
+  collection: 'examTemplates',
+  model: ExamTemplate,
+  refs: { author: 'users', sourceExam: 'exams' },
+  indexedFields: ['author', 'isShared'],
+  registry,
+  tenant: true
+});
+
+const courseRepository = new Repository({
+  collection: 'courses',
+  model: Course,
+  refs: { instructor: 'users' },
+  indexedFields: ['instructor'],
+  registry,
+  tenant: true
+});
+
+const groupRepository = new Repository({
+  collection: 'groups',
+  model: Group,
+  refs: { course: 'courses', students: 'users' },
+  indexedFields: ['course', 'joinCode'],
+  registry,
+  tenant: true
+});
+
+// Organizations themselves aren't scoped to one; every other collection is
+const organizationRepository = new Repository({
+  collection: 'organizations',
+  model: Organization,
+  indexedFields: ['slug'],
+  registry
+});
+
+Object.assign(registry, {
+  users: userRepository,
+  questions: questionRepository,
+  exams: examRepository,
+  attempts: attemptRepository,
+  questionRevisions: questionRevisionRepository,
+  examTemplates: examTemplateRepository,
+  courses: courseRepository,
+  groups: groupRepository,
+  organizations: organizationRepository
+});
+
+module.exports = {
+  Repository,
+  userRepository,
+  questionRepository,
+  examRepository,
+  attemptRepository,
+  questionRevisionRepository,
+  examTemplateRepository,
+  courseRepository,
+  groupRepository,
+  organizationRepository
+};
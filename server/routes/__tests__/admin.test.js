@@ -0,0 +1,89 @@
+const { repositories, startServer, createUser, createOrganization } = require('./testServer');
+const adminRoutes = require('../admin');
+
+let server;
+let admin;
+
+beforeAll(async () => {
+  server = await startServer({ '/api/admin': adminRoutes });
+  admin = await createUser({ email: 'admin@example.com', role: 'admin' });
+});
+
+afterAll(() => server.close());
+
+describe('POST /api/admin/users', () => {
+  it('lets an admin create staff accounts in their organization', async () => {
+    const res = await server.request('POST', '/api/admin/users', {
+      token: admin.token,
+      body: { email: 'teacher@example.com', password: 'password123', firstName: 'T', lastName: 'Eacher', role: 'instructor' }
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ role: 'instructor', organization: 'default' });
+    expect(res.body.user.password).toBeUndefined();
+  });
+
+  it('never creates super-admins', async () => {
+    const res = await server.request('POST', '/api/admin/users', {
+      token: admin.token,
+      body: { email: 'root@example.com', password: 'password123', firstName: 'R', lastName: 'Oot', role: 'superadmin' }
+    });
+    expect(res.status).toBe(400);
+  });
+
+  it('is only open to admins', async () => {
+    const { token } = await createUser({ email: 'instructor@example.com', role: 'instructor' });
+    const res = await server.request('POST', '/api/admin/users', {
+      token,
+      body: { email: 'x@example.com', password: 'password123', firstName: 'X', lastName: 'Y', role: 'admin' }
+    });
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('PATCH /api/admin/users/:id/role', () => {
+  it('changes roles within the organization only', async () => {
+    const { user } = await createUser({ email: 'promote@example.com' });
+    const organization = await createOrganization({ name: 'Other', slug: 'other' });
+    const { user: outsider } = await createUser({ email: 'outsider@example.com' }, organization.id);
+
+    const promoted = await server.request('PATCH', `/api/admin/users/${user.id}/role`, {
+      token: admin.token,
+      body: { role: 'instructor' }
+    });
+    const foreign = await server.request('PATCH', `/api/admin/users/${outsider.id}/role`, {
+      token: admin.token,
+      body: { role: 'admin' }
+    });
+
+    expect(promoted.status).toBe(200);
+    expect(promoted.body.user.role).toBe('instructor');
+    expect(foreign.status).toBe(404);
+    expect((await repositories.userRepository.findById(outsider.id)).role).toBe('student');
+  });
+
+  it('leaves super-admins alone', async () => {
+    const { user } = await createUser({ email: 'super@example.com', role: 'superadmin' });
+    const res = await server.request('PATCH', `/api/admin/users/${user.id}/role`, {
+      token: admin.token,
+      body: { role: 'student' }
+    });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/admin/users', () => {
+  it('searches for the text literally', async () => {
+    await createUser({ email: 'o.brien@example.com', lastName: 'O(Brien)' });
+
+    const literal = await server.request('GET', `/api/admin/users?search=${encodeURIComponent('O(Brien')}`, { token: admin.token });
+    const invalid = await server.request('GET', `/api/admin/users?search=${encodeURIComponent('(')}`, { token: admin.token });
+    const wildcard = await server.request('GET', `/api/admin/users?search=${encodeURIComponent('.*')}`, { token: admin.token });
+
+    expect(literal.status).toBe(200);
+    expect(literal.body.users.map(user => user.email)).toEqual(['o.brien@example.com']);
+    expect(invalid.status).toBe(200);
+    expect(wildcard.status).toBe(200);
+    expect(wildcard.body.users).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+const { repositories, startServer, createUser } = require('./testServer');
+const attemptRoutes = require('../attempts');
+
+let server;
+let student;
+let question;
+let exam;
+
+beforeAll(async () => {
+  server = await startServer({ '/api/attempts': attemptRoutes });
+  const instructor = await createUser({ email: 'instructor@example.com', role: 'instructor' });
+  student = await createUser({ email: 'student@example.com' });
+
+  question = await repositories.questionRepository.create({
+    title: 'Add',
+    type: 'code',
+    content: 'Write add(a, b)',
+    author: instructor.user.id,
+    codeTemplate: {
+      language: 'javascript',
+      testCases: [
+        { input: 'add(1, 2)', expectedOutput: '3' },
+        { input: 'add(40, 2)', expectedOutput: '42', isHidden: true }
+      ]
+    }
+  });
+  exam = await repositories.examRepository.create({
+    title: 'Code exam',
+    author: instructor.user.id,
+    isPublished: true,
+    settings: { totalTimeLimit: 30, maxAttempts: 1 },
+    sections: [{ id: 's1', name: 'Code', questions: [{ question: question.id, points: 2 }] }]
+  });
+});
+
+afterAll(() => server.close());
+
+describe('code answers', () => {
+  it('never hands hidden test cases to the student', async () => {
+    const started = await server.request('POST', '/api/attempts/start', { token: student.token, body: { examId: exam.id } });
+    expect(started.status).toBe(200);
+    const { attemptId } = started.body;
+
+    const answered = await server.request('POST', `/api/attempts/${attemptId}/answer`, {
+      token: student.token,
+      body: { questionId: question.id, answer: 'function add(a, b) { return a + b; }' }
+    });
+    expect(answered.status).toBe(200);
+    expect(answered.body.points).toBe(2);
+
+    const stored = await repositories.attemptRepository.findById(attemptId);
+    const results = await server.request('GET', `/api/attempts/${attemptId}/results`, { token: student.token });
+
+    [answered.body.testResults, stored.answers[0].testResults, results.body.answers[0].testResults].forEach(testResults => {
+      expect(testResults[0]).toMatchObject({ input: 'add(1, 2)', expectedOutput: '3', passed: true });
+      expect(testResults[1]).toEqual({ index: 1, isHidden: true, passed: true, timedOut: false });
+    });
+  });
+});
+
+describe('proctoring reports', () => {
+  const createAttempt = data => repositories.attemptRepository.create({
+    exam: exam.id,
+    student: student.user.id,
+    startTime: new Date(),
+    answers: [{ questionId: question.id, answer: 'saved', points: 2 }],
+    antiCheating: { violations: [], webcamSnapshots: [], behaviorData: { mouseMovements: [], keyboardActivity: [], focusEvents: [] } },
+    ...data
+  });
+  const report = (attemptId, kind, body) => server.request('POST', `/api/attempts/${attemptId}/${kind}`, { token: student.token, body });
+
+  it('records reports on the attempt without touching its answers', async () => {
+    const attempt = await createAttempt({ status: 'in-progress' });
+
+    expect((await report(attempt.id, 'violation', { type: 'dev-tools', severity: 'critical' })).status).toBe(200);
+    expect((await report(attempt.id, 'behavior', { focusEvents: [{ type: 'blur' }, { type: 'focus' }] })).status).toBe(200);
+
+    const stored = await repositories.attemptRepository.findById(attempt.id);
+    expect(stored).toMatchObject({ status: 'in-progress', isFlagged: true, flagReason: 'Critical violation: dev-tools' });
+    expect(stored.antiCheating.violations).toEqual([expect.objectContaining({ type: 'dev-tools', severity: 'critical' })]);
+    expect(stored.antiCheating.behaviorData.focusEvents).toEqual([{ type: 'blur' }, { type: 'focus' }]);
+    expect(stored.answers).toEqual(attempt.answers);
+  });
+
+  it('leaves submitted attempts as they were', async () => {
+    const attempt = await createAttempt({ status: 'completed', score: 2, percentage: 100 });
+
+    const responses = await Promise.all([
+      report(attempt.id, 'violation', { type: 'tab-switch', severity: 'critical' }),
+      report(attempt.id, 'webcam', { imageData: 'data:image/jpeg;base64,AAAA', timestamp: new Date().toISOString() }),
+      report(attempt.id, 'behavior', { mouseMovements: [{ x: 1, y: 1 }] }),
+      report(attempt.id, 'plagiarism', { text: 'copied', questionId: question.id })
+    ]);
+    responses.forEach(res => expect(res.status).toBe(400));
+
+    const stored = await repositories.attemptRepository.findById(attempt.id);
+    expect(stored.toObject()).toEqual(attempt.toObject());
+  });
+});
@@ -0,0 +1,80 @@
+const { repositories, startServer, createUser } = require('./testServer');
+const authRoutes = require('../auth');
+
+let server;
+
+beforeAll(async () => {
+  server = await startServer({ '/api/auth': authRoutes });
+});
+
+afterAll(() => server.close());
+
+describe('PUT /api/auth/profile', () => {
+  it('updates the name and preferences', async () => {
+    const { user, token } = await createUser({ email: 'profile@example.com' });
+
+    const res = await server.request('PUT', '/api/auth/profile', {
+      token,
+      body: { firstName: 'Ada', lastName: 'Lovelace', preferences: { theme: 'dark' } }
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ firstName: 'Ada', lastName: 'Lovelace' });
+    const stored = await repositories.userRepository.findById(user.id);
+    expect(stored.firstName).toBe('Ada');
+  });
+
+  it('ignores role, organization, status and other fields', async () => {
+    const { user, token } = await createUser({ email: 'student@example.com' });
+
+    const res = await server.request('PUT', '/api/auth/profile', {
+      token,
+      body: {
+        firstName: 'Mallory',
+        role: 'superadmin',
+        organization: 'other',
+        isActive: false,
+        email: 'someone-else@example.com',
+        password: 'plain'
+      }
+    });
+
+    expect(res.status).toBe(200);
+    const stored = await repositories.userRepository.findById(user.id);
+    expect(stored).toMatchObject({
+      firstName: 'Mallory',
+      role: 'student',
+      organization: 'default',
+      isActive: true,
+      email: 'student@example.com'
+    });
+    expect(await stored.comparePassword('password123')).toBe(true);
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  const signUp = body => server.request('POST', '/api/auth/register', {
+    body: { password: 'password123', firstName: 'New', lastName: 'User', ...body }
+  });
+
+  it('always creates a student, whatever role is asked for', async () => {
+    const res = await signUp({ email: 'wannabe@example.com', role: 'admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.role).toBe('student');
+  });
+
+  it('joins the organization named by its slug', async () => {
+    const organization = await repositories.organizationRepository.create({ name: 'Physics', slug: 'physics' });
+
+    const res = await signUp({ email: 'physicist@example.com', organization: 'physics', role: 'instructor' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ role: 'student', organization: organization.id });
+  });
+
+  it('rejects unknown organizations', async () => {
+    const res = await signUp({ email: 'lost@example.com', organization: 'nowhere' });
+    expect(res.status).toBe(400);
+  });
+});
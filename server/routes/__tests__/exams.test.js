@@ -0,0 +1,91 @@
+const { repositories, startServer, createUser } = require('./testServer');
+const examRoutes = require('../exams');
+
+let server;
+let instructor;
+let exam;
+
+beforeAll(async () => {
+  server = await startServer({ '/api/exams': examRoutes });
+  instructor = await createUser({ email: 'instructor@example.com', role: 'instructor' });
+  exam = await repositories.examRepository.create({
+    title: 'Midterm (part 1)',
+    description: 'Chapters 1-3',
+    author: instructor.user.id,
+    sections: []
+  });
+});
+
+afterAll(() => server.close());
+
+describe('GET /api/exams', () => {
+  const search = text => server.request('GET', `/api/exams?search=${encodeURIComponent(text)}`, { token: instructor.token });
+
+  it('searches titles and descriptions for the text literally', async () => {
+    expect((await search('(part 1)')).body.exams.map(exam => exam.title)).toEqual(['Midterm (part 1)']);
+    expect((await search('chapters 1-3')).body.exams).toHaveLength(1);
+    expect((await search('Mid.*1')).body.exams).toHaveLength(0);
+  });
+
+  it('answers patterns that are not valid regular expressions', async () => {
+    const res = await search('(');
+    expect(res.status).toBe(200);
+    expect(res.body.exams).toHaveLength(1);
+  });
+});
+
+describe('POST /api/exams/:id/calculate-score', () => {
+  it('does not grade answers outside a stored attempt', async () => {
+    const student = await createUser({ email: 'student@example.com' });
+    const res = await server.request('POST', `/api/exams/${exam.id}/calculate-score`, {
+      token: student.token,
+      body: { answers: {} }
+    });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('POST /api/exams/:id/proctoring/end', () => {
+  it('does not reopen or rescore an attempt that was already submitted', async () => {
+    const student = await createUser({ email: 'proctored@example.com' });
+    const attempt = await repositories.attemptRepository.create({
+      exam: exam.id,
+      student: student.user.id,
+      status: 'completed',
+      startTime: new Date(),
+      answers: [{ questionId: 'q1', answer: 'kept', points: 1 }],
+      score: 1,
+      antiCheating: { violations: [] }
+    });
+
+    const res = await server.request('POST', `/api/exams/${exam.id}/proctoring/end`, {
+      token: student.token,
+      body: { sessionId: attempt.id, finalAnswers: {} }
+    });
+    expect(res.status).toBe(400);
+    expect((await repositories.attemptRepository.findById(attempt.id)).toObject()).toEqual(attempt.toObject());
+  });
+});
+
+describe('POST /api/exams/pools/preview', () => {
+  it('counts published questions and the instructor\'s own drafts only', async () => {
+    const colleague = await createUser({ email: 'colleague@example.com', role: 'instructor' });
+    const question = (author, isPublished) => repositories.questionRepository.create({
+      title: 'Pool question',
+      type: 'short-answer',
+      content: 'Name it',
+      correctAnswer: 'it',
+      author: author.user.id,
+      isPublished,
+      metadata: { topic: 'Pools', difficulty: 'easy', tags: [] }
+    });
+    await Promise.all([question(instructor, false), question(colleague, true), question(colleague, false)]);
+
+    const res = await server.request('POST', '/api/exams/pools/preview', {
+      token: instructor.token,
+      body: { pool: { count: 3, filters: { topic: 'Pools' } } }
+    });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ required: 3, available: 2, satisfiable: false });
+  });
+});
@@ -0,0 +1,36 @@
+const { getDatabase } = require('../../storage');
+const { startServer, createUser, createOrganization } = require('./testServer');
+const organizationRoutes = require('../organizations');
+
+let server;
+let superAdmin;
+
+beforeAll(async () => {
+  server = await startServer({ '/api/organizations': organizationRoutes });
+  superAdmin = await createUser({ email: 'root@example.com', role: 'superadmin' });
+});
+
+afterAll(() => server.close());
+
+describe('GET /api/organizations', () => {
+  it('counts documents from before organizations existed for the default organization', async () => {
+    const organization = await createOrganization({ name: 'Physics', slug: 'physics' });
+    await createUser({ email: 'physicist@example.com' }, organization.id);
+    // Written straight to storage, without the organization field models add
+    await getDatabase().collection('users').doc().set({ email: 'legacy@example.com', role: 'student', isActive: true });
+    await getDatabase().collection('questions').doc().set({ title: 'Legacy', type: 'essay', isActive: true });
+
+    const res = await server.request('GET', '/api/organizations', { token: superAdmin.token });
+
+    expect(res.status).toBe(200);
+    const counts = Object.fromEntries(res.body.organizations.map(entry => [entry.id, entry.counts]));
+    expect(counts.default).toEqual({ users: 2, exams: 0, questions: 1 });
+    expect(counts[organization.id]).toEqual({ users: 1, exams: 0, questions: 0 });
+  });
+
+  it('is only open to super-admins', async () => {
+    const { token } = await createUser({ email: 'admin@example.com', role: 'admin' });
+    const res = await server.request('GET', '/api/organizations', { token });
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,77 @@
+// Runs routers on the in-memory storage backend for route tests. Each test file gets
+// its own module registry in jest, so every file starts with an empty database.
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { initializeStorage } = require('../../storage');
+const tenancy = require('../../services/tenancy');
+const repositories = require('../../repositories');
+
+initializeStorage('memory');
+
+// Start an app serving routers ({ '/api/auth': router, ... }) on a free port
+async function startServer(routers) {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+  app.use('/api', tenancy.middleware);
+  Object.entries(routers).forEach(([path, router]) => app.use(path, router));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // JSON bodies are sent as JSON, FormData as multipart
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const init = { method, headers: { ...headers } };
+    if (token) init.headers.Authorization = `Bearer ${token}`;
+    if (body instanceof FormData) {
+      init.body = body;
+    } else if (body !== undefined) {
+      init.headers['Content-Type'] = 'application/json';
+      init.body = JSON.stringify(body);
+    }
+    const res = await fetch(base + path, init);
+    const text = await res.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      // Not JSON, e.g. an export download
+    }
+    return { status: res.status, body: data };
+  };
+
+  return {
+    request,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const tokenFor = user => jwt.sign({ userId: user.id, role: user.role }, process.env.JWT_SECRET || 'your-secret-key');
+
+// Create a user, in an organization when given one, and sign a token for them
+async function createUser(data, organization = tenancy.DEFAULT_ORGANIZATION) {
+  const user = await tenancy.runInOrganization(organization, () => repositories.userRepository.create({
+    password: 'password123',
+    firstName: 'Test',
+    lastName: 'User',
+    role: 'student',
+    ...data
+  }));
+  return { user, token: tokenFor(user) };
+}
+
+async function createOrganization(data) {
+  return repositories.organizationRepository.create({ isActive: true, ...data });
+}
+
+module.exports = {
+  repositories,
+  startServer,
+  createUser,
+  createOrganization,
+  tokenFor
+};
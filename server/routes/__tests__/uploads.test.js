@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { repositories, startServer, createUser, createOrganization } = require('./testServer');
+const { runInOrganization } = require('../../services/tenancy');
+const qti = require('../../services/qti');
+const questionRoutes = require('../questions');
+
+// Multipart uploads are parsed by multer, whose callbacks run outside the request's
+// async context; the handlers after it must still work in the uploader's organization.
+
+let server;
+let organization;
+let instructor;
+let defaultInstructor;
+
+const questionData = {
+  title: 'Boiling point',
+  type: 'true-false',
+  content: 'Water boils at 100 degrees Celsius at sea level.',
+  trueFalseAnswer: true,
+  metadata: { topic: 'Physics', difficulty: 'easy', tags: [] }
+};
+
+beforeAll(async () => {
+  server = await startServer({ '/api/questions': questionRoutes });
+  organization = await createOrganization({ name: 'Physics', slug: 'physics' });
+  instructor = await createUser({ email: 'physics@example.com', role: 'instructor' }, organization.id);
+  defaultInstructor = await createUser({ email: 'default@example.com', role: 'instructor' });
+});
+
+afterAll(() => server.close());
+
+describe('POST /api/questions/import/qti', () => {
+  it('imports into the uploader\'s organization', async () => {
+    const { buffer } = qti.exportPackage([{ id: 'q1', ...questionData }]);
+    const form = new FormData();
+    form.append('package', new Blob([buffer], { type: 'application/zip' }), 'package.zip');
+
+    const res = await server.request('POST', '/api/questions/import/qti', { token: instructor.token, body: form });
+
+    expect(res.status).toBe(200);
+    expect(res.body.count).toBe(1);
+    const imported = res.body.questions[0];
+    expect(imported.organization).toBe(organization.id);
+
+    const inOrganization = await runInOrganization(organization.id, () => repositories.questionRepository.findById(imported.id));
+    const inDefault = await runInOrganization('default', () => repositories.questionRepository.findById(imported.id));
+    expect(inOrganization).not.toBeNull();
+    expect(inDefault).toBeNull();
+
+    const listed = await server.request('GET', '/api/questions', { token: defaultInstructor.token });
+    expect(listed.body.questions.map(question => question.id)).not.toContain(imported.id);
+  });
+});
+
+describe('POST /api/questions/:id/images', () => {
+  const image = () => sharp({ create: { width: 4, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer();
+
+  const upload = async (token, questionId) => {
+    const form = new FormData();
+    form.append('image', new Blob([await image()], { type: 'image/png' }), 'image.png');
+    return server.request('POST', `/api/questions/${questionId}/images`, { token, body: form });
+  };
+
+  it('adds images to questions of the uploader\'s organization only', async () => {
+    const question = await runInOrganization(organization.id, () =>
+      repositories.questionRepository.create({ ...questionData, author: instructor.user.id }));
+
+    const own = await upload(instructor.token, question.id);
+    const foreign = await upload(defaultInstructor.token, question.id);
+
+    expect(own.status).toBe(200);
+    expect(foreign.status).toBe(404);
+    const stored = await runInOrganization(organization.id, () => repositories.questionRepository.findById(question.id));
+    expect(stored.images.map(stored => stored.url)).toEqual([own.body.imageUrl]);
+
+    fs.rmSync(path.join(__dirname, '../..', own.body.imageUrl), { force: true });
+  });
+});
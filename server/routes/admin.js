@@ -1,12 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
-const Exam = require('../models/Exam');
-const Attempt = require('../models/Attempt');
-const Question = require('../models/Question');
-const auth = require('../middleware/auth');
-const requireRole = require('../middleware/requireRole');
+const { userRepository, examRepository, attemptRepository } = require('../repositories');
+const { escapeRegExp } = require('../repositories/filters');
+const { auth, requireRole } = require('../middleware/auth');
+const { unscoped } = require('../services/tenancy');
+
+// Roles an admin can give; super-admins are only made in the database
+const STAFF_ROLES = ['student', 'instructor', 'admin'];
 
 // Get admin dashboard data
 router.get('/dashboard', auth, requireRole(['admin']), async (req, res) => {
@@ -60,7 +61,7 @@ router.get('/dashboard', auth, requireRole(['admin']), async (req, res) => {
 router.get('/monitoring', auth, requireRole(['admin']), async (req, res) => {
   try {
     // Get active exam sessions
-    const activeSessions = await Attempt.find({
+    const activeSessions = await attemptRepository.find({
       status: 'in-progress'
     })
     .populate('student', 'firstName lastName email')
@@ -69,7 +70,7 @@ router.get('/monitoring', auth, requireRole(['admin']), async (req, res) => {
     .lean();
 
     // Get recent violations (last hour)
-    const recentViolations = await Attempt.aggregate([
+    const recentViolations = await attemptRepository.aggregate([
       {
         $match: {
           'antiCheating.violations': { $exists: true, $ne: [] },
@@ -154,7 +155,7 @@ router.get('/violations', auth, requireRole(['admin']), async (req, res) => {
     const startTime = new Date(Date.now() - timeRanges[timeRange]);
 
     // Get violations with priority filtering
-    const violations = await Attempt.aggregate([
+    const violations = await attemptRepository.aggregate([
       {
         $match: {
           'antiCheating.violations': { $exists: true, $ne: [] },
@@ -234,23 +235,24 @@ router.get('/users', auth, requireRole(['admin']), async (req, res) => {
       query.role = role;
     }
     if (search) {
+      const pattern = escapeRegExp(search);
       query.$or = [
-        { firstName: { $regex: search, $options: 'i' } },
-        { lastName: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } }
+        { firstName: { $regex: pattern, $options: 'i' } },
+        { lastName: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
       ];
     }
 
-    const users = await User.find(query)
+    const users = await userRepository.find(query)
       .select('firstName lastName email role isActive createdAt lastLogin')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await User.countDocuments(query);
+    const total = await userRepository.countDocuments(query);
 
     // Get user statistics
-    const userStats = await User.aggregate([
+    const userStats = await userRepository.aggregate([
       {
         $group: {
           _id: '$role',
@@ -280,6 +282,75 @@ router.get('/users', auth, requireRole(['admin']), async (req, res) => {
   }
 });
 
+// Create an account in the admin's organization. Self-registration only creates
+// students, so this is where instructor and admin accounts come from.
+router.post('/users', auth, requireRole(['admin']), [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 6 }),
+  body('firstName').notEmpty().trim(),
+  body('lastName').notEmpty().trim(),
+  body('role').isIn(STAFF_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password, firstName, lastName, role } = req.body;
+
+    // Emails are unique across organizations
+    if (await unscoped(() => userRepository.exists({ email }))) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const user = await userRepository.create({ email, password, firstName, lastName, role });
+
+    res.status(201).json({
+      message: 'User created successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Create user error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change a user's role within the organization
+router.patch('/users/:id/role', auth, requireRole(['admin']), [
+  body('role').isIn(STAFF_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (req.params.id === req.userId) {
+      return res.status(400).json({ message: 'You can\'t change your own role' });
+    }
+
+    const user = await userRepository.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role: req.body.role } },
+      { new: true, filter: { role: { $ne: 'superadmin' } } }
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const { firstName, lastName, email, role, isActive } = user;
+
+    res.json({
+      message: 'User role updated successfully',
+      user: { id: user.id, firstName, lastName, email, role, isActive }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update user status
 router.patch('/users/:id/status', auth, requireRole(['admin']), [
   body('isActive').isBoolean()
@@ -293,19 +364,23 @@ router.patch('/users/:id/status', auth, requireRole(['admin']), [
     const { id } = req.params;
     const { isActive } = req.body;
 
-    const user = await User.findByIdAndUpdate(
+    // Super-admins belong to an organization like every user, but its admins can't
+    // lock them out
+    const user = await userRepository.findByIdAndUpdate(
       id,
-      { isActive },
-      { new: true }
-    ).select('firstName lastName email role isActive');
+      { $set: { isActive } },
+      { new: true, filter: { role: { $ne: 'superadmin' } } }
+    );
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const { firstName, lastName, email, role } = user;
+
     res.json({
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
-      user
+      user: { id: user.id, firstName, lastName, email, role, isActive: user.isActive }
     });
   } catch (error) {
     console.error('Update user status error:', error);
@@ -377,13 +452,13 @@ router.patch('/settings', auth, requireRole(['admin']), [
 
 // Helper functions
 async function getUserStatistics(startTime) {
-  const totalUsers = await User.countDocuments();
-  const newUsers = await User.countDocuments({ createdAt: { $gte: startTime } });
-  const activeUsers = await User.countDocuments({ isActive: true });
+  const totalUsers = await userRepository.countDocuments();
+  const newUsers = await userRepository.countDocuments({ createdAt: { $gte: startTime } });
+  const activeUsers = await userRepository.countDocuments({ isActive: true });
   
   // Calculate user growth percentage
   const previousPeriod = new Date(startTime.getTime() - (Date.now() - startTime.getTime()));
-  const previousUsers = await User.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
+  const previousUsers = await userRepository.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
   const userGrowth = previousUsers > 0 ? ((newUsers - previousUsers) / previousUsers) * 100 : 0;
 
   return {
@@ -395,10 +470,10 @@ async function getUserStatistics(startTime) {
 }
 
 async function getExamStatistics(startTime) {
-  const totalExams = await Exam.countDocuments();
-  const newExams = await Exam.countDocuments({ createdAt: { $gte: startTime } });
-  const publishedExams = await Exam.countDocuments({ isPublished: true });
-  const activeExams = await Exam.countDocuments({
+  const totalExams = await examRepository.countDocuments();
+  const newExams = await examRepository.countDocuments({ createdAt: { $gte: startTime } });
+  const publishedExams = await examRepository.countDocuments({ isPublished: true });
+  const activeExams = await examRepository.countDocuments({
     isPublished: true,
     $or: [
       { startDate: { $lte: new Date() } },
@@ -412,7 +487,7 @@ async function getExamStatistics(startTime) {
 
   // Calculate exam growth percentage
   const previousPeriod = new Date(startTime.getTime() - (Date.now() - startTime.getTime()));
-  const previousExams = await Exam.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
+  const previousExams = await examRepository.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
   const examGrowth = previousExams > 0 ? ((newExams - previousExams) / previousExams) * 100 : 0;
 
   return {
@@ -425,20 +500,20 @@ async function getExamStatistics(startTime) {
 }
 
 async function getAttemptStatistics(startTime) {
-  const totalAttempts = await Attempt.countDocuments();
-  const newAttempts = await Attempt.countDocuments({ createdAt: { $gte: startTime } });
-  const completedAttempts = await Attempt.countDocuments({ 
+  const totalAttempts = await attemptRepository.countDocuments();
+  const newAttempts = await attemptRepository.countDocuments({ createdAt: { $gte: startTime } });
+  const completedAttempts = await attemptRepository.countDocuments({ 
     status: 'completed',
     createdAt: { $gte: startTime }
   });
-  const flaggedAttempts = await Attempt.countDocuments({ 
+  const flaggedAttempts = await attemptRepository.countDocuments({ 
     isFlagged: true,
     createdAt: { $gte: startTime }
   });
 
   // Calculate attempt growth percentage
   const previousPeriod = new Date(startTime.getTime() - (Date.now() - startTime.getTime()));
-  const previousAttempts = await Attempt.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
+  const previousAttempts = await attemptRepository.countDocuments({ createdAt: { $gte: previousPeriod, $lt: startTime } });
   const attemptGrowth = previousAttempts > 0 ? ((newAttempts - previousAttempts) / previousAttempts) * 100 : 0;
 
   return {
@@ -451,7 +526,7 @@ async function getAttemptStatistics(startTime) {
 }
 
 async function getViolationStatistics(startTime) {
-  const violations = await Attempt.aggregate([
+  const violations = await attemptRepository.aggregate([
     {
       $match: {
         'antiCheating.violations': { $exists: true, $ne: [] },
@@ -479,7 +554,7 @@ async function getViolationStatistics(startTime) {
 
   // Calculate violation growth percentage
   const previousPeriod = new Date(startTime.getTime() - (Date.now() - startTime.getTime()));
-  const previousViolations = await Attempt.aggregate([
+  const previousViolations = await attemptRepository.aggregate([
     {
       $match: {
         'antiCheating.violations': { $exists: true, $ne: [] },
@@ -502,19 +577,19 @@ async function getViolationStatistics(startTime) {
 async function getRecentActivity() {
   // Get recent exam attempts, user registrations, and violations
   const [recentAttempts, recentUsers, recentViolations] = await Promise.all([
-    Attempt.find({ status: 'completed' })
+    attemptRepository.find({ status: 'completed' })
       .populate('student', 'firstName lastName')
       .populate('exam', 'title')
       .sort({ createdAt: -1 })
       .limit(5)
       .select('student exam score createdAt'),
     
-    User.find()
+    userRepository.find()
       .sort({ createdAt: -1 })
       .limit(5)
       .select('firstName lastName role createdAt'),
     
-    Attempt.aggregate([
+    attemptRepository.aggregate([
       {
         $match: {
           'antiCheating.violations': { $exists: true, $ne: [] },
@@ -640,7 +715,7 @@ async function generateSystemAnalytics(startTime, metric) {
   }
 
   if (metric === 'all' || metric === 'exams') {
-    const examStats = await Exam.aggregate([
+    const examStats = await examRepository.aggregate([
       {
         $match: { createdAt: { $gte: startTime } }
       },
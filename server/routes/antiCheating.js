@@ -1,9 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const Attempt = require('../models/Attempt');
-const Exam = require('../models/Exam');
+const { attemptRepository, examRepository } = require('../repositories');
 const { auth, requireRole } = require('../middleware/auth');
-const { io } = require('../index');
+const { keepOrganization } = require('../services/tenancy');
+const { emitToExam } = require('../services/realtime');
 const multer = require('multer');
 const natural = require('natural');
 const crypto = require('crypto');
@@ -38,7 +38,7 @@ const upload = multer({
 // Advanced plagiarism detection
 router.post('/plagiarism-check', auth, [
   body('text').isString().isLength({ min: 10 }),
-  body('examId').isMongoId()
+  body('examId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -50,7 +50,7 @@ router.post('/plagiarism-check', auth, [
     const userId = req.userId;
 
     // Check against previous attempts
-    const previousAttempts = await Attempt.find({
+    const previousAttempts = await attemptRepository.find({
       exam: examId,
       student: { $ne: userId },
       'answers.text': { $exists: true }
@@ -66,7 +66,7 @@ router.post('/plagiarism-check', auth, [
           if (similarity > maxSimilarity) {
             maxSimilarity = similarity;
             similarAttempts.push({
-              attemptId: attempt._id,
+              attemptId: attempt.id,
               similarity,
               text: answer.text.substring(0, 100) + '...'
             });
@@ -77,7 +77,10 @@ router.post('/plagiarism-check', auth, [
 
     // Check against online sources if enabled
     let onlineSimilarity = 0;
-    const exam = await Exam.findById(examId).select('antiCheating');
+    const exam = await examRepository.findById(examId).select('antiCheating');
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
     if (exam.antiCheating.plagiarismDetection?.checkOnline) {
       onlineSimilarity = await checkOnlinePlagiarism(text);
     }
@@ -99,7 +102,7 @@ router.post('/plagiarism-check', auth, [
       };
 
       // Store violation in attempt
-      await Attempt.findOneAndUpdate(
+      await attemptRepository.findOneAndUpdate(
         { exam: examId, student: userId, status: 'in-progress' },
         { 
           $push: { 'antiCheating.violations': violation },
@@ -108,7 +111,7 @@ router.post('/plagiarism-check', auth, [
       );
 
       // Emit real-time alert
-      io.to(`exam-${examId}`).emit('violation-alert', violation);
+      emitToExam(examId, 'violation-alert', violation);
     }
 
     res.json({
@@ -126,7 +129,7 @@ router.post('/plagiarism-check', auth, [
 // Device fingerprinting and IP analysis
 router.post('/device-fingerprint', auth, [
   body('fingerprint').isObject(),
-  body('examId').isMongoId()
+  body('examId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const { fingerprint, examId } = req.body;
@@ -148,7 +151,7 @@ router.post('/device-fingerprint', auth, [
       };
 
       // Store violation
-      await Attempt.findOneAndUpdate(
+      await attemptRepository.findOneAndUpdate(
         { exam: examId, student: userId, status: 'in-progress' },
         { 
           $push: { 'antiCheating.violations': violation },
@@ -157,7 +160,7 @@ router.post('/device-fingerprint', auth, [
       );
 
       // Emit real-time alert
-      io.to(`exam-${examId}`).emit('violation-alert', violation);
+      emitToExam(examId, 'violation-alert', violation);
     }
 
     res.json({
@@ -180,14 +183,14 @@ router.get('/monitoring/:examId', auth, requireRole(['instructor', 'admin']), as
     const startTime = new Date(Date.now() - getTimeRangeMs(timeRange));
 
     // Get active attempts
-    const activeAttempts = await Attempt.find({
+    const activeAttempts = await attemptRepository.find({
       exam: examId,
       status: 'in-progress',
       createdAt: { $gte: startTime }
-    }).populate('student', 'firstName lastName email').select('student antiCheating createdAt');
+    }).populate('student', 'firstName lastName email').select('student antiCheating isFlagged createdAt');
 
     // Get recent violations
-    const recentViolations = await Attempt.aggregate([
+    const recentViolations = await attemptRepository.aggregate([
       {
         $match: {
           exam: examId,
@@ -208,7 +211,7 @@ router.get('/monitoring/:examId', auth, requireRole(['instructor', 'admin']), as
     ]);
 
     // Get risk score distribution
-    const riskDistribution = await Attempt.aggregate([
+    const riskDistribution = await attemptRepository.aggregate([
       {
         $match: {
           exam: examId,
@@ -251,12 +254,12 @@ router.get('/monitoring/:examId', auth, requireRole(['instructor', 'admin']), as
 
 // Enhanced behavior analysis with machine learning
 router.post('/advanced-behavior-analysis', auth, requireRole(['instructor', 'admin']), [
-  body('attemptId').isMongoId()
+  body('attemptId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const { attemptId } = req.body;
 
-    const attempt = await Attempt.findById(attemptId).populate('exam', 'antiCheating');
+    const attempt = await attemptRepository.findById(attemptId).populate('exam', 'antiCheating');
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -265,7 +268,7 @@ router.post('/advanced-behavior-analysis', auth, requireRole(['instructor', 'adm
     const analysis = await performAdvancedBehaviorAnalysis(behaviorData, attempt.exam.antiCheating);
 
     // Update attempt with analysis results
-    await Attempt.findByIdAndUpdate(attemptId, {
+    await attemptRepository.findByIdAndUpdate(attemptId, {
       'antiCheating.advancedAnalysis': analysis,
       'antiCheating.riskScore': analysis.overallRiskScore,
       isFlagged: analysis.overallRiskScore > 70
@@ -283,7 +286,7 @@ router.get('/settings/:examId', auth, async (req, res) => {
   try {
     const { examId } = req.params;
     
-    const exam = await Exam.findById(examId).select('antiCheating');
+    const exam = await examRepository.findById(examId).select('antiCheating');
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -324,7 +327,7 @@ router.put('/settings/:examId', auth, requireRole(['instructor', 'admin']), [
     const { examId } = req.params;
     const updates = req.body;
 
-    const exam = await Exam.findById(examId);
+    const exam = await examRepository.findById(examId);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -361,7 +364,7 @@ router.get('/violations/stats', auth, requireRole(['instructor', 'admin']), asyn
       };
     }
 
-    const stats = await Attempt.aggregate([
+    const stats = await attemptRepository.aggregate([
       { $match: filter },
       { $unwind: '$antiCheating.violations' },
       { $group: {
@@ -397,7 +400,7 @@ router.get('/violations/alerts', auth, requireRole(['instructor', 'admin']), asy
     const filter = { isFlagged: true };
     if (examId) filter.exam = examId;
 
-    const alerts = await Attempt.find(filter)
+    const alerts = await attemptRepository.find(filter)
       .populate('exam', 'title')
       .populate('student', 'firstName lastName email')
       .select('exam student antiCheating.violations isFlagged flagReason createdAt')
@@ -413,7 +416,7 @@ router.get('/violations/alerts', auth, requireRole(['instructor', 'admin']), asy
 
 // Analyze behavior patterns
 router.post('/analyze-behavior', auth, requireRole(['instructor', 'admin']), [
-  body('attemptId').isMongoId()
+  body('attemptId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -421,9 +424,9 @@ router.post('/analyze-behavior', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { attemptId } = req.params;
+    const { attemptId } = req.body;
 
-    const attempt = await Attempt.findById(attemptId);
+    const attempt = await attemptRepository.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -634,7 +637,7 @@ function calculateVariance(data) {
 }
 
 // Webcam snapshot endpoint
-router.post('/webcam-snapshot', auth, upload.single('snapshot'), async (req, res) => {
+router.post('/webcam-snapshot', auth, keepOrganization(upload.single('snapshot')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No snapshot file provided' });
@@ -676,7 +679,7 @@ router.post('/webcam-snapshot', auth, upload.single('snapshot'), async (req, res
       // await violationRecord.save();
 
       // Emit real-time alert
-      io.to(`exam-${examId}`).emit('violation-alert', violation);
+      emitToExam(examId, 'violation-alert', violation);
     }
 
     res.json({
@@ -748,7 +751,7 @@ router.get('/behavior-analytics', auth, requireRole(['instructor', 'admin']), as
     }
 
     // Get behavior analytics from attempts
-    const analytics = await Attempt.aggregate([
+    const analytics = await attemptRepository.aggregate([
       {
         $match: {
           createdAt: { $gte: startTime },
@@ -886,7 +889,7 @@ async function analyzeDeviceFingerprint(fingerprint, clientIP, examId, userId) {
   }
 
   // Check for multiple devices from same user
-  const existingFingerprints = await Attempt.find({
+  const existingFingerprints = await attemptRepository.find({
     exam: examId,
     student: userId,
     'antiCheating.deviceFingerprint': { $exists: true }
@@ -1,15 +1,77 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Attempt = require('../models/Attempt');
-const Exam = require('../models/Exam');
-const { auth } = require('../middleware/auth');
-const { io } = require('../index');
+const { attemptRepository, examRepository, questionRepository } = require('../repositories');
+const { auth, requireRole } = require('../middleware/auth');
+const { evaluateAnswer } = require('../services/grading');
+const { toPublicResults } = require('../services/codeRunner');
+const {
+  SUBMISSION_GRACE_MS,
+  sectionKey,
+  computeDeadline,
+  getAttemptDeadline,
+  findQuestionSection,
+  startSectionTimer,
+  isPastDeadline,
+  getTimeStatus
+} = require('../services/attemptTimer');
+const { finalizeAttempt } = require('../services/attemptFinalizer');
+const { createLayout, applyLayout, isSameLayout } = require('../services/attemptLayout');
+const { toStudentExam } = require('../services/studentQuestions');
+const { drawExamValues, instantiateQuestion, instantiateExam } = require('../services/questionVariables');
+const {
+  drawPoolQuestions,
+  applyPoolDraw,
+  drawnQuestionIds,
+  resolveAttemptExam
+} = require('../services/questionPools');
+const { createSeed } = require('../services/seededRandom');
+const { REVIEW_STATUS, scoreRubric, gradeAnswer } = require('../services/manualGrading');
+const { gradingOptions } = require('../services/scoring');
+const { nextAttemptAt } = require('../services/attemptPolicy');
+const {
+  findAccommodation,
+  availabilityWindow,
+  allowedAttempts,
+  examForStudent
+} = require('../services/accommodations');
+const {
+  questionAtRevision,
+  examRevisionPins,
+  applyRevisions
+} = require('../services/questionRevisions');
+const { canTakeExam } = require('../services/enrollment');
+const { emitToExam } = require('../services/realtime');
 
 const router = express.Router();
 
+// The exam as an attempt was built: its drawn pool questions, each at the revision
+// the attempt pinned
+async function loadAttemptExam(exam, attempt) {
+  const attemptExam = await resolveAttemptExam(exam, attempt.layout, { populate: true });
+  return applyRevisions(attemptExam, attempt.questionRevisions);
+}
+
+// Everything the client needs to (re)open an attempt: the exam in the attempt's
+// stored order with its drawn values filled in, the student's accommodations applied
+// and no answer keys, the
+// answers saved so far and the server-side remaining time
+function buildAttemptSession(attempt, exam) {
+  const studentExam = instantiateExam(
+    applyLayout(examForStudent(exam.toObject(), attempt.accommodation), attempt.layout),
+    attempt.questionValues
+  );
+  return {
+    attemptId: attempt.id,
+    exam: toStudentExam(studentExam, attempt.layout),
+    answers: attempt.answers.reduce((saved, entry) => ({ ...saved, [entry.questionId]: entry.answer }), {}),
+    time: getTimeStatus(attempt, exam)
+  };
+}
+
 // Start exam attempt
 router.post('/start', auth, [
-  body('examId').isMongoId(),
+  body('examId').isString().notEmpty(),
   body('password').optional().notEmpty()
 ], async (req, res) => {
   try {
@@ -21,7 +83,7 @@ router.post('/start', auth, [
     const { examId, password } = req.body;
 
     // Get exam
-    const exam = await Exam.findById(examId)
+    const exam = await examRepository.findById(examId)
       .populate('sections.questions.question');
     
     if (!exam) {
@@ -32,12 +94,20 @@ router.post('/start', auth, [
       return res.status(403).json({ message: 'Exam is not published' });
     }
 
-    // Check exam availability
+    // Exams assigned to groups are only open to the students enrolled in them
+    if (!(await canTakeExam(exam, req.userId, req.userRole))) {
+      return res.status(403).json({ message: 'You are not enrolled in a group this exam is assigned to' });
+    }
+
+    // Check exam availability, in the student's own window if they have one
     const now = new Date();
-    if (exam.startDate && exam.startDate > now) {
+    const accommodation = findAccommodation(exam, req.userId);
+    const timeMultiplier = accommodation ? accommodation.timeMultiplier : 1;
+    const { startDate, endDate } = availabilityWindow(exam, accommodation);
+    if (startDate && startDate > now) {
       return res.status(403).json({ message: 'Exam has not started yet' });
     }
-    if (exam.endDate && exam.endDate < now) {
+    if (endDate && endDate < now) {
       return res.status(403).json({ message: 'Exam has ended' });
     }
 
@@ -55,21 +125,49 @@ router.post('/start', auth, [
     }
 
     // Check existing attempts
-    const existingAttempts = await Attempt.find({
+    const existingAttempts = await attemptRepository.find({
       exam: examId,
       student: req.userId,
-      status: { $in: ['in-progress', 'completed'] }
+      status: { $in: ['in-progress', REVIEW_STATUS, 'completed'] }
     });
 
-    if (existingAttempts.length >= exam.settings.maxAttempts) {
+    // An attempt that is still running is resumed, not replaced by a new one
+    let previousAttempts = existingAttempts;
+    const activeAttempt = existingAttempts.find(existing => existing.status === 'in-progress');
+    if (activeAttempt) {
+      if (!isPastDeadline(getAttemptDeadline(activeAttempt, exam), now, SUBMISSION_GRACE_MS)) {
+        return res.status(409).json({
+          message: 'You already have an attempt in progress',
+          attemptId: activeAttempt.id
+        });
+      }
+      const closed = await finalizeAttempt(activeAttempt, exam, { now });
+      if (closed) {
+        previousAttempts = existingAttempts.map(existing => (existing.id === closed.id ? closed : existing));
+      }
+    }
+
+    if (existingAttempts.length >= allowedAttempts(exam, accommodation)) {
       return res.status(403).json({ message: 'Maximum attempts exceeded' });
     }
 
-    // Create new attempt
+    const availableAt = nextAttemptAt(exam, previousAttempts, now);
+    if (availableAt) {
+      return res.status(403).json({
+        message: 'Please wait before starting another attempt',
+        availableAt,
+        retryAfter: Math.ceil((availableAt - now) / 1000)
+      });
+    }
+
+    // Create new attempt; the deadline is fixed now and enforced by the server
+    const startTime = new Date();
     const attempt = new Attempt({
       exam: examId,
       student: req.userId,
-      startTime: new Date(),
+      startTime,
+      deadline: computeDeadline(exam, startTime, timeMultiplier),
+      accommodation,
       antiCheating: {
         deviceInfo: {
           fingerprint: req.body.deviceFingerprint || '',
@@ -83,42 +181,38 @@ router.post('/start', auth, [
       }
     });
 
-    await attempt.save();
-
-    // Randomize questions if required
-    let examData = exam.toObject();
-    if (exam.sections.some(section => section.randomizeQuestions)) {
-      examData.sections = examData.sections.map(section => {
-        if (section.randomizeQuestions) {
-          const shuffled = [...section.questions].sort(() => Math.random() - 0.5);
-          return { ...section, questions: shuffled };
-        }
-        return section;
-      });
+    // The first section's clock starts with the attempt
+    if (exam.sections.length > 0) {
+      startSectionTimer(attempt, exam, exam.sections[0], startTime);
     }
 
-    // Randomize options if required
-    if (exam.sections.some(section => section.randomizeOptions)) {
-      examData.sections = examData.sections.map(section => {
-        if (section.randomizeOptions) {
-          const questionsWithRandomizedOptions = section.questions.map(q => {
-            if (q.question.type === 'mcq' && q.question.options) {
-              const shuffledOptions = [...q.question.options].sort(() => Math.random() - 0.5);
-              return { ...q, question: { ...q.question, options: shuffledOptions } };
-            }
-            return q;
-          });
-          return { ...section, questions: questionsWithRandomizedOptions };
-        }
-        return section;
-      });
+    // Draw this attempt's questions for pool sections
+    const seed = createSeed();
+    const { drawn, shortages } = await drawPoolQuestions(exam, seed);
+    if (shortages.length > 0) {
+      console.error('Question pool shortage:', shortages);
+      return res.status(409).json({ message: 'Not enough questions in the question bank to build this exam' });
     }
+    const drawnExam = applyPoolDraw(exam, drawn);
+
+    // Pin every question at the revision its section lists (drawn questions at their
+    // current one), so later edits don't change this attempt
+    attempt.questionRevisions = examRevisionPins(drawnExam);
+    const attemptExam = await applyRevisions(drawnExam, attempt.questionRevisions);
+
+    // Randomize question and option order if required, keeping it and the drawn
+    // questions for resumes
+    attempt.layout = { ...createLayout(attemptExam, seed), pools: drawnQuestionIds(drawn) };
+
+    // Draw the values of templated questions, with their answers, from the same seed
+    attempt.questionValues = drawExamValues(attemptExam, seed);
+
+    await attempt.save();
 
     res.json({
       message: 'Exam started successfully',
-      attemptId: attempt._id,
-      exam: examData,
-      timeLimit: exam.settings.totalTimeLimit
+      timeLimit: exam.settings.totalTimeLimit && exam.settings.totalTimeLimit * timeMultiplier,
+      ...buildAttemptSession(attempt, attemptExam)
     });
   } catch (error) {
     console.error('Start exam error:', error);
@@ -126,10 +220,50 @@ router.post('/start', auth, [
   }
 });
 
+// Resume the student's in-progress attempt at an exam, e.g. after a browser crash
+router.get('/resume/:examId', auth, async (req, res) => {
+  try {
+    const { examId } = req.params;
+
+    const attempt = await attemptRepository.findOne({
+      exam: examId,
+      student: req.userId,
+      status: 'in-progress'
+    });
+
+    if (!attempt) {
+      return res.status(404).json({ message: 'No attempt in progress' });
+    }
+
+    const exam = await examRepository.findById(examId)
+      .populate('sections.questions.question');
+
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    // The clock kept running while the student was away
+    if (isPastDeadline(getAttemptDeadline(attempt, exam), new Date(), SUBMISSION_GRACE_MS)) {
+      await finalizeAttempt(attempt, exam);
+      return res.status(403).json({ message: 'Time limit exceeded', expired: true, attemptId: attempt.id });
+    }
+
+    const attemptExam = await loadAttemptExam(exam, attempt);
+
+    res.json({
+      message: 'Attempt resumed',
+      ...buildAttemptSession(attempt, attemptExam)
+    });
+  } catch (error) {
+    console.error('Resume attempt error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Submit answer
 router.post('/:attemptId/answer', auth, [
-  body('questionId').isMongoId(),
-  body('answer').notEmpty(),
+  body('questionId').isString().notEmpty(),
+  body('answer').exists(),
   body('timeSpent').optional().isInt({ min: 0 })
 ], async (req, res) => {
   try {
@@ -141,8 +275,7 @@ router.post('/:attemptId/answer', auth, [
     const { attemptId } = req.params;
     const { questionId, answer, timeSpent = 0 } = req.body;
 
-    const attempt = await Attempt.findById(attemptId)
-      .populate('exam');
+    const attempt = await attemptRepository.findById(attemptId);
     
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
@@ -156,66 +289,87 @@ router.post('/:attemptId/answer', auth, [
       return res.status(400).json({ message: 'Attempt is not in progress' });
     }
 
-    // Find the question in the exam
-    const exam = attempt.exam;
-    let question = null;
-    let points = 1;
-
-    for (const section of exam.sections) {
-      const questionRef = section.questions.find(q => q.question.toString() === questionId);
-      if (questionRef) {
-        question = questionRef.question;
-        points = questionRef.points || 1;
-        break;
-      }
+    const examDoc = await examRepository.findById(attempt.exam);
+    if (!examDoc) {
+      return res.status(404).json({ message: 'Exam not found' });
     }
+    const exam = await resolveAttemptExam(examDoc, attempt.layout);
 
-    if (!question) {
-      return res.status(404).json({ message: 'Question not found in this exam' });
+    // Reject answers once the time limit has run out, closing the attempt
+    const now = new Date();
+    if (isPastDeadline(getAttemptDeadline(attempt, exam), now, SUBMISSION_GRACE_MS)) {
+      await finalizeAttempt(attempt, exam, { now });
+      return res.status(403).json({ message: 'Time limit exceeded', expired: true });
     }
 
-    // Check if answer already exists
-    const existingAnswerIndex = attempt.answers.findIndex(a => a.questionId.toString() === questionId);
-    
-    // Grade the answer
-    let isCorrect = false;
-    let earnedPoints = 0;
+    // Find the question in the exam
+    const section = findQuestionSection(exam, questionId);
+    const questionRef = section && section.questions.find(q => q.question.toString() === questionId);
+    const question = questionRef
+      ? instantiateQuestion(
+        await questionAtRevision(await questionRepository.findById(questionId), attempt.questionRevisions[questionId]),
+        attempt.questionValues[questionId]
+      )
+      : null;
+    const points = (questionRef && questionRef.points) || 1;
 
-    if (question.type === 'mcq') {
-      const correctOptions = question.options.filter(opt => opt.isCorrect);
-      isCorrect = correctOptions.some(opt => opt.text === answer);
-    } else if (question.type === 'short-answer') {
-      // Simple text matching (in production, use more sophisticated matching)
-      isCorrect = answer.toLowerCase().trim() === question.correctAnswer.toLowerCase().trim();
-    } else if (question.type === 'code') {
-      // Code evaluation would be implemented here
-      isCorrect = false; // Placeholder
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found in this exam' });
     }
 
-    if (isCorrect) {
-      earnedPoints = points;
+    // Answering in a timed section the student hasn't entered yet starts its clock
+    const sectionTimings = attempt.sectionTimings;
+    const sectionTiming = startSectionTimer(attempt, exam, section, now);
+    if (sectionTiming && isPastDeadline(sectionTiming.deadline, now, SUBMISSION_GRACE_MS)) {
+      return res.status(403).json({
+        message: 'Section time limit exceeded',
+        expired: true,
+        sectionId: sectionKey(exam, section)
+      });
     }
 
+    // Grade the answer under the exam's partial credit and negative marking rules
+    const result = await evaluateAnswer(question, answer, points, gradingOptions(exam));
+
     const answerData = {
       questionId,
       answer,
       timeSpent,
-      isCorrect,
-      points: earnedPoints
+      isCorrect: result.isCorrect,
+      points: result.earnedPoints,
+      maxPoints: result.maxPoints,
+      partialCredit: result.fraction,
+      requiresManualGrading: result.requiresManualGrading
     };
 
-    if (existingAnswerIndex >= 0) {
-      attempt.answers[existingAnswerIndex] = answerData;
-    } else {
-      attempt.answers.push(answerData);
+    // Attempts are shown to the student, so hidden test cases are stored without
+    // their input and expected output
+    if (result.details.testResults) {
+      answerData.testResults = toPublicResults(result.details.testResults);
     }
 
-    await attempt.save();
+    // Replace any earlier answer to the question. The write only applies while the
+    // attempt is in progress, so it can't reopen an attempt the sweeper just closed.
+    const update = {
+      $pull: { answers: { questionId } },
+      $push: { answers: answerData }
+    };
+    if (attempt.sectionTimings !== sectionTimings) {
+      const key = sectionKey(exam, section);
+      update.$set = { [`sectionTimings.${key}`]: attempt.sectionTimings[key] };
+    }
+
+    const saved = await attemptRepository.updateById(attemptId, update, { filter: { status: 'in-progress' } });
+    if (!saved) {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
 
     res.json({
       message: 'Answer submitted successfully',
-      isCorrect,
-      points: earnedPoints
+      isCorrect: result.isCorrect,
+      points: result.earnedPoints,
+      requiresManualGrading: result.requiresManualGrading,
+      ...(answerData.testResults && { testResults: answerData.testResults })
     });
   } catch (error) {
     console.error('Submit answer error:', error);
@@ -223,6 +377,76 @@ router.post('/:attemptId/answer', auth, [
   }
 });
 
+// Get remaining time for an attempt, measured on the server clock
+router.get('/:attemptId/time', auth, async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+
+    const attempt = await attemptRepository.findById(attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    if (attempt.student.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const exam = await examRepository.findById(attempt.exam);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    res.json(getTimeStatus(attempt, exam));
+  } catch (error) {
+    console.error('Get attempt time error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enter a section, starting its clock if it is timed
+router.post('/:attemptId/sections/:sectionId/start', auth, async (req, res) => {
+  try {
+    const { attemptId, sectionId } = req.params;
+
+    const attempt = await attemptRepository.findById(attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    if (attempt.student.toString() !== req.userId) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
+
+    const exam = await examRepository.findById(attempt.exam);
+    const section = exam && exam.sections.find(s => sectionKey(exam, s) === sectionId);
+    if (!section) {
+      return res.status(404).json({ message: 'Section not found' });
+    }
+
+    const sectionTimings = attempt.sectionTimings;
+    startSectionTimer(attempt, exam, section);
+
+    if (attempt.sectionTimings !== sectionTimings) {
+      const saved = await attemptRepository.updateById(attemptId, {
+        $set: { [`sectionTimings.${sectionId}`]: attempt.sectionTimings[sectionId] }
+      }, { filter: { status: 'in-progress' } });
+
+      if (!saved) {
+        return res.status(400).json({ message: 'Attempt is not in progress' });
+      }
+    }
+
+    res.json(getTimeStatus(attempt, exam));
+  } catch (error) {
+    console.error('Start section error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Submit violation report
 router.post('/:attemptId/violation', auth, [
   body('type').isIn(['tab-switch', 'copy-paste', 'right-click', 'dev-tools', 'focus-loss', 'suspicious-behavior', 'plagiarism']),
@@ -238,7 +462,7 @@ router.post('/:attemptId/violation', auth, [
     const { attemptId } = req.params;
     const { type, details, severity } = req.body;
 
-    const attempt = await Attempt.findById(attemptId);
+    const attempt = await attemptRepository.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -247,24 +471,35 @@ router.post('/:attemptId/violation', auth, [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Add violation
-    attempt.antiCheating.violations.push({
-      type,
-      timestamp: new Date(),
-      details: details || '',
-      severity
-    });
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
+
+    // Proctoring writes only touch their own fields and only apply while the attempt
+    // is in progress, so they can't undo a submission or overwrite saved answers
+    const update = {
+      $push: {
+        'antiCheating.violations': {
+          type,
+          timestamp: new Date(),
+          details: details || '',
+          severity
+        }
+      }
+    };
 
     // Flag attempt if critical violation
     if (severity === 'critical') {
-      attempt.isFlagged = true;
-      attempt.flagReason = `Critical violation: ${type}`;
+      update.$set = { isFlagged: true, flagReason: `Critical violation: ${type}` };
     }
 
-    await attempt.save();
+    const saved = await attemptRepository.updateById(attemptId, update, { filter: { status: 'in-progress' } });
+    if (!saved) {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
 
     // Notify instructors in real-time
-    io.to(`exam-${attempt.exam}`).emit('violation-detected', {
+    emitToExam(attempt.exam, 'violation-detected', {
       attemptId,
       studentId: attempt.student,
       type,
@@ -293,7 +528,7 @@ router.post('/:attemptId/webcam', auth, [
     const { attemptId } = req.params;
     const { imageData, timestamp } = req.body;
 
-    const attempt = await Attempt.findById(attemptId);
+    const attempt = await attemptRepository.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -302,16 +537,25 @@ router.post('/:attemptId/webcam', auth, [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
+
     // In production, save image to cloud storage
     const imageUrl = `/webcam-snapshots/${attemptId}-${Date.now()}.jpg`;
 
-    attempt.antiCheating.webcamSnapshots.push({
-      timestamp: new Date(timestamp),
-      imageUrl,
-      flagged: false
-    });
-
-    await attempt.save();
+    const saved = await attemptRepository.updateById(attemptId, {
+      $push: {
+        'antiCheating.webcamSnapshots': {
+          timestamp: new Date(timestamp),
+          imageUrl,
+          flagged: false
+        }
+      }
+    }, { filter: { status: 'in-progress' } });
+    if (!saved) {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
 
     res.json({ message: 'Webcam snapshot saved successfully' });
   } catch (error) {
@@ -335,7 +579,7 @@ router.post('/:attemptId/behavior', auth, [
     const { attemptId } = req.params;
     const { mouseMovements, keyboardActivity, focusEvents } = req.body;
 
-    const attempt = await Attempt.findById(attemptId);
+    const attempt = await attemptRepository.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -344,18 +588,26 @@ router.post('/:attemptId/behavior', auth, [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
+
     // Update behavior data
+    const update = { $push: {} };
     if (mouseMovements) {
-      attempt.antiCheating.behaviorData.mouseMovements.push(...mouseMovements);
+      update.$push['antiCheating.behaviorData.mouseMovements'] = { $each: mouseMovements };
     }
     if (keyboardActivity) {
-      attempt.antiCheating.behaviorData.keyboardActivity.push(...keyboardActivity);
+      update.$push['antiCheating.behaviorData.keyboardActivity'] = { $each: keyboardActivity };
     }
     if (focusEvents) {
-      attempt.antiCheating.behaviorData.focusEvents.push(...focusEvents);
+      update.$push['antiCheating.behaviorData.focusEvents'] = { $each: focusEvents };
     }
 
-    await attempt.save();
+    const saved = await attemptRepository.updateById(attemptId, update, { filter: { status: 'in-progress' } });
+    if (!saved) {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
 
     res.json({ message: 'Behavior data saved successfully' });
   } catch (error) {
@@ -367,7 +619,7 @@ router.post('/:attemptId/behavior', auth, [
 // Submit plagiarism check
 router.post('/:attemptId/plagiarism', auth, [
   body('text').notEmpty(),
-  body('questionId').isMongoId()
+  body('questionId').isString().notEmpty()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -378,7 +630,7 @@ router.post('/:attemptId/plagiarism', auth, [
     const { attemptId } = req.params;
     const { text, questionId } = req.body;
 
-    const attempt = await Attempt.findById(attemptId);
+    const attempt = await attemptRepository.findById(attemptId);
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
     }
@@ -387,23 +639,31 @@ router.post('/:attemptId/plagiarism', auth, [
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (attempt.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
+    }
+
     // Simple plagiarism detection (in production, use external services)
     const similarityScore = Math.random() * 100; // Placeholder
 
     if (similarityScore > 80) {
-      attempt.antiCheating.violations.push({
-        type: 'plagiarism',
-        timestamp: new Date(),
-        details: `High similarity detected: ${similarityScore.toFixed(2)}%`,
-        severity: 'high'
-      });
+      const saved = await attemptRepository.updateById(attemptId, {
+        $push: {
+          'antiCheating.violations': {
+            type: 'plagiarism',
+            timestamp: new Date(),
+            details: `High similarity detected: ${similarityScore.toFixed(2)}%`,
+            severity: 'high'
+          }
+        },
+        $set: { isFlagged: true, flagReason: 'Plagiarism detected' }
+      }, { filter: { status: 'in-progress' } });
 
-      attempt.isFlagged = true;
-      attempt.flagReason = 'Plagiarism detected';
+      if (!saved) {
+        return res.status(400).json({ message: 'Attempt is not in progress' });
+      }
     }
 
-    await attempt.save();
-
     res.json({
       message: 'Plagiarism check completed',
       similarityScore: similarityScore.toFixed(2)
@@ -419,8 +679,7 @@ router.post('/:attemptId/finish', auth, async (req, res) => {
   try {
     const { attemptId } = req.params;
 
-    const attempt = await Attempt.findById(attemptId)
-      .populate('exam');
+    const attempt = await attemptRepository.findById(attemptId);
     
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
@@ -434,40 +693,152 @@ router.post('/:attemptId/finish', auth, async (req, res) => {
       return res.status(400).json({ message: 'Attempt is not in progress' });
     }
 
-    // Calculate final score
-    const totalPoints = attempt.answers.reduce((sum, answer) => sum + answer.points, 0);
-    const percentage = (totalPoints / attempt.exam.totalPoints) * 100;
+    const exam = await examRepository.findById(attempt.exam);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
 
-    // Determine grade
-    let grade = 'F';
-    if (attempt.exam.grading.gradeScale) {
-      for (const scale of attempt.exam.grading.gradeScale) {
-        if (percentage >= scale.minScore && percentage <= scale.maxScore) {
-          grade = scale.grade;
-          break;
-        }
-      }
+    const finalized = await finalizeAttempt(attempt, exam);
+    if (!finalized) {
+      return res.status(400).json({ message: 'Attempt is not in progress' });
     }
 
-    attempt.status = 'completed';
-    attempt.endTime = new Date();
-    attempt.timeSpent = Math.floor((attempt.endTime - attempt.startTime) / 1000);
-    attempt.score = totalPoints;
-    attempt.percentage = percentage;
-    attempt.grade = grade;
+    const pendingReview = finalized.status === REVIEW_STATUS;
+    res.json({
+      message: finalized.timeExpired
+        ? 'Time limit exceeded, exam submitted'
+        : pendingReview
+          ? 'Exam submitted, some answers are awaiting grading'
+          : 'Exam completed successfully',
+      attemptId: finalized.id,
+      status: finalized.status,
+      score: finalized.score,
+      percentage: finalized.percentage.toFixed(2),
+      grade: finalized.grade,
+      breakdown: finalized.scoreBreakdown,
+      timeSpent: Math.floor(finalized.duration / 1000),
+      timeExpired: finalized.timeExpired,
+      isFlagged: finalized.isFlagged
+    });
+  } catch (error) {
+    console.error('Finish exam error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    await attempt.save();
+// Get the question and option order the student was shown
+router.get('/:attemptId/layout', auth, async (req, res) => {
+  try {
+    const { attemptId } = req.params;
+
+    const attempt = await attemptRepository.findById(attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const exam = await examRepository.findById(attempt.exam)
+      .populate('sections.questions.question');
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    const isOwner = attempt.student.toString() === req.userId;
+    const isExamAuthor = exam.author.toString() === req.userId;
+    if (!isOwner && !isExamAuthor && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!attempt.layout) {
+      return res.status(404).json({ message: 'No layout was recorded for this attempt' });
+    }
+
+    // Reordering from the stored seed only matches while the exam is unchanged
+    const attemptExam = await loadAttemptExam(exam, attempt);
+    const redrawn = createLayout(attemptExam, attempt.layout.seed);
 
     res.json({
-      message: 'Exam completed successfully',
-      score: totalPoints,
-      percentage: percentage.toFixed(2),
-      grade,
-      timeSpent: attempt.timeSpent,
-      isFlagged: attempt.isFlagged
+      attemptId: attempt.id,
+      layout: attempt.layout,
+      reproducible: Boolean(attempt.layout.seed) && isSameLayout(redrawn, attempt.layout)
     });
   } catch (error) {
-    console.error('Finish exam error:', error);
+    console.error('Get attempt layout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Grade an answer that needs manual grading, scoring each rubric criterion
+router.post('/:attemptId/grade', auth, requireRole(['instructor', 'admin']), [
+  body('questionId').isString().notEmpty(),
+  body('criteria').isArray({ min: 1 }),
+  body('criteria.*.name').isString().notEmpty(),
+  body('criteria.*.score').isFloat({ min: 0 }),
+  body('criteria.*.comment').optional().isString(),
+  body('comment').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { attemptId } = req.params;
+    const { questionId, criteria, comment } = req.body;
+
+    const attempt = await attemptRepository.findById(attemptId);
+    if (!attempt) {
+      return res.status(404).json({ message: 'Attempt not found' });
+    }
+
+    const exam = await examRepository.findById(attempt.exam);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (![REVIEW_STATUS, 'completed'].includes(attempt.status)) {
+      return res.status(400).json({ message: 'Attempt has not been submitted' });
+    }
+
+    // Only answers that were sent for manual grading can be graded by hand
+    const answer = attempt.answers.find(entry => entry.questionId === questionId);
+    if (!answer || !(answer.requiresManualGrading || answer.manualGrade)) {
+      return res.status(404).json({ message: 'No answer awaiting manual grading for this question' });
+    }
+
+    const question = await questionAtRevision(
+      await questionRepository.findById(questionId),
+      attempt.questionRevisions[questionId]
+    );
+    const scored = scoreRubric(question, answer.maxPoints || 0, criteria);
+    if (scored.error) {
+      return res.status(400).json({ message: scored.error });
+    }
+
+    const updated = await gradeAnswer(attempt, exam, answer, {
+      criteria: scored.criteria,
+      points: scored.points,
+      comment,
+      graderId: req.userId
+    });
+    if (!updated) {
+      return res.status(400).json({ message: 'Attempt has not been submitted' });
+    }
+
+    res.json({
+      message: 'Answer graded successfully',
+      points: scored.points,
+      status: updated.status,
+      remaining: updated.answers.filter(entry => entry.requiresManualGrading).length,
+      score: updated.score,
+      percentage: updated.percentage,
+      grade: updated.grade
+    });
+  } catch (error) {
+    console.error('Grade answer error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -477,9 +848,8 @@ router.get('/:attemptId/results', auth, async (req, res) => {
   try {
     const { attemptId } = req.params;
 
-    const attempt = await Attempt.findById(attemptId)
-      .populate('exam', 'title settings')
-      .populate('sections.questions.question', 'title type content options correctAnswer');
+    const attempt = await attemptRepository.findById(attemptId)
+      .populate('exam', 'title settings');
     
     if (!attempt) {
       return res.status(404).json({ message: 'Attempt not found' });
@@ -489,7 +859,17 @@ router.get('/:attemptId/results', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    res.json(attempt);
+    // Attempts saved before hidden test details were stripped on submission still
+    // hold them
+    const answers = (attempt.answers || []).map(answer => (answer.testResults
+      ? { ...answer, testResults: toPublicResults(answer.testResults) }
+      : answer));
+
+    // The drawn values hold the answers to templated questions
+    if (attempt.status === 'in-progress') {
+      return res.json({ ...attempt, answers, questionValues: undefined });
+    }
+    res.json({ ...attempt, answers });
   } catch (error) {
     console.error('Get attempt results error:', error);
     res.status(500).json({ message: 'Server error' });
@@ -507,13 +887,13 @@ router.get('/user/:userId', auth, async (req, res) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const attempts = await Attempt.find({ student: userId })
+    const attempts = await attemptRepository.find({ student: userId })
       .populate('exam', 'title')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Attempt.countDocuments({ student: userId });
+    const total = await attemptRepository.countDocuments({ student: userId });
 
     res.json({
       attempts,
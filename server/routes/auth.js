@@ -1,17 +1,24 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const User = require('../models/User');
-const auth = require('../middleware/auth');
+const { userRepository } = require('../repositories');
+const { auth } = require('../middleware/auth');
+const { unscoped, runInOrganization } = require('../services/tenancy');
+const { findOrganization, findOrganizationBySlug } = require('../services/organizations');
 
 const router = express.Router();
 
+// The signed-in user's own account. Looked up across organizations because a
+// super-admin may be working inside one that isn't theirs.
+const findAccount = userId => unscoped(() => userRepository.findById(userId));
+
 // Register
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('firstName').notEmpty().trim(),
-  body('lastName').notEmpty().trim()
+  body('lastName').notEmpty().trim(),
+  body('organization').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -19,22 +26,30 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, firstName, lastName, role = 'student' } = req.body;
+    const { email, password, firstName, lastName } = req.body;
+
+    // Users join the organization named by its slug, or the default one
+    const organization = req.body.organization
+      ? await findOrganizationBySlug(req.body.organization)
+      : await findOrganization(req.organizationId);
+    if (!organization || !organization.isActive) {
+      return res.status(400).json({ message: 'Organization not found' });
+    }
 
-    // Check if user already exists
-    const existingUser = await User.findByEmail(email);
+    // Emails are unique across organizations, since login only asks for the email
+    const existingUser = await unscoped(() => userRepository.findOne({ email }));
     if (existingUser) {
       return res.status(400).json({ message: 'User already exists' });
     }
 
-    // Create new user
-    const user = await User.create({
+    // Anyone can sign up as a student; staff accounts are created by an admin
+    const user = await runInOrganization(organization.id, () => userRepository.create({
       email,
       password,
       firstName,
       lastName,
-      role
-    });
+      role: 'student'
+    }));
 
     // Generate JWT
     const token = jwt.sign(
@@ -51,7 +66,8 @@ router.post('/register', [
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        role: user.role
+        role: user.role,
+        organization: user.organization
       }
     });
   } catch (error) {
@@ -73,8 +89,8 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
-    // Find user
-    const user = await User.findByEmail(email);
+    // Find user, in whichever organization they belong to
+    const user = await unscoped(() => userRepository.findOne({ email }));
     if (!user) {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
@@ -86,6 +102,11 @@ router.post('/login', [
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
+    const organization = await findOrganization(user.organization);
+    if (user.role !== 'superadmin' && (!organization || !organization.isActive)) {
+      return res.status(403).json({ message: 'Your organization has been deactivated' });
+    }
+
     // Update last login
     await user.update({
       lastLogin: new Date()
@@ -106,7 +127,8 @@ router.post('/login', [
         email: user.email,
         firstName: user.firstName,
         lastName: user.lastName,
-        role: user.role
+        role: user.role,
+        organization: user.organization
       }
     });
   } catch (error) {
@@ -118,7 +140,7 @@ router.post('/login', [
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
-    const user = await User.findById(req.userId);
+    const user = await findAccount(req.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
@@ -133,6 +155,7 @@ router.get('/me', auth, async (req, res) => {
 router.put('/profile', auth, [
   body('firstName').optional().notEmpty().trim(),
   body('lastName').optional().notEmpty().trim(),
+  body('preferences').optional().isObject(),
   body('preferences.theme').optional().isIn(['light', 'dark']),
   body('preferences.notifications').optional().isBoolean()
 ], async (req, res) => {
@@ -142,8 +165,13 @@ router.put('/profile', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const updates = req.body;
-    const user = await User.findById(req.userId);
+    // Only the user's own name and preferences; role, organization and status are
+    // changed by admins
+    const updates = {};
+    ['firstName', 'lastName', 'preferences'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    const user = await findAccount(req.userId);
     
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
@@ -173,7 +201,10 @@ router.put('/change-password', auth, [
     }
 
     const { currentPassword, newPassword } = req.body;
-    const user = await User.findById(req.userId);
+    const user = await findAccount(req.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
     // Verify current password
     const isMatch = await user.comparePassword(currentPassword);
@@ -182,8 +213,7 @@ router.put('/change-password', auth, [
     }
 
     // Update password
-    user.password = newPassword;
-    await user.save();
+    await user.setPassword(newPassword);
 
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
@@ -0,0 +1,431 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { courseRepository, groupRepository, examRepository } = require('../repositories');
+const { auth, requireRole } = require('../middleware/auth');
+const {
+  createJoinCode,
+  findGroupByCode,
+  findStudentsByEmail,
+  readRosterCSV
+} = require('../services/enrollment');
+
+const router = express.Router();
+
+// Load the course named in the URL for its instructor or an admin, sending the error
+// response and resolving to null otherwise
+async function loadCourse(req, res) {
+  const course = await courseRepository.findById(req.params.id);
+  if (!course || !course.isActive) {
+    res.status(404).json({ message: 'Course not found' });
+    return null;
+  }
+
+  // Check if user is the course instructor or admin
+  if (course.instructor !== req.userId && req.userRole !== 'admin') {
+    res.status(403).json({ message: 'Access denied' });
+    return null;
+  }
+  return course;
+}
+
+// Load a group of a course loaded with loadCourse
+async function loadGroup(course, req, res) {
+  const group = await groupRepository.findById(req.params.groupId);
+  if (!group || group.course !== course.id) {
+    res.status(404).json({ message: 'Group not found' });
+    return null;
+  }
+  return group;
+}
+
+// Enroll students in a group. Resolves to the number newly enrolled.
+async function enroll(group, studentIds) {
+  const before = group.students.length;
+  const updated = await groupRepository.updateById(group.id, { $addToSet: { students: { $each: studentIds } } });
+  return updated.students.length - before;
+}
+
+const studentSummary = student => ({
+  id: student.id,
+  firstName: student.firstName,
+  lastName: student.lastName,
+  email: student.email
+});
+
+// Courses the user teaches (every course for admins) with their groups; for students,
+// the courses and groups they're enrolled in
+router.get('/', auth, async (req, res) => {
+  try {
+    if (req.userRole === 'student') {
+      const groups = await groupRepository.find({ students: req.userId })
+        .populate('course', 'name code term description isActive');
+      const courses = new Map();
+      groups.filter(group => group.course && group.course.isActive).forEach(group => {
+        if (!courses.has(group.course.id)) courses.set(group.course.id, { ...group.course, groups: [] });
+        courses.get(group.course.id).groups.push({ id: group.id, name: group.name });
+      });
+      return res.json({ courses: [...courses.values()] });
+    }
+
+    const filter = req.userRole === 'admin' ? { isActive: true } : { isActive: true, instructor: req.userId };
+    const courses = await courseRepository.find(filter)
+      .populate('instructor', 'firstName lastName')
+      .sort({ createdAt: -1 });
+    const groups = await groupRepository.find({ course: { $in: courses.map(course => course.id) } });
+
+    res.json({
+      courses: courses.map(course => ({
+        ...course,
+        groups: groups.filter(group => group.course === course.id).map(group => ({
+          id: group.id,
+          name: group.name,
+          joinCode: group.joinCode,
+          studentCount: group.students.length
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get courses error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Join a group with its join code
+router.post('/join', auth, requireRole(['student']), [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const group = await findGroupByCode(req.body.code);
+    const course = group && await courseRepository.findById(group.course);
+    if (!group || !course || !course.isActive) {
+      return res.status(404).json({ message: 'Invalid join code' });
+    }
+
+    const added = await enroll(group, [req.userId]);
+
+    res.json({
+      message: added > 0 ? `Joined ${course.name}` : `Already enrolled in ${course.name}`,
+      course: { id: course.id, name: course.name, code: course.code, term: course.term },
+      group: { id: group.id, name: group.name }
+    });
+  } catch (error) {
+    console.error('Join group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a course, owned by the instructor creating it
+router.post('/', auth, requireRole(['instructor', 'admin']), [
+  body('name').notEmpty().trim(),
+  body('code').optional().isString().trim(),
+  body('term').optional().isString().trim(),
+  body('description').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await courseRepository.create({
+      name: req.body.name,
+      code: req.body.code || '',
+      term: req.body.term || '',
+      description: req.body.description || '',
+      instructor: req.userId
+    });
+
+    res.status(201).json({
+      message: 'Course created successfully',
+      course
+    });
+  } catch (error) {
+    console.error('Create course error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a course with its groups, their students and the exams assigned to them
+router.get('/:id', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const groups = await groupRepository.find({ course: course.id })
+      .populate('students', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+    const groupIds = groups.map(group => group.id);
+    const exams = groupIds.length > 0
+      ? await examRepository.find({ isActive: true, groups: { $in: groupIds } }).select('title groups isPublished startDate endDate')
+      : [];
+
+    res.json({
+      ...course,
+      groups: groups.map(group => ({
+        ...group,
+        students: group.students.map(studentSummary),
+        exams: exams
+          .filter(exam => exam.groups.includes(group.id))
+          .map(exam => ({ id: exam.id, title: exam.title, isPublished: exam.isPublished, startDate: exam.startDate }))
+      }))
+    });
+  } catch (error) {
+    console.error('Get course error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update course details
+router.put('/:id', auth, requireRole(['instructor', 'admin']), [
+  body('name').optional().notEmpty().trim(),
+  body('code').optional().isString().trim(),
+  body('term').optional().isString().trim(),
+  body('description').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const updates = {};
+    ['name', 'code', 'term', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    const updated = await courseRepository.updateById(course.id, { $set: { ...updates, updatedAt: new Date() } });
+
+    res.json({
+      message: 'Course updated successfully',
+      course: updated
+    });
+  } catch (error) {
+    console.error('Update course error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a course. Its groups keep their students, so exams assigned to them stay
+// restricted to those students.
+router.delete('/:id', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    // Soft delete
+    await courseRepository.updateById(course.id, { $set: { isActive: false, updatedAt: new Date() } });
+
+    res.json({ message: 'Course deleted successfully' });
+  } catch (error) {
+    console.error('Delete course error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a group to a course, with a join code for students
+router.post('/:id/groups', auth, requireRole(['instructor', 'admin']), [
+  body('name').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+
+    const group = await groupRepository.create({
+      course: course.id,
+      name: req.body.name,
+      students: [],
+      joinCode: await createJoinCode()
+    });
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a group
+router.put('/:id/groups/:groupId', auth, requireRole(['instructor', 'admin']), [
+  body('name').notEmpty().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    const updated = await groupRepository.updateById(group.id, { $set: { name: req.body.name, updatedAt: new Date() } });
+
+    res.json({
+      message: 'Group updated successfully',
+      group: updated
+    });
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a group. Exams assigned to it keep the assignment (see services/enrollment.js).
+router.delete('/:id/groups/:groupId', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    await groupRepository.deleteById(group.id);
+
+    res.json({ message: 'Group deleted successfully' });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Give a group a new join code; the old one stops working
+router.post('/:id/groups/:groupId/join-code', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    const updated = await groupRepository.updateById(group.id, {
+      $set: { joinCode: await createJoinCode(), updatedAt: new Date() }
+    });
+
+    res.json({
+      message: 'Join code changed',
+      joinCode: updated.joinCode
+    });
+  } catch (error) {
+    console.error('Change join code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Turn off joining a group by code
+router.delete('/:id/groups/:groupId/join-code', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    await groupRepository.updateById(group.id, { $set: { joinCode: null, updatedAt: new Date() } });
+
+    res.json({ message: 'Join code turned off' });
+  } catch (error) {
+    console.error('Remove join code error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enroll students in a group by email
+router.post('/:id/groups/:groupId/students', auth, requireRole(['instructor', 'admin']), [
+  body('emails').isArray({ min: 1 }),
+  body('emails.*').isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    const { studentIds, unknown } = await findStudentsByEmail(req.body.emails);
+    const added = studentIds.length > 0 ? await enroll(group, studentIds) : 0;
+
+    res.json({
+      message: `${added} student(s) enrolled`,
+      added,
+      unknown
+    });
+  } catch (error) {
+    console.error('Enroll students error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Enroll students in a group from a roster CSV sent as { content }, with an "email"
+// column or the emails in the first column
+router.post('/:id/groups/:groupId/students/import', auth, requireRole(['instructor', 'admin']), [
+  body('content').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    const roster = readRosterCSV(req.body.content);
+    if (roster.emails.length === 0) {
+      return res.status(400).json({ message: 'No student emails found in the file', problems: roster.errors });
+    }
+
+    const { studentIds, unknown } = await findStudentsByEmail(roster.emails);
+    const added = studentIds.length > 0 ? await enroll(group, studentIds) : 0;
+
+    res.json({
+      message: `${added} student(s) enrolled`,
+      added,
+      unknown,
+      problems: roster.errors
+    });
+  } catch (error) {
+    console.error('Import roster error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a student from a group
+router.delete('/:id/groups/:groupId/students/:studentId', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const course = await loadCourse(req, res);
+    if (!course) return;
+    const group = await loadGroup(course, req, res);
+    if (!group) return;
+
+    if (!group.students.includes(req.params.studentId)) {
+      return res.status(404).json({ message: 'Student is not in this group' });
+    }
+    await groupRepository.updateById(group.id, { $pull: { students: req.params.studentId } });
+
+    res.json({ message: 'Student removed from group' });
+  } catch (error) {
+    console.error('Remove student error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,202 @@
+const crypto = require('crypto');
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Exam = require('../models/Exam');
-const Question = require('../models/Question');
 const Attempt = require('../models/Attempt');
-const { auth, requireRole } = require('../middleware/auth');
-const { io } = require('../index');
+const {
+  examRepository,
+  questionRepository,
+  attemptRepository,
+  userRepository,
+  examTemplateRepository,
+  groupRepository
+} = require('../repositories');
+const { escapeRegExp } = require('../repositories/filters');
+const { auth, optionalAuth, requireRole } = require('../middleware/auth');
+const { emitToExam } = require('../services/realtime');
 const natural = require('natural');
+const { evaluateAnswer } = require('../services/grading');
+const { buildPool, isPoolSection, checkPoolAvailability } = require('../services/questionPools');
+const { REVIEW_STATUS, rubricCriteria, findPendingAnswers } = require('../services/manualGrading');
+const { MIN_RESPONSES, analyzeExam } = require('../services/itemAnalysis');
+const { generateExamReport, reportToCSV } = require('../services/examReport');
+const { instantiateQuestion } = require('../services/questionVariables');
+const { determineGrade } = require('../services/gradeScale');
+const { ATTEMPT_POLICIES, getAttemptPolicy, officialResults } = require('../services/attemptPolicy');
+const {
+  QUESTION_MODES,
+  blueprintOf,
+  listedQuestionIds,
+  copySectionQuestions,
+  shiftedDates
+} = require('../services/examReuse');
+const {
+  findStudentsByEmail,
+  groupIdsOfStudent,
+  examAccessFilter,
+  canTakeExam
+} = require('../services/enrollment');
+const { defaultAntiCheating } = require('../services/organizations');
+const {
+  METHODS,
+  PARTIAL_CREDIT,
+  gradingOptions,
+  validateSectionWeights,
+  scoreSections
+} = require('../services/scoring');
+const {
+  MAX_TIME_MULTIPLIER,
+  buildAccommodation,
+  findAccommodation,
+  availabilityWindow,
+  allowedAttempts,
+  accommodatedAntiCheating
+} = require('../services/accommodations');
+const {
+  pinSectionRevisions,
+  questionAtRevision,
+  findQuestionsAt
+} = require('../services/questionRevisions');
 
 const router = express.Router();
 
-// Get all exams with filtering and pagination
-router.get('/', [
+// Listed questions are pinned to a question revision so later edits to a question
+// don't change the exam; refs without one are pinned to the current revision on save
+function buildSectionQuestions(questions) {
+  return questions.map((q, index) => ({
+    question: q.question,
+    revision: q.revision || null,
+    points: q.points || 1,
+    order: index
+  }));
+}
+
+// Sections are embedded in the exam document, so each one carries its own ID.
+// A section either lists its questions or draws them from a question pool.
+function buildSection(data) {
+  return {
+    id: data.id || crypto.randomUUID(),
+    name: data.name,
+    description: data.description || '',
+    timeLimit: data.timeLimit || null,
+    questions: data.pool ? [] : buildSectionQuestions(data.questions || []),
+    pool: data.pool ? buildPool(data.pool) : null,
+    randomizeQuestions: data.randomizeQuestions || false,
+    randomizeOptions: data.randomizeOptions || false
+  };
+}
+
+// Sections need at least one question, or a pool to draw from
+const hasQuestionsOrPool = section =>
+  Boolean(section && (section.pool || (Array.isArray(section.questions) && section.questions.length > 0)));
+
+function findSectionIndex(exam, sectionId) {
+  return exam.sections.findIndex(section => (section.id || section._id) === sectionId);
+}
+
+// True when every referenced question exists and has not been deleted
+async function allQuestionsActive(questionIds) {
+  const uniqueIds = [...new Set(questionIds.map(String))];
+  const count = await questionRepository.countDocuments({ id: { $in: uniqueIds }, isActive: true });
+  return count === uniqueIds.length;
+}
+
+function calculateSectionPoints(section) {
+  if (isPoolSection(section)) {
+    return section.pool.count * (section.pool.points || 1);
+  }
+  return section.questions.reduce((sum, q) => sum + (q.points || 1), 0);
+}
+
+function calculateTotalPoints(sections) {
+  return sections.reduce((total, section) => total + calculateSectionPoints(section), 0);
+}
+
+// Assigned groups with their course and size, for the exam page. Groups deleted since
+// they were assigned are left out.
+async function describeGroups(groupIds) {
+  if (groupIds.length === 0) return [];
+  const groups = await groupRepository.find({ id: { $in: groupIds } })
+    .populate('course', 'name code term instructor');
+  return groups.map(group => ({
+    id: group.id,
+    name: group.name,
+    course: group.course,
+    studentCount: group.students.length
+  }));
+}
+
+// Accommodations with their students' names, for the exam page
+async function describeAccommodations(accommodations) {
+  const students = await userRepository.findByIds(accommodations.flatMap(accommodation => accommodation.students));
+  const byId = new Map(students.map(student => [student.id, {
+    id: student.id,
+    firstName: student.firstName,
+    lastName: student.lastName,
+    email: student.email
+  }]));
+
+  return accommodations.map(accommodation => ({
+    ...accommodation,
+    students: accommodation.students.map(id => byId.get(id)).filter(Boolean)
+  }));
+}
+
+const accommodationValidators = [
+  body('name').optional().isString().trim(),
+  body('students.*').isEmail(),
+  body('timeMultiplier').optional().isFloat({ min: 1, max: MAX_TIME_MULTIPLIER }),
+  body('extraAttempts').optional().isInt({ min: 0, max: 20 }),
+  body('startDate').optional({ nullable: true }).isISO8601(),
+  body('endDate').optional({ nullable: true }).isISO8601(),
+  body('disableWebcam').optional().isBoolean(),
+  body('notes').optional().isString()
+];
+
+// First pool section that can't draw its questions from the current question bank,
+// for an exam by the given author
+async function findPoolShortage(sections, author) {
+  for (const section of sections.filter(isPoolSection)) {
+    const availability = await checkPoolAvailability(section.pool, author);
+    if (!availability.satisfiable) {
+      const { required, available } = availability.shortage;
+      return `Question pool for section "${section.name}" needs ${required} question(s) but only ${available} match`;
+    }
+  }
+  return null;
+}
+
+// Sections reused from another exam or a template, with their listed questions
+// referenced or copied (see services/examReuse.js). Resolves to { sections }, or to
+// { message } when they can't be reused.
+async function reuseSections(sections, questionMode, userId) {
+  if (questionMode === 'copy') {
+    const copied = await copySectionQuestions(sections, userId);
+    return copied ? { sections: copied } : { message: 'Some questions no longer exist' };
+  }
+
+  const questionIds = listedQuestionIds(sections);
+  if (questionIds.length > 0 && !(await allQuestionsActive(questionIds))) {
+    return { message: 'Some questions are invalid or inactive; copy the questions instead' };
+  }
+  return { sections };
+}
+
+// A template the user may create exams from: their own, a shared one, or any for admins
+async function findUsableTemplate(templateId, req) {
+  const template = await examTemplateRepository.findById(templateId);
+  if (!template) return null;
+  const usable = template.isShared || template.author === req.userId || req.userRole === 'admin';
+  return usable ? template : null;
+}
+
+// Get all exams with filtering and pagination. Students (and anonymous visitors) only
+// see published exams open to them; see services/enrollment.js.
+router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('status').optional().isIn(['draft', 'published', 'active', 'completed']),
-  query('author').optional().isMongoId(),
+  query('author').optional().notEmpty(),
   query('search').optional().notEmpty()
 ], async (req, res) => {
   try {
@@ -33,13 +215,17 @@ router.get('/', [
 
     // Build filter object
     const filter = { isActive: true };
+    const conditions = [];
     
     if (author) filter.author = author;
     if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      const pattern = escapeRegExp(search);
+      conditions.push({
+        $or: [
+          { title: { $regex: pattern, $options: 'i' } },
+          { description: { $regex: pattern, $options: 'i' } }
+        ]
+      });
     }
 
     // Add status filter
@@ -65,13 +251,19 @@ router.get('/', [
       }
     }
 
-    const exams = await Exam.find(filter)
+    if (req.userRole !== 'instructor' && req.userRole !== 'admin') {
+      conditions.push({ isPublished: true }, examAccessFilter(await groupIdsOfStudent(req.userId)));
+    }
+    if (conditions.length > 0) filter.$and = conditions;
+
+    const exams = await examRepository.find(filter)
+      .select('-accommodations')
       .populate('author', 'firstName lastName')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit);
 
-    const total = await Exam.countDocuments(filter);
+    const total = await examRepository.countDocuments(filter);
 
     res.json({
       exams,
@@ -87,12 +279,112 @@ router.get('/', [
   }
 });
 
+// Check how many bank questions a pool definition can draw from
+router.post('/pools/preview', auth, requireRole(['instructor', 'admin']), [
+  body('pool').isObject(),
+  body('pool.count').optional().isInt({ min: 1 }),
+  body('pool.strata').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const availability = await checkPoolAvailability(buildPool(req.body.pool), req.userId);
+    res.json(availability);
+  } catch (error) {
+    console.error('Preview question pool error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Exam templates the user can create exams from
+router.get('/templates', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const filter = req.userRole === 'admin' ? {} : { $or: [{ author: req.userId }, { isShared: true }] };
+    const templates = await examTemplateRepository.find(filter)
+      .populate('author', 'firstName lastName')
+      .sort({ name: 1 });
+
+    res.json({ templates });
+  } catch (error) {
+    console.error('Get exam templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save an exam as a template, with or without its sections and questions
+router.post('/templates', auth, requireRole(['instructor', 'admin']), [
+  body('exam').notEmpty(),
+  body('name').notEmpty().trim(),
+  body('description').optional().isString().trim(),
+  body('includeSections').optional().isBoolean(),
+  body('isShared').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const exam = await examRepository.findById(req.body.exam);
+    if (!exam || !exam.isActive) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    // Check if user is author or admin
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const template = await examTemplateRepository.create({
+      name: req.body.name,
+      description: req.body.description || '',
+      blueprint: blueprintOf(exam, { includeSections: req.body.includeSections !== false, forTemplate: true }),
+      sourceExam: exam.id,
+      author: req.userId,
+      isShared: req.body.isShared === true
+    });
+
+    res.status(201).json({
+      message: 'Exam template saved successfully',
+      template
+    });
+  } catch (error) {
+    console.error('Create exam template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an exam template. Exams created from it are unaffected.
+router.delete('/templates/:templateId', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const template = await examTemplateRepository.findById(req.params.templateId);
+    if (!template) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (template.author !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await examTemplateRepository.deleteById(template.id);
+    res.json({ message: 'Exam template deleted successfully' });
+  } catch (error) {
+    console.error('Delete exam template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get exam by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id)
+    // Accommodations name students, so they're only served by /:id/accommodations
+    const exam = await examRepository.findById(req.params.id)
+      .select('-accommodations')
       .populate('author', 'firstName lastName')
-      .populate('sections.questions.question', 'title type content metadata');
+      .populate('sections.questions.question', 'title type content metadata revision');
     
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
@@ -110,11 +402,17 @@ router.post('/', auth, requireRole(['instructor', 'admin']), [
   body('title').notEmpty().trim(),
   body('description').optional().notEmpty(),
   body('instructions').optional().notEmpty(),
-  body('sections').isArray({ min: 1 }),
+  body('sections').optional().isArray(),
   body('sections.*.name').notEmpty(),
-  body('sections.*.questions').isArray({ min: 1 }),
+  body('sections.*').custom(hasQuestionsOrPool).withMessage('Section needs questions or a question pool'),
+  body('sections.*.pool.count').optional().isInt({ min: 1 }),
+  body('sections.*.pool.strata').optional().isArray(),
   body('settings.totalTimeLimit').optional().isInt({ min: 1 }),
-  body('antiCheating.enabled').optional().isBoolean()
+  body('settings.attemptPolicy').optional().isIn(ATTEMPT_POLICIES),
+  body('settings.attemptCooldown').optional({ nullable: true }).isInt({ min: 0 }),
+  body('antiCheating.enabled').optional().isBoolean(),
+  body('template').optional().isString(),
+  body('questionMode').optional().isIn(QUESTION_MODES)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -122,22 +420,56 @@ router.post('/', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Validate questions exist and are active
-    const allQuestionIds = req.body.sections.flatMap(section => 
-      section.questions.map(q => q.question)
-    );
-    
-    const questions = await Question.find({
-      _id: { $in: allQuestionIds },
-      isActive: true
-    });
+    // Exams may start from a template's blueprint, with the request's fields on top
+    let blueprint = {};
+    if (req.body.template) {
+      const template = await findUsableTemplate(req.body.template, req);
+      if (!template) {
+        return res.status(404).json({ message: 'Template not found' });
+      }
+      blueprint = template.blueprint;
+    }
 
-    if (questions.length !== allQuestionIds.length) {
-      return res.status(400).json({ message: 'Some questions are invalid or inactive' });
+    // Exams may be created as an empty draft and filled in section by section
+    let sections = (req.body.sections || blueprint.sections || []).map(buildSection);
+
+    // Checked before any questions are copied
+    const poolShortage = await findPoolShortage(sections, req.userId);
+    if (poolShortage) {
+      return res.status(400).json({ message: poolShortage });
     }
 
+    if (req.body.sections) {
+      // Validate questions exist and are active
+      const allQuestionIds = sections.flatMap(section =>
+        section.questions.map(q => q.question)
+      );
+
+      if (allQuestionIds.length > 0) {
+        if (!(await allQuestionsActive(allQuestionIds))) {
+          return res.status(400).json({ message: 'Some questions are invalid or inactive' });
+        }
+      }
+    } else {
+      const reused = await reuseSections(sections, req.body.questionMode, req.userId);
+      if (reused.message) {
+        return res.status(400).json({ message: reused.message });
+      }
+      sections = reused.sections;
+    }
+
+    await pinSectionRevisions(sections);
+
     const examData = {
+      ...blueprint,
       ...req.body,
+      settings: { ...(blueprint.settings || {}), ...(req.body.settings || {}) },
+      // Without one of their own, exams start with the organization's policy
+      antiCheating: req.body.antiCheating || blueprint.antiCheating || defaultAntiCheating(req.organization),
+      sections,
+      totalPoints: calculateTotalPoints(sections),
+      accommodations: [],
+      groups: [],
       author: req.userId
     };
 
@@ -160,7 +492,12 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
   body('description').optional().notEmpty(),
   body('instructions').optional().notEmpty(),
   body('sections').optional().isArray({ min: 1 }),
+  body('sections.*').optional().custom(hasQuestionsOrPool).withMessage('Section needs questions or a question pool'),
+  body('sections.*.pool.count').optional().isInt({ min: 1 }),
+  body('sections.*.pool.strata').optional().isArray(),
   body('settings.totalTimeLimit').optional().isInt({ min: 1 }),
+  body('settings.attemptPolicy').optional().isIn(ATTEMPT_POLICIES),
+  body('settings.attemptCooldown').optional({ nullable: true }).isInt({ min: 0 }),
   body('antiCheating.enabled').optional().isBoolean()
 ], async (req, res) => {
   try {
@@ -169,7 +506,7 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -179,27 +516,35 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Validate questions if sections are being updated
-    if (req.body.sections) {
-      const allQuestionIds = req.body.sections.flatMap(section => 
+    const updates = { ...req.body };
+    delete updates.id;
+    delete updates.author;
+    delete updates.accommodations;
+    delete updates.groups;
+
+    // Validate questions and pools if sections are being updated
+    if (updates.sections) {
+      updates.sections = updates.sections.map(buildSection);
+
+      const allQuestionIds = updates.sections.flatMap(section =>
         section.questions.map(q => q.question)
       );
-      
-      const questions = await Question.find({
-        _id: { $in: allQuestionIds },
-        isActive: true
-      });
 
-      if (questions.length !== allQuestionIds.length) {
+      if (allQuestionIds.length > 0 && !(await allQuestionsActive(allQuestionIds))) {
         return res.status(400).json({ message: 'Some questions are invalid or inactive' });
       }
+
+      const poolShortage = await findPoolShortage(updates.sections, exam.author);
+      if (poolShortage) {
+        return res.status(400).json({ message: poolShortage });
+      }
+
+      await pinSectionRevisions(updates.sections);
+
+      updates.totalPoints = calculateTotalPoints(updates.sections);
     }
 
-    const updatedExam = await Exam.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    const updatedExam = await exam.update(updates);
 
     res.json({
       message: 'Exam updated successfully',
@@ -222,7 +567,7 @@ router.post('/:id/publish', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -251,7 +596,7 @@ router.post('/:id/publish', auth, requireRole(['instructor', 'admin']), [
 // Unpublish exam
 router.post('/:id/unpublish', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -274,10 +619,64 @@ router.post('/:id/unpublish', auth, requireRole(['instructor', 'admin']), async
   }
 });
 
+// Clone an exam for another term: sections, grading, anti-cheating and settings are
+// copied into an unpublished exam, with the dates moved to a new opening date or by a
+// number of days. Listed questions are referenced or copied (see services/examReuse.js).
+router.post('/:id/clone', auth, requireRole(['instructor', 'admin']), [
+  body('title').optional().notEmpty().trim(),
+  body('startDate').optional({ nullable: true }).isISO8601(),
+  body('shiftDays').optional({ nullable: true }).isInt({ min: -3650, max: 3650 }),
+  body('questionMode').optional().isIn(QUESTION_MODES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam || !exam.isActive) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    // Check if user is author or admin
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const blueprint = blueprintOf(exam);
+    const reused = await reuseSections(blueprint.sections, req.body.questionMode, req.userId);
+    if (reused.message) {
+      return res.status(400).json({ message: reused.message });
+    }
+
+    const clone = new Exam({
+      ...blueprint,
+      ...shiftedDates(exam, { startDate: req.body.startDate, shiftDays: req.body.shiftDays }),
+      title: req.body.title || `${exam.title} (Copy)`,
+      sections: reused.sections,
+      password: exam.password,
+      ipRestrictions: exam.ipRestrictions,
+      deviceRestrictions: exam.deviceRestrictions,
+      accommodations: [],
+      author: req.userId
+    });
+    await clone.save();
+
+    res.status(201).json({
+      message: 'Exam cloned successfully',
+      exam: clone
+    });
+  } catch (error) {
+    console.error('Clone exam error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Delete exam
 router.delete('/:id', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -301,7 +700,7 @@ router.delete('/:id', auth, requireRole(['instructor', 'admin']), async (req, re
 // Get exam statistics
 router.get('/:id/stats', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -329,43 +728,71 @@ router.get('/:id/stats', auth, requireRole(['instructor', 'admin']), async (req,
   }
 });
 
-// Generate exam preview (for students to see before starting)
-router.get('/:id/preview', async (req, res) => {
+// Generate exam preview (for students to see before starting, or for the author while building)
+router.get('/:id/preview', optionalAuth, async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id)
+    const exam = await examRepository.findById(req.params.id)
       .populate('sections.questions.question', 'title type metadata');
     
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
 
-    if (!exam.isPublished) {
+    const canPreviewDraft = req.userId && (exam.author === req.userId || req.userRole === 'admin');
+    if (!exam.isPublished && !canPreviewDraft) {
       return res.status(403).json({ message: 'Exam is not published' });
     }
 
+    // Exams assigned to groups are only shown to their students
+    if (req.userRole !== 'instructor' && !(await canTakeExam(exam, req.userId, req.userRole))) {
+      return res.status(403).json({ message: 'You are not enrolled in a group this exam is assigned to' });
+    }
+
+    // Students see the exam as it applies to them, accommodations included
+    const accommodation = req.userId ? findAccommodation(exam, req.userId) : null;
+    const { startDate, endDate } = availabilityWindow(exam, accommodation);
+    const antiCheating = accommodatedAntiCheating(exam.antiCheating || {}, accommodation);
+    const isEnabled = feature => !!(antiCheating.enabled && antiCheating[feature] && antiCheating[feature].enabled);
+
     // Return exam info without sensitive data
     const preview = {
-      id: exam._id,
+      id: exam.id,
       title: exam.title,
+      isPublished: exam.isPublished,
       description: exam.description,
       instructions: exam.instructions,
       settings: {
         totalTimeLimit: exam.settings.totalTimeLimit,
         allowReview: exam.settings.allowReview,
         allowSkip: exam.settings.allowSkip,
-        maxAttempts: exam.settings.maxAttempts
+        maxAttempts: allowedAttempts(exam, accommodation),
+        attemptPolicy: getAttemptPolicy(exam),
+        attemptCooldown: exam.settings.attemptCooldown || 0
       },
       sections: exam.sections.map(section => ({
         name: section.name,
         description: section.description,
         timeLimit: section.timeLimit,
-        questionCount: section.questions.length,
+        questionCount: isPoolSection(section) ? section.pool.count : section.questions.length,
+        points: calculateSectionPoints(section),
+        drawnFromPool: isPoolSection(section),
         randomizeQuestions: section.randomizeQuestions,
         randomizeOptions: section.randomizeOptions
       })),
+      antiCheating: {
+        browserLock: isEnabled('browserLock'),
+        focusDetection: isEnabled('focusDetection'),
+        webcamMonitoring: isEnabled('webcamMonitoring'),
+        behaviorMonitoring: isEnabled('behaviorMonitoring')
+      },
       totalPoints: exam.totalPoints,
-      startDate: exam.startDate,
-      endDate: exam.endDate
+      startDate,
+      endDate,
+      accommodation: accommodation && {
+        timeMultiplier: accommodation.timeMultiplier,
+        extraAttempts: accommodation.extraAttempts,
+        disableWebcam: accommodation.disableWebcam
+      }
     };
 
     res.json(preview);
@@ -377,11 +804,18 @@ router.get('/:id/preview', async (req, res) => {
 
 // Advanced grading rules management
 router.post('/:id/grading-rules', auth, requireRole(['instructor', 'admin']), [
-  body('method').isIn(['points', 'percentage', 'weighted', 'adaptive']),
+  body('method').isIn(METHODS),
   body('passingScore').optional().isFloat({ min: 0, max: 100 }),
   body('gradeScale').optional().isArray(),
   body('penalties').optional().isObject(),
-  body('bonuses').optional().isObject()
+  body('bonuses').optional().isObject(),
+  body('partialCredit').optional().isIn(PARTIAL_CREDIT),
+  body('negativeMarking.enabled').optional().isBoolean(),
+  body('negativeMarking.penalty').optional().isFloat({ min: 0, max: 1 }),
+  body('sectionWeights').optional().isObject(),
+  body('sectionWeights.*').optional().isFloat({ min: 0, max: 100 }),
+  body('difficultyWeights').optional().isObject(),
+  body('difficultyWeights.*').optional().isFloat({ min: 0 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -389,7 +823,7 @@ router.post('/:id/grading-rules', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -399,11 +833,19 @@ router.post('/:id/grading-rules', auth, requireRole(['instructor', 'admin']), [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    exam.grading = {
+    const grading = {
       ...exam.grading,
       ...req.body
     };
 
+    if (grading.method === 'weighted') {
+      const weightError = validateSectionWeights(exam, grading.sectionWeights);
+      if (weightError) {
+        return res.status(400).json({ message: weightError });
+      }
+    }
+
+    exam.grading = grading;
     await exam.save();
 
     res.json({
@@ -421,7 +863,10 @@ router.post('/:id/sections', auth, requireRole(['instructor', 'admin']), [
   body('name').notEmpty(),
   body('description').optional(),
   body('timeLimit').optional().isInt({ min: 1 }),
-  body('questions').isArray({ min: 1 }),
+  body('questions').if(body('pool').not().exists()).isArray({ min: 1 }),
+  body('pool').optional().isObject(),
+  body('pool.count').optional().isInt({ min: 1 }),
+  body('pool.strata').optional().isArray(),
   body('randomizeQuestions').optional().isBoolean(),
   body('randomizeOptions').optional().isBoolean()
 ], async (req, res) => {
@@ -431,7 +876,7 @@ router.post('/:id/sections', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -441,31 +886,23 @@ router.post('/:id/sections', auth, requireRole(['instructor', 'admin']), [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    // Validate questions exist
-    const questionIds = req.body.questions.map(q => q.question);
-    const questions = await Question.find({
-      _id: { $in: questionIds },
-      isActive: true
-    });
+    const newSection = buildSection({ ...req.body, id: null });
 
-    if (questions.length !== questionIds.length) {
+    // Validate questions exist, or that the pool can be drawn
+    const questionIds = newSection.questions.map(q => q.question);
+    if (questionIds.length > 0 && !(await allQuestionsActive(questionIds))) {
       return res.status(400).json({ message: 'Some questions are invalid or inactive' });
     }
 
-    const newSection = {
-      name: req.body.name,
-      description: req.body.description || '',
-      timeLimit: req.body.timeLimit || null,
-      questions: req.body.questions.map((q, index) => ({
-        question: q.question,
-        points: q.points || 1,
-        order: index
-      })),
-      randomizeQuestions: req.body.randomizeQuestions || false,
-      randomizeOptions: req.body.randomizeOptions || false
-    };
+    const poolShortage = await findPoolShortage([newSection], exam.author);
+    if (poolShortage) {
+      return res.status(400).json({ message: poolShortage });
+    }
+
+    await pinSectionRevisions([newSection]);
 
     exam.sections.push(newSection);
+    exam.totalPoints = calculateTotalPoints(exam.sections);
     await exam.save();
 
     res.json({
@@ -484,6 +921,9 @@ router.put('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']
   body('description').optional(),
   body('timeLimit').optional().isInt({ min: 1 }),
   body('questions').optional().isArray({ min: 1 }),
+  body('pool').optional({ nullable: true }).isObject(),
+  body('pool.count').optional().isInt({ min: 1 }),
+  body('pool.strata').optional().isArray(),
   body('randomizeQuestions').optional().isBoolean(),
   body('randomizeOptions').optional().isBoolean()
 ], async (req, res) => {
@@ -493,7 +933,7 @@ router.put('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -503,28 +943,37 @@ router.put('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const section = exam.sections.id(req.params.sectionId);
-    if (!section) {
+    const sectionIndex = findSectionIndex(exam, req.params.sectionId);
+    if (sectionIndex < 0) {
       return res.status(404).json({ message: 'Section not found' });
     }
+    const section = exam.sections[sectionIndex];
 
     // Validate questions if being updated
     if (req.body.questions) {
       const questionIds = req.body.questions.map(q => q.question);
-      const questions = await Question.find({
-        _id: { $in: questionIds },
-        isActive: true
-      });
-
-      if (questions.length !== questionIds.length) {
+      if (!(await allQuestionsActive(questionIds))) {
         return res.status(400).json({ message: 'Some questions are invalid or inactive' });
       }
 
-      section.questions = req.body.questions.map((q, index) => ({
-        question: q.question,
-        points: q.points || 1,
-        order: index
-      }));
+      section.questions = buildSectionQuestions(req.body.questions);
+      section.pool = null;
+      await pinSectionRevisions([section]);
+    }
+
+    // Switch the section to drawing from a pool, or back to its listed questions
+    if (req.body.pool !== undefined) {
+      section.pool = req.body.pool ? buildPool(req.body.pool) : null;
+      if (section.pool) section.questions = [];
+
+      const poolShortage = await findPoolShortage([section], exam.author);
+      if (poolShortage) {
+        return res.status(400).json({ message: poolShortage });
+      }
+    }
+
+    if (!hasQuestionsOrPool(section)) {
+      return res.status(400).json({ message: 'Section needs questions or a question pool' });
     }
 
     // Update other fields
@@ -534,6 +983,7 @@ router.put('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']
     if (req.body.randomizeQuestions !== undefined) section.randomizeQuestions = req.body.randomizeQuestions;
     if (req.body.randomizeOptions !== undefined) section.randomizeOptions = req.body.randomizeOptions;
 
+    exam.totalPoints = calculateTotalPoints(exam.sections);
     await exam.save();
 
     res.json({
@@ -549,7 +999,7 @@ router.put('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']
 // Delete section
 router.delete('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -559,12 +1009,13 @@ router.delete('/:id/sections/:sectionId', auth, requireRole(['instructor', 'admi
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const section = exam.sections.id(req.params.sectionId);
-    if (!section) {
+    const sectionIndex = findSectionIndex(exam, req.params.sectionId);
+    if (sectionIndex < 0) {
       return res.status(404).json({ message: 'Section not found' });
     }
 
-    section.remove();
+    exam.sections.splice(sectionIndex, 1);
+    exam.totalPoints = calculateTotalPoints(exam.sections);
     await exam.save();
 
     res.json({ message: 'Section deleted successfully' });
@@ -584,7 +1035,7 @@ router.post('/:id/sections/reorder', auth, requireRole(['instructor', 'admin']),
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -595,9 +1046,9 @@ router.post('/:id/sections/reorder', auth, requireRole(['instructor', 'admin']),
     }
 
     const { sectionIds } = req.body;
-    const reorderedSections = sectionIds.map(id => exam.sections.id(id)).filter(Boolean);
+    const reorderedSections = sectionIds.map(id => exam.sections[findSectionIndex(exam, id)]).filter(Boolean);
     
-    if (reorderedSections.length !== sectionIds.length) {
+    if (reorderedSections.length !== sectionIds.length || reorderedSections.length !== exam.sections.length) {
       return res.status(400).json({ message: 'Some sections not found' });
     }
 
@@ -611,62 +1062,259 @@ router.post('/:id/sections/reorder', auth, requireRole(['instructor', 'admin']),
   }
 });
 
-// Calculate exam score with advanced grading
-router.post('/:id/calculate-score', auth, async (req, res) => {
+// Groups the exam is assigned to. Unassigned exams are open to every student.
+router.get('/:id/groups', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const { answers, timeSpent, violations } = req.body;
-    
-    const exam = await Exam.findById(req.params.id);
+    const exam = await examRepository.findById(req.params.id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
 
-    const score = calculateAdvancedScore(exam, answers, timeSpent, violations);
+    // Check if user is author or admin
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({ groups: await describeGroups(exam.groups) });
+  } catch (error) {
+    console.error('Get exam groups error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign the exam to groups of the user's courses, replacing its current groups
+router.put('/:id/groups', auth, requireRole(['instructor', 'admin']), [
+  body('groups').isArray(),
+  body('groups.*').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    // Check if user is author or admin
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const groupIds = [...new Set(req.body.groups)];
+    const groups = await groupRepository.find({ id: { $in: groupIds } }).populate('course', 'instructor isActive');
+    if (groups.length !== groupIds.length || groups.some(group => !group.course || !group.course.isActive)) {
+      return res.status(400).json({ message: 'Some groups do not exist' });
+    }
+    if (req.userRole !== 'admin' && groups.some(group => group.course.instructor !== req.userId)) {
+      return res.status(403).json({ message: 'Exams can only be assigned to groups of your own courses' });
+    }
+
+    await exam.update({ groups: groupIds });
 
     res.json({
-      score: score.totalScore,
-      percentage: score.percentage,
-      grade: score.grade,
-      breakdown: score.breakdown,
-      feedback: score.feedback
+      message: groupIds.length > 0 ? 'Exam assigned to groups' : 'Exam is open to every student',
+      groups: await describeGroups(groupIds)
     });
   } catch (error) {
-    console.error('Calculate score error:', error);
+    console.error('Assign exam groups error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Helper function for advanced score calculation
-function calculateAdvancedScore(exam, answers, timeSpent, violations) {
-  let totalScore = 0;
-  let maxScore = exam.totalPoints;
-  let breakdown = {};
-  let feedback = [];
+// Accommodations: per-student overrides of the exam's time limits, attempts, window
+// and webcam requirement
+router.get('/:id/accommodations', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
 
-  // Calculate base score from answers
-  for (const section of exam.sections) {
-    let sectionScore = 0;
-    let sectionMax = 0;
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
 
-    for (const questionRef of section.questions) {
-      const answer = answers[questionRef.question.toString()];
-      const questionScore = calculateQuestionScore(questionRef, answer);
-      
-      sectionScore += questionScore;
-      sectionMax += questionRef.points || 1;
+    res.json({ accommodations: await describeAccommodations(exam.accommodations) });
+  } catch (error) {
+    console.error('Get accommodations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add an accommodation for one student or a group of students, given by email
+router.post('/:id/accommodations', auth, requireRole(['instructor', 'admin']), [
+  body('students').isArray({ min: 1 }),
+  ...accommodationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    breakdown[section.name] = {
-      score: sectionScore,
-      maxScore: sectionMax,
-      percentage: sectionMax > 0 ? (sectionScore / sectionMax) * 100 : 0
-    };
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { studentIds, unknown } = await findStudentsByEmail(req.body.students);
+    if (unknown.length > 0) {
+      return res.status(400).json({ message: `No student account for ${unknown.join(', ')}` });
+    }
+
+    const accommodation = buildAccommodation({ ...req.body, id: null, students: studentIds });
+    if (accommodation.startDate && accommodation.endDate && accommodation.startDate >= accommodation.endDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    exam.accommodations.push(accommodation);
+    await exam.save();
+
+    const [described] = await describeAccommodations([accommodation]);
+    res.status(201).json({
+      message: 'Accommodation added successfully',
+      accommodation: described
+    });
+  } catch (error) {
+    console.error('Add accommodation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update an accommodation
+router.put('/:id/accommodations/:accommodationId', auth, requireRole(['instructor', 'admin']), [
+  body('students').optional().isArray({ min: 1 }),
+  ...accommodationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-    totalScore += sectionScore;
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const index = exam.accommodations.findIndex(accommodation => accommodation.id === req.params.accommodationId);
+    if (index < 0) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    const existing = exam.accommodations[index];
+    let students = existing.students;
+    if (req.body.students) {
+      const { studentIds, unknown } = await findStudentsByEmail(req.body.students);
+      if (unknown.length > 0) {
+        return res.status(400).json({ message: `No student account for ${unknown.join(', ')}` });
+      }
+      students = studentIds;
+    }
+
+    const accommodation = buildAccommodation({ ...existing, ...req.body, id: existing.id, students });
+    if (accommodation.startDate && accommodation.endDate && accommodation.startDate >= accommodation.endDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    exam.accommodations[index] = accommodation;
+    await exam.save();
+
+    const [described] = await describeAccommodations([accommodation]);
+    res.json({
+      message: 'Accommodation updated successfully',
+      accommodation: described
+    });
+  } catch (error) {
+    console.error('Update accommodation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete an accommodation. Attempts already started keep the time they were given.
+router.delete('/:id/accommodations/:accommodationId', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const index = exam.accommodations.findIndex(accommodation => accommodation.id === req.params.accommodationId);
+    if (index < 0) {
+      return res.status(404).json({ message: 'Accommodation not found' });
+    }
+
+    exam.accommodations.splice(index, 1);
+    await exam.save();
+
+    res.json({ message: 'Accommodation deleted successfully' });
+  } catch (error) {
+    console.error('Delete accommodation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Load every question referenced by the exam sections at the revision its section
+// pins, keyed by ID
+async function loadExamQuestions(exam) {
+  const pins = exam.sections.flatMap(section => section.questions).reduce((acc, q) => {
+    acc[q.question.toString()] = q.revision;
+    return acc;
+  }, {});
+
+  const questions = await findQuestionsAt(Object.keys(pins), pins);
+
+  return questions.reduce((acc, question) => {
+    acc[question.id] = question;
+    return acc;
+  }, {});
+}
+
+// Accepts either a { questionId: answer } map or an array of stored answer records
+function normalizeAnswers(answers) {
+  if (!Array.isArray(answers)) return answers || {};
+
+  return answers.reduce((acc, record) => {
+    acc[record.questionId.toString()] = record.answer;
+    return acc;
+  }, {});
+}
+
+// Helper function for advanced score calculation. Answers are graded under the exam's
+// partial credit and negative marking rules and scored by its grading method (see
+// services/scoring.js for the breakdown); penalties and bonuses then adjust the percentage.
+async function calculateAdvancedScore(exam, questionsById, answers, timeSpent, violations) {
+  let feedback = [];
+  const answersByQuestion = normalizeAnswers(answers);
+  const options = gradingOptions(exam);
+
+  const graded = [];
+  for (const section of exam.sections) {
+    for (const questionRef of section.questions) {
+      const questionId = questionRef.question.toString();
+      const points = await calculateQuestionScore(questionRef, questionsById[questionId], answersByQuestion[questionId], options);
+      graded.push({ questionId, points });
+    }
   }
 
-  // Apply grading method
-  let percentage = maxScore > 0 ? (totalScore / maxScore) * 100 : 0;
+  const result = scoreSections(exam, graded, questionsById);
+  const totalScore = result.score;
+  let percentage = result.percentage;
 
   // Apply penalties
   if (exam.grading.penalties) {
@@ -700,39 +1348,24 @@ function calculateAdvancedScore(exam, answers, timeSpent, violations) {
     }
   }
 
-  // Determine grade
-  let grade = 'F';
-  if (exam.grading.gradeScale) {
-    for (const gradeRule of exam.grading.gradeScale) {
-      if (percentage >= gradeRule.minScore && percentage <= gradeRule.maxScore) {
-        grade = gradeRule.grade;
-        break;
-      }
-    }
-  } else {
-    // Default grading scale
-    if (percentage >= 90) grade = 'A';
-    else if (percentage >= 80) grade = 'B';
-    else if (percentage >= 70) grade = 'C';
-    else if (percentage >= 60) grade = 'D';
-  }
+  percentage = Math.max(0, Math.min(100, percentage));
 
   return {
-    totalScore: Math.max(0, totalScore),
-    percentage: Math.max(0, Math.min(100, percentage)),
-    grade,
-    breakdown,
+    totalScore,
+    percentage,
+    grade: determineGrade(exam, percentage),
+    breakdown: {
+      method: result.method,
+      maxScore: result.maxScore,
+      sections: result.sections
+    },
     feedback
   };
 }
 
-function calculateQuestionScore(questionRef, answer) {
-  // This is a simplified version - in production, implement proper scoring logic
-  // based on question type and answer format
-  if (!answer) return 0;
-  
-  // For now, return full points if answer exists
-  return questionRef.points || 1;
+async function calculateQuestionScore(questionRef, question, answer, options) {
+  const result = await evaluateAnswer(question, answer, questionRef.points || 1, options);
+  return result.earnedPoints;
 }
 
 // Advanced exam analytics and reporting
@@ -741,7 +1374,7 @@ router.get('/:id/analytics', auth, requireRole(['instructor', 'admin']), async (
     const { id } = req.params;
     const { timeRange = '30d', groupBy = 'day' } = req.query;
 
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -764,7 +1397,7 @@ router.get('/:id/monitoring', auth, requireRole(['instructor', 'admin']), async
   try {
     const { id } = req.params;
     
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -775,13 +1408,13 @@ router.get('/:id/monitoring', auth, requireRole(['instructor', 'admin']), async
     }
 
     // Get active attempts with real-time data
-    const activeAttempts = await Attempt.find({
+    const activeAttempts = await attemptRepository.find({
       exam: id,
       status: 'in-progress'
     }).populate('student', 'firstName lastName email').select('student antiCheating createdAt');
 
     // Get recent violations
-    const recentViolations = await Attempt.aggregate([
+    const recentViolations = await attemptRepository.aggregate([
       {
         $match: {
           exam: id,
@@ -831,7 +1464,7 @@ router.post('/:id/adaptive-difficulty', auth, requireRole(['instructor', 'admin'
     }
 
     const { id } = req.params;
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -864,7 +1497,7 @@ router.post('/:id/proctoring/start', auth, async (req, res) => {
     const { id } = req.params;
     const { studentId } = req.body;
 
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -873,12 +1506,14 @@ router.post('/:id/proctoring/start', auth, async (req, res) => {
       return res.status(403).json({ message: 'Exam is not published' });
     }
 
-    // Check if exam is currently active
+    // Check if exam is currently active for the student
     const now = new Date();
-    if (exam.startDate && exam.startDate > now) {
+    const accommodation = findAccommodation(exam, studentId || req.userId);
+    const { startDate, endDate } = availabilityWindow(exam, accommodation);
+    if (startDate && startDate > now) {
       return res.status(403).json({ message: 'Exam has not started yet' });
     }
-    if (exam.endDate && exam.endDate < now) {
+    if (endDate && endDate < now) {
       return res.status(403).json({ message: 'Exam has ended' });
     }
 
@@ -912,7 +1547,7 @@ router.post('/:id/proctoring/start', auth, async (req, res) => {
     await attempt.save();
 
     // Emit real-time event for instructors
-    io.to(`exam-${id}`).emit('proctoring-started', {
+    emitToExam(id, 'proctoring-started', {
       studentId: studentId || req.userId,
       examId: id,
       startTime: proctoringSession.startTime
@@ -920,8 +1555,8 @@ router.post('/:id/proctoring/start', auth, async (req, res) => {
 
     res.json({
       message: 'Proctoring session started successfully',
-      sessionId: attempt._id,
-      proctoringSettings: exam.antiCheating
+      sessionId: attempt.id,
+      proctoringSettings: accommodatedAntiCheating(exam.antiCheating, accommodation)
     });
   } catch (error) {
     console.error('Start proctoring session error:', error);
@@ -935,29 +1570,44 @@ router.post('/:id/proctoring/end', auth, async (req, res) => {
     const { id } = req.params;
     const { sessionId, finalAnswers } = req.body;
 
-    const attempt = await Attempt.findById(sessionId);
-    if (!attempt) {
+    const session = await attemptRepository.findById(sessionId);
+    if (!session) {
       return res.status(404).json({ message: 'Proctoring session not found' });
     }
 
-    // Update attempt with final data
-    attempt.status = 'completed';
-    attempt.answers = finalAnswers || {};
-    attempt.endTime = new Date();
-    attempt.duration = attempt.endTime - attempt.startTime;
+    if (session.status !== 'in-progress') {
+      return res.status(400).json({ message: 'Proctoring session has already ended' });
+    }
+
+    const answers = finalAnswers || {};
+    const endTime = new Date();
+    const duration = endTime - session.startTime;
 
     // Calculate final score
-    const exam = await Exam.findById(id);
-    const score = calculateAdvancedScore(exam, attempt.answers, attempt.duration, attempt.antiCheating.violations);
-    
-    attempt.score = score.totalScore;
-    attempt.percentage = score.percentage;
-    attempt.grade = score.grade;
+    const exam = await examRepository.findById(id);
+    const questionsById = await loadExamQuestions(exam);
+    const score = await calculateAdvancedScore(exam, questionsById, answers, duration, session.antiCheating.violations);
+
+    // Close the session only if nothing else has closed it since it was read
+    const attempt = await attemptRepository.updateById(sessionId, {
+      $set: {
+        status: 'completed',
+        answers,
+        endTime,
+        duration,
+        score: score.totalScore,
+        percentage: score.percentage,
+        grade: score.grade,
+        scoreBreakdown: score.breakdown
+      }
+    }, { filter: { status: 'in-progress' } });
 
-    await attempt.save();
+    if (!attempt) {
+      return res.status(400).json({ message: 'Proctoring session has already ended' });
+    }
 
     // Emit real-time event for instructors
-    io.to(`exam-${id}`).emit('proctoring-ended', {
+    emitToExam(id, 'proctoring-ended', {
       studentId: attempt.student,
       examId: id,
       endTime: attempt.endTime,
@@ -978,13 +1628,114 @@ router.post('/:id/proctoring/end', auth, async (req, res) => {
   }
 });
 
+// Get the answers of submitted attempts that are waiting for manual grading
+router.get('/:id/grading-queue', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const exam = await examRepository.findById(id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const pending = await findPendingAnswers(id);
+    const questions = await questionRepository.findByIds(pending.map(({ answer }) => answer.questionId));
+    const questionsById = new Map(questions.map(question => [question.id, question]));
+
+    // Each answer is graded against the question revision its attempt was taken on,
+    // with the values the attempt drew for templated questions
+    const items = await Promise.all(pending.map(async ({ attempt, answer }) => {
+      const question = instantiateQuestion(
+        await questionAtRevision(
+          questionsById.get(answer.questionId),
+          (attempt.questionRevisions || {})[answer.questionId]
+        ),
+        (attempt.questionValues || {})[answer.questionId]
+      );
+      return {
+        attemptId: attempt.id,
+        student: attempt.student,
+        submittedAt: attempt.endTime,
+        questionId: answer.questionId,
+        question: question && {
+          title: question.title,
+          content: question.content,
+          type: question.type,
+          essayRubric: question.essayRubric
+        },
+        answer: answer.answer,
+        maxPoints: answer.maxPoints || 0,
+        criteria: rubricCriteria(question, answer.maxPoints || 0)
+      };
+    }));
+
+    res.json({
+      exam: { id: exam.id, title: exam.title },
+      items,
+      attemptsPending: new Set(items.map(item => item.attemptId)).size
+    });
+  } catch (error) {
+    console.error('Get grading queue error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Item analysis of the exam's questions over its graded attempts: difficulty,
+// discrimination, distractors, time spent and flags for questions to review
+router.get('/:id/item-analysis', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const analysis = await analyzeExam(exam);
+    res.json({
+      exam: { id: exam.id, title: exam.title },
+      minResponses: MIN_RESPONSES,
+      ...analysis
+    });
+  } catch (error) {
+    console.error('Get item analysis error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reliability and score distribution report: Cronbach's alpha / KR-20, standard error
+// of measurement, histogram and percentiles, section correlations and time vs score
+router.get('/:id/report', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const exam = await examRepository.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: 'Exam not found' });
+    }
+
+    if (exam.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(await generateExamReport(exam));
+  } catch (error) {
+    console.error('Get exam report error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get detailed exam results
 router.get('/:id/results', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
     const { id } = req.params;
     const { page = 1, limit = 20, sortBy = 'score', sortOrder = 'desc' } = req.query;
 
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -994,23 +1745,20 @@ router.get('/:id/results', auth, requireRole(['instructor', 'admin']), async (re
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // One official result per student, chosen across their attempts by the exam's policy
+    const results = await findOfficialResults(exam);
+    const direction = sortOrder === 'desc' ? -1 : 1;
+    results.sort((a, b) => (a[sortBy] > b[sortBy] ? 1 : a[sortBy] < b[sortBy] ? -1 : 0) * direction);
 
-    const attempts = await Attempt.find({ exam: id, status: 'completed' })
-      .populate('student', 'firstName lastName email')
-      .select('student score percentage grade duration antiCheating.violations createdAt')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
-
-    const total = await Attempt.countDocuments({ exam: id, status: 'completed' });
+    const total = results.length;
+    const start = (page - 1) * limit;
 
     // Calculate statistics
-    const stats = await calculateExamStatistics(id);
+    const stats = await Attempt.getStatistics(id);
 
     res.json({
-      attempts,
+      policy: getAttemptPolicy(exam),
+      results: results.slice(start, start + limit * 1),
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -1028,9 +1776,9 @@ router.get('/:id/results', auth, requireRole(['instructor', 'admin']), async (re
 router.get('/:id/export', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
     const { id } = req.params;
-    const { format = 'csv' } = req.query;
+    const { format = 'csv', type = 'results' } = req.query;
 
-    const exam = await Exam.findById(id);
+    const exam = await examRepository.findById(id);
     if (!exam) {
       return res.status(404).json({ message: 'Exam not found' });
     }
@@ -1040,19 +1788,36 @@ router.get('/:id/export', auth, requireRole(['instructor', 'admin']), async (req
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const attempts = await Attempt.find({ exam: id, status: 'completed' })
-      .populate('student', 'firstName lastName email')
-      .select('student score percentage grade duration antiCheating.violations createdAt');
+    if (type === 'report') {
+      const report = await generateExamReport(exam);
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="exam-${id}-report.csv"`);
+        res.send(reportToCSV(report));
+      } else if (format === 'json') {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="exam-${id}-report.json"`);
+        res.json(report);
+      } else {
+        res.status(400).json({ message: 'Unsupported export format' });
+      }
+      return;
+    }
+    if (type !== 'results') {
+      return res.status(400).json({ message: 'Unsupported export type' });
+    }
+
+    const results = await findOfficialResults(exam);
 
     if (format === 'csv') {
-      const csvData = generateCSVExport(attempts, exam);
+      const csvData = generateCSVExport(results, exam);
       res.setHeader('Content-Type', 'text/csv');
       res.setHeader('Content-Disposition', `attachment; filename="exam-${id}-results.csv"`);
       res.send(csvData);
     } else if (format === 'json') {
       res.setHeader('Content-Type', 'application/json');
       res.setHeader('Content-Disposition', `attachment; filename="exam-${id}-results.json"`);
-      res.json({ exam, attempts });
+      res.json({ exam, policy: getAttemptPolicy(exam), results });
     } else {
       res.status(400).json({ message: 'Unsupported export format' });
     }
@@ -1073,7 +1838,7 @@ async function generateExamAnalytics(examId, timeRange, groupBy) {
 
   const startTime = new Date(Date.now() - timeRanges[timeRange]);
 
-  const analytics = await Attempt.aggregate([
+  const analytics = await attemptRepository.aggregate([
     {
       $match: {
         exam: examId,
@@ -1138,79 +1903,42 @@ function calculateAverageRiskScore(attempts) {
   return totalScore / attempts.length;
 }
 
-async function calculateExamStatistics(examId) {
-  const stats = await Attempt.aggregate([
-    {
-      $match: { exam: examId, status: 'completed' }
-    },
-    {
-      $group: {
-        _id: null,
-        totalAttempts: { $sum: 1 },
-        averageScore: { $avg: '$score' },
-        averagePercentage: { $avg: '$percentage' },
-        minScore: { $min: '$score' },
-        maxScore: { $max: '$score' },
-        averageDuration: { $avg: '$duration' },
-        flaggedAttempts: { $sum: { $cond: ['$isFlagged', 1, 0] } }
-      }
-    }
-  ]);
-
-  const result = stats[0] || {
-    totalAttempts: 0,
-    averageScore: 0,
-    averagePercentage: 0,
-    minScore: 0,
-    maxScore: 0,
-    averageDuration: 0,
-    flaggedAttempts: 0
-  };
-
-  // Calculate grade distribution
-  const gradeDistribution = await Attempt.aggregate([
-    {
-      $match: { exam: examId, status: 'completed' }
-    },
-    {
-      $group: {
-        _id: '$grade',
-        count: { $sum: 1 }
-      }
-    }
-  ]);
-
-  result.gradeDistribution = gradeDistribution.reduce((acc, item) => {
-    acc[item._id] = item.count;
-    return acc;
-  }, {});
-
-  return result;
+// Official result of every student who has a graded attempt at the exam
+async function findOfficialResults(exam) {
+  const attempts = await attemptRepository.find({ exam: exam.id, status: { $in: ['completed', REVIEW_STATUS] } })
+    .populate('student', 'firstName lastName email');
+  return officialResults(exam, attempts);
 }
 
-function generateCSVExport(attempts, exam) {
+function generateCSVExport(results, exam) {
   const headers = [
     'Student Name',
     'Student Email',
     'Score',
     'Percentage',
     'Grade',
+    'Attempts',
+    'Score Policy',
+    'Result Status',
     'Duration (minutes)',
     'Violations',
     'Flagged',
     'Completion Date'
   ];
 
-  const rows = attempts.map(attempt => [
-    `${attempt.student.firstName} ${attempt.student.lastName}`,
-    attempt.student.email,
-    attempt.score || 0,
-    attempt.percentage || 0,
-    attempt.grade || 'N/A',
-    Math.round((attempt.duration || 0) / 60000), // Convert to minutes
-    attempt.antiCheating?.violations?.length || 0,
-    attempt.isFlagged ? 'Yes' : 'No',
-    attempt.createdAt.toISOString().split('T')[0]
+  const rows = results.map(result => [
+    `${result.student.firstName} ${result.student.lastName}`,
+    result.student.email,
+    result.score || 0,
+    result.percentage || 0,
+    result.grade || 'N/A',
+    result.attemptCount,
+    result.policy,
+    result.status,
+    Math.round((result.duration || 0) / 60000), // Convert to minutes
+    result.violations,
+    result.isFlagged ? 'Yes' : 'No',
+    result.submittedAt ? new Date(result.submittedAt).toISOString().split('T')[0] : ''
   ]);
 
   const csvContent = [headers, ...rows]
@@ -0,0 +1,284 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const {
+  organizationRepository,
+  userRepository,
+  examRepository,
+  questionRepository
+} = require('../repositories');
+const { auth, requireRole, requireSuperAdmin } = require('../middleware/auth');
+const { DEFAULT_ORGANIZATION, unscoped, runInOrganization } = require('../services/tenancy');
+const {
+  normalizeSlug,
+  findOrganization,
+  mergeSettings,
+  publicProfile
+} = require('../services/organizations');
+
+const router = express.Router();
+
+// Branding and default anti-cheating policy, as sent to any of the settings routes
+const settingsValidation = [
+  body('branding').optional().isObject(),
+  body('branding.displayName').optional().isString().isLength({ max: 100 }),
+  body('branding.logoUrl').optional({ checkFalsy: true }).isURL(),
+  body('branding.primaryColor').optional({ checkFalsy: true }).matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Primary color must be a hex color such as #4f46e5'),
+  body('antiCheating').optional({ nullable: true }).isObject(),
+  body('antiCheating.enabled').optional().isBoolean()
+];
+
+const adminValidation = prefix => [
+  body(`${prefix}email`).isEmail().normalizeEmail(),
+  body(`${prefix}password`).isLength({ min: 6 }),
+  body(`${prefix}firstName`).notEmpty().trim(),
+  body(`${prefix}lastName`).notEmpty().trim()
+];
+
+// Number of documents in each organization. Documents from before organizations
+// existed have none and count for the default one.
+async function countByOrganization(repository) {
+  const groups = await unscoped(() => repository.aggregate([
+    { $group: { _id: { $ifNull: ['$organization', DEFAULT_ORGANIZATION] }, count: { $sum: 1 } } }
+  ]));
+  return new Map(groups.map(group => [group._id, group.count]));
+}
+
+async function slugTaken(slug, organizationId = null) {
+  if (slug === DEFAULT_ORGANIZATION) return organizationId !== DEFAULT_ORGANIZATION;
+  const existing = await organizationRepository.findOne({ slug });
+  return !!existing && existing.id !== organizationId;
+}
+
+// Create an admin in an organization. Resolves to null when the email is taken in
+// any organization.
+async function createAdmin(organization, { email, password, firstName, lastName }) {
+  if (await unscoped(() => userRepository.exists({ email }))) return null;
+  return runInOrganization(organization.id, () => userRepository.create({
+    email,
+    password,
+    firstName,
+    lastName,
+    role: 'admin'
+  }));
+}
+
+const adminSummary = user => ({
+  id: user.id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  isActive: user.isActive,
+  lastLogin: user.lastLogin
+});
+
+// The organization the request works in: its branding for everyone, and its default
+// anti-cheating policy for the staff who create exams
+router.get('/current', auth, async (req, res) => {
+  try {
+    const organization = {
+      ...publicProfile(req.organization),
+      isSuperAdmin: req.isSuperAdmin
+    };
+    if (req.userRole !== 'student') {
+      organization.antiCheating = req.organization.settings.antiCheating;
+    }
+    res.json({ organization });
+  } catch (error) {
+    console.error('Get current organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change the current organization's branding and default anti-cheating policy
+router.put('/current', auth, requireRole(['admin']), settingsValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await organizationRepository.updateById(req.organization.id, {
+      $set: { settings: mergeSettings(req.organization.settings, req.body) }
+    });
+
+    res.json({
+      message: 'Organization settings updated successfully',
+      organization: { ...publicProfile(organization), antiCheating: organization.settings.antiCheating }
+    });
+  } catch (error) {
+    console.error('Update organization settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Every organization with its number of users, exams and questions
+router.get('/', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    await findOrganization(DEFAULT_ORGANIZATION);
+    const [organizations, users, exams, questions] = await Promise.all([
+      organizationRepository.find({}).sort({ createdAt: 1 }),
+      countByOrganization(userRepository),
+      countByOrganization(examRepository),
+      countByOrganization(questionRepository)
+    ]);
+
+    res.json({
+      organizations: organizations.map(organization => ({
+        ...organization,
+        counts: {
+          users: users.get(organization.id) || 0,
+          exams: exams.get(organization.id) || 0,
+          questions: questions.get(organization.id) || 0
+        }
+      }))
+    });
+  } catch (error) {
+    console.error('Get organizations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an organization, optionally with its first admin
+router.post('/', auth, requireSuperAdmin, [
+  body('name').notEmpty().trim(),
+  body('slug').optional().isString(),
+  body('admin').optional().isObject(),
+  ...settingsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (req.body.admin) {
+      await Promise.all(adminValidation('admin.').map(validation => validation.run(req)));
+      const adminErrors = validationResult(req);
+      if (!adminErrors.isEmpty()) {
+        return res.status(400).json({ errors: adminErrors.array() });
+      }
+      if (await unscoped(() => userRepository.exists({ email: req.body.admin.email }))) {
+        return res.status(400).json({ message: 'A user with the admin\'s email already exists' });
+      }
+    }
+
+    const slug = normalizeSlug(req.body.slug || req.body.name);
+    if (!slug) {
+      return res.status(400).json({ message: 'Slug must contain letters or digits' });
+    }
+    if (await slugTaken(slug)) {
+      return res.status(400).json({ message: 'Another organization already uses this slug' });
+    }
+
+    const organization = await organizationRepository.create({
+      name: req.body.name,
+      slug,
+      settings: mergeSettings({}, req.body)
+    });
+    const admin = req.body.admin ? await createAdmin(organization, req.body.admin) : null;
+
+    res.status(201).json({
+      message: 'Organization created successfully',
+      organization,
+      admin: admin && adminSummary(admin)
+    });
+  } catch (error) {
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// An organization with its admins
+router.get('/:id', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const organization = await findOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const admins = await runInOrganization(organization.id, () =>
+      userRepository.find({ role: 'admin' }).sort({ createdAt: 1 }));
+
+    res.json({
+      organization,
+      admins: admins.map(adminSummary)
+    });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename, (de)activate or change the settings of an organization. Users of an inactive
+// organization can't sign in.
+router.put('/:id', auth, requireSuperAdmin, [
+  body('name').optional().notEmpty().trim(),
+  body('slug').optional().isString(),
+  body('isActive').optional().isBoolean(),
+  ...settingsValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await findOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const updates = { settings: mergeSettings(organization.settings, req.body) };
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
+    if (req.body.slug !== undefined && organization.id !== DEFAULT_ORGANIZATION) {
+      updates.slug = normalizeSlug(req.body.slug);
+      if (!updates.slug) {
+        return res.status(400).json({ message: 'Slug must contain letters or digits' });
+      }
+      if (await slugTaken(updates.slug, organization.id)) {
+        return res.status(400).json({ message: 'Another organization already uses this slug' });
+      }
+    }
+
+    const updated = await organizationRepository.updateById(organization.id, { $set: updates });
+
+    res.json({
+      message: 'Organization updated successfully',
+      organization: updated
+    });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add an admin to an organization
+router.post('/:id/admins', auth, requireSuperAdmin, adminValidation(''), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await findOrganization(req.params.id);
+    if (!organization) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    const admin = await createAdmin(organization, req.body);
+    if (!admin) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    res.status(201).json({
+      message: 'Admin created successfully',
+      admin: adminSummary(admin)
+    });
+  } catch (error) {
+    console.error('Create organization admin error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
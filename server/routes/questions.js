@@ -1,7 +1,23 @@
 const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Question = require('../models/Question');
-const { auth, requireRole } = require('../middleware/auth');
+const { questionRepository } = require('../repositories');
+const {
+  diffRevisions,
+  findRevision,
+  listRevisions,
+  recordCreated,
+  updateQuestion,
+  restoreRevision
+} = require('../services/questionRevisions');
+const qti = require('../services/qti');
+const quizFormats = require('../services/quizFormats');
+const questionSearch = require('../services/questionSearch');
+const { MIN_RESPONSES, analyzeQuestion } = require('../services/itemAnalysis');
+const { checkVariables, drawValues, instantiateQuestion } = require('../services/questionVariables');
+const { createSeed } = require('../services/seededRandom');
+const { auth, optionalAuth, requireRole } = require('../middleware/auth');
+const { keepOrganization } = require('../services/tenancy');
 const multer = require('multer');
 const sharp = require('sharp');
 const path = require('path');
@@ -9,6 +25,8 @@ const fs = require('fs');
 
 const router = express.Router();
 
+const EDIT_CONFLICT = 'This question was changed by someone else. Reload it and try again.';
+
 // Configure multer for image uploads
 const storage = multer.memoryStorage();
 const upload = multer({
@@ -23,13 +41,28 @@ const upload = multer({
   }
 });
 
-// Get all questions with filtering and pagination
-router.get('/', [
+// Question packages (QTI zips) for import
+const packageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/i.test(file.originalname) || /zip/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only zip packages are allowed'), false);
+    }
+  }
+});
+
+// Get questions with filtering and pagination, with facet counts for the filters.
+// `search` is a full-text query (words, "phrases" and prefix* words); results are
+// then ranked by relevance instead of newest first.
+router.get('/', optionalAuth, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('topic').optional().notEmpty(),
   query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
-  query('type').optional().isIn(['mcq', 'short-answer', 'code', 'image-based']),
+  query('type').optional().isIn(Question.TYPES),
   query('tags').optional().notEmpty(),
   query('search').optional().notEmpty()
 ], async (req, res) => {
@@ -49,30 +82,21 @@ router.get('/', [
       search
     } = req.query;
 
-    // Build filter object
-    const filter = { isActive: true };
-    
-    if (topic) filter['metadata.topic'] = topic;
-    if (difficulty) filter['metadata.difficulty'] = difficulty;
-    if (type) filter.type = type;
-    if (tags) filter['metadata.tags'] = { $in: tags.split(',') };
-    if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
-    }
-
-    const questions = await Question.find(filter)
-      .populate('author', 'firstName lastName')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const { ids, facets } = await questionSearch.search({
+      text: search,
+      topic,
+      difficulty,
+      type,
+      tags: tags ? tags.split(',') : []
+    });
 
-    const total = await Question.countDocuments(filter);
+    const total = ids.length;
+    const questions = await questionRepository.findByIds(ids.slice((page - 1) * limit, page * limit));
+    await questionRepository.populate(questions, 'author', 'firstName lastName');
 
     res.json({
       questions,
+      facets,
       pagination: {
         current: page,
         pages: Math.ceil(total / limit),
@@ -85,10 +109,73 @@ router.get('/', [
   }
 });
 
+// Export questions to CSV/JSON, Moodle XML/GIFT/Aiken, or as a QTI package.
+// Registered before /:id so the path isn't taken for a question ID.
+router.get('/export', auth, requireRole(['instructor', 'admin']), [
+  query('format').isIn(['csv', 'json', 'qti', ...quizFormats.NAMES]),
+  query('version').optional().isIn(qti.VERSIONS),
+  query('questionIds').optional().notEmpty(),
+  query('topic').optional().notEmpty(),
+  query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+  query('type').optional().isIn(Question.TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { format, topic, difficulty, type, questionIds } = req.query;
+    
+    // Build filter
+    const filter = { isActive: true };
+    if (questionIds) filter.id = { $in: questionIds.split(',') };
+    if (topic) filter['metadata.topic'] = topic;
+    if (difficulty) filter['metadata.difficulty'] = difficulty;
+    if (type) filter.type = type;
+
+    const questions = await questionRepository.find(filter)
+      .populate('author', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    if (format === 'qti') {
+      const { buffer, exported, skipped, warnings } = qti.exportPackage(questions, { version: req.query.version || '2.1' });
+      if (exported === 0) {
+        return res.status(400).json({ message: 'None of these questions can be exported to QTI', skipped });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', 'attachment; filename=questions-qti.zip');
+      res.setHeader('X-Skipped-Questions', String(skipped.length));
+      // Questions exported without settings QTI can't hold, such as accepted units
+      res.setHeader('X-Incomplete-Questions', String(new Set(warnings.map(warning => warning.id)).size));
+      res.send(buffer);
+    } else if (quizFormats.NAMES.includes(format)) {
+      const { content, exported, skipped, contentType, filename } = quizFormats.serialize(format, questions);
+      if (exported === 0) {
+        return res.status(400).json({ message: 'None of these questions can be exported to this format', skipped });
+      }
+
+      res.setHeader('Content-Type', contentType);
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      res.setHeader('X-Skipped-Questions', String(skipped.length));
+      res.send(content);
+    } else {
+      // JSON format
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', 'attachment; filename=questions.json');
+      res.json(questions);
+    }
+  } catch (error) {
+    console.error('Export questions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get question by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    const question = await Question.findById(req.params.id)
+    const question = await questionRepository.findById(req.params.id)
       .populate('author', 'firstName lastName');
     
     if (!question) {
@@ -105,7 +192,7 @@ router.get('/:id', async (req, res) => {
 // Create new question
 router.post('/', auth, requireRole(['instructor', 'admin']), [
   body('title').notEmpty().trim(),
-  body('type').isIn(['mcq', 'short-answer', 'code', 'image-based']),
+  body('type').isIn(Question.TYPES),
   body('content').notEmpty(),
   body('metadata.topic').notEmpty(),
   body('metadata.difficulty').isIn(['easy', 'medium', 'hard']),
@@ -120,7 +207,8 @@ router.post('/', auth, requireRole(['instructor', 'admin']), [
 
     const questionData = {
       ...req.body,
-      author: req.userId
+      author: req.userId,
+      revision: 1
     };
 
     // Validate MCQ options
@@ -142,8 +230,15 @@ router.post('/', auth, requireRole(['instructor', 'admin']), [
       }
     }
 
+    // Validate the variables of templated questions
+    const variableProblems = checkVariables(req.body);
+    if (variableProblems.length > 0) {
+      return res.status(400).json({ message: variableProblems[0], problems: variableProblems });
+    }
+
     const question = new Question(questionData);
     await question.save();
+    await recordCreated(question, req.userId);
 
     res.status(201).json({
       message: 'Question created successfully',
@@ -155,10 +250,54 @@ router.post('/', auth, requireRole(['instructor', 'admin']), [
   }
 });
 
+// Fill in a templated question with sample values so its author can check it; each
+// call draws new values unless a seed is sent
+router.post('/preview-values', auth, requireRole(['instructor', 'admin']), [
+  body('randomization.variables').isArray({ min: 1 }),
+  body('seed').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { seed = createSeed(), ...fields } = req.body;
+    const question = { ...fields, id: fields.id || 'preview', randomization: { ...fields.randomization, randomizeValues: true } };
+    const variableProblems = checkVariables(question);
+    if (variableProblems.length > 0) {
+      return res.status(400).json({ message: variableProblems[0], problems: variableProblems });
+    }
+
+    let drawn;
+    try {
+      drawn = drawValues(question, seed);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    const instance = instantiateQuestion(question, drawn);
+
+    res.json({
+      seed,
+      values: drawn.values,
+      answer: drawn.answer,
+      question: {
+        content: instance.content,
+        explanation: instance.explanation,
+        options: instance.options,
+        numericalAnswer: instance.numericalAnswer
+      }
+    });
+  } catch (error) {
+    console.error('Preview question values error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update question
 router.put('/:id', auth, requireRole(['instructor', 'admin']), [
   body('title').optional().notEmpty().trim(),
-  body('type').optional().isIn(['mcq', 'short-answer', 'code', 'image-based']),
+  body('type').optional().isIn(Question.TYPES),
   body('content').optional().notEmpty(),
   body('metadata.topic').optional().notEmpty(),
   body('metadata.difficulty').optional().isIn(['easy', 'medium', 'hard']),
@@ -171,7 +310,7 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const question = await Question.findById(req.params.id);
+    const question = await questionRepository.findById(req.params.id);
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
@@ -181,15 +320,26 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const updatedQuestion = await Question.findByIdAndUpdate(
-      req.params.id,
-      { $set: req.body },
-      { new: true, runValidators: true }
-    );
+    // Editors send the revision they loaded so concurrent edits don't overwrite each other
+    const { expectedRevision, revisionNote, ...changes } = req.body;
+    if (expectedRevision !== undefined && Number(expectedRevision) !== (question.revision || 1)) {
+      return res.status(409).json({ message: EDIT_CONFLICT });
+    }
+
+    const variableProblems = checkVariables({ ...question, ...changes });
+    if (variableProblems.length > 0) {
+      return res.status(400).json({ message: variableProblems[0], problems: variableProblems });
+    }
+
+    const result = await updateQuestion(question, changes, { editedBy: req.userId, note: revisionNote || '' });
+    if (result.conflict) {
+      return res.status(409).json({ message: EDIT_CONFLICT });
+    }
 
     res.json({
       message: 'Question updated successfully',
-      question: updatedQuestion
+      question: result.question,
+      revision: result.revision
     });
   } catch (error) {
     console.error('Update question error:', error);
@@ -200,7 +350,7 @@ router.put('/:id', auth, requireRole(['instructor', 'admin']), [
 // Delete question
 router.delete('/:id', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const question = await Question.findById(req.params.id);
+    const question = await questionRepository.findById(req.params.id);
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
@@ -222,13 +372,13 @@ router.delete('/:id', auth, requireRole(['instructor', 'admin']), async (req, re
 });
 
 // Upload image for question
-router.post('/:id/images', auth, requireRole(['instructor', 'admin']), upload.single('image'), async (req, res) => {
+router.post('/:id/images', auth, requireRole(['instructor', 'admin']), keepOrganization(upload.single('image')), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No image file provided' });
     }
 
-    const question = await Question.findById(req.params.id);
+    const question = await questionRepository.findById(req.params.id);
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
@@ -253,13 +403,16 @@ router.post('/:id/images', auth, requireRole(['instructor', 'admin']), upload.si
 
     // Add image to question
     const imageUrl = `/uploads/${imageName}`;
-    question.images.push({
+    const images = [...question.images, {
       url: imageUrl,
       alt: req.body.alt || '',
       caption: req.body.caption || ''
-    });
+    }];
 
-    await question.save();
+    const result = await updateQuestion(question, { images }, { editedBy: req.userId, note: 'Added image' });
+    if (result.conflict) {
+      return res.status(409).json({ message: EDIT_CONFLICT });
+    }
 
     res.json({
       message: 'Image uploaded successfully',
@@ -271,10 +424,127 @@ router.post('/:id/images', auth, requireRole(['instructor', 'admin']), upload.si
   }
 });
 
-// Import questions from CSV/JSON
+// List a question's revisions, newest first
+router.get('/:id/revisions', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const question = await questionRepository.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const revisions = await listRevisions(question.id).select('-snapshot');
+
+    res.json({
+      current: question.revision || 1,
+      revisions
+    });
+  } catch (error) {
+    console.error('List question revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get one revision of a question
+router.get('/:id/revisions/:revision', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const revision = await findRevision(req.params.id, parseInt(req.params.revision, 10))
+      .populate('editedBy', 'firstName lastName');
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    console.error('Get question revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Compare two revisions of a question; `to` defaults to the current revision
+router.get('/:id/diff', auth, requireRole(['instructor', 'admin']), [
+  query('from').isInt({ min: 1 }),
+  query('to').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const question = await questionRepository.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    const fromNumber = parseInt(req.query.from, 10);
+    const toNumber = req.query.to ? parseInt(req.query.to, 10) : (question.revision || 1);
+    const [from, to] = await Promise.all([
+      findRevision(question.id, fromNumber),
+      findRevision(question.id, toNumber)
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      from: fromNumber,
+      to: toNumber,
+      changes: diffRevisions(from.snapshot, to.snapshot)
+    });
+  } catch (error) {
+    console.error('Diff question revisions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Roll a question back to an earlier revision, recorded as a new revision
+router.post('/:id/revisions/:revision/restore', auth, requireRole(['instructor', 'admin']), async (req, res) => {
+  try {
+    const question = await questionRepository.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: 'Question not found' });
+    }
+
+    // Check if user is author or admin
+    if (question.author.toString() !== req.userId && req.userRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const result = await restoreRevision(question, parseInt(req.params.revision, 10), req.userId);
+    if (!result) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    if (result.conflict) {
+      return res.status(409).json({ message: EDIT_CONFLICT });
+    }
+    if (!result.revision) {
+      return res.status(400).json({ message: 'The question already has this content' });
+    }
+
+    res.json({
+      message: `Restored revision ${req.params.revision}`,
+      question: result.question,
+      revision: result.revision
+    });
+  } catch (error) {
+    console.error('Restore question revision error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// A question CSV file may be sent whole as `content`, or as rows already read into
+// `questions` like JSON
+const sendsRows = (value, { req }) => req.body.type === 'json' || (req.body.type === 'csv' && req.body.content === undefined);
+
+// Import questions from JSON rows, or from a CSV, Moodle XML, GIFT or Aiken file sent
+// as `content`. A dry run saves nothing and returns the questions that would be created.
 router.post('/import', auth, requireRole(['instructor', 'admin']), [
-  body('questions').isArray({ min: 1 }),
-  body('type').isIn(['csv', 'json'])
+  body('type').isIn(['json', ...quizFormats.NAMES]),
+  body('questions').if(sendsRows).isArray({ min: 1 }),
+  body('content').if((value, meta) => !sendsRows(value, meta)).isString().notEmpty(),
+  body('topic').optional().notEmpty().trim(),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard']),
+  body('dryRun').optional().isBoolean()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -283,12 +553,36 @@ router.post('/import', auth, requireRole(['instructor', 'admin']), [
     }
 
     const { questions, type } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
     const importedQuestions = [];
     const errors_ = [];
+    const warnings = [];
+    const candidates = [];
+    const fromFile = quizFormats.NAMES.includes(type) && typeof req.body.content === 'string';
+
+    if (fromFile) {
+      const parsed = quizFormats.parse(type, req.body.content, req.body);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+
+      warnings.push(...parsed.notes);
+      parsed.items.forEach(item => {
+        const label = `Question ${item.position}${item.line ? ` (line ${item.line})` : ''}`;
+        item.issues.forEach(issue => {
+          (issue.level === 'error' ? errors_ : warnings).push(`${label}: ${issue.message}`);
+        });
+        if (item.question) {
+          candidates.push({ label, data: { ...item.question, author: req.userId, revision: 1 } });
+        }
+      });
+    }
 
-    for (let i = 0; i < questions.length; i++) {
+    // CSV/JSON rows are mapped field by field
+    const rows = fromFile ? [] : questions;
+    for (let i = 0; i < rows.length; i++) {
       try {
-        const questionData = questions[i];
+        const questionData = rows[i];
         
         // Validate required fields
         if (!questionData.title && !questionData.question) {
@@ -307,6 +601,7 @@ router.post('/import', auth, requireRole(['instructor', 'admin']), [
           type: questionData.type,
           content: questionData.content || questionData.question || '',
           author: req.userId,
+          revision: 1,
           metadata: {
             topic: questionData.topic || questionData.subject || 'General',
             difficulty: questionData.difficulty || 'medium',
@@ -359,18 +654,38 @@ router.post('/import', auth, requireRole(['instructor', 'admin']), [
           mappedQuestion.explanation = questionData.explanation;
         }
 
-        const question = new Question(mappedQuestion);
-        await question.save();
-        importedQuestions.push(question);
+        candidates.push({ label: `Question ${i + 1}`, data: mappedQuestion });
       } catch (error) {
         errors_.push(`Question ${i + 1}: ${error.message}`);
       }
     }
 
+    for (const candidate of candidates) {
+      const variableProblems = checkVariables(candidate.data);
+      if (variableProblems.length > 0) {
+        errors_.push(...variableProblems.map(problem => `${candidate.label}: ${problem}`));
+        continue;
+      }
+      try {
+        const question = new Question(candidate.data);
+        if (!dryRun) {
+          await question.save();
+          await recordCreated(question, req.userId);
+        }
+        importedQuestions.push(question);
+      } catch (error) {
+        errors_.push(`${candidate.label}: ${error.message}`);
+      }
+    }
+
     res.json({
-      message: `Successfully imported ${importedQuestions.length} questions`,
+      message: dryRun
+        ? `${importedQuestions.length} questions would be imported`
+        : `Successfully imported ${importedQuestions.length} questions`,
+      dryRun,
       count: importedQuestions.length,
       errors: errors_,
+      warnings,
       questions: importedQuestions
     });
   } catch (error) {
@@ -379,12 +694,10 @@ router.post('/import', auth, requireRole(['instructor', 'admin']), [
   }
 });
 
-// Export questions to CSV/JSON
-router.get('/export', auth, requireRole(['instructor', 'admin']), [
-  query('format').isIn(['csv', 'json']),
-  query('topic').optional().notEmpty(),
-  query('difficulty').optional().isIn(['easy', 'medium', 'hard']),
-  query('type').optional().isIn(['mcq', 'short-answer', 'code', 'image-based'])
+// Import an IMS QTI 2.1/3.0 package, reporting what each item lost or why it was skipped
+router.post('/import/qti', auth, requireRole(['instructor', 'admin']), keepOrganization(packageUpload.single('package')), [
+  body('topic').optional().notEmpty().trim(),
+  body('difficulty').optional().isIn(['easy', 'medium', 'hard'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -392,48 +705,33 @@ router.get('/export', auth, requireRole(['instructor', 'admin']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { format, topic, difficulty, type } = req.query;
-    
-    // Build filter
-    const filter = { isActive: true };
-    if (topic) filter['metadata.topic'] = topic;
-    if (difficulty) filter['metadata.difficulty'] = difficulty;
-    if (type) filter.type = type;
-
-    const questions = await Question.find(filter)
-      .populate('author', 'firstName lastName')
-      .sort({ createdAt: -1 });
+    if (!req.file) {
+      return res.status(400).json({ message: 'No package file provided' });
+    }
 
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csvHeaders = ['title', 'type', 'content', 'topic', 'difficulty', 'tags', 'points', 'estimatedTime'];
-      let csvContent = csvHeaders.join(',') + '\n';
-      
-      questions.forEach(question => {
-        const row = [
-          `"${question.title}"`,
-          question.type,
-          `"${question.content.replace(/"/g, '""')}"`,
-          question.metadata.topic,
-          question.metadata.difficulty,
-          `"${question.metadata.tags.join(';')}"`,
-          question.metadata.points,
-          question.metadata.estimatedTime
-        ];
-        csvContent += row.join(',') + '\n';
-      });
+    const parsed = qti.readPackage(req.file.buffer);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
 
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=questions.csv');
-      res.send(csvContent);
-    } else {
-      // JSON format
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', 'attachment; filename=questions.json');
-      res.json(questions);
+    const importedQuestions = [];
+    for (const item of parsed.items.filter(entry => entry.question)) {
+      const questionData = qti.toQuestionData(item, qti.saveItemImages(item.images), req.body);
+      const question = new Question({ ...questionData, author: req.userId, revision: 1 });
+      await question.save();
+      await recordCreated(question, req.userId);
+      importedQuestions.push(question);
     }
+
+    res.json({
+      message: `Successfully imported ${importedQuestions.length} of ${parsed.items.length} items`,
+      count: importedQuestions.length,
+      questions: importedQuestions,
+      report: parsed.items.map(qti.itemReport),
+      notes: parsed.notes
+    });
   } catch (error) {
-    console.error('Export questions error:', error);
+    console.error('Import QTI package error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -441,18 +739,21 @@ router.get('/export', auth, requireRole(['instructor', 'admin']), [
 // Get question statistics
 router.get('/:id/stats', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const question = await Question.findById(req.params.id);
+    const question = await questionRepository.findById(req.params.id);
     if (!question) {
       return res.status(404).json({ message: 'Question not found' });
     }
 
-    // Get usage statistics (this would require additional queries in a real implementation)
+    // Usage and item analysis across the graded attempts the question appeared in
+    const itemAnalysis = await analyzeQuestion(question);
     const stats = {
-      usageCount: question.usageCount,
-      averageScore: question.averageScore,
+      usageCount: itemAnalysis.responses,
+      averageScore: itemAnalysis.difficulty === null ? null : Math.round(itemAnalysis.difficulty * 100),
       plagiarismScore: question.plagiarismScore,
       createdAt: question.createdAt,
-      lastUsed: question.updatedAt
+      lastUsed: question.updatedAt,
+      minResponses: MIN_RESPONSES,
+      itemAnalysis
     };
 
     res.json(stats);
@@ -465,7 +766,7 @@ router.get('/:id/stats', auth, requireRole(['instructor', 'admin']), async (req,
 // Get all question statistics
 router.get('/stats', auth, requireRole(['instructor', 'admin']), async (req, res) => {
   try {
-    const stats = await Question.aggregate([
+    const stats = await questionRepository.aggregate([
       {
         $group: {
           _id: null,
@@ -503,7 +804,7 @@ router.get('/stats', auth, requireRole(['instructor', 'admin']), async (req, res
 // Get available tags
 router.get('/metadata/tags', auth, async (req, res) => {
   try {
-    const tags = await Question.distinct('metadata.tags');
+    const tags = await questionRepository.distinct('metadata.tags', { isActive: true });
     res.json(tags);
   } catch (error) {
     console.error('Get tags error:', error);
@@ -514,7 +815,7 @@ router.get('/metadata/tags', auth, async (req, res) => {
 // Get available topics
 router.get('/metadata/topics', auth, async (req, res) => {
   try {
-    const topics = await Question.distinct('metadata.topic');
+    const topics = await questionRepository.distinct('metadata.topic', { isActive: true });
     res.json(topics);
   } catch (error) {
     console.error('Get topics error:', error);
@@ -535,9 +836,9 @@ router.delete('/bulk', auth, requireRole(['instructor', 'admin']), [
     const { questionIds } = req.body;
     
     // Soft delete questions
-    await Question.updateMany(
-      { _id: { $in: questionIds } },
-      { isActive: false }
+    await questionRepository.updateMany(
+      { id: { $in: questionIds } },
+      { $set: { isActive: false } }
     );
 
     res.json({ message: `${questionIds.length} questions deleted successfully` });
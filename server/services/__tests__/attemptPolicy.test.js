@@ -0,0 +1,113 @@
+const { getAttemptPolicy, officialResult, officialResults, summarizeResults, nextAttemptAt } = require('../attemptPolicy');
+
+const gradeScale = [
+  { grade: 'A', minScore: 90, maxScore: 100 },
+  { grade: 'B', minScore: 80, maxScore: 89.99 },
+  { grade: 'C', minScore: 70, maxScore: 79.99 },
+  { grade: 'F', minScore: 0, maxScore: 69.99 }
+];
+
+const examWith = (settings = {}) => ({ settings, grading: { gradeScale } });
+
+const attempt = (id, percentage, endTime, extra = {}) => ({
+  id,
+  student: 'student-1',
+  status: 'completed',
+  score: percentage / 10,
+  percentage,
+  grade: percentage >= 90 ? 'A' : percentage >= 80 ? 'B' : 'F',
+  duration: 600,
+  startTime: new Date(new Date(endTime).getTime() - 600 * 1000),
+  endTime: new Date(endTime),
+  ...extra
+});
+
+const attempts = [
+  attempt('second', 95, '2026-03-02T10:00:00Z'),
+  attempt('first', 60, '2026-03-01T10:00:00Z', { antiCheating: { violations: [{}, {}] } }),
+  attempt('third', 80, '2026-03-03T10:00:00Z', { isFlagged: true })
+];
+
+describe('getAttemptPolicy', () => {
+  it('uses the highest attempt unless the exam names a known policy', () => {
+    expect(getAttemptPolicy(examWith())).toBe('highest');
+    expect(getAttemptPolicy(examWith({ attemptPolicy: 'best' }))).toBe('highest');
+    expect(getAttemptPolicy(examWith({ attemptPolicy: 'latest' }))).toBe('latest');
+  });
+});
+
+describe('officialResult', () => {
+  it.each([
+    ['highest', 'second', 95],
+    ['first', 'first', 60],
+    ['latest', 'third', 80]
+  ])('counts one attempt under the %s policy', (attemptPolicy, attemptId, percentage) => {
+    const result = officialResult(examWith({ attemptPolicy }), attempts);
+
+    expect(result).toMatchObject({ policy: attemptPolicy, attemptId, percentage, status: 'final', attemptCount: 3 });
+    expect(result.attempts.map(counted => counted.id)).toEqual(['first', 'second', 'third']);
+  });
+
+  it('keeps the earliest attempt when the highest percentages tie', () => {
+    const tied = [attempt('later', 90, '2026-03-02T10:00:00Z'), attempt('earlier', 90, '2026-03-01T10:00:00Z')];
+    expect(officialResult(examWith(), tied).attemptId).toBe('earlier');
+  });
+
+  it('averages every graded attempt and grades the mean on the exam scale', () => {
+    const result = officialResult(examWith({ attemptPolicy: 'average' }), attempts);
+
+    expect(result).toMatchObject({
+      attemptId: null,
+      score: 7.83,
+      percentage: 78.33,
+      grade: 'C',
+      violations: 2,
+      isFlagged: true,
+      submittedAt: attempts[2].endTime
+    });
+  });
+
+  it('leaves out ungraded attempts and marks the result as pending review', () => {
+    const pending = attempt('pending', 100, '2026-03-04T10:00:00Z', { status: 'pending-review' });
+    const inProgress = attempt('open', 100, '2026-03-05T10:00:00Z', { status: 'in-progress' });
+
+    const result = officialResult(examWith(), [...attempts, pending, inProgress]);
+    expect(result).toMatchObject({ attemptId: 'second', status: 'pending-review', attemptCount: 3 });
+    expect(officialResult(examWith(), [pending])).toBeNull();
+  });
+});
+
+describe('officialResults', () => {
+  it('gives one result per student and summarizes them', () => {
+    const other = attempt('other', 85, '2026-03-01T12:00:00Z', { student: { id: 'student-2', name: 'Sam' } });
+    const results = officialResults(examWith(), [...attempts, other]);
+
+    expect(results.map(result => result.attemptId)).toEqual(['second', 'other']);
+    expect(summarizeResults(results)).toMatchObject({
+      totalStudents: 2,
+      totalAttempts: 4,
+      averagePercentage: 90,
+      minScore: 8.5,
+      maxScore: 9.5,
+      gradeDistribution: { A: 1, B: 1 }
+    });
+  });
+});
+
+describe('nextAttemptAt', () => {
+  const exam = examWith({ attemptCooldown: 30 });
+  const submitted = [attempt('first', 60, '2026-03-01T10:00:00Z'), attempt('second', 70, '2026-03-01T11:00:00Z')];
+
+  it('waits the cooldown after the most recently submitted attempt', () => {
+    expect(nextAttemptAt(exam, submitted, new Date('2026-03-01T11:10:00Z'))).toEqual(new Date('2026-03-01T11:30:00Z'));
+  });
+
+  it('lets the student start once the cooldown has passed', () => {
+    expect(nextAttemptAt(exam, submitted, new Date('2026-03-01T11:30:00Z'))).toBeNull();
+  });
+
+  it('does not wait without a cooldown or a submitted attempt', () => {
+    expect(nextAttemptAt(examWith(), submitted, new Date('2026-03-01T11:10:00Z'))).toBeNull();
+    expect(nextAttemptAt(exam, [{ status: 'in-progress', startTime: new Date() }])).toBeNull();
+  });
+});
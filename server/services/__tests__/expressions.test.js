@@ -0,0 +1,52 @@
+const { parse, evaluate, variablesOf } = require('../expressions');
+
+describe('evaluate', () => {
+  it('follows operator precedence and associativity', () => {
+    expect(evaluate('1 + 2 * 3')).toBe(7);
+    expect(evaluate('(1 + 2) * 3')).toBe(9);
+    expect(evaluate('2 ^ 3 ^ 2')).toBe(512);
+    expect(evaluate('-2 ^ 2')).toBe(-4);
+    expect(evaluate('7 % 4')).toBe(3);
+  });
+
+  it('uses variables, constants and functions', () => {
+    expect(evaluate('round(a * b / 3, 2)', { a: 2, b: 5 })).toBe(3.33);
+    expect(evaluate('max(a, 4, 2)', { a: 1 })).toBe(4);
+    expect(evaluate('log(100)')).toBeCloseTo(2);
+    expect(evaluate('log(8, 2)')).toBeCloseTo(3);
+    expect(evaluate('cos(pi)')).toBeCloseTo(-1);
+  });
+
+  it('rejects results that are not finite numbers', () => {
+    expect(() => evaluate('1 / 0')).toThrow('finite number');
+    expect(() => evaluate('sqrt(-1)')).toThrow('finite number');
+  });
+
+  it('reports unknown names and bad syntax', () => {
+    expect(() => evaluate('x + 1')).toThrow('Unknown variable "x"');
+    expect(() => evaluate('foo(1)')).toThrow('Unknown function "foo"');
+    expect(() => evaluate('round()')).toThrow('Wrong number of arguments');
+    expect(() => evaluate('1 +')).toThrow();
+    expect(() => evaluate('')).toThrow('Expression is empty');
+    expect(() => evaluate('a', { a: 'text' })).toThrow('is not a number');
+  });
+
+  it('cannot reach JavaScript objects or code', () => {
+    expect(() => evaluate('constructor')).toThrow('Unknown variable');
+    expect(() => evaluate('toString(1)')).toThrow('Unknown function');
+    expect(() => evaluate('__proto__')).toThrow();
+    expect(() => evaluate('process.exit(1)')).toThrow();
+    expect(() => evaluate('"a"')).toThrow();
+  });
+
+  it('limits the size and nesting of expressions', () => {
+    expect(() => parse('1+'.repeat(300) + '1')).toThrow('longer than');
+    expect(() => parse('('.repeat(60) + '1' + ')'.repeat(60))).toThrow('nested too deeply');
+  });
+});
+
+describe('variablesOf', () => {
+  it('lists the variables an expression uses', () => {
+    expect([...variablesOf(parse('a * sin(b) + pi'))].sort()).toEqual(['a', 'b']);
+  });
+});
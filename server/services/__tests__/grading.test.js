@@ -0,0 +1,110 @@
+const { gradeAnswer, isPointInArea } = require('../grading');
+
+const choiceQuestion = {
+  type: 'multiple-choice',
+  options: [
+    { id: 'a', text: 'Red', isCorrect: true },
+    { id: 'b', text: 'Green', isCorrect: false },
+    { id: 'c', text: 'Blue', isCorrect: true },
+    { id: 'd', text: 'Yellow', isCorrect: false }
+  ]
+};
+
+describe('gradeAnswer', () => {
+  it('gives full credit only for the exact set of correct choices by default', () => {
+    expect(gradeAnswer(choiceQuestion, ['Red', 'Blue'], 4).earnedPoints).toBe(4);
+    expect(gradeAnswer(choiceQuestion, ['a', 'c'], 4).isCorrect).toBe(true);
+    expect(gradeAnswer(choiceQuestion, ['Red'], 4).earnedPoints).toBe(0);
+    expect(gradeAnswer(choiceQuestion, ['Red', 'Blue', 'Green'], 4).earnedPoints).toBe(0);
+  });
+
+  it('credits each correct choice with per-option partial credit', () => {
+    const scoring = { partialCredit: 'per-option' };
+    expect(gradeAnswer(choiceQuestion, ['Red'], 4, scoring).earnedPoints).toBe(2);
+    expect(gradeAnswer(choiceQuestion, ['Red', 'Green'], 4, scoring).earnedPoints).toBe(0);
+    expect(gradeAnswer(choiceQuestion, ['Green', 'Yellow'], 4, scoring).earnedPoints).toBe(0);
+  });
+
+  it('deducts negative marking for wrong choices but not for blanks', () => {
+    const scoring = { negativeMarking: 0.25 };
+    expect(gradeAnswer(choiceQuestion, ['Green'], 4, scoring).earnedPoints).toBe(-1);
+    expect(gradeAnswer(choiceQuestion, [], 4, scoring).earnedPoints).toBe(0);
+    expect(gradeAnswer({ type: 'short-answer', correctAnswer: 'x' }, 'y', 4, scoring).earnedPoints).toBe(0);
+  });
+
+  it('grades true/false from booleans or strings', () => {
+    const question = { type: 'true-false', trueFalseAnswer: true };
+    expect(gradeAnswer(question, true).isCorrect).toBe(true);
+    expect(gradeAnswer(question, 'True').isCorrect).toBe(true);
+    expect(gradeAnswer(question, 'false').isCorrect).toBe(false);
+    expect(gradeAnswer(question, 'maybe').isCorrect).toBe(false);
+  });
+
+  it('compares short answers without case or extra whitespace', () => {
+    const question = { type: 'short-answer', correctAnswer: ['Paris', 'Paris, France'] };
+    expect(gradeAnswer(question, '  paris ').isCorrect).toBe(true);
+    expect(gradeAnswer(question, 'paris,   france').isCorrect).toBe(true);
+    expect(gradeAnswer(question, 'Lyon').isCorrect).toBe(false);
+  });
+
+  it('grades numerical answers within tolerance and with accepted units', () => {
+    const question = {
+      type: 'numerical',
+      numericalAnswer: { value: 9.8, tolerance: 1, toleranceType: 'percent', unit: 'm/s^2', acceptedUnits: ['m s^-2'] }
+    };
+    expect(gradeAnswer(question, 9.85).isCorrect).toBe(true);
+    expect(gradeAnswer(question, '9.8 m/s^2').isCorrect).toBe(true);
+    expect(gradeAnswer(question, { value: '9.79', unit: 'm s^-2' }).isCorrect).toBe(true);
+    expect(gradeAnswer(question, '9.8 km').isCorrect).toBe(false);
+    expect(gradeAnswer(question, 10).isCorrect).toBe(false);
+    expect(gradeAnswer({ ...question, numericalAnswer: { ...question.numericalAnswer, requireUnit: true } }, 9.8).isCorrect)
+      .toBe(false);
+    expect(gradeAnswer(question, { value: '' }).earnedPoints).toBe(0);
+  });
+
+  it('credits each correct blank, matching pair and drag-drop position', () => {
+    const fillBlank = {
+      type: 'fill-blank',
+      fillBlankAnswers: [
+        { position: 0, correctAnswer: 'H2O', caseSensitive: true },
+        { position: 1, correctAnswer: 'water', alternatives: ['aqua'] }
+      ]
+    };
+    expect(gradeAnswer(fillBlank, ['H2O', 'Aqua'], 2).earnedPoints).toBe(2);
+    expect(gradeAnswer(fillBlank, ['h2o', 'water'], 2).earnedPoints).toBe(1);
+
+    const matching = { type: 'matching', matchingPairs: [{ left: 'A', right: '1' }, { left: 'B', right: '2' }] };
+    expect(gradeAnswer(matching, { a: '1', b: '3' }, 2).earnedPoints).toBe(1);
+    expect(gradeAnswer(matching, [{ left: 'A', right: '1' }, { left: 'B', right: '2' }], 2).isCorrect).toBe(true);
+
+    const dragDrop = {
+      type: 'drag-drop',
+      dragDropItems: [{ id: 'x', content: 'First', correctPosition: 0 }, { id: 'y', content: 'Second', correctPosition: 1 }]
+    };
+    expect(gradeAnswer(dragDrop, ['x', 'y']).isCorrect).toBe(true);
+    expect(gradeAnswer(dragDrop, ['Second', 'First']).earnedPoints).toBe(0);
+  });
+
+  it('grades hotspot clicks against rectangles, circles and polygons', () => {
+    expect(isPointInArea({ x: 5, y: 5 }, { x: 10, y: 10, width: -10, height: -10 })).toBe(true);
+    expect(isPointInArea({ x: 3, y: 4 }, { shape: 'circle', x: 0, y: 0, radius: 5 })).toBe(true);
+    expect(isPointInArea({ x: 9, y: 1 }, { shape: 'polygon', points: [{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 0, y: 10 }] }))
+      .toBe(false);
+
+    const question = {
+      type: 'hotspot',
+      hotspotAreas: [
+        { x: 0, y: 0, width: 10, height: 10, isCorrect: true },
+        { x: 20, y: 0, width: 10, height: 10, isCorrect: true }
+      ]
+    };
+    expect(gradeAnswer(question, [{ x: 5, y: 5 }, { x: 25, y: 5 }], 2).earnedPoints).toBe(2);
+    expect(gradeAnswer(question, [{ x: 5, y: 5 }, { x: 50, y: 50 }], 2).earnedPoints).toBe(0);
+  });
+
+  it('leaves essays and unkeyed image questions to manual grading', () => {
+    expect(gradeAnswer({ type: 'essay' }, 'text').requiresManualGrading).toBe(true);
+    expect(gradeAnswer({ type: 'image-based' }, 'text').requiresManualGrading).toBe(true);
+    expect(gradeAnswer({ type: 'image-based', correctAnswer: 'cat' }, 'Cat').isCorrect).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+jest.mock('../../repositories', () => ({
+  questionRepository: { find: jest.fn(), findByIds: jest.fn() }
+}));
+
+const { questionRepository } = require('../../repositories');
+const {
+  buildPool,
+  poolFilter,
+  drawPoolQuestions,
+  drawnQuestionIds,
+  resolveAttemptExam
+} = require('../questionPools');
+
+class Exam {
+  constructor(data) {
+    Object.assign(this, data);
+  }
+
+  toObject() {
+    return { ...this };
+  }
+}
+
+const question = (id, difficulty, type = 'mcq') => ({ id, type, metadata: { difficulty, tags: [] } });
+
+const bank = [
+  question('e1', 'easy'), question('e2', 'easy'), question('e3', 'easy'), question('e4', 'easy'),
+  question('m1', 'medium'), question('m2', 'medium'), question('m3', 'medium'),
+  question('h1', 'hard'), question('h2', 'hard')
+];
+
+const pool = buildPool({
+  count: 5,
+  points: 2,
+  strata: [{ count: 2, difficulty: 'easy' }, { count: 1, difficulty: 'hard' }]
+});
+
+const poolExam = () => new Exam({
+  author: 'author-1',
+  sections: [
+    { id: 'fixed', name: 'Fixed', questions: [{ question: 'm1', points: 1 }] },
+    { id: 'drawn', name: 'Drawn', questions: [], pool }
+  ]
+});
+
+const difficulties = questions => questions.map(drawn => drawn.metadata.difficulty);
+
+beforeEach(() => {
+  questionRepository.find.mockResolvedValue(bank);
+});
+
+describe('buildPool', () => {
+  it('drops empty strata and draws at least as many questions as the strata ask for', () => {
+    expect(buildPool({ count: 1, strata: [{ count: 2, difficulty: 'easy' }, { count: 0, type: 'essay' }] })).toEqual({
+      count: 2,
+      points: 1,
+      filters: { topic: null, tags: [], difficulty: [], type: [] },
+      strata: [{ count: 2, topic: null, tags: [], difficulty: ['easy'], type: [] }]
+    });
+  });
+});
+
+describe('poolFilter', () => {
+  it('only draws published questions and the exam author\'s own drafts', () => {
+    expect(poolFilter(buildPool({ count: 1, filters: { topic: 'Algebra' } }), 'author-1')).toEqual({
+      isActive: true,
+      $or: [{ isPublished: true }, { author: 'author-1' }],
+      'metadata.topic': 'Algebra'
+    });
+  });
+});
+
+describe('drawPoolQuestions', () => {
+  it('fills each stratum before drawing the rest of the pool', async () => {
+    const { drawn, shortages } = await drawPoolQuestions(poolExam(), 'attempt-1');
+
+    expect(questionRepository.find).toHaveBeenCalledWith(expect.objectContaining({
+      $or: [{ isPublished: true }, { author: 'author-1' }]
+    }));
+    expect(shortages).toEqual([]);
+    expect(drawn.drawn).toHaveLength(5);
+    expect(difficulties(drawn.drawn.slice(0, 2))).toEqual(['easy', 'easy']);
+    expect(difficulties(drawn.drawn.slice(2, 3))).toEqual(['hard']);
+  });
+
+  it('draws the same paper for the same seed and never repeats a fixed question', async () => {
+    const ids = async seed => drawnQuestionIds((await drawPoolQuestions(poolExam(), seed)).drawn).drawn;
+    const draws = await Promise.all(['a', 'b', 'c', 'd'].map(ids));
+
+    expect(await ids('a')).toEqual(draws[0]);
+    expect(new Set(draws.map(draw => draw.join())).size).toBeGreaterThan(1);
+    draws.forEach(draw => {
+      expect(draw).not.toContain('m1');
+      expect(new Set(draw).size).toBe(draw.length);
+    });
+  });
+
+  it('reports the stratum that does not have enough questions', async () => {
+    const exam = poolExam();
+    exam.sections[1].pool = buildPool({ count: 3, strata: [{ count: 3, difficulty: 'hard' }] });
+
+    const { drawn, shortages } = await drawPoolQuestions(exam, 'attempt-1');
+
+    expect(drawn).toEqual({});
+    expect(shortages).toEqual([
+      expect.objectContaining({ sectionId: 'drawn', sectionName: 'Drawn', difficulty: ['hard'], required: 3, available: 2 })
+    ]);
+  });
+});
+
+describe('resolveAttemptExam', () => {
+  it('rebuilds the drawn sections from the attempt layout', async () => {
+    const layout = { pools: { drawn: ['h2', 'e1'] } };
+    questionRepository.findByIds.mockResolvedValue([bank[0], bank[8]]);
+
+    const unpopulated = await resolveAttemptExam(poolExam(), layout);
+    expect(unpopulated.sections[0].questions).toEqual([{ question: 'm1', points: 1 }]);
+    expect(unpopulated.sections[1].questions).toEqual([
+      { question: 'h2', points: 2, order: 0 },
+      { question: 'e1', points: 2, order: 1 }
+    ]);
+
+    const populated = await resolveAttemptExam(poolExam(), layout, { populate: true });
+    expect(populated.sections[1].questions.map(ref => ref.question)).toEqual([bank[8], bank[0]]);
+  });
+});
@@ -0,0 +1,71 @@
+const { gradingOptions, validateSectionWeights, scoreSections } = require('../scoring');
+
+const exam = (grading = {}) => ({
+  grading,
+  sections: [
+    { id: 's1', name: 'Part 1', questions: [{ question: 'q1', points: 1 }, { question: 'q2', points: 3 }] },
+    { id: 's2', name: 'Part 2', questions: [{ question: 'q3', points: 4 }] }
+  ]
+});
+
+const answers = [
+  { questionId: 'q1', points: 1 },
+  { questionId: 'q2', points: 0 },
+  { questionId: 'q3', points: 2 }
+];
+
+describe('scoreSections', () => {
+  it('counts every point the same with the points method', () => {
+    const result = scoreSections(exam(), answers);
+    expect(result.method).toBe('points');
+    expect(result.score).toBe(3);
+    expect(result.maxScore).toBe(8);
+    expect(result.percentage).toBe(37.5);
+    expect(result.sections.map(section => section.weight)).toEqual([50, 50]);
+  });
+
+  it('counts every question the same with the percentage method', () => {
+    const result = scoreSections(exam({ method: 'percentage' }), answers);
+    expect(result.percentage).toBe(50);
+    expect(result.sections[0].percentage).toBe(50);
+    expect(result.sections.map(section => section.weight)).toEqual([66.67, 33.33]);
+  });
+
+  it('weights section percentages with the weighted method', () => {
+    const result = scoreSections(exam({ method: 'weighted', sectionWeights: { s1: 25, s2: 75 } }), answers);
+    expect(result.percentage).toBe(43.75);
+    expect(result.sections.map(section => section.weight)).toEqual([25, 75]);
+  });
+
+  it('scales points by difficulty with the adaptive method', () => {
+    const questions = {
+      q1: { metadata: { difficulty: 'hard' } },
+      q2: { metadata: { difficulty: 'easy' } },
+      q3: { metadata: { difficulty: 'easy' } }
+    };
+    const result = scoreSections(exam({ method: 'adaptive' }), answers, questions);
+    expect(result.percentage).toBe(44.44);
+  });
+
+  it('never reports a negative score', () => {
+    const result = scoreSections(exam(), [{ questionId: 'q1', points: -1 }]);
+    expect(result.score).toBe(0);
+    expect(result.percentage).toBe(0);
+  });
+});
+
+describe('gradingOptions', () => {
+  it('only applies negative marking when it is enabled', () => {
+    expect(gradingOptions({ grading: { negativeMarking: { enabled: false, penalty: 0.5 } } }).negativeMarking).toBe(0);
+    expect(gradingOptions({ grading: { negativeMarking: { enabled: true, penalty: 0.5 } } }).negativeMarking).toBe(0.5);
+    expect(gradingOptions({ grading: { partialCredit: 'bogus' } }).partialCredit).toBe('all-or-nothing');
+  });
+});
+
+describe('validateSectionWeights', () => {
+  it('requires known sections adding up to 100%', () => {
+    expect(validateSectionWeights(exam(), { s1: 40, s2: 60 })).toBeNull();
+    expect(validateSectionWeights(exam(), { s1: 40, s2: 50 })).toMatch(/add up to 100%/);
+    expect(validateSectionWeights(exam(), { s3: 100 })).toMatch(/Unknown section "s3"/);
+  });
+});
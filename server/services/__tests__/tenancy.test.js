@@ -0,0 +1,64 @@
+const {
+  DEFAULT_ORGANIZATION,
+  currentOrganization,
+  inCurrentOrganization,
+  organizationForNew,
+  runInOrganization,
+  unscoped,
+  setOrganization,
+  keepOrganization,
+  middleware
+} = require('../tenancy');
+
+describe('tenancy', () => {
+  it('sees every organization outside a context', () => {
+    expect(currentOrganization()).toBeNull();
+    expect(inCurrentOrganization({ organization: 'a' })).toBe(true);
+    expect(organizationForNew('a')).toBe('a');
+    expect(organizationForNew()).toBe(DEFAULT_ORGANIZATION);
+  });
+
+  it('only sees the current organization inside one, across awaits', async () => {
+    await runInOrganization('a', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(currentOrganization()).toBe('a');
+      expect(inCurrentOrganization({ organization: 'a' })).toBe(true);
+      expect(inCurrentOrganization({ organization: 'b' })).toBe(false);
+      expect(organizationForNew('b')).toBe('a');
+      expect(await unscoped(() => currentOrganization())).toBeNull();
+    });
+  });
+
+  it('treats documents without an organization as the default organization\'s', async () => {
+    await runInOrganization(DEFAULT_ORGANIZATION, () => {
+      expect(inCurrentOrganization({})).toBe(true);
+    });
+    await runInOrganization('a', () => {
+      expect(inCurrentOrganization({})).toBe(false);
+    });
+  });
+
+  it('starts requests in the default organization and lets them switch', done => {
+    const req = {};
+    middleware(req, {}, () => {
+      expect(currentOrganization()).toBe(DEFAULT_ORGANIZATION);
+      setOrganization(req, 'a');
+      expect(currentOrganization()).toBe('a');
+      expect(req.organizationId).toBe('a');
+      done();
+    });
+  });
+
+  it('puts requests back in their organization after middleware that loses it', done => {
+    const req = {};
+    const losesContext = (request, res, next) => unscoped(() => next());
+    middleware(req, {}, () => {
+      setOrganization(req, 'a');
+      keepOrganization(losesContext)(req, {}, error => {
+        expect(error).toBeUndefined();
+        expect(currentOrganization()).toBe('a');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// Per-student accommodations. exam.accommodations overrides the exam's global
+// settings for the students it names, either one student or a group of students who
+// share the same arrangement:
+//
+//   {
+//     id, name, students: [userId], notes,
+//     timeMultiplier  exam and section time limits are multiplied by it (e.g. 1.5)
+//     extraAttempts   added to settings.maxAttempts
+//     startDate       alternate availability window; either end left empty keeps
+//     endDate         the exam's own date
+//     disableWebcam   webcam monitoring isn't required
+//   }
+//
+// A student named by several accommodations gets the most generous value of each.
+// The accommodation in effect when an attempt starts is stored on the attempt
+// (attempt.accommodation), so editing it later doesn't change a running clock.
+// No repository access here, so attemptTimer and the routes can share it.
+
+const crypto = require('crypto');
+
+const MAX_TIME_MULTIPLIER = 5;
+
+const toDate = value => (value ? new Date(value) : null);
+
+function buildAccommodation(data) {
+  return {
+    id: data.id || crypto.randomUUID(),
+    name: (data.name || '').trim(),
+    students: [...new Set((data.students || []).map(String))],
+    timeMultiplier: Number(data.timeMultiplier) || 1,
+    extraAttempts: parseInt(data.extraAttempts, 10) || 0,
+    startDate: toDate(data.startDate),
+    endDate: toDate(data.endDate),
+    disableWebcam: Boolean(data.disableWebcam),
+    notes: (data.notes || '').trim()
+  };
+}
+
+// The combined accommodation of a student at an exam, or null when they have none
+function findAccommodation(exam, studentId) {
+  const matching = (exam.accommodations || [])
+    .filter(accommodation => (accommodation.students || []).map(String).includes(String(studentId)));
+  if (matching.length === 0) return null;
+
+  const startDates = matching.map(accommodation => toDate(accommodation.startDate)).filter(Boolean);
+  const endDates = matching.map(accommodation => toDate(accommodation.endDate)).filter(Boolean);
+
+  return {
+    ids: matching.map(accommodation => accommodation.id),
+    timeMultiplier: Math.max(...matching.map(accommodation => Number(accommodation.timeMultiplier) || 1)),
+    extraAttempts: Math.max(...matching.map(accommodation => Number(accommodation.extraAttempts) || 0)),
+    startDate: startDates.length > 0 ? new Date(Math.min(...startDates)) : null,
+    endDate: endDates.length > 0 ? new Date(Math.max(...endDates)) : null,
+    disableWebcam: matching.some(accommodation => accommodation.disableWebcam)
+  };
+}
+
+// When the student may take the exam
+function availabilityWindow(exam, accommodation) {
+  return {
+    startDate: (accommodation && accommodation.startDate) || toDate(exam.startDate),
+    endDate: (accommodation && accommodation.endDate) || toDate(exam.endDate)
+  };
+}
+
+function allowedAttempts(exam, accommodation) {
+  return (Number(exam.settings && exam.settings.maxAttempts) || 1) +
+    ((accommodation && accommodation.extraAttempts) || 0);
+}
+
+// The exam's anti-cheating settings with the student's exemptions applied
+function accommodatedAntiCheating(antiCheating = {}, accommodation) {
+  if (!accommodation || !accommodation.disableWebcam) return antiCheating;
+  return {
+    ...antiCheating,
+    webcamMonitoring: { ...antiCheating.webcamMonitoring, enabled: false }
+  };
+}
+
+// An exam as one student takes it: their anti-cheating exemptions applied and the
+// other students' accommodations left out
+function examForStudent(exam, accommodation) {
+  const { accommodations, ...rest } = exam;
+  return {
+    ...rest,
+    antiCheating: accommodatedAntiCheating(exam.antiCheating, accommodation)
+  };
+}
+
+module.exports = {
+  MAX_TIME_MULTIPLIER,
+  buildAccommodation,
+  findAccommodation,
+  availabilityWindow,
+  allowedAttempts,
+  accommodatedAntiCheating,
+  examForStudent
+};
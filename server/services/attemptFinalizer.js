@@ -0,0 +1,56 @@
+// Scoring and closing of in-progress attempts, shared by the finish route, the
+// answer route (when the clock has run out) and the expiry sweeper. Attempts with
+// answers that need manual grading close as 'pending-review' (see manualGrading.js).
+
+const { attemptRepository } = require('../repositories');
+const { getAttemptDeadline, isPastDeadline } = require('./attemptTimer');
+const { emitToExam } = require('./realtime');
+const { scoreAttempt } = require('./scoring');
+
+// Score the attempt and mark it completed. The write is conditional on the attempt
+// still being in progress, so when a student submits just as the sweeper expires the
+// attempt only one of them finalizes it; the other gets null back.
+async function finalizeAttempt(attempt, exam, { autoSubmitted = false, now = new Date() } = {}) {
+  const deadline = getAttemptDeadline(attempt, exam);
+  const timeExpired = autoSubmitted || isPastDeadline(deadline, now);
+
+  const { score, percentage, grade, scoreBreakdown } = await scoreAttempt(attempt, exam);
+  const needsReview = attempt.answers.some(answer => answer.requiresManualGrading);
+
+  // Time spent never runs past the deadline, however late the attempt is closed
+  const endTime = timeExpired && deadline && deadline < now ? deadline : now;
+  const duration = Math.max(0, endTime - new Date(attempt.startTime));
+
+  const finalized = await attemptRepository.updateById(attempt.id, {
+    $set: {
+      status: needsReview ? 'pending-review' : 'completed',
+      endTime: now,
+      duration,
+      score,
+      percentage,
+      grade,
+      scoreBreakdown,
+      timeExpired,
+      autoSubmitted
+    }
+  }, { filter: { status: 'in-progress' } });
+
+  if (finalized) {
+    emitToExam(exam.id, 'attempt-submitted', {
+      attemptId: finalized.id,
+      studentId: finalized.student,
+      score: finalized.score,
+      percentage: finalized.percentage,
+      status: finalized.status,
+      timeExpired,
+      autoSubmitted,
+      timestamp: now
+    });
+  }
+
+  return finalized;
+}
+
+module.exports = {
+  finalizeAttempt
+};
@@ -0,0 +1,115 @@
+// Question and choice order for an attempt. The order is drawn once when the attempt
+// starts, from a seed stored on the attempt, and the result is stored alongside it, so
+// a resumed attempt shows the same layout and the order a student saw can always be
+// reconstructed for review or disputes:
+//
+//   attempt.layout = {
+//     seed,
+//     sections: [{ sectionId, questions: [questionId, ...] }],
+//     options: { [questionId]: [originalChoiceIndex, ...] },
+//     pools: { [sectionId]: [questionId, ...] }   drawn for pool sections, see questionPools.js
+//   }
+//
+// Sections shuffle their questions when randomizeQuestions is set, and the choices of
+// choice-based questions when randomizeOptions (or the question's own
+// randomization.shuffleOptions) is set. Choices marked pinLast (e.g. "All of the
+// above") always stay at the end.
+
+const { sectionKey } = require('./attemptTimer');
+const { createSeed, createRng, shuffle } = require('./seededRandom');
+
+// The list of choices a student picks from, by question type. For matching questions
+// the pairs keep their order and only the right-hand column is shuffled.
+const CHOICE_FIELDS = {
+  'mcq': 'options',
+  'multiple-choice': 'options',
+  'drag-drop': 'dragDropItems',
+  'matching': 'matchingPairs'
+};
+
+const questionIdOf = ref => (ref.question && ref.question.id ? ref.question.id : String(ref.question));
+
+const shouldShuffleChoices = (section, question) =>
+  Boolean(section.randomizeOptions || (question.randomization && question.randomization.shuffleOptions));
+
+// Shuffle choice indices, keeping pinned choices at the end in their authored order
+function shuffleChoices(choices, rng) {
+  const indices = choices.map((choice, index) => index);
+  const free = indices.filter(index => !(choices[index] && choices[index].pinLast));
+  const pinned = indices.filter(index => choices[index] && choices[index].pinLast);
+  return [...shuffle(free, rng), ...pinned];
+}
+
+// Draw the layout for a new attempt. Expects the exam with its questions populated;
+// the same exam and seed always produce the same layout.
+function createLayout(exam, seed = createSeed()) {
+  const options = {};
+
+  const sections = exam.sections.map(section => {
+    const key = sectionKey(exam, section);
+    const refs = section.randomizeQuestions
+      ? shuffle(section.questions, createRng(seed, `section:${key}`))
+      : section.questions;
+
+    refs.forEach(ref => {
+      const question = ref.question;
+      if (!question || typeof question !== 'object') return;
+      const choices = question[CHOICE_FIELDS[question.type]];
+
+      if (Array.isArray(choices) && choices.length > 1 && shouldShuffleChoices(section, question)) {
+        options[questionIdOf(ref)] = shuffleChoices(choices, createRng(seed, `question:${questionIdOf(ref)}`));
+      }
+    });
+
+    return { sectionId: key, questions: refs.map(questionIdOf) };
+  });
+
+  return { seed, sections, options };
+}
+
+function applyChoiceOrder(question, order) {
+  if (!question || typeof question !== 'object') return question;
+  const field = CHOICE_FIELDS[question.type];
+  const choices = question[field];
+  if (!order || !Array.isArray(choices)) return question;
+
+  const ordered = order.map(index => choices[index]).filter(Boolean);
+  if (question.type === 'matching') {
+    return { ...question, matchingChoices: ordered.map(pair => pair.right) };
+  }
+  return { ...question, [field]: ordered };
+}
+
+// Reorder a populated exam object to match a stored layout
+function applyLayout(examData, layout) {
+  if (!layout) return examData;
+
+  const sections = examData.sections.map(section => {
+    const stored = layout.sections.find(entry => entry.sectionId === sectionKey(examData, section));
+    if (!stored) return section;
+
+    const position = new Map(stored.questions.map((questionId, index) => [questionId, index]));
+    const questions = [...section.questions]
+      .sort((a, b) => (position.get(questionIdOf(a)) ?? Infinity) - (position.get(questionIdOf(b)) ?? Infinity))
+      .map(ref => ({ ...ref, question: applyChoiceOrder(ref.question, layout.options[questionIdOf(ref)]) }));
+
+    return { ...section, questions };
+  });
+
+  return { ...examData, sections };
+}
+
+// Compare two layouts by content; stored maps don't keep their key order
+function isSameLayout(a, b) {
+  const canonical = layout => JSON.stringify([
+    layout.sections.map(section => [section.sectionId, section.questions]),
+    Object.keys(layout.options || {}).sort().map(questionId => [questionId, layout.options[questionId]])
+  ]);
+  return canonical(a) === canonical(b);
+}
+
+module.exports = {
+  createLayout,
+  applyLayout,
+  isSameLayout
+};
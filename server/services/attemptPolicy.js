@@ -0,0 +1,155 @@
+// Which of a student's attempts count. exam.settings.attemptPolicy decides the
+// student's official result across their graded attempts:
+//
+//   highest  the attempt with the best percentage (the earliest one on a tie)
+//   latest   the most recently submitted attempt
+//   first    the first submitted attempt
+//   average  the mean score and percentage of all graded attempts, graded on the
+//            exam's scale; it isn't tied to a single attempt
+//
+// exam.settings.attemptCooldown is the number of minutes a student must wait after
+// submitting an attempt before starting the next one.
+//
+// Attempts still awaiting manual grading don't count until they are graded; results
+// whose student has such attempts are marked 'pending-review' since they may change.
+// No repository access here, so the Attempt model can use it for its statistics.
+
+const { determineGrade } = require('./gradeScale');
+
+const ATTEMPT_POLICIES = ['highest', 'latest', 'average', 'first'];
+const DEFAULT_POLICY = 'highest';
+
+const round = value => Math.round(value * 100) / 100;
+const idOf = value => (value && typeof value === 'object' ? value.id : value);
+const submittedAt = attempt => new Date(attempt.endTime || attempt.startTime || attempt.createdAt).getTime();
+
+function getAttemptPolicy(exam) {
+  const policy = exam && exam.settings && exam.settings.attemptPolicy;
+  return ATTEMPT_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+}
+
+// The attempt that counts under a single-attempt policy
+function pickAttempt(attempts, policy) {
+  if (policy === 'first') return attempts[0];
+  if (policy === 'latest') return attempts[attempts.length - 1];
+  return attempts.reduce((best, attempt) => ((attempt.percentage || 0) > (best.percentage || 0) ? attempt : best));
+}
+
+// Official result for one student from their submitted attempts ('completed' and
+// 'pending-review'), or null when none of them has been graded yet
+function officialResult(exam, attempts) {
+  const policy = getAttemptPolicy(exam);
+  const graded = attempts
+    .filter(attempt => attempt.status === 'completed')
+    .sort((a, b) => submittedAt(a) - submittedAt(b));
+  if (graded.length === 0) return null;
+
+  const pendingReview = attempts.some(attempt => attempt.status === 'pending-review');
+  const base = {
+    student: graded[0].student,
+    policy,
+    status: pendingReview ? 'pending-review' : 'final',
+    attemptCount: graded.length,
+    attempts: graded.map(attempt => ({
+      id: attempt.id,
+      score: attempt.score,
+      percentage: attempt.percentage,
+      grade: attempt.grade,
+      submittedAt: attempt.endTime
+    }))
+  };
+
+  if (policy === 'average') {
+    const mean = field => graded.reduce((sum, attempt) => sum + (attempt[field] || 0), 0) / graded.length;
+    const percentage = round(mean('percentage'));
+    return {
+      ...base,
+      attemptId: null,
+      score: round(mean('score')),
+      percentage,
+      grade: determineGrade(exam, percentage),
+      duration: mean('duration'),
+      violations: graded.reduce((sum, attempt) => sum + ((attempt.antiCheating && attempt.antiCheating.violations) || []).length, 0),
+      isFlagged: graded.some(attempt => attempt.isFlagged),
+      submittedAt: graded[graded.length - 1].endTime
+    };
+  }
+
+  const counted = pickAttempt(graded, policy);
+  return {
+    ...base,
+    attemptId: counted.id,
+    score: counted.score,
+    percentage: counted.percentage,
+    grade: counted.grade,
+    duration: counted.duration,
+    violations: ((counted.antiCheating && counted.antiCheating.violations) || []).length,
+    isFlagged: counted.isFlagged,
+    submittedAt: counted.endTime
+  };
+}
+
+// Official results of every student with a graded attempt
+function officialResults(exam, attempts) {
+  const byStudent = new Map();
+  attempts.forEach(attempt => {
+    const key = String(idOf(attempt.student));
+    if (!byStudent.has(key)) byStudent.set(key, []);
+    byStudent.get(key).push(attempt);
+  });
+
+  return [...byStudent.values()]
+    .map(studentAttempts => officialResult(exam, studentAttempts))
+    .filter(Boolean);
+}
+
+// Exam statistics over official results, one per student
+function summarizeResults(results) {
+  const stats = {
+    totalStudents: results.length,
+    totalAttempts: results.reduce((sum, result) => sum + result.attemptCount, 0),
+    averageScore: 0,
+    averagePercentage: 0,
+    minScore: 0,
+    maxScore: 0,
+    averageDuration: 0,
+    flaggedAttempts: results.filter(result => result.isFlagged).length,
+    gradeDistribution: {}
+  };
+  if (results.length === 0) return stats;
+
+  const scores = results.map(result => result.score || 0);
+  stats.averageScore = scores.reduce((sum, score) => sum + score, 0) / results.length;
+  stats.averagePercentage = results.reduce((sum, result) => sum + (result.percentage || 0), 0) / results.length;
+  stats.minScore = Math.min(...scores);
+  stats.maxScore = Math.max(...scores);
+  stats.averageDuration = results.reduce((sum, result) => sum + (result.duration || 0), 0) / results.length;
+  results.forEach(result => {
+    if (result.grade) {
+      stats.gradeDistribution[result.grade] = (stats.gradeDistribution[result.grade] || 0) + 1;
+    }
+  });
+
+  return stats;
+}
+
+// When the student may start another attempt, or null if there's no wait
+function nextAttemptAt(exam, attempts, now = new Date()) {
+  const cooldown = Number(exam.settings && exam.settings.attemptCooldown) || 0;
+  const submitted = attempts.filter(attempt => attempt.endTime);
+  if (cooldown <= 0 || submitted.length === 0) return null;
+
+  const lastSubmitted = Math.max(...submitted.map(attempt => new Date(attempt.endTime).getTime()));
+  const availableAt = new Date(lastSubmitted + cooldown * 60 * 1000);
+  return availableAt > now ? availableAt : null;
+}
+
+module.exports = {
+  ATTEMPT_POLICIES,
+  DEFAULT_POLICY,
+  getAttemptPolicy,
+  officialResult,
+  officialResults,
+  summarizeResults,
+  nextAttemptAt
+};
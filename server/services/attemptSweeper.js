@@ -0,0 +1,63 @@
+// Background job that auto-submits in-progress attempts whose deadline has passed,
+// so an attempt is closed on time even if the student's browser never calls /finish.
+
+const Attempt = require('../models/Attempt');
+const { examRepository } = require('../repositories');
+const { getAttemptDeadline, isPastDeadline, SUBMISSION_GRACE_MS } = require('./attemptTimer');
+const { finalizeAttempt } = require('./attemptFinalizer');
+
+const SWEEP_INTERVAL_MS = Number(process.env.ATTEMPT_SWEEP_INTERVAL_MS) || 30000;
+
+// Finalize every expired in-progress attempt. Returns how many were auto-submitted.
+async function sweepExpiredAttempts(now = new Date()) {
+  const attempts = await Attempt.findActiveAttempts();
+  const exams = new Map();
+  let submitted = 0;
+
+  for (const attempt of attempts) {
+    if (!exams.has(attempt.exam)) {
+      exams.set(attempt.exam, await examRepository.findById(attempt.exam));
+    }
+    const exam = exams.get(attempt.exam);
+    if (!exam) continue;
+
+    if (!isPastDeadline(getAttemptDeadline(attempt, exam), now, SUBMISSION_GRACE_MS)) continue;
+
+    try {
+      if (await finalizeAttempt(attempt, exam, { autoSubmitted: true, now })) {
+        submitted++;
+      }
+    } catch (error) {
+      console.error(`Auto-submit attempt ${attempt.id} error:`, error);
+    }
+  }
+
+  return submitted;
+}
+
+// Run the sweep on an interval. Returns a function that stops it.
+function startAttemptSweeper({ intervalMs = SWEEP_INTERVAL_MS } = {}) {
+  let sweeping = false;
+
+  const timer = setInterval(async () => {
+    // A slow sweep shouldn't overlap the next one
+    if (sweeping) return;
+    sweeping = true;
+
+    try {
+      await sweepExpiredAttempts();
+    } catch (error) {
+      console.error('Attempt sweeper error:', error);
+    } finally {
+      sweeping = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  sweepExpiredAttempts,
+  startAttemptSweeper
+};
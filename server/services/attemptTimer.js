@@ -0,0 +1,127 @@
+// Server-authoritative attempt timing. Deadlines are fixed on the server and stored
+// on the attempt, so the client clock is only ever used to display a countdown.
+//
+//   attempt.deadline        overall deadline, null when the exam is untimed
+//   attempt.sectionTimings  { [sectionId]: { startedAt, deadline } } for sections with
+//                           a timeLimit; a section's clock starts when the student first
+//                           enters it and never runs past the overall deadline
+//
+// Time limits (settings.totalTimeLimit and section.timeLimit) are in minutes. A student
+// with extra time has them scaled by attempt.accommodation.timeMultiplier.
+
+const MINUTE_MS = 60 * 1000;
+
+// Answers already in flight when the clock runs out are still accepted
+const SUBMISSION_GRACE_MS = 5000;
+
+const toDate = value => (value ? new Date(value) : null);
+
+const earliest = (...dates) => {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  return times.length > 0 ? new Date(Math.min(...times)) : null;
+};
+
+const sectionKey = (exam, section) => section.id || String(exam.sections.indexOf(section));
+
+const timeMultiplier = attempt => Number(attempt.accommodation && attempt.accommodation.timeMultiplier) || 1;
+
+// A section's time limit in minutes for this attempt
+const sectionTimeLimit = (attempt, section) => (Number(section.timeLimit) || 0) * timeMultiplier(attempt);
+
+// Overall deadline for an attempt started at startTime: the exam time limit, or the
+// sum of the section limits when there is no exam limit but every section is timed
+function computeDeadline(exam, startTime, multiplier = 1) {
+  const sections = exam.sections || [];
+  let limit = Number(exam.settings && exam.settings.totalTimeLimit) || 0;
+
+  if (!limit && sections.length > 0 && sections.every(section => Number(section.timeLimit) > 0)) {
+    limit = sections.reduce((sum, section) => sum + Number(section.timeLimit), 0);
+  }
+
+  return limit > 0 ? new Date(toDate(startTime).getTime() + limit * multiplier * MINUTE_MS) : null;
+}
+
+// Attempts started before deadlines were stored get one derived from their start time
+function getAttemptDeadline(attempt, exam) {
+  return toDate(attempt.deadline) || computeDeadline(exam, attempt.startTime, timeMultiplier(attempt));
+}
+
+function findQuestionSection(exam, questionId) {
+  return (exam.sections || []).find(section =>
+    section.questions.some(q => q.question.toString() === questionId)) || null;
+}
+
+function getSectionTiming(attempt, exam, section) {
+  const timing = (attempt.sectionTimings || {})[sectionKey(exam, section)];
+  return timing ? { startedAt: toDate(timing.startedAt), deadline: toDate(timing.deadline) } : null;
+}
+
+// Start the clock for a timed section the first time the student enters it. Returns
+// the section timing (existing or new), or null for untimed sections.
+function startSectionTimer(attempt, exam, section, now = new Date()) {
+  const limit = sectionTimeLimit(attempt, section);
+  if (!limit) return null;
+
+  const existing = getSectionTiming(attempt, exam, section);
+  if (existing) return existing;
+
+  const timing = {
+    startedAt: now,
+    deadline: earliest(new Date(now.getTime() + limit * MINUTE_MS), getAttemptDeadline(attempt, exam))
+  };
+  attempt.sectionTimings = { ...attempt.sectionTimings, [sectionKey(exam, section)]: timing };
+  return timing;
+}
+
+function isPastDeadline(deadline, now = new Date(), graceMs = 0) {
+  return Boolean(deadline) && now.getTime() > deadline.getTime() + graceMs;
+}
+
+function getRemainingSeconds(deadline, now = new Date()) {
+  if (!deadline) return null;
+  return Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000));
+}
+
+// Timing summary sent to the client so it can sync its countdown to the server clock
+function getTimeStatus(attempt, exam, now = new Date()) {
+  const deadline = getAttemptDeadline(attempt, exam);
+
+  const sections = (exam.sections || [])
+    .filter(section => Number(section.timeLimit) > 0)
+    .map(section => {
+      const timing = getSectionTiming(attempt, exam, section);
+      const timeLimit = sectionTimeLimit(attempt, section);
+      return {
+        sectionId: sectionKey(exam, section),
+        timeLimit,
+        startedAt: timing ? timing.startedAt : null,
+        deadline: timing ? timing.deadline : null,
+        remainingSeconds: timing ? getRemainingSeconds(timing.deadline, now) : Math.floor(timeLimit * 60),
+        expired: timing ? isPastDeadline(timing.deadline, now) : false
+      };
+    });
+
+  return {
+    status: attempt.status,
+    serverTime: now,
+    startTime: attempt.startTime,
+    deadline,
+    timeMultiplier: timeMultiplier(attempt),
+    remainingSeconds: getRemainingSeconds(deadline, now),
+    expired: isPastDeadline(deadline, now),
+    sections
+  };
+}
+
+module.exports = {
+  SUBMISSION_GRACE_MS,
+  sectionKey,
+  computeDeadline,
+  getAttemptDeadline,
+  findQuestionSection,
+  getSectionTiming,
+  startSectionTimer,
+  isPastDeadline,
+  getRemainingSeconds,
+  getTimeStatus
+};
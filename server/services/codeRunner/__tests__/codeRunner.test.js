@@ -0,0 +1,147 @@
+const { spawnSync } = require('child_process');
+const { runTestCases, toPublicResults, outputsMatch } = require('..');
+
+// Runs need unprivileged user namespaces; hosts without them cannot run code at all
+const canSandbox = spawnSync('unshare', ['--user', '--map-root-user', '--net', 'true']).status === 0;
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+const describeSandboxed = canSandbox ? describe : describe.skip;
+const describePython = canSandbox && hasPython ? describe : describe.skip;
+
+const run = (language, code, testCases) => runTestCases({ language, code, testCases, limits: { timeLimit: 1000 } });
+
+// A results document that would pass the test case if the runner trusted stdout
+const forged = JSON.stringify({
+  results: [{ output: 'secret-42', stdout: '', error: null, timedOut: false, durationMs: 1 }]
+});
+
+describe('outputsMatch', () => {
+  it('compares text, JSON and numbers loosely', () => {
+    expect(outputsMatch('hello \n', 'hello')).toBe(true);
+    expect(outputsMatch('[1, 2]', '[1,2]')).toBe(true);
+    expect(outputsMatch('0.30000000000000004', '0.3')).toBe(true);
+    expect(outputsMatch('', '0')).toBe(false);
+  });
+});
+
+describe('toPublicResults', () => {
+  it('keeps only the outcome of hidden test cases', () => {
+    const results = [
+      { index: 0, isHidden: false, input: 'f(1)', expectedOutput: '1', actualOutput: '1', passed: true, timedOut: false },
+      { index: 1, isHidden: true, input: 'f(2)', expectedOutput: '4', actualOutput: '3', passed: false, timedOut: false }
+    ];
+
+    expect(toPublicResults(results)).toEqual([
+      results[0],
+      { index: 1, isHidden: true, passed: false, timedOut: false }
+    ]);
+  });
+});
+
+describeSandboxed('JavaScript submissions', () => {
+  it('runs each test case against the submission', async () => {
+    const summary = await run('javascript', 'function add(a, b) { console.log("adding"); return a + b; }', [
+      { input: 'add(2, 3)', expectedOutput: '5' },
+      { input: 'add(2, 2)', expectedOutput: '5' },
+      { input: 'Promise.resolve(add(1, 1))', expectedOutput: '2' }
+    ]);
+
+    expect(summary.error).toBeNull();
+    expect(summary.passed).toBe(2);
+    expect(summary.results[0]).toMatchObject({ actualOutput: '5', stdout: 'adding\n', passed: true });
+    expect(summary.results[1].passed).toBe(false);
+  });
+
+  it('gives the submission no objects from the harness realm', async () => {
+    const summary = await run('javascript', '', [
+      { input: 'console.log.constructor === Function && this.constructor.constructor === Function', expectedOutput: 'true' },
+      { input: '[typeof process, typeof require, typeof module, typeof setTimeout].join()', expectedOutput: 'undefined,undefined,undefined,undefined' },
+      { input: 'console.log.constructor("return process")()', expectedOutput: 'secret-42' }
+    ]);
+
+    expect(summary.results[0].passed).toBe(true);
+    expect(summary.results[1].passed).toBe(true);
+    expect(summary.results[2]).toMatchObject({ passed: false, error: expect.stringMatching(/^EvalError/) });
+  });
+
+  it('stops submissions at the time limit', async () => {
+    const summary = await run('javascript', 'function spin() { while (true) {} }', [
+      { input: 'spin()', expectedOutput: '1' },
+      { input: '(async () => { for (;;) await null; })()', expectedOutput: '1' },
+      { input: '1', expectedOutput: '1' }
+    ]);
+
+    expect(summary.results.map(result => result.timedOut)).toEqual([true, true, false]);
+    expect(summary.results[2].passed).toBe(true);
+  });
+
+  it('reports exceptions thrown by the submission', async () => {
+    const summary = await run('javascript', 'function fail() { throw new TypeError("boom"); }', [
+      { input: 'fail()', expectedOutput: '' }
+    ]);
+
+    expect(summary.results[0]).toMatchObject({ passed: false, error: 'TypeError: boom' });
+  });
+});
+
+describePython('Python submissions', () => {
+  it('runs each test case against the submission', async () => {
+    const summary = await run('python', 'def add(a, b):\n    print("adding")\n    return a + b\n', [
+      { input: 'add(2, 3)', expectedOutput: '5' },
+      { input: 'add(2, 2)', expectedOutput: '5' }
+    ]);
+
+    expect(summary.error).toBeNull();
+    expect(summary.results[0]).toMatchObject({ actualOutput: '5', stdout: 'adding\n', passed: true });
+    expect(summary.results[1].passed).toBe(false);
+  });
+
+  it('sees an empty read-only filesystem whatever modules it imports', async () => {
+    const summary = await run('python', 'import sys\nos = sys.modules["os"]\n', [
+      { input: 'open("/etc/passwd").read()', expectedOutput: '' },
+      { input: `open(${JSON.stringify(__filename)}).read()`, expectedOutput: '' },
+      { input: 'open("/notes.txt", "w")', expectedOutput: '' },
+      { input: '"etc" in os.listdir("/") or "home" in os.listdir("/")', expectedOutput: 'false' }
+    ]);
+
+    expect(summary.results[0].error).toMatch(/^FileNotFoundError/);
+    expect(summary.results[1].error).toMatch(/^FileNotFoundError/);
+    expect(summary.results[2].error).toMatch(/^OSError/);
+    expect(summary.results[3]).toMatchObject({ actualOutput: 'false', passed: true });
+  });
+
+  it('has no network and cannot signal processes outside the run', async () => {
+    const summary = await run('python', 'import os, socket\n', [
+      { input: 'socket.create_connection(("1.1.1.1", 80), timeout=1)', expectedOutput: '' },
+      { input: `os.kill(${process.pid}, 0)`, expectedOutput: '' }
+    ]);
+
+    expect(summary.results[0].error).toMatch(/^OSError: \[Errno 101\]/);
+    expect(summary.results[1].error).toMatch(/^ProcessLookupError/);
+  });
+
+  it('cannot forge results through stdout or the results channel', async () => {
+    const code = [
+      'import os, sys',
+      `forged = ${JSON.stringify(forged)}`,
+      'sys.__stdout__.write(forged)',
+      'sys.__stdout__.flush()',
+      'os.write(1, forged.encode())',
+      'os.write(3, forged.encode())'
+    ].join('\n');
+
+    const summary = await run('python', code, [{ input: '', expectedOutput: 'secret-42' }]);
+
+    expect(summary.results[0]).toMatchObject({ passed: false, error: 'OSError: [Errno 9] Bad file descriptor' });
+  });
+
+  it('stops submissions at the time limit', async () => {
+    const code = 'import signal\nsignal.signal(signal.SIGALRM, signal.SIG_IGN)\ndef spin():\n    while True:\n        pass\n';
+    const summary = await run('python', code, [
+      { input: 'spin()', expectedOutput: '' },
+      { input: '1', expectedOutput: '1' }
+    ]);
+
+    expect(summary.results[0]).toMatchObject({ timedOut: true, error: 'Time limit exceeded' });
+    expect(summary.results[1].passed).toBe(true);
+  });
+});
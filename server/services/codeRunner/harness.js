@@ -0,0 +1,187 @@
+'use strict';
+
+// Child-process harness for JavaScript submissions.
+//
+// Reads { code, testCases, timeLimit, maxOutput } as JSON from stdin, runs the
+// submission once per test case in a fresh VM context and writes
+// { results: [...] } as JSON to fd 3. Nothing from this realm is handed to the
+// submission: console and result formatting are built inside the context from
+// its own intrinsics, and only strings come back out. The parent process runs
+// this harness in the OS sandbox and enforces the memory limit, the overall
+// deadline and the Node permission model.
+//
+// Strict mode matters here: context code must not be able to reach these
+// functions through Function.prototype.caller or stack trace call sites.
+
+const fs = require('fs');
+const vm = require('vm');
+
+const RESULTS_FD = 3;
+const REPORT_TIME_LIMIT_MS = 100;
+
+// Evaluated inside each context before the submission. Returns the harness
+// object, which is also pinned on the global as a non-configurable property so
+// the snippets below can reach it through `this`.
+const BOOTSTRAP = `(maxOutput => {
+  'use strict';
+  const stringify = JSON.stringify;
+  const toText = String;
+  let output = '';
+  let captured;
+  let outcome = { state: 'empty' };
+
+  const show = value => {
+    if (typeof value === 'string') return value;
+    try {
+      const json = stringify(value);
+      if (json !== undefined) return json;
+    } catch (error) {
+      // Circular or otherwise unserializable; use the string form
+    }
+    try {
+      return toText(value);
+    } catch (error) {
+      return '[object]';
+    }
+  };
+  const log = (...args) => {
+    if (output.length < maxOutput) output += args.map(show).join(' ') + '\\n';
+  };
+  const describe = error => {
+    try {
+      return error instanceof Error ? error.name + ': ' + error.message : 'Error: ' + show(error);
+    } catch (failure) {
+      return 'Error: uncaught exception';
+    }
+  };
+
+  const harness = Object.freeze({
+    capture(value, threw) {
+      captured = { value, threw };
+    },
+    settle() {
+      const { value, threw } = captured;
+      if (threw) {
+        outcome = { state: 'threw', error: value };
+        return;
+      }
+      try {
+        if (value !== null && (typeof value === 'object' || typeof value === 'function') &&
+            typeof value.then === 'function') {
+          outcome = { state: 'pending' };
+          value.then(
+            result => { outcome = { state: 'returned', value: result }; },
+            error => { outcome = { state: 'threw', error }; }
+          );
+        } else {
+          outcome = { state: 'returned', value };
+        }
+      } catch (error) {
+        outcome = { state: 'threw', error };
+      }
+    },
+    report() {
+      const stdout = output.slice(0, maxOutput);
+      const report = { output: null, stdout, error: null, timedOut: false };
+      if (outcome.state === 'returned') {
+        report.output = outcome.value === undefined ? stdout : show(outcome.value);
+      } else if (outcome.state === 'threw') {
+        report.error = describe(outcome.error);
+      } else if (outcome.state === 'pending') {
+        // Contexts have no timers, so a promise still pending now never settles
+        report.error = 'Time limit exceeded';
+        report.timedOut = true;
+      }
+      return stringify(report);
+    }
+  });
+
+  globalThis.console = { log, info: log, warn: log, error: log, debug: log };
+  Object.defineProperty(globalThis, '__harness', { value: harness });
+  return harness;
+})`;
+
+// The timeout error is created in the context's realm, so match it by code
+const isTimeout = error => !!error && error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+
+// The report is a string built inside the context, so check its shape here
+function readReport(text, maxOutput) {
+  const report = typeof text === 'string' ? JSON.parse(text) : null;
+  if (!report || typeof report !== 'object') throw new Error('Malformed report');
+
+  return {
+    output: typeof report.output === 'string' ? report.output : null,
+    stdout: typeof report.stdout === 'string' ? report.stdout.slice(0, maxOutput) : '',
+    error: typeof report.error === 'string' ? report.error : null,
+    timedOut: report.timedOut === true
+  };
+}
+
+function runTest(code, testCase, timeLimit, maxOutput) {
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+    microtaskMode: 'afterEvaluate'
+  });
+  const startedAt = Date.now();
+  const run = (source, filename, limit = Math.max(1, timeLimit - (Date.now() - startedAt))) =>
+    vm.runInContext(source, context, { filename, timeout: limit });
+
+  const harness = run(BOOTSTRAP, 'harness.js')(maxOutput);
+  let timedOut = false;
+
+  try {
+    run(code, 'submission.js');
+    const input = typeof testCase.input === 'string' ? testCase.input.trim() : '';
+    harness.capture(input ? run(input, 'test.js') : undefined, false);
+  } catch (error) {
+    if (isTimeout(error)) {
+      timedOut = true;
+    } else {
+      harness.capture(error, true);
+    }
+  }
+
+  if (!timedOut) {
+    try {
+      run('this.__harness.settle()', 'harness.js');
+    } catch (error) {
+      if (!isTimeout(error)) throw error;
+      timedOut = true;
+    }
+  }
+
+  let report;
+  try {
+    report = readReport(run('this.__harness.report()', 'harness.js', REPORT_TIME_LIMIT_MS), maxOutput);
+  } catch (error) {
+    report = { output: null, stdout: '', error: 'Error: could not read the result', timedOut: false };
+  }
+
+  if (timedOut) {
+    Object.assign(report, { output: null, error: 'Time limit exceeded', timedOut: true });
+  }
+  return { ...report, durationMs: Date.now() - startedAt };
+}
+
+function writeAll(fd, buffer) {
+  let offset = 0;
+  while (offset < buffer.length) {
+    try {
+      offset += fs.writeSync(fd, buffer, offset);
+    } catch (error) {
+      if (error.code !== 'EAGAIN') throw error;
+    }
+  }
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  const { code, testCases, timeLimit, maxOutput } = JSON.parse(input);
+  const results = testCases.map(testCase => runTest(code, testCase, timeLimit, maxOutput));
+
+  writeAll(RESULTS_FD, Buffer.from(JSON.stringify({ results })));
+});
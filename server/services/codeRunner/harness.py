@@ -0,0 +1,171 @@
+# Child-process harness for Python submissions.
+#
+# Reads {"code", "testCases", "timeLimit", "memoryLimit", "maxOutput"} as JSON
+# from stdin and writes {"results": [...]} as JSON to fd 3. The parent process
+# starts this harness in the OS sandbox (see sandbox.sh), which is what keeps the
+# submission away from the network, the filesystem and other processes; there
+# is no Python-level denylist.
+#
+# Each test case runs in its own forked process with resource limits applied.
+# The fork closes fd 3 and sends its outcome back over a pipe, so submitted code
+# can only ever report on the test case it is running.
+
+import contextlib
+import ctypes
+import io
+import json
+import os
+import select
+import signal
+import sys
+import time
+
+try:
+    import resource
+except ImportError:  # pragma: no cover - non-POSIX platforms
+    resource = None
+
+RESULTS_FD = 3
+PR_SET_DUMPABLE = 4
+MAX_REPORT_BYTES = 1024 * 1024
+
+
+def apply_limits(config):
+    if resource is None:
+        return
+    cpu_seconds = max(1, int(config['timeLimit'] / 1000) + 1)
+    memory_bytes = int(config['memoryLimit']) * 1024 * 1024
+    limits = [
+        (resource.RLIMIT_CPU, cpu_seconds),
+        (resource.RLIMIT_AS, memory_bytes),
+        (resource.RLIMIT_FSIZE, 0),
+    ]
+    for limit, value in limits:
+        try:
+            resource.setrlimit(limit, (value, value))
+        except (ValueError, OSError):
+            pass
+    signal.signal(signal.SIGXFSZ, signal.SIG_IGN)
+
+
+def format_value(value):
+    if isinstance(value, str):
+        return value
+    try:
+        return json.dumps(value)
+    except (TypeError, ValueError):
+        return repr(value)
+
+
+def run_test(code, source, max_output):
+    stdout = io.StringIO()
+    namespace = {'__name__': '__main__'}
+    try:
+        with contextlib.redirect_stdout(stdout):
+            exec(compile(code, 'submission.py', 'exec'), namespace)
+            value = eval(compile(source, 'test.py', 'eval'), namespace) if source else None
+        printed = stdout.getvalue()[:max_output]
+        return {
+            'output': format_value(value) if value is not None else printed,
+            'stdout': printed,
+            'error': None,
+        }
+    except BaseException as error:  # noqa: B902 - submissions may raise SystemExit
+        return {
+            'output': None,
+            'stdout': stdout.getvalue()[:max_output],
+            'error': '%s: %s' % (type(error).__name__, error),
+        }
+
+
+def write_all(fd, data):
+    while data:
+        data = data[os.write(fd, data):]
+
+
+def run_in_child(config, source, writer):
+    os.close(RESULTS_FD)
+    apply_limits(config)
+    try:
+        report = run_test(config['code'], source, config['maxOutput'])
+        write_all(writer, json.dumps(report).encode('utf-8', 'replace'))
+    finally:
+        os._exit(0)
+
+
+# Read the child's report until it exits or the time limit passes
+def collect(reader, pid, time_limit):
+    deadline = time.monotonic() + time_limit / 1000.0
+    data = b''
+    timed_out = False
+    while True:
+        remaining = deadline - time.monotonic()
+        if remaining <= 0 or not select.select([reader], [], [], remaining)[0]:
+            timed_out = True
+            break
+        chunk = os.read(reader, 65536)
+        if not chunk or len(data) + len(chunk) > MAX_REPORT_BYTES:
+            break
+        data += chunk
+    os.close(reader)
+    with contextlib.suppress(ProcessLookupError):
+        os.kill(pid, signal.SIGKILL)
+    os.waitpid(pid, 0)
+    return data, timed_out
+
+
+# The report comes from submitted code, so only its expected fields are kept
+def read_report(data, max_output):
+    try:
+        report = json.loads(data.decode('utf-8'))
+    except ValueError:
+        report = None
+    if not isinstance(report, dict):
+        return {'output': None, 'stdout': '', 'error': 'Error: the submission exited before finishing'}
+
+    def text(value):
+        return value if isinstance(value, str) else None
+
+    return {
+        'output': text(report.get('output')),
+        'stdout': (text(report.get('stdout')) or '')[:max_output],
+        'error': text(report.get('error')),
+    }
+
+
+def run_isolated(config, test_case):
+    source = test_case.get('input')
+    source = source.strip() if isinstance(source, str) else ''
+    started_at = time.monotonic()
+
+    reader, writer = os.pipe()
+    pid = os.fork()
+    if pid == 0:
+        os.close(reader)
+        run_in_child(config, source, writer)
+    os.close(writer)
+
+    data, timed_out = collect(reader, pid, config['timeLimit'])
+    result = (
+        {'output': None, 'stdout': '', 'error': 'Time limit exceeded'}
+        if timed_out else read_report(data, config['maxOutput'])
+    )
+    result['timedOut'] = timed_out
+    result['durationMs'] = int((time.monotonic() - started_at) * 1000)
+    return result
+
+
+def main():
+    config = json.loads(sys.stdin.read())
+
+    # Forked test processes share this user, so stop them from attaching to
+    # this process with ptrace and writing to fd 3 on its behalf
+    if ctypes.CDLL(None, use_errno=True).prctl(PR_SET_DUMPABLE, 0, 0, 0, 0) != 0:
+        raise OSError(ctypes.get_errno(), 'Could not protect the harness process')
+
+    results = [run_isolated(config, test_case) for test_case in config['testCases']]
+    write_all(RESULTS_FD, json.dumps({'results': results}).encode('utf-8'))
+
+
+if __name__ == '__main__':
+    main()
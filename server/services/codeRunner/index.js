@@ -0,0 +1,319 @@
+// Local execution service for code questions.
+//
+// Student submissions run in a separate child process per submission with a
+// stripped environment, a memory cap and a hard wall-clock deadline. The process
+// is started through unshare in its own user, mount, pid, network, ipc and uts
+// namespaces: it sees an empty read-only filesystem holding only the
+// interpreter, its libraries and the harness (see sandbox.sh), has no network,
+// cannot see or signal processes outside the run and keeps no capabilities.
+// Runs fail instead of falling back to an unsandboxed process when unshare or
+// setpriv is missing. Harnesses report over fd 3, which submitted code cannot
+// reach; their stdout is discarded.
+//
+// Each test case in codeTemplate.testCases is evaluated in a fresh scope: the
+// submission is executed, then testCase.input (an expression such as
+// "add(2, 3)") is evaluated and its value compared to testCase.expectedOutput.
+// Test cases without an input compare whatever the program printed instead.
+
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_LIMITS = {
+  timeLimit: Number(process.env.CODE_RUNNER_TIME_LIMIT_MS) || 2000,
+  memoryLimit: Number(process.env.CODE_RUNNER_MEMORY_LIMIT_MB) || 128,
+  maxOutput: 10000
+};
+const MAX_CONCURRENT_RUNS = Number(process.env.CODE_RUNNER_CONCURRENCY) || 2;
+const MAX_RESULT_BYTES = 1024 * 1024;
+const STARTUP_GRACE_MS = 3000;
+const SANDBOX_SCRIPT = path.join(__dirname, 'sandbox.sh');
+const LIBRARY_DIRS = ['/lib', '/lib32', '/lib64', '/usr/lib', '/usr/lib32', '/usr/lib64'];
+
+const nodePermissionFlag = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+let pythonPath = null;
+
+// command() resolves to the interpreter's real path, which is bound into the sandbox
+const LANGUAGES = {
+  javascript: {
+    harness: path.join(__dirname, 'harness.js'),
+    command: async () => fs.promises.realpath(process.execPath),
+    args: (harness, limits) => [
+      `--max-old-space-size=${limits.memoryLimit}`,
+      '--no-warnings',
+      ...(nodePermissionFlag ? [nodePermissionFlag, `--allow-fs-read=${harness}`] : []),
+      harness
+    ]
+  },
+  python: {
+    harness: path.join(__dirname, 'harness.py'),
+    command: () => {
+      // Ask the interpreter itself, since python3 on the PATH may be a shim script
+      pythonPath = pythonPath || new Promise((resolve, reject) => {
+        execFile(process.env.CODE_RUNNER_PYTHON || 'python3', ['-I', '-c', 'import sys; print(sys.executable)'],
+          { timeout: 5000 }, (error, stdout) => (error ? reject(error) : resolve(stdout.trim())));
+      }).then(executable => fs.promises.realpath(executable)).catch(error => {
+        pythonPath = null;
+        throw error;
+      });
+      return pythonPath;
+    },
+    args: harness => ['-I', harness]
+  }
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  node: 'javascript',
+  py: 'python',
+  python3: 'python'
+};
+
+function resolveLanguage(language) {
+  const key = String(language || '').toLowerCase();
+  return LANGUAGE_ALIASES[key] || key;
+}
+
+function isLanguageSupported(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGES, resolveLanguage(language));
+}
+
+// Simple FIFO limiter so a burst of submissions cannot fork unbounded processes
+let activeRuns = 0;
+const waiting = [];
+
+function acquireSlot() {
+  if (activeRuns < MAX_CONCURRENT_RUNS) {
+    activeRuns++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waiting.push(resolve));
+}
+
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    next();
+  } else {
+    activeRuns--;
+  }
+}
+
+function findExecutable(name) {
+  return (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+    .map(dir => path.join(dir, name))
+    .find(candidate => {
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    });
+}
+
+// Paths bound into the sandbox, skipping any already covered by a bound directory
+function sandboxMounts(command, harness, setpriv) {
+  const paths = [
+    ...LIBRARY_DIRS,
+    path.join(path.dirname(path.dirname(command)), 'lib'),
+    command,
+    setpriv,
+    harness
+  ].filter((candidate, index, all) => all.indexOf(candidate) === index && fs.existsSync(candidate));
+
+  return paths.filter(candidate => !paths.some(other => candidate.startsWith(`${other}/`)));
+}
+
+// unshare, then sandbox.sh to build the root, then setpriv to drop every capability
+async function sandboxCommand(runtime, limits, workDir) {
+  const command = await runtime.command();
+  const setpriv = findExecutable('setpriv');
+  if (!setpriv) throw Object.assign(new Error('setpriv is not installed'), { code: 'NO_SANDBOX' });
+
+  return [
+    '--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child', '--net', '--ipc', '--uts',
+    '/bin/sh', SANDBOX_SCRIPT, workDir, ...sandboxMounts(command, runtime.harness, setpriv), '--',
+    setpriv, '--no-new-privs', '--bounding-set=-all', '--inh-caps=-all', '--',
+    command, ...runtime.args(runtime.harness, limits)
+  ];
+}
+
+function runHarness(language, payload, limits) {
+  const runtime = LANGUAGES[language];
+
+  return new Promise(resolve => {
+    fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'), async (mkdirError, workDir) => {
+      if (mkdirError) {
+        resolve({ error: 'Could not prepare sandbox' });
+        return;
+      }
+
+      const cleanup = () => fs.rm(workDir, { recursive: true, force: true }, () => {});
+      let args;
+      try {
+        args = await sandboxCommand(runtime, limits, workDir);
+      } catch (error) {
+        cleanup();
+        resolve({
+          error: error.code === 'NO_SANDBOX'
+            ? 'The code sandbox is not available on the server'
+            : `No ${language} runtime is installed on the server`
+        });
+        return;
+      }
+
+      const child = spawn('unshare', args, {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, LANG: 'C.UTF-8' },
+        stdio: ['pipe', 'ignore', 'pipe', 'pipe']
+      });
+
+      let report = '';
+      let stderr = '';
+      let killedReason = null;
+      const deadline = setTimeout(() => {
+        killedReason = 'Time limit exceeded';
+        child.kill('SIGKILL');
+      }, limits.timeLimit * Math.max(1, payload.testCases.length) + STARTUP_GRACE_MS);
+
+      child.stdio[3].on('data', chunk => {
+        report += chunk;
+        if (report.length > MAX_RESULT_BYTES) {
+          killedReason = 'Output limit exceeded';
+          child.kill('SIGKILL');
+        }
+      });
+      child.stderr.on('data', chunk => {
+        if (stderr.length < limits.maxOutput) stderr += chunk;
+      });
+
+      child.on('error', error => {
+        clearTimeout(deadline);
+        cleanup();
+        resolve({ error: error.code === 'ENOENT' ? 'The code sandbox is not available on the server' : error.message });
+      });
+
+      child.on('close', (code, signal) => {
+        clearTimeout(deadline);
+        cleanup();
+
+        if (killedReason) {
+          resolve({ error: killedReason, timedOut: killedReason === 'Time limit exceeded' });
+          return;
+        }
+
+        try {
+          resolve({ results: JSON.parse(report).results });
+        } catch (error) {
+          const crashed = signal || code !== 0;
+          resolve({
+            error: crashed && /heap|memory/i.test(stderr)
+              ? 'Memory limit exceeded'
+              : (stderr.trim().split('\n').pop() || `Runner exited with ${signal || code}`)
+          });
+        }
+      });
+
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+    });
+  });
+}
+
+function normalizeOutput(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\r\n/g, '\n').split('\n').map(line => line.trimEnd()).join('\n').trim();
+}
+
+// Exact match after whitespace normalization, then structural JSON and numeric comparisons
+function outputsMatch(actual, expected) {
+  const actualText = normalizeOutput(actual);
+  const expectedText = normalizeOutput(expected);
+  if (actualText === expectedText) return true;
+
+  try {
+    if (JSON.stringify(JSON.parse(actualText)) === JSON.stringify(JSON.parse(expectedText))) return true;
+  } catch (error) {
+    // Not JSON on one side; try the numeric comparison
+  }
+
+  const actualNumber = Number(actualText);
+  const expectedNumber = Number(expectedText);
+  return actualText !== '' && expectedText !== '' &&
+    Number.isFinite(actualNumber) && Number.isFinite(expectedNumber) &&
+    Math.abs(actualNumber - expectedNumber) <= 1e-9 * Math.max(1, Math.abs(expectedNumber));
+}
+
+// Run a submission against the question's test cases
+async function runTestCases({ language, code, testCases = [], limits = {} }) {
+  const resolvedLanguage = resolveLanguage(language);
+  const runLimits = { ...DEFAULT_LIMITS, ...limits };
+  const summary = {
+    language: resolvedLanguage,
+    supported: isLanguageSupported(resolvedLanguage),
+    passed: 0,
+    total: testCases.length,
+    results: [],
+    error: null
+  };
+
+  if (!summary.supported) {
+    summary.error = `Automatic execution is not available for ${language || 'this language'}`;
+    return summary;
+  }
+  if (testCases.length === 0) return summary;
+
+  await acquireSlot();
+  let run;
+  try {
+    run = await runHarness(resolvedLanguage, {
+      code: String(code || ''),
+      testCases: testCases.map(testCase => ({ input: testCase.input })),
+      timeLimit: runLimits.timeLimit,
+      memoryLimit: runLimits.memoryLimit,
+      maxOutput: runLimits.maxOutput
+    }, runLimits);
+  } finally {
+    releaseSlot();
+  }
+
+  summary.error = run.error || null;
+  summary.results = testCases.map((testCase, index) => {
+    const outcome = run.results ? run.results[index] : null;
+    const passed = !!outcome && !outcome.error && outputsMatch(outcome.output, testCase.expectedOutput);
+
+    return {
+      index,
+      isHidden: !!testCase.isHidden,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+      actualOutput: outcome ? outcome.output : null,
+      stdout: outcome ? outcome.stdout : '',
+      error: outcome ? outcome.error : run.error,
+      timedOut: outcome ? outcome.timedOut : !!run.timedOut,
+      durationMs: outcome ? outcome.durationMs : null,
+      passed
+    };
+  });
+  summary.passed = summary.results.filter(result => result.passed).length;
+
+  return summary;
+}
+
+// Strip hidden test details before results are shown to the student
+function toPublicResults(results = []) {
+  return results.map(result => (result.isHidden
+    ? { index: result.index, isHidden: true, passed: result.passed, timedOut: result.timedOut }
+    : result));
+}
+
+module.exports = {
+  runTestCases,
+  toPublicResults,
+  isLanguageSupported,
+  outputsMatch
+};
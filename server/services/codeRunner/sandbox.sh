@@ -0,0 +1,36 @@
+#!/bin/sh
+# Builds the filesystem for one code run. index.js starts this script through
+# unshare in new user, mount, pid, network, ipc and uts namespaces, so the
+# mounts below are private to the run and the run cannot reach the network or
+# see any process outside it.
+#
+# The root is an empty tmpfs mounted over <root>. Each <path> given before "--"
+# (the interpreter, its libraries and the harness) is bound into it read-only at
+# the same location, then the root itself is made read-only and the command
+# after "--" is started inside it.
+#
+# Usage: sandbox.sh <root> <path>... -- <command> [args...]
+
+set -eu
+
+root=$1
+shift
+
+mount -t tmpfs -o size=64k,mode=755 sandbox "$root"
+
+while [ "$1" != "--" ]; do
+  target="$root$1"
+  if [ -d "$1" ]; then
+    mkdir -p "$target"
+  else
+    mkdir -p "$(dirname "$target")"
+    : > "$target"
+  fi
+  mount --bind "$1" "$target"
+  mount -o remount,bind,ro,nosuid,nodev "$target"
+  shift
+done
+shift
+
+mount -o remount,ro,nosuid,nodev "$root"
+exec chroot "$root" "$@"
@@ -0,0 +1,116 @@
+// Courses, groups and who may take an exam.
+//
+// An instructor owns their courses (course.instructor). Each course has groups
+// (lecture sections, lab groups) holding the enrolled students' IDs, and students are
+// enrolled by their instructor, by email or from a CSV file, or join a group with its
+// join code. Exams are assigned to groups by ID in exam.groups:
+//
+//   no groups      the exam is open to every student, as exams were before courses
+//   some groups    only students enrolled in one of them may see and start it
+//
+// The exam's author and admins may always start it. A deleted group stays in the
+// exams it was assigned to, so removing a group never opens a restricted exam up to
+// everyone; it just no longer admits anyone.
+
+const crypto = require('crypto');
+const { userRepository, groupRepository } = require('../repositories');
+const { readRows } = require('./quizFormats/csv');
+
+// Join codes leave out characters that are easy to misread (0/O, 1/I/L)
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 8;
+
+const EMAIL = /^[^\s@,;]+@[^\s@,;]+\.[^\s@,;]+$/;
+
+const normalizeCode = code => String(code || '').trim().toUpperCase().replace(/[\s-]/g, '');
+
+// A join code no other group uses
+async function createJoinCode() {
+  for (;;) {
+    const code = Array.from({ length: JOIN_CODE_LENGTH }, () =>
+      JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)]).join('');
+    if (!(await groupRepository.exists({ joinCode: code }))) return code;
+  }
+}
+
+function findGroupByCode(code) {
+  const joinCode = normalizeCode(code);
+  return joinCode ? groupRepository.findOne({ joinCode }) : null;
+}
+
+// Look up students by email. Returns their IDs and any emails that don't belong to a
+// student.
+async function findStudentsByEmail(emails) {
+  const normalized = [...new Set(emails.map(email => String(email).trim().toLowerCase()))];
+  const students = await userRepository.find({ email: { $in: normalized }, role: 'student' });
+  const found = new Set(students.map(student => student.email.toLowerCase()));
+  return {
+    studentIds: students.map(student => student.id),
+    unknown: normalized.filter(email => !found.has(email))
+  };
+}
+
+// Student emails from a roster CSV: the "email" column when the first row has one,
+// otherwise the first column of every row. Rows without a valid email are reported
+// with their line number.
+function readRosterCSV(text) {
+  const { rows, unterminated } = readRows(text);
+  if (unterminated) return { emails: [], errors: [{ line: 1, message: 'File ends inside a quoted cell' }] };
+  if (rows.length === 0) return { emails: [], errors: [] };
+
+  const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.includes('email') || !EMAIL.test(header[0]);
+  const column = Math.max(header.indexOf('email'), 0);
+
+  const emails = [];
+  const errors = [];
+  rows.slice(hasHeader ? 1 : 0).forEach(({ line, cells }) => {
+    const email = (cells[column] || '').trim();
+    if (EMAIL.test(email)) {
+      emails.push(email);
+    } else {
+      errors.push({ line, message: email ? `"${email}" is not an email address` : 'Missing email' });
+    }
+  });
+  return { emails, errors };
+}
+
+// IDs of the groups a student is enrolled in
+async function groupIdsOfStudent(studentId) {
+  if (!studentId) return [];
+  const groups = await groupRepository.find({ students: studentId });
+  return groups.map(group => group.id);
+}
+
+const isAssigned = exam => Array.isArray(exam.groups) && exam.groups.length > 0;
+
+// Exam list filter for the exams a student may see: unassigned ones and those
+// assigned to one of their groups
+const examAccessFilter = groupIds => ({
+  $or: [
+    { groups: { $exists: false } },
+    { groups: { $size: 0 } },
+    ...(groupIds.length > 0 ? [{ groups: { $in: groupIds } }] : [])
+  ]
+});
+
+// Whether the requesting user may take an exam
+async function canTakeExam(exam, userId, userRole) {
+  if (!isAssigned(exam) || userRole === 'admin') return true;
+  const author = exam.author && exam.author.id ? exam.author.id : String(exam.author);
+  if (author === userId) return true;
+
+  const groupIds = await groupIdsOfStudent(userId);
+  return exam.groups.some(group => groupIds.includes(group && group.id ? group.id : group));
+}
+
+module.exports = {
+  normalizeCode,
+  createJoinCode,
+  findGroupByCode,
+  findStudentsByEmail,
+  readRosterCSV,
+  groupIdsOfStudent,
+  examAccessFilter,
+  canTakeExam
+};
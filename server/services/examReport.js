@@ -0,0 +1,227 @@
+// Exam report: how reliable an exam's scores are and how they are spread. Builds on
+// the results summary (attemptPolicy.summarizeResults) with
+//
+//   reliability    Cronbach's alpha over the questions every graded attempt was
+//                  presented, scored in points, and KR-20 when those questions were
+//                  all marked right or wrong; the standard error of measurement,
+//                  SD * sqrt(1 - alpha), is in percentage points
+//   distribution   a histogram and percentiles of the students' official percentages
+//                  (one result per student, by the exam's attempt policy)
+//   sections       each section's mean percentage, its correlation with the rest of
+//                  the exam and the correlations between sections, from the section
+//                  breakdown stored on graded attempts
+//   timeVsScore    minutes taken and percentage for each graded attempt
+//
+// Reliability, sections and timing use every completed attempt, like the item
+// analysis; attempts awaiting manual grading are left out until they are graded.
+// Statistics that need more data than there is are null.
+
+const { attemptRepository } = require('../repositories');
+const { sectionKey } = require('./attemptTimer');
+const { getAttemptPolicy, officialResults, summarizeResults } = require('./attemptPolicy');
+const { presentedQuestions } = require('./itemAnalysis');
+const { REVIEW_STATUS } = require('./manualGrading');
+const { round, sum, mean, variance, standardDeviation, correlation, percentile } = require('./statistics');
+
+const BIN_WIDTH = 10;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+const roundOrNull = value => (value === null || value === undefined ? null : round(value));
+
+// Points earned on each question, 0 when unanswered; negative marking counts as 0
+function itemPoints(attempt, questionId) {
+  const answer = attempt.answers.find(entry => entry.questionId === questionId);
+  if (!answer) return 0;
+  const points = Math.max(0, answer.points || 0);
+  return answer.maxPoints > 0 ? Math.min(points, answer.maxPoints) : points;
+}
+
+function itemMaxPoints(attempts, questionId) {
+  return Math.max(0, ...attempts.map(attempt => {
+    const answer = attempt.answers.find(entry => entry.questionId === questionId);
+    return (answer && answer.maxPoints) || 0;
+  }));
+}
+
+// Questions presented in every attempt, in the first attempt's order
+function commonQuestions(attempts) {
+  if (attempts.length === 0) return [];
+  const presented = attempts.map(attempt => new Set(presentedQuestions(attempt)));
+  return [...presented[0]].filter(id => presented.every(ids => ids.has(id)));
+}
+
+// alpha = k / (k - 1) * (1 - sum of item variances / total variance)
+function internalConsistency(itemScores) {
+  const k = itemScores.length;
+  if (k < 2) return null;
+  const totals = itemScores[0].map((_, index) => sum(itemScores.map(scores => scores[index])));
+  const totalVariance = variance(totals);
+  if (totalVariance === 0) return null;
+  return (k / (k - 1)) * (1 - sum(itemScores.map(variance)) / totalVariance);
+}
+
+function reliability(attempts) {
+  const questionIds = commonQuestions(attempts);
+  const items = questionIds.map(id => ({
+    maxPoints: itemMaxPoints(attempts, id),
+    points: attempts.map(attempt => itemPoints(attempt, id))
+  }));
+  const percentages = attempts.map(attempt => attempt.percentage || 0);
+
+  const alpha = attempts.length >= 2 ? internalConsistency(items.map(item => item.points)) : null;
+  // KR-20 is alpha for items scored 0 or 1
+  const dichotomous = items.length > 0 && items.every(item =>
+    item.maxPoints > 0 && item.points.every(points => points === 0 || points === item.maxPoints));
+  const kr20 = dichotomous && attempts.length >= 2
+    ? internalConsistency(items.map(item => item.points.map(points => points / item.maxPoints)))
+    : null;
+  const standardError = alpha !== null
+    ? standardDeviation(percentages) * Math.sqrt(Math.max(0, 1 - alpha))
+    : null;
+
+  return {
+    attempts: attempts.length,
+    items: items.length,
+    alpha: roundOrNull(alpha),
+    kr20: roundOrNull(kr20),
+    standardError: roundOrNull(standardError)
+  };
+}
+
+function distribution(results) {
+  const percentages = results.map(result => result.percentage || 0).sort((a, b) => a - b);
+  const bins = [];
+  for (let from = 0; from < 100; from += BIN_WIDTH) {
+    const to = Math.min(100, from + BIN_WIDTH);
+    // The last bin includes 100%
+    const count = percentages.filter(value => value >= from && (value < to || (to === 100 && value <= to))).length;
+    bins.push({ from, to, count });
+  }
+
+  return {
+    students: percentages.length,
+    mean: percentages.length > 0 ? round(mean(percentages)) : null,
+    standardDeviation: percentages.length > 0 ? round(standardDeviation(percentages)) : null,
+    histogram: bins,
+    percentiles: PERCENTILES.map(p => ({ percentile: p, percentage: roundOrNull(percentile(percentages, p)) }))
+  };
+}
+
+function sectionCorrelations(exam, attempts) {
+  const sections = exam.sections.map((section, index) => ({
+    key: sectionKey(exam, section),
+    name: section.name || `Section ${index + 1}`
+  }));
+  // Each attempt's percentage per section, when its breakdown has the section
+  const percentagesOf = attempt => {
+    const breakdown = (attempt.scoreBreakdown && attempt.scoreBreakdown.sections) || [];
+    return sections.map(section => {
+      const entry = breakdown.find(item => String(item.sectionId) === String(section.key));
+      return entry && entry.maxScore > 0 ? entry.percentage : null;
+    });
+  };
+  const rows = attempts.map(percentagesOf);
+
+  const pairs = (a, b) => rows.filter(row => row[a] !== null && row[b] !== null);
+  const matrix = sections.map((_, a) => sections.map((__, b) => {
+    if (a === b) return 1;
+    const both = pairs(a, b);
+    return roundOrNull(correlation(both.map(row => row[a]), both.map(row => row[b])));
+  }));
+
+  return {
+    sections: sections.map((section, index) => {
+      const scored = rows.filter(row => row[index] !== null);
+      const rest = scored.map(row => {
+        const others = row.filter((value, other) => other !== index && value !== null);
+        return others.length > 0 ? mean(others) : null;
+      });
+      const withRest = scored.filter((_, position) => rest[position] !== null);
+      return {
+        sectionId: section.key,
+        name: section.name,
+        attempts: scored.length,
+        averagePercentage: scored.length > 0 ? round(mean(scored.map(row => row[index]))) : null,
+        restCorrelation: roundOrNull(correlation(
+          withRest.map(row => row[index]),
+          rest.filter(value => value !== null)
+        ))
+      };
+    }),
+    matrix
+  };
+}
+
+function timeVsScore(attempts) {
+  const points = attempts
+    .filter(attempt => attempt.duration > 0)
+    .map(attempt => ({
+      attemptId: attempt.id,
+      minutes: round(attempt.duration / 60000, 1),
+      percentage: round(attempt.percentage || 0)
+    }));
+
+  return {
+    points,
+    correlation: roundOrNull(correlation(points.map(point => point.minutes), points.map(point => point.percentage)))
+  };
+}
+
+async function generateExamReport(exam) {
+  const attempts = await attemptRepository.find({ exam: exam.id, status: { $in: ['completed', REVIEW_STATUS] } });
+  const graded = attempts.filter(attempt => attempt.status === 'completed');
+  const results = officialResults(exam, attempts);
+
+  return {
+    exam: { id: exam.id, title: exam.title },
+    policy: getAttemptPolicy(exam),
+    summary: summarizeResults(results),
+    reliability: reliability(graded),
+    distribution: distribution(results),
+    sections: sectionCorrelations(exam, graded),
+    timeVsScore: timeVsScore(graded)
+  };
+}
+
+const csvRow = fields => fields.map(field => `"${field === null || field === undefined ? '' : String(field).replace(/"/g, '""')}"`).join(',');
+
+// The report as CSV, one block per part separated by blank lines
+function reportToCSV(report) {
+  const { summary, reliability: scores, distribution: spread, sections, timeVsScore: timing } = report;
+  const blocks = [
+    [
+      ['Measure', 'Value'],
+      ['Exam', report.exam.title],
+      ['Attempt Policy', report.policy],
+      ['Students', summary.totalStudents],
+      ['Graded Attempts', scores.attempts],
+      ['Mean Percentage', spread.mean],
+      ['Standard Deviation', spread.standardDeviation],
+      ["Cronbach's Alpha", scores.alpha],
+      ['KR-20', scores.kr20],
+      ['Standard Error of Measurement', scores.standardError],
+      ['Questions in Reliability', scores.items],
+      ['Time-Score Correlation', timing.correlation]
+    ],
+    [['Percentile', 'Percentage'], ...spread.percentiles.map(entry => [entry.percentile, entry.percentage])],
+    [['From %', 'To %', 'Students'], ...spread.histogram.map(bin => [bin.from, bin.to, bin.count])],
+    [
+      ['Section', 'Attempts', 'Average %', 'Rest Correlation', ...sections.sections.map(section => section.name)],
+      ...sections.sections.map((section, index) => [
+        section.name,
+        section.attempts,
+        section.averagePercentage,
+        section.restCorrelation,
+        ...sections.matrix[index]
+      ])
+    ],
+    [['Attempt', 'Minutes', 'Percentage'], ...timing.points.map(point => [point.attemptId, point.minutes, point.percentage])]
+  ];
+
+  return blocks.map(rows => rows.map(csvRow).join('\n')).join('\n\n');
+}
+
+module.exports = {
+  generateExamReport,
+  reportToCSV
+};
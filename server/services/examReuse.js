@@ -0,0 +1,127 @@
+// Reusing exams from one term to the next, by cloning an exam or by saving it as a
+// template (models/ExamTemplate.js) to create new exams from.
+//
+// A blueprint is the reusable part of an exam: its sections, grading rules,
+// anti-cheating settings and other settings. Publishing, accommodations, group
+// assignments and attempts belong to one run of the exam and are never carried
+// over; templates also leave out the dates and the access password.
+//
+// Listed questions are reused in one of two ways:
+//
+//   reference   the new exam lists the same bank questions, pinned to the same
+//               revisions, so it asks exactly what the original asked
+//   copy        every listed question is copied into a new bank question owned by
+//               whoever reuses the exam, from the revision the section pinned, so
+//               the copies can be edited without touching the original
+//
+// Pool sections draw from the bank by criteria and are reused as they are.
+
+const { questionRepository } = require('../repositories');
+const { isPoolSection } = require('./questionPools');
+const { snapshotOf, recordCreated, questionAtRevision } = require('./questionRevisions');
+
+const QUESTION_MODES = ['reference', 'copy'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const copyOf = value => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// The reusable part of an exam. Section IDs are kept so grading.sectionWeights still
+// names the right sections.
+function blueprintOf(exam, { includeSections = true, forTemplate = false } = {}) {
+  const settings = copyOf(exam.settings || {});
+  const grading = copyOf(exam.grading || {});
+  if (forTemplate) delete settings.password;
+  if (!includeSections) grading.sectionWeights = {};
+
+  return {
+    description: exam.description || '',
+    sections: includeSections ? copyOf(exam.sections || []) : [],
+    settings,
+    grading,
+    antiCheating: copyOf(exam.antiCheating || {}),
+    duration: exam.duration,
+    maxAttempts: exam.maxAttempts,
+    totalPoints: includeSections ? exam.totalPoints || 0 : 0
+  };
+}
+
+// IDs of the bank questions a blueprint's sections list
+const listedQuestionIds = sections => [...new Set(sections
+  .filter(section => !isPoolSection(section))
+  .flatMap(section => (section.questions || []).map(ref => String(ref.question))))];
+
+// Copy every listed question into the bank at the revision its section pins and point
+// the sections at the copies. Resolves to the new sections, or to null when a listed
+// question no longer exists.
+async function copySectionQuestions(sections, author) {
+  const ids = listedQuestionIds(sections);
+  const originals = await questionRepository.findByIds(ids);
+  const byId = new Map(originals.map(question => [question.id, question]));
+  if (ids.some(id => !byId.has(id))) return null;
+
+  // The same question at the same revision is copied once, however often it's listed
+  const copies = new Map();
+  const copyQuestion = async ref => {
+    const key = `${ref.question}@${ref.revision || ''}`;
+    if (!copies.has(key)) {
+      const original = await questionAtRevision(byId.get(String(ref.question)), ref.revision);
+      const question = await questionRepository.create({
+        ...snapshotOf(original),
+        author,
+        revision: 1,
+        isPublished: original.isPublished
+      });
+      await recordCreated(question, author);
+      copies.set(key, question);
+    }
+    return copies.get(key);
+  };
+
+  const copied = [];
+  for (const section of sections) {
+    if (isPoolSection(section)) {
+      copied.push(section);
+      continue;
+    }
+    const questions = [];
+    for (const ref of section.questions || []) {
+      const question = await copyQuestion(ref);
+      questions.push({ ...ref, question: question.id, revision: 1 });
+    }
+    copied.push({ ...section, questions });
+  }
+  return copied;
+}
+
+// New dates for a cloned exam: either a new opening date, with the closing date
+// keeping its distance, or both moved by a number of days. Without either the clone
+// is left unscheduled.
+function shiftedDates(exam, { startDate, shiftDays } = {}) {
+  const start = exam.startDate ? new Date(exam.startDate) : null;
+  const end = exam.endDate ? new Date(exam.endDate) : null;
+
+  let offset = null;
+  if (startDate) {
+    if (!start) {
+      return { startDate: new Date(startDate), endDate: null };
+    }
+    offset = new Date(startDate).getTime() - start.getTime();
+  } else if (shiftDays !== undefined && shiftDays !== null) {
+    offset = Number(shiftDays) * DAY;
+  }
+  if (offset === null) return { startDate: null, endDate: null };
+
+  return {
+    startDate: start ? new Date(start.getTime() + offset) : null,
+    endDate: end ? new Date(end.getTime() + offset) : null
+  };
+}
+
+module.exports = {
+  QUESTION_MODES,
+  blueprintOf,
+  listedQuestionIds,
+  copySectionQuestions,
+  shiftedDates
+};
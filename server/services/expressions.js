@@ -0,0 +1,232 @@
+// Arithmetic expressions for templated questions, e.g. "round(a * b / 3, 2)". Source
+// is parsed into a small syntax tree and evaluated against a scope of numbers; nothing
+// is ever handed to eval or Function, so an expression can only do arithmetic.
+//
+//   numbers      2, 0.5, 1.5e3
+//   variables    names from the scope; pi and e are constants
+//   operators    + - * / % and ^ (power, right-associative), unary minus, parentheses
+//   functions    those in FUNCTIONS; trigonometry is in radians
+//
+// parse and evaluate throw an Error with a message fit to show the question author.
+
+const MAX_LENGTH = 500;
+const MAX_DEPTH = 50;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+// name: [minimum arguments, maximum arguments, implementation]
+const FUNCTIONS = {
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  cbrt: [1, 1, Math.cbrt],
+  exp: [1, 1, Math.exp],
+  ln: [1, 1, Math.log],
+  log: [1, 2, (x, base = 10) => Math.log(x) / Math.log(base)],
+  sin: [1, 1, Math.sin],
+  cos: [1, 1, Math.cos],
+  tan: [1, 1, Math.tan],
+  asin: [1, 1, Math.asin],
+  acos: [1, 1, Math.acos],
+  atan: [1, 1, Math.atan],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  trunc: [1, 1, Math.trunc],
+  round: [1, 2, (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits],
+  pow: [2, 2, Math.pow],
+  hypot: [1, Infinity, Math.hypot],
+  min: [1, Infinity, Math.min],
+  max: [1, Infinity, Math.max]
+};
+
+const RESERVED = [...Object.keys(CONSTANTS), ...Object.keys(FUNCTIONS)];
+
+// Only the tables' own entries: "constructor" isn't a function
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+const TOKEN = /\s*(?:(\d+\.?\d*(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|([A-Za-z_]\w*)|(\S))/gy;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  let match;
+  while (TOKEN.lastIndex < source.length && (match = TOKEN.exec(source)) !== null) {
+    const position = TOKEN.lastIndex - match[0].trimStart().length + 1;
+    if (match[1] !== undefined) tokens.push({ kind: 'number', value: Number(match[1]), position });
+    else if (match[2] !== undefined) tokens.push({ kind: 'name', value: match[2], position });
+    else if (match[3] !== undefined) {
+      if (!'+-*/%^(),'.includes(match[3])) {
+        throw new Error(`Unexpected "${match[3]}" at position ${position}`);
+      }
+      tokens.push({ kind: 'symbol', value: match[3], position });
+    }
+  }
+  return tokens;
+}
+
+// Recursive descent over the grammar
+//   expression := term (("+" | "-") term)*
+//   term       := unary (("*" | "/" | "%") unary)*
+//   unary      := ("-" | "+") unary | power
+//   power      := primary ("^" unary)?
+//   primary    := number | name | name "(" arguments ")" | "(" expression ")"
+function parse(source) {
+  const text = String(source === null || source === undefined ? '' : source);
+  if (text.trim() === '') throw new Error('Expression is empty');
+  if (text.length > MAX_LENGTH) throw new Error(`Expression is longer than ${MAX_LENGTH} characters`);
+
+  const tokens = tokenize(text);
+  let index = 0;
+  let depth = 0;
+
+  const peek = () => tokens[index];
+  const isSymbol = (value) => peek() && peek().kind === 'symbol' && peek().value === value;
+  const expect = (value) => {
+    if (!isSymbol(value)) {
+      const token = peek();
+      throw new Error(token ? `Expected "${value}" at position ${token.position}` : `Expected "${value}" at the end`);
+    }
+    index++;
+  };
+  const nested = (parser) => {
+    if (++depth > MAX_DEPTH) throw new Error('Expression is nested too deeply');
+    const node = parser();
+    depth--;
+    return node;
+  };
+
+  function expression() {
+    let node = term();
+    while (isSymbol('+') || isSymbol('-')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: term() };
+    }
+    return node;
+  }
+
+  function term() {
+    let node = unary();
+    while (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+      const operator = tokens[index++].value;
+      node = { type: 'binary', operator, left: node, right: unary() };
+    }
+    return node;
+  }
+
+  function unary() {
+    if (isSymbol('-') || isSymbol('+')) {
+      const operator = tokens[index++].value;
+      return nested(() => ({ type: 'unary', operator, argument: unary() }));
+    }
+    return power();
+  }
+
+  function power() {
+    const base = primary();
+    if (!isSymbol('^')) return base;
+    index++;
+    return nested(() => ({ type: 'binary', operator: '^', left: base, right: unary() }));
+  }
+
+  function primary() {
+    const token = peek();
+    if (!token) throw new Error('Expression ends unexpectedly');
+    index++;
+
+    if (token.kind === 'number') return { type: 'number', value: token.value };
+
+    if (token.kind === 'name') {
+      if (!isSymbol('(')) return { type: 'variable', name: token.value };
+      const definition = has(FUNCTIONS, token.value) && FUNCTIONS[token.value];
+      if (!definition) throw new Error(`Unknown function "${token.value}"`);
+      index++;
+      const args = [];
+      if (!isSymbol(')')) {
+        args.push(nested(expression));
+        while (isSymbol(',')) {
+          index++;
+          args.push(nested(expression));
+        }
+      }
+      expect(')');
+      const [min, max] = definition;
+      if (args.length < min || args.length > max) {
+        throw new Error(`Wrong number of arguments to ${token.value}()`);
+      }
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (token.value === '(') {
+      const node = nested(expression);
+      expect(')');
+      return node;
+    }
+    throw new Error(`Unexpected "${token.value}" at position ${token.position}`);
+  }
+
+  const tree = expression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" at position ${tokens[index].position}`);
+  }
+  return tree;
+}
+
+// Names of the variables an expression uses, constants excluded
+function variablesOf(node, names = new Set()) {
+  if (node.type === 'variable' && !has(CONSTANTS, node.name)) names.add(node.name);
+  if (node.type === 'unary') variablesOf(node.argument, names);
+  if (node.type === 'binary') {
+    variablesOf(node.left, names);
+    variablesOf(node.right, names);
+  }
+  if (node.type === 'call') node.args.forEach(arg => variablesOf(arg, names));
+  return names;
+}
+
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'variable': {
+      if (has(scope, node.name)) {
+        const value = scope[node.name];
+        if (typeof value !== 'number') throw new Error(`Variable "${node.name}" is not a number`);
+        return value;
+      }
+      if (has(CONSTANTS, node.name)) return CONSTANTS[node.name];
+      throw new Error(`Unknown variable "${node.name}"`);
+    }
+    case 'unary': {
+      const value = evaluateNode(node.argument, scope);
+      return node.operator === '-' ? -value : value;
+    }
+    case 'binary': {
+      const left = evaluateNode(node.left, scope);
+      const right = evaluateNode(node.right, scope);
+      switch (node.operator) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        default: return left ** right;
+      }
+    }
+    default:
+      return FUNCTIONS[node.name][2](...node.args.map(arg => evaluateNode(arg, scope)));
+  }
+}
+
+// Value of an expression (source text or a parsed tree) for the scope's variables
+function evaluate(expression, scope = {}) {
+  const tree = typeof expression === 'string' ? parse(expression) : expression;
+  const value = evaluateNode(tree, scope);
+  if (!Number.isFinite(value)) throw new Error('Expression does not give a finite number');
+  return value;
+}
+
+module.exports = {
+  RESERVED,
+  parse,
+  evaluate,
+  variablesOf
+};
@@ -0,0 +1,13 @@
+// Letter grade for a percentage from the exam's grade scale ({ grade, minScore,
+// maxScore } rows); percentages outside every row get an F. Kept free of other
+// dependencies so models can use it too.
+
+function determineGrade(exam, percentage) {
+  const gradeScale = (exam && exam.grading && exam.grading.gradeScale) || [];
+  const scale = gradeScale.find(entry => percentage >= entry.minScore && percentage <= entry.maxScore);
+  return scale ? scale.grade : 'F';
+}
+
+module.exports = {
+  determineGrade
+};
@@ -0,0 +1,387 @@
+// Auto-grading engine shared by the attempt answer route and exam score calculation.
+//
+// Every grader receives the stored question and the raw answer value submitted by
+// the student and returns a fraction between 0 and 1. gradeAnswer turns that
+// fraction into earned points for the question reference; evaluateAnswer does the
+// same but also runs code submissions, which is asynchronous.
+//
+// Both take the exam's scoring rules (see scoring.js gradingOptions):
+//   partialCredit    'all-or-nothing' (default) or 'per-option', which credits each
+//                    correct choice of a multi-select question and takes one back for
+//                    each wrong choice, never below zero
+//   negativeMarking  share of the question's points deducted for a wrong choice
+//                    answer (mcq, multiple-choice, true-false); blank answers cost nothing
+//
+// Answer value contract per question type:
+//   mcq / multiple-choice  option text (or option id); an array of them for multi-select
+//   true-false             true / false (booleans or the strings 'true' / 'false')
+//   short-answer           string
+//   numerical              number, numeric string with optional unit ("9.8 m/s"), or { value, unit }
+//   fill-blank             array of strings in blank order, or { [position]: string }
+//   matching               { [left]: right } or [{ left, right }]
+//   drag-drop              array of item ids (or item contents) in the submitted order
+//   hotspot                { x, y } or an array of { x, y } clicks
+//   code                   source string (or { code }), executed against codeTemplate.testCases
+//   essay                  graded manually
+
+const { runTestCases, isLanguageSupported } = require('./codeRunner');
+
+const MANUAL_TYPES = ['essay'];
+const DEFERRED_TYPES = ['code'];
+const CHOICE_TYPES = ['mcq', 'multiple-choice', 'true-false'];
+
+// Normalize free text for comparison
+function normalizeText(value, { caseSensitive = false } = {}) {
+  if (value === null || value === undefined) return '';
+  const text = String(value).trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+}
+
+function isEmptyAnswer(answer) {
+  if (answer === null || answer === undefined) return true;
+  if (typeof answer === 'string') return answer.trim() === '';
+  if (Array.isArray(answer)) return answer.length === 0;
+  if (typeof answer === 'object') return Object.keys(answer).length === 0;
+  return false;
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const text = normalizeText(value);
+  if (['true', 't', 'yes', '1'].includes(text)) return true;
+  if (['false', 'f', 'no', '0'].includes(text)) return false;
+  return null;
+}
+
+// Match a submitted option reference against the question's options
+function findOption(options, value) {
+  const key = normalizeText(typeof value === 'object' && value !== null ? (value.id || value.text) : value);
+  return options.find(opt =>
+    (opt.id !== undefined && normalizeText(opt.id) === key) || normalizeText(opt.text) === key
+  );
+}
+
+function gradeChoice(question, answer, scoring = {}) {
+  const options = question.options || [];
+  const correctOptions = options.filter(opt => opt.isCorrect);
+  const selections = Array.isArray(answer) ? answer : [answer];
+  const selected = [...new Set(selections.map(value => findOption(options, value)).filter(Boolean))];
+
+  const selectedCorrect = selected.filter(opt => opt.isCorrect).length;
+  const selectedIncorrect = selected.length - selectedCorrect;
+  const allCorrectSelected = correctOptions.length > 0 && selectedCorrect === correctOptions.length;
+  const perOption = scoring.partialCredit === 'per-option' && correctOptions.length > 1;
+
+  return {
+    fraction: perOption
+      ? Math.max(0, (selectedCorrect - selectedIncorrect) / correctOptions.length)
+      : allCorrectSelected && selectedIncorrect === 0 ? 1 : 0,
+    details: {
+      selectedCorrect,
+      selectedIncorrect,
+      totalCorrect: correctOptions.length
+    }
+  };
+}
+
+function gradeTrueFalse(question, answer) {
+  const expected = parseBoolean(question.trueFalseAnswer);
+  const submitted = parseBoolean(answer);
+
+  return {
+    fraction: expected !== null && submitted === expected ? 1 : 0,
+    details: { submitted }
+  };
+}
+
+function gradeShortAnswer(question, answer) {
+  const accepted = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer])
+    .map(value => normalizeText(value))
+    .filter(Boolean);
+
+  return {
+    fraction: accepted.includes(normalizeText(answer)) ? 1 : 0,
+    details: {}
+  };
+}
+
+function normalizeUnit(unit) {
+  return normalizeText(unit).replace(/\s+/g, '');
+}
+
+// Accepts 42, "42", "4.2e1 kg" or { value, unit }. A blank value isn't zero.
+function parseNumericAnswer(answer) {
+  if (typeof answer === 'number') return { value: answer, unit: '' };
+  if (answer && typeof answer === 'object') {
+    const blank = answer.value === null || answer.value === undefined || String(answer.value).trim() === '';
+    return { value: blank ? NaN : Number(answer.value), unit: answer.unit || '' };
+  }
+
+  const match = String(answer).trim().match(/^([-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?)\s*(.*)$/i);
+  if (!match) return { value: NaN, unit: '' };
+  return { value: Number(match[1]), unit: match[2] || '' };
+}
+
+function gradeNumerical(question, answer) {
+  const spec = question.numericalAnswer || {};
+  const expected = Number(spec.value);
+  const submitted = parseNumericAnswer(answer);
+
+  if (!Number.isFinite(expected) || !Number.isFinite(submitted.value)) {
+    return { fraction: 0, details: { parsed: submitted } };
+  }
+
+  const tolerance = Math.abs(Number(spec.tolerance) || 0);
+  const allowedError = spec.toleranceType === 'percent'
+    ? Math.abs(expected) * tolerance / 100
+    : tolerance;
+  const withinTolerance = Math.abs(submitted.value - expected) <= allowedError + Number.EPSILON;
+
+  // A missing unit is accepted unless the question requires one; a wrong unit never is
+  const expectedUnit = normalizeUnit(spec.unit);
+  const submittedUnit = normalizeUnit(submitted.unit);
+  const acceptedUnits = [expectedUnit, ...(spec.acceptedUnits || []).map(normalizeUnit)];
+  let unitOk = true;
+  if (expectedUnit) {
+    unitOk = submittedUnit ? acceptedUnits.includes(submittedUnit) : !spec.requireUnit;
+  }
+
+  return {
+    fraction: withinTolerance && unitOk ? 1 : 0,
+    details: {
+      parsed: submitted,
+      withinTolerance,
+      unitOk
+    }
+  };
+}
+
+function gradeFillBlank(question, answer) {
+  const blanks = [...(question.fillBlankAnswers || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+  if (blanks.length === 0) return { fraction: 0, details: { blanks: [] } };
+
+  const results = blanks.map((blank, index) => {
+    const submitted = Array.isArray(answer)
+      ? answer[index]
+      : (answer && typeof answer === 'object' ? answer[blank.position] : (index === 0 ? answer : undefined));
+    const options = { caseSensitive: !!blank.caseSensitive };
+    const accepted = [blank.correctAnswer, ...(blank.alternatives || [])]
+      .map(value => normalizeText(value, options))
+      .filter(Boolean);
+
+    return {
+      position: blank.position,
+      isCorrect: accepted.includes(normalizeText(submitted, options))
+    };
+  });
+
+  return {
+    fraction: results.filter(result => result.isCorrect).length / blanks.length,
+    details: { blanks: results }
+  };
+}
+
+function gradeMatching(question, answer) {
+  const pairs = question.matchingPairs || [];
+  if (pairs.length === 0) return { fraction: 0, details: { pairs: [] } };
+
+  const submitted = {};
+  if (Array.isArray(answer)) {
+    answer.forEach(pair => {
+      if (pair && pair.left !== undefined) submitted[normalizeText(pair.left)] = pair.right;
+    });
+  } else if (answer && typeof answer === 'object') {
+    Object.keys(answer).forEach(left => {
+      submitted[normalizeText(left)] = answer[left];
+    });
+  }
+
+  const results = pairs.map(pair => ({
+    left: pair.left,
+    isCorrect: normalizeText(submitted[normalizeText(pair.left)]) === normalizeText(pair.right)
+  }));
+
+  return {
+    fraction: results.filter(result => result.isCorrect).length / pairs.length,
+    details: { pairs: results }
+  };
+}
+
+function gradeDragDrop(question, answer) {
+  const items = question.dragDropItems || [];
+  if (items.length === 0 || !Array.isArray(answer)) return { fraction: 0, details: {} };
+
+  const expectedOrder = [...items].sort((a, b) => (a.correctPosition || 0) - (b.correctPosition || 0));
+  const itemKey = item => normalizeText(item.id !== undefined ? item.id : item.content);
+  const submittedKeys = answer.map(value => {
+    const item = items.find(candidate =>
+      normalizeText(candidate.id) === normalizeText(value) || normalizeText(candidate.content) === normalizeText(value)
+    );
+    return item ? itemKey(item) : null;
+  });
+
+  const correctPositions = expectedOrder.filter((item, index) => submittedKeys[index] === itemKey(item)).length;
+
+  return {
+    fraction: correctPositions / items.length,
+    details: { correctPositions, totalItems: items.length }
+  };
+}
+
+// Point-in-region test for rectangles (default), circles and polygons
+function isPointInArea(point, area) {
+  const x = Number(point.x);
+  const y = Number(point.y);
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+
+  if (area.shape === 'circle') {
+    const radius = Number(area.radius) || 0;
+    return Math.pow(x - area.x, 2) + Math.pow(y - area.y, 2) <= radius * radius;
+  }
+
+  if (area.shape === 'polygon' && Array.isArray(area.points)) {
+    let inside = false;
+    for (let i = 0, j = area.points.length - 1; i < area.points.length; j = i++) {
+      const pi = area.points[i];
+      const pj = area.points[j];
+      const intersects = (pi.y > y) !== (pj.y > y) &&
+        x < (pj.x - pi.x) * (y - pi.y) / (pj.y - pi.y) + pi.x;
+      if (intersects) inside = !inside;
+    }
+    return inside;
+  }
+
+  // Areas drawn right-to-left or bottom-to-top carry negative dimensions
+  const left = Math.min(area.x, area.x + area.width);
+  const right = Math.max(area.x, area.x + area.width);
+  const top = Math.min(area.y, area.y + area.height);
+  const bottom = Math.max(area.y, area.y + area.height);
+  return x >= left && x <= right && y >= top && y <= bottom;
+}
+
+// Each correct area hit earns credit; each click outside every correct area cancels one hit
+function gradeHotspot(question, answer) {
+  const areas = question.hotspotAreas || [];
+  const correctAreas = areas.filter(area => area.isCorrect);
+  const clicks = (Array.isArray(answer) ? answer : [answer]).filter(point => point && typeof point === 'object');
+  if (correctAreas.length === 0 || clicks.length === 0) return { fraction: 0, details: {} };
+
+  const hitAreas = new Set();
+  let misses = 0;
+  clicks.forEach(point => {
+    const areaIndex = correctAreas.findIndex(area => isPointInArea(point, area));
+    if (areaIndex >= 0) {
+      hitAreas.add(areaIndex);
+    } else {
+      misses++;
+    }
+  });
+
+  return {
+    fraction: Math.max(0, (hitAreas.size - misses) / correctAreas.length),
+    details: { hits: hitAreas.size, misses, totalCorrectAreas: correctAreas.length }
+  };
+}
+
+const graders = {
+  'mcq': gradeChoice,
+  'multiple-choice': gradeChoice,
+  'true-false': gradeTrueFalse,
+  'short-answer': gradeShortAnswer,
+  'numerical': gradeNumerical,
+  'fill-blank': gradeFillBlank,
+  'matching': gradeMatching,
+  'drag-drop': gradeDragDrop,
+  'hotspot': gradeHotspot
+};
+
+// Grade a single answer against its question and return earned points
+function gradeAnswer(question, answer, points = 1, scoring = {}) {
+  const maxPoints = Number(points) || 0;
+  const result = {
+    isCorrect: false,
+    earnedPoints: 0,
+    maxPoints,
+    fraction: 0,
+    requiresManualGrading: false,
+    details: {}
+  };
+
+  if (!question) return result;
+
+  const type = question.type;
+  const hasKey = type === 'image-based' && question.correctAnswer;
+
+  if (MANUAL_TYPES.includes(type) || DEFERRED_TYPES.includes(type) || (type === 'image-based' && !hasKey)) {
+    result.requiresManualGrading = true;
+    return result;
+  }
+
+  if (isEmptyAnswer(answer)) return result;
+
+  const grader = type === 'image-based' ? gradeShortAnswer : graders[type];
+  if (!grader) {
+    result.requiresManualGrading = true;
+    return result;
+  }
+
+  const { fraction, details } = grader(question, answer, scoring);
+  const boundedFraction = Math.max(0, Math.min(1, fraction));
+
+  result.fraction = boundedFraction;
+  result.isCorrect = boundedFraction === 1;
+  result.earnedPoints = Math.round(boundedFraction * maxPoints * 100) / 100;
+  result.details = details;
+
+  // A wrong choice answer loses a share of the question's points
+  const penalty = Number(scoring.negativeMarking) || 0;
+  if (penalty > 0 && CHOICE_TYPES.includes(type) && boundedFraction === 0) {
+    result.earnedPoints = -Math.round(penalty * maxPoints * 100) / 100;
+    result.details = { ...details, penalty: -result.earnedPoints };
+  }
+  return result;
+}
+
+// Credit is the share of test cases passed; unsupported languages fall back to manual review
+async function gradeCodeAnswer(question, answer, points = 1, scoring = {}) {
+  const template = question.codeTemplate || {};
+  const testCases = template.testCases || [];
+  const result = gradeAnswer(question, answer, points, scoring);
+
+  if (testCases.length === 0 || !isLanguageSupported(template.language)) return result;
+
+  result.requiresManualGrading = false;
+  if (isEmptyAnswer(answer)) return result;
+
+  const code = typeof answer === 'object' ? answer.code : answer;
+  const run = await runTestCases({ language: template.language, code, testCases, limits: template.limits });
+  const fraction = run.total > 0 ? run.passed / run.total : 0;
+
+  result.fraction = fraction;
+  result.isCorrect = fraction === 1;
+  result.earnedPoints = Math.round(fraction * result.maxPoints * 100) / 100;
+  result.details = {
+    passed: run.passed,
+    total: run.total,
+    error: run.error,
+    testResults: run.results
+  };
+  return result;
+}
+
+// Grade any answer, executing code submissions where possible
+async function evaluateAnswer(question, answer, points = 1, scoring = {}) {
+  if (question && question.type === 'code') {
+    return gradeCodeAnswer(question, answer, points, scoring);
+  }
+  return gradeAnswer(question, answer, points, scoring);
+}
+
+module.exports = {
+  gradeAnswer,
+  evaluateAnswer,
+  findOption,
+  isPointInArea,
+  normalizeText,
+  parseBoolean
+};
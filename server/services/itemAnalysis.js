@@ -0,0 +1,187 @@
+// Item analysis: how each question performed across the graded attempts that
+// presented it. Statistics come from completed attempts only (pending-review attempts
+// may still change); an attempt presented a question when its layout lists it or it
+// holds an answer to it. Unanswered questions score 0.
+//
+//   difficulty       p-value: the mean share of the question's points earned (the
+//                    proportion answering correctly for all-or-nothing questions)
+//   discrimination   point-biserial correlation between the score on the question and
+//                    the rest of the attempt (the other questions' share of their
+//                    points), so the question isn't correlated with itself; null
+//                    without enough variation to compute it
+//   distractors      for choice questions, how often each option was picked overall
+//                    and by the upper and lower 27% of attempts by rest score
+//   averageTimeSpent mean seconds spent on the question, from the answers' timeSpent
+//
+// Flags are only raised once MIN_RESPONSES attempts have been analysed.
+
+const { attemptRepository, questionRepository } = require('../repositories');
+const { findOption, parseBoolean } = require('./grading');
+const { round, mean, correlation } = require('./statistics');
+
+const MIN_RESPONSES = 5;
+const TOO_EASY = 0.9;
+const TOO_HARD = 0.2;
+const GROUP_SHARE = 0.27;
+// Distractors picked by fewer attempts than this aren't doing their job
+const NON_FUNCTIONING = 0.05;
+
+const questionIdOf = ref => (ref.question && ref.question.id ? ref.question.id : String(ref.question));
+
+// Questions an attempt presented, in the order it presented them
+function presentedQuestions(attempt) {
+  const ids = [];
+  ((attempt.layout && attempt.layout.sections) || []).forEach(section => ids.push(...section.questions));
+  attempt.answers.forEach(answer => ids.push(answer.questionId));
+  return [...new Set(ids.map(String))];
+}
+
+// Share of an answer's points earned; negative marking counts as nothing earned
+function answerScore(answer) {
+  if (!answer) return 0;
+  if (answer.maxPoints > 0) return Math.min(1, Math.max(0, (answer.points || 0) / answer.maxPoints));
+  return answer.isCorrect ? 1 : 0;
+}
+
+// Share of the other questions' points earned on the attempt
+function restScore(attempt, questionId) {
+  const others = attempt.answers.filter(answer => answer.questionId !== questionId);
+  const available = attempt.scoreBreakdown && attempt.scoreBreakdown.maxScore;
+  const own = attempt.answers.find(answer => answer.questionId === questionId);
+  const maxPoints = available
+    ? available - ((own && own.maxPoints) || 0)
+    : others.reduce((sum, answer) => sum + (answer.maxPoints || 0), 0);
+  if (!(maxPoints > 0)) return 0;
+  return others.reduce((sum, answer) => sum + Math.max(0, answer.points || 0), 0) / maxPoints;
+}
+
+// The options a student chooses from; true-false questions have True and False
+function choicesOf(question) {
+  if (question.type === 'true-false') {
+    const answer = parseBoolean(question.trueFalseAnswer);
+    return [{ text: 'True', isCorrect: answer === true }, { text: 'False', isCorrect: answer === false }];
+  }
+  if (['mcq', 'multiple-choice'].includes(question.type)) return question.options || [];
+  return null;
+}
+
+function selectedChoices(question, choices, answer) {
+  if (!answer || answer.answer === null || answer.answer === undefined) return [];
+  if (question.type === 'true-false') {
+    const value = parseBoolean(answer.answer);
+    return value === null ? [] : [choices[value ? 0 : 1]];
+  }
+  const values = Array.isArray(answer.answer) ? answer.answer : [answer.answer];
+  return [...new Set(values.map(value => findOption(choices, value)).filter(Boolean))];
+}
+
+function analyzeDistractors(choices, responses) {
+  const ranked = [...responses].sort((a, b) => b.rest - a.rest);
+  const groupSize = Math.max(1, Math.round(ranked.length * GROUP_SHARE));
+  const upper = ranked.slice(0, groupSize);
+  const lower = ranked.slice(-groupSize);
+  const share = (group, choice) => (group.length > 0
+    ? group.filter(response => response.selected.includes(choice)).length / group.length
+    : 0);
+
+  return choices.map(choice => {
+    const count = responses.filter(response => response.selected.includes(choice)).length;
+    const proportion = responses.length > 0 ? count / responses.length : 0;
+    const upperShare = share(upper, choice);
+    const lowerShare = share(lower, choice);
+    const entry = {
+      text: choice.text,
+      isCorrect: Boolean(choice.isCorrect),
+      count,
+      proportion: round(proportion),
+      upperProportion: round(upperShare),
+      lowerProportion: round(lowerShare),
+      discrimination: round(upperShare - lowerShare),
+      flag: null
+    };
+    if (!choice.isCorrect && responses.length >= MIN_RESPONSES) {
+      if (proportion < NON_FUNCTIONING) entry.flag = 'non-functioning';
+      else if (upperShare > lowerShare) entry.flag = 'attracts-high-scorers';
+    }
+    return entry;
+  });
+}
+
+// Statistics for one question over the attempts given
+function analyzeItem(question, attempts) {
+  const responses = attempts
+    .filter(attempt => presentedQuestions(attempt).includes(question.id))
+    .map(attempt => {
+      const answer = attempt.answers.find(entry => entry.questionId === question.id);
+      return {
+        answer,
+        score: answerScore(answer),
+        rest: restScore(attempt, question.id),
+        selected: []
+      };
+    });
+  const choices = choicesOf(question);
+  if (choices) {
+    responses.forEach(response => {
+      response.selected = selectedChoices(question, choices, response.answer);
+    });
+  }
+
+  const answered = responses.filter(response => response.answer);
+  const times = answered.map(response => Number(response.answer.timeSpent)).filter(time => time > 0);
+  const difficulty = responses.length > 0 ? round(mean(responses.map(response => response.score))) : null;
+  const discrimination = correlation(responses.map(response => response.score), responses.map(response => response.rest));
+
+  const flags = [];
+  if (responses.length >= MIN_RESPONSES) {
+    if (difficulty > TOO_EASY) flags.push('too-easy');
+    if (difficulty < TOO_HARD) flags.push('too-hard');
+    if (discrimination !== null && discrimination < 0) flags.push('negative-discrimination');
+  }
+
+  return {
+    questionId: question.id,
+    title: question.title,
+    type: question.type,
+    responses: responses.length,
+    answered: answered.length,
+    omitted: responses.length - answered.length,
+    difficulty,
+    discrimination: discrimination === null ? null : round(discrimination),
+    averageTimeSpent: times.length > 0 ? Math.round(mean(times)) : null,
+    distractors: choices ? analyzeDistractors(choices, responses) : null,
+    flags
+  };
+}
+
+// Item analysis of a question across every exam it was used in
+async function analyzeQuestion(question) {
+  const attempts = await attemptRepository.find({ status: 'completed' });
+  return analyzeItem(question, attempts);
+}
+
+// Item analysis of every question presented in an exam's graded attempts, in exam
+// order (questions drawn from pools follow the ones listed in the sections)
+async function analyzeExam(exam) {
+  const attempts = await attemptRepository.find({ exam: exam.id, status: 'completed' });
+  const ids = [...new Set([
+    ...exam.sections.flatMap(section => (section.questions || []).map(questionIdOf)),
+    ...attempts.flatMap(presentedQuestions)
+  ])];
+  const questions = await questionRepository.findByIds(ids);
+  const items = questions.map(question => analyzeItem(question, attempts));
+
+  return {
+    attempts: attempts.length,
+    items,
+    flagged: items.filter(item => item.flags.length > 0).length
+  };
+}
+
+module.exports = {
+  MIN_RESPONSES,
+  presentedQuestions,
+  analyzeItem,
+  analyzeQuestion,
+  analyzeExam
+};
@@ -0,0 +1,134 @@
+// Manual grading of answers the auto-grader can't score (essays, and code or image
+// answers without a key). A submitted attempt with such answers waits in
+// 'pending-review' until every one of them has been graded, then its score,
+// percentage and grade are recalculated and it becomes 'completed'.
+//
+// Essays are scored against question.essayRubric.criteria ({ name, weight,
+// description }): each criterion is worth its share of the question's points by
+// weight. Questions without a rubric are scored as a single overall criterion.
+// The grade is stored on the answer as
+//
+//   answer.manualGrade = {
+//     criteria: [{ name, score, maxPoints, comment }],
+//     comment, gradedBy, gradedAt
+//   }
+
+const { attemptRepository } = require('../repositories');
+const { scoreAttempt } = require('./scoring');
+const { emitToExam } = require('./realtime');
+
+const REVIEW_STATUS = 'pending-review';
+
+const roundPoints = value => Math.round(value * 100) / 100;
+
+const needsReview = answers => answers.some(answer => answer.requiresManualGrading);
+
+// The criteria an answer is scored on, with the points each one is worth
+function rubricCriteria(question, maxPoints) {
+  const criteria = ((question && question.essayRubric && question.essayRubric.criteria) || [])
+    .filter(criterion => criterion && criterion.name);
+
+  if (criteria.length === 0) {
+    return [{ name: 'Overall', description: '', maxPoints }];
+  }
+
+  const totalWeight = criteria.reduce((sum, criterion) => sum + (Number(criterion.weight) || 0), 0);
+  return criteria.map(criterion => ({
+    name: criterion.name,
+    description: criterion.description || '',
+    maxPoints: roundPoints(totalWeight > 0
+      ? maxPoints * (Number(criterion.weight) || 0) / totalWeight
+      : maxPoints / criteria.length)
+  }));
+}
+
+// Check submitted criterion scores against the rubric. Returns the stored grade and
+// the points it earns, or an error message.
+function scoreRubric(question, maxPoints, submitted = []) {
+  const criteria = rubricCriteria(question, maxPoints);
+  const scores = [];
+
+  for (const criterion of criteria) {
+    const entry = submitted.find(item => item && item.name === criterion.name);
+    const score = entry ? Number(entry.score) : NaN;
+
+    if (!Number.isFinite(score)) {
+      return { error: `Missing score for criterion "${criterion.name}"` };
+    }
+    if (score < 0 || score > criterion.maxPoints) {
+      return { error: `Score for "${criterion.name}" must be between 0 and ${criterion.maxPoints}` };
+    }
+
+    scores.push({
+      name: criterion.name,
+      score,
+      maxPoints: criterion.maxPoints,
+      comment: (entry.comment || '').trim()
+    });
+  }
+
+  const points = Math.min(maxPoints, roundPoints(scores.reduce((sum, item) => sum + item.score, 0)));
+  return { criteria: scores, points };
+}
+
+// Ungraded answers of an exam's submitted attempts, oldest submission first
+async function findPendingAnswers(examId) {
+  const attempts = await attemptRepository.find({ exam: examId, status: REVIEW_STATUS })
+    .populate('student', 'firstName lastName email')
+    .sort({ endTime: 1 });
+
+  return attempts.flatMap(attempt => attempt.answers
+    .filter(answer => answer.requiresManualGrading)
+    .map(answer => ({ attempt, answer })));
+}
+
+// Store a manual grade on one answer and, once nothing is left to grade, publish the
+// attempt's final result. Graded attempts can be regraded; their result is updated.
+async function gradeAnswer(attempt, exam, answer, { criteria, points, comment, graderId, now = new Date() }) {
+  const graded = {
+    ...answer,
+    points,
+    isCorrect: points >= (answer.maxPoints || 0) && points > 0,
+    partialCredit: answer.maxPoints > 0 ? points / answer.maxPoints : 0,
+    requiresManualGrading: false,
+    manualGrade: {
+      criteria,
+      comment: (comment || '').trim(),
+      gradedBy: graderId,
+      gradedAt: now
+    }
+  };
+
+  const updated = await attemptRepository.updateById(attempt.id, {
+    $pull: { answers: { questionId: answer.questionId } },
+    $push: { answers: graded }
+  }, { filter: { status: { $in: [REVIEW_STATUS, 'completed'] } } });
+  if (!updated || needsReview(updated.answers)) return updated;
+
+  const result = await scoreAttempt(updated, exam);
+  const completed = await attemptRepository.updateById(attempt.id, {
+    $set: { ...result, status: 'completed' }
+  }, { filter: { status: { $in: [REVIEW_STATUS, 'completed'] } } });
+
+  if (completed && updated.status === REVIEW_STATUS) {
+    emitToExam(exam.id, 'attempt-graded', {
+      attemptId: completed.id,
+      studentId: completed.student,
+      score: completed.score,
+      percentage: completed.percentage,
+      grade: completed.grade,
+      timestamp: now
+    });
+  }
+
+  return completed;
+}
+
+module.exports = {
+  REVIEW_STATUS,
+  needsReview,
+  rubricCriteria,
+  scoreRubric,
+  findPendingAnswers,
+  gradeAnswer
+};
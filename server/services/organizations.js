@@ -0,0 +1,84 @@
+// Loading organizations and their settings. See services/tenancy.js for how data is
+// kept apart between them.
+//
+// Settings an organization's admin can change:
+//
+//   branding        displayName, logoUrl and primaryColor shown in the app's header
+//   antiCheating    the anti-cheating policy new exams start with (same shape as
+//                   exam.antiCheating); null leaves new exams with it off
+//
+// The default organization is created the first time it's needed, so existing
+// installations keep working without a migration.
+
+const { organizationRepository } = require('../repositories');
+const { DEFAULT_ORGANIZATION } = require('./tenancy');
+
+const BRANDING_FIELDS = ['displayName', 'logoUrl', 'primaryColor'];
+
+const normalizeSlug = slug => String(slug || '')
+  .trim()
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+async function findOrganization(id) {
+  if (!id) return null;
+  const organization = await organizationRepository.findById(id);
+  if (organization || id !== DEFAULT_ORGANIZATION) return organization;
+
+  return organizationRepository.create({
+    id: DEFAULT_ORGANIZATION,
+    name: 'Default organization',
+    slug: DEFAULT_ORGANIZATION
+  });
+}
+
+async function findOrganizationBySlug(slug) {
+  const normalized = normalizeSlug(slug);
+  if (!normalized) return null;
+  if (normalized === DEFAULT_ORGANIZATION) return findOrganization(DEFAULT_ORGANIZATION);
+  return organizationRepository.findOne({ slug: normalized });
+}
+
+// Settings with the given changes applied. Branding fields set to an empty value are
+// removed; antiCheating replaces the whole policy.
+function mergeSettings(settings, changes = {}) {
+  const merged = { ...settings, branding: { ...(settings.branding || {}) } };
+
+  if (changes.branding) {
+    BRANDING_FIELDS.forEach(field => {
+      if (changes.branding[field] === undefined) return;
+      const value = String(changes.branding[field] || '').trim();
+      if (value) merged.branding[field] = value;
+      else delete merged.branding[field];
+    });
+  }
+  if (changes.antiCheating !== undefined) {
+    merged.antiCheating = changes.antiCheating || null;
+  }
+  return merged;
+}
+
+// The anti-cheating settings a new exam in the organization starts with
+const defaultAntiCheating = organization =>
+  (organization && organization.settings.antiCheating) || {};
+
+// What any member of the organization may see of it
+const publicProfile = organization => ({
+  id: organization.id,
+  name: organization.name,
+  slug: organization.slug,
+  branding: organization.settings.branding || {}
+});
+
+module.exports = {
+  BRANDING_FIELDS,
+  normalizeSlug,
+  findOrganization,
+  findOrganizationBySlug,
+  mergeSettings,
+  defaultAntiCheating,
+  publicProfile
+};
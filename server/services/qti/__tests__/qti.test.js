@@ -0,0 +1,111 @@
+const { exportPackage, readPackage } = require('..');
+
+const questions = [
+  {
+    id: 'q1',
+    type: 'mcq',
+    title: 'Primary colours',
+    content: 'Which of these are primary colours?',
+    options: [
+      { text: 'Red', isCorrect: true, explanation: 'Red is a primary colour.' },
+      { text: 'Green', isCorrect: false, explanation: 'Green mixes blue and yellow.' },
+      { text: 'Blue', isCorrect: true, explanation: '' }
+    ]
+  },
+  {
+    id: 'q2',
+    type: 'short-answer',
+    title: 'Capital',
+    content: 'What is the capital of France?',
+    correctAnswer: ['Paris', 'paris, france']
+  },
+  {
+    id: 'q3',
+    type: 'short-answer',
+    title: 'Symbol',
+    content: 'What is the chemical symbol for gold?',
+    correctAnswer: 'Au'
+  },
+  {
+    id: 'q4',
+    type: 'fill-blank',
+    title: 'Water',
+    content: 'Water boils at ___ degrees Celsius.',
+    fillBlankAnswers: [{ position: 0, correctAnswer: '100', alternatives: [], caseSensitive: false }]
+  },
+  {
+    id: 'q5',
+    type: 'numerical',
+    title: 'Gravity',
+    content: 'Acceleration due to gravity?',
+    numericalAnswer: { value: 9.8, tolerance: 0.1, toleranceType: 'absolute', unit: 'm/s^2', acceptedUnits: ['N/kg'], requireUnit: true }
+  }
+];
+
+const roundTrip = version => {
+  const exported = exportPackage(questions, { version });
+  const { items } = readPackage(exported.buffer);
+  return { exported, items, byTitle: title => items.find(item => item.question && item.question.title === title) };
+};
+
+describe.each(['2.1', '3.0'])('QTI %s packages', version => {
+  it('exports every question, short answers included', () => {
+    const { exported } = roundTrip(version);
+    expect(exported.exported).toBe(questions.length);
+    expect(exported.skipped).toEqual([]);
+  });
+
+  it('keeps option explanations and reads its own scoring without issues', () => {
+    const { byTitle } = roundTrip(version);
+    const item = byTitle('Primary colours');
+
+    expect(item.issues).toEqual([]);
+    expect(item.question.options).toEqual([
+      { text: 'Red', isCorrect: true, explanation: 'Red is a primary colour.' },
+      { text: 'Green', isCorrect: false, explanation: 'Green mixes blue and yellow.' },
+      { text: 'Blue', isCorrect: true, explanation: '' }
+    ]);
+  });
+
+  it('reads short answers back as short answers with every accepted answer', () => {
+    const { byTitle } = roundTrip(version);
+
+    expect(byTitle('Capital').question).toMatchObject({
+      type: 'short-answer',
+      content: 'What is the capital of France?',
+      correctAnswer: ['Paris', 'paris, france']
+    });
+    expect(byTitle('Symbol').question).toMatchObject({ type: 'short-answer', correctAnswer: 'Au' });
+    expect(byTitle('Capital').issues).toEqual([]);
+  });
+
+  it('still reads blanks inside the text as fill-blank', () => {
+    const { byTitle } = roundTrip(version);
+
+    expect(byTitle('Water').question).toMatchObject({
+      type: 'fill-blank',
+      content: 'Water boils at ___ degrees Celsius.',
+      fillBlankAnswers: [{ position: 0, correctAnswer: '100', alternatives: [], caseSensitive: false }]
+    });
+  });
+
+  it('reports the unit settings QTI cannot hold', () => {
+    const { exported, byTitle } = roundTrip(version);
+
+    expect(exported.warnings.map(warning => warning.id)).toEqual(['q5', 'q5']);
+    expect(exported.warnings[0].reason).toMatch(/N\/kg/);
+    expect(byTitle('Gravity').question.numericalAnswer).toEqual({
+      value: 9.8,
+      tolerance: 0.1,
+      toleranceType: 'absolute',
+      unit: 'm/s^2'
+    });
+  });
+});
+
+it('skips short answers without a correct answer', () => {
+  const { exported, skipped } = exportPackage([{ ...questions[0] }, { ...questions[2], correctAnswer: '' }]);
+
+  expect(exported).toBe(1);
+  expect(skipped).toEqual([{ id: 'q3', title: 'Symbol', reason: 'Short answer question has no correct answer' }]);
+});
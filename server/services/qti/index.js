@@ -0,0 +1,330 @@
+// IMS QTI content packages for the question bank: a zip holding an imsmanifest.xml,
+// one XML file per assessment item and the images the items use. Exports write QTI
+// 2.1 or 3.0; imports read either. Question metadata travels in the manifest as
+// IEEE LOM: tags as keywords, difficulty as educational difficulty and the topic as a
+// discipline classification.
+//
+// Items map to question types as described in itemWriter.js and itemReader.js.
+// Imports report what each item lost or why it was skipped:
+//
+//   { identifier, href, title, type, issues: [{ level: 'warning' | 'error', message }] }
+
+const AdmZip = require('adm-zip');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { element, toXml, loadXml } = require('./xml');
+const { SUPPORTED_TYPES, writeItem } = require('./itemWriter');
+const { readItem } = require('./itemReader');
+const { isTemplated } = require('../questionVariables');
+
+const VERSIONS = ['2.1', '3.0'];
+
+const UPLOADS_DIR = path.join(__dirname, '../../uploads');
+
+const MAX_PACKAGE_ENTRIES = 5000;
+const MAX_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+const RESOURCE_TYPES = {
+  '2.1': 'imsqti_item_xmlv2p1',
+  '3.0': 'imsqti_item_xmlv3p0'
+};
+
+const MANIFEST_NAMESPACES = {
+  '2.1': 'http://www.imsglobal.org/xsd/imscp_v1p1',
+  '3.0': 'http://www.imsglobal.org/xsd/qti/qtiv3p0/imscp_v1p1'
+};
+
+const LOM_NAMESPACE = 'http://ltsc.ieee.org/xsd/LOM';
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp'];
+
+// LOM difficulty vocabulary ↔ question difficulty
+const LOM_DIFFICULTY = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+const FROM_LOM_DIFFICULTY = {
+  'very easy': 'easy',
+  'easy': 'easy',
+  'medium': 'medium',
+  'difficult': 'hard',
+  'very difficult': 'hard'
+};
+
+const lomString = value => element('imsmd:string', { language: 'en' }, [value]);
+const lomVocabulary = value => [element('imsmd:source', {}, ['LOMv1.0']), element('imsmd:value', {}, [value])];
+
+function lomMetadata(question) {
+  const metadata = question.metadata || {};
+
+  return element('metadata', {}, [
+    element('imsmd:lom', {}, [
+      element('imsmd:general', {}, [
+        element('imsmd:title', {}, [lomString(question.title)]),
+        ...(metadata.tags || []).map(tag => element('imsmd:keyword', {}, [lomString(tag)]))
+      ]),
+      element('imsmd:educational', {}, [
+        element('imsmd:difficulty', {}, lomVocabulary(LOM_DIFFICULTY[metadata.difficulty] || 'medium'))
+      ]),
+      metadata.topic ? element('imsmd:classification', {}, [
+        element('imsmd:purpose', {}, lomVocabulary('discipline')),
+        element('imsmd:taxonPath', {}, [
+          element('imsmd:source', {}, [lomString('Topic')]),
+          element('imsmd:taxon', {}, [element('imsmd:entry', {}, [lomString(metadata.topic)])])
+        ])
+      ]) : null
+    ])
+  ]);
+}
+
+// Zip the given questions as a QTI package. Returns the package, how many items it
+// holds, the questions left out and the exported questions that lost settings QTI
+// can't hold, with the reasons for each.
+function exportPackage(questions, { version = '2.1' } = {}) {
+  const zip = new AdmZip();
+  const packaged = new Map();
+  const resources = [];
+  const skipped = [];
+  const warnings = [];
+
+  questions.forEach(question => {
+    if (!SUPPORTED_TYPES.includes(question.type)) {
+      skipped.push({ id: question.id, title: question.title, reason: `Question type "${question.type}" has no QTI equivalent` });
+      return;
+    }
+    if (isTemplated(question)) {
+      skipped.push({ id: question.id, title: question.title, reason: 'Templated questions with variables have no QTI equivalent' });
+      return;
+    }
+
+    // Uploaded images go in the package; links to other sites stay links
+    const files = new Set();
+    const mediaHref = url => {
+      if (!url || !url.startsWith('/uploads/')) return url;
+      const name = path.basename(url);
+      const file = path.join(UPLOADS_DIR, name);
+      if (!packaged.has(name)) {
+        if (!fs.existsSync(file)) return url;
+        zip.addFile(`media/${name}`, fs.readFileSync(file));
+        packaged.set(name, `media/${name}`);
+      }
+      files.add(packaged.get(name));
+      return packaged.get(name);
+    };
+
+    const identifier = `Q_${question.id}`;
+    const result = writeItem(question, { identifier, version, mediaHref });
+    if (result.skipped) {
+      skipped.push({ id: question.id, title: question.title, reason: result.skipped });
+      return;
+    }
+    result.warnings.forEach(reason => warnings.push({ id: question.id, title: question.title, reason }));
+
+    const href = `${identifier}.xml`;
+    zip.addFile(href, Buffer.from(result.xml, 'utf8'));
+    resources.push(element('resource', { identifier: `RES_${identifier}`, type: RESOURCE_TYPES[version], href }, [
+      lomMetadata(question),
+      element('file', { href }),
+      ...[...files].map(file => element('file', { href: file }))
+    ]));
+  });
+
+  const manifest = element('manifest', {
+    xmlns: MANIFEST_NAMESPACES[version],
+    'xmlns:imsmd': LOM_NAMESPACE,
+    identifier: `MANIFEST_${crypto.randomUUID()}`
+  }, [
+    element('metadata', {}, [
+      element('schema', {}, ['QTI Package']),
+      element('schemaversion', {}, [version === '3.0' ? '3.0.0' : '2.1'])
+    ]),
+    element('organizations'),
+    element('resources', {}, resources)
+  ]);
+  zip.addFile('imsmanifest.xml', Buffer.from(toXml(manifest), 'utf8'));
+
+  return { buffer: zip.toBuffer(), exported: resources.length, skipped, warnings };
+}
+
+// Elements by local name, whatever namespace prefix the package gave them
+const byLocalName = ($, scope, name) => $(scope).find('*').filter((index, node) => node.name.split(':').pop() === name);
+
+function readLomMetadata($, resource) {
+  const text = node => $(node).text().trim();
+  const tags = byLocalName($, resource, 'keyword').map((index, node) => text(node)).get().filter(Boolean);
+  const difficulty = byLocalName($, resource, 'difficulty').first();
+  const difficultyValue = byLocalName($, difficulty, 'value').first();
+  const taxon = byLocalName($, resource, 'taxon').first();
+  const topic = taxon.length > 0 ? text(byLocalName($, taxon, 'entry').first()) : '';
+
+  return {
+    tags,
+    difficulty: FROM_LOM_DIFFICULTY[text(difficultyValue).toLowerCase()],
+    topic
+  };
+}
+
+function checkPackageSize(zip) {
+  const entries = zip.getEntries();
+  if (entries.length > MAX_PACKAGE_ENTRIES) return 'The package has too many files';
+  const size = entries.reduce((total, entry) => total + (entry.header.size || 0), 0);
+  if (size > MAX_UNCOMPRESSED_BYTES) return 'The package is too large once unzipped';
+  return null;
+}
+
+function decodeHref(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch (error) {
+    return href;
+  }
+}
+
+const resolveHref = (base, href) => path.posix.normalize(path.posix.join(path.posix.dirname(base), decodeHref(href)))
+  .replace(/^(\.\/)+/, '');
+
+// The images an item refers to: packaged files read from the zip, links kept as links.
+// Images that can't be read are null.
+function readItemImages(zip, href, images, issues) {
+  return images.map(image => {
+    if (/^https?:\/\//i.test(image.src)) return { url: image.src, alt: image.alt };
+
+    const target = resolveHref(href, image.src);
+    if (!IMAGE_EXTENSIONS.includes(path.extname(target).toLowerCase())) {
+      issues.push({ level: 'warning', message: `Media file "${image.src}" is not a supported image and was left out` });
+      return null;
+    }
+    const entry = zip.getEntry(target);
+    if (!entry) {
+      issues.push({ level: 'warning', message: `Image "${image.src}" is missing from the package` });
+      return null;
+    }
+    return { name: path.basename(target), data: entry.getData(), alt: image.alt };
+  });
+}
+
+// Item files listed in the manifest, or every item document in a package without one
+function findItemResources(zip, notes) {
+  const manifestEntry = zip.getEntry('imsmanifest.xml');
+  if (!manifestEntry) {
+    notes.push('The package has no imsmanifest.xml; every item document in it was read');
+    return zip.getEntries()
+      .filter(entry => !entry.isDirectory && entry.entryName.toLowerCase().endsWith('.xml'))
+      .map(entry => ({ href: entry.entryName, metadata: {} }));
+  }
+
+  const $ = loadXml(manifestEntry.getData().toString('utf8'));
+  const resources = $('resource');
+  const others = resources.filter((index, node) => !/^imsqti_item/.test($(node).attr('type') || ''));
+  if (others.length > 0) {
+    notes.push(`${others.length} resource(s) that are not items (such as tests or sections) were not imported`);
+  }
+
+  return resources
+    .filter((index, node) => /^imsqti_item/.test($(node).attr('type') || ''))
+    .map((index, node) => ({
+      identifier: $(node).attr('identifier'),
+      href: resolveHref('imsmanifest.xml', $(node).attr('href') || ''),
+      metadata: readLomMetadata($, node)
+    }))
+    .get();
+}
+
+// Read a QTI package. Returns { items, notes }, or { error } when the file isn't a
+// usable package. Each item has the question fields it maps to (null when it
+// can't be imported), its images and the issues found; nothing is saved.
+function readPackage(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+    zip.getEntries();
+  } catch (error) {
+    return { error: 'The file is not a zip package' };
+  }
+
+  const sizeError = checkPackageSize(zip);
+  if (sizeError) return { error: sizeError };
+
+  const notes = [];
+  const items = [];
+
+  findItemResources(zip, notes).forEach(resource => {
+    const entry = zip.getEntry(resource.href);
+    if (!entry) {
+      items.push({ identifier: resource.identifier, href: resource.href, question: null, images: [], issues: [{ level: 'error', message: 'Item file is missing from the package' }] });
+      return;
+    }
+
+    const $ = loadXml(entry.getData().toString('utf8'));
+    // Packages without a manifest may hold other XML documents
+    if (!resource.identifier && $('assessmentItem').length === 0) return;
+
+    const { question, images, issues } = readItem($);
+    const resolved = question ? readItemImages(zip, resource.href, images, issues) : [];
+    // A hotspot question's first image is the one its areas are drawn on
+    const usable = question && !(question.type === 'hotspot' && !resolved[0]);
+    if (question && !usable) issues.push({ level: 'error', message: 'The hotspot image is missing from the package' });
+
+    items.push({
+      identifier: resource.identifier || $('assessmentItem').attr('identifier'),
+      href: resource.href,
+      question: usable ? { ...question, metadata: resource.metadata } : null,
+      images: usable ? resolved.filter(Boolean) : [],
+      issues
+    });
+  });
+
+  if (items.length === 0) return { error: 'The package contains no QTI items' };
+  return { items, notes };
+}
+
+// Write an imported item's packaged images to the uploads directory, returning the
+// question's image records
+function saveItemImages(images) {
+  if (images.some(image => image.data) && !fs.existsSync(UPLOADS_DIR)) {
+    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+  }
+
+  return images.map(image => {
+    if (!image.data) return { url: image.url, alt: image.alt || '', caption: '' };
+
+    const name = `qti-${crypto.randomUUID()}${path.extname(image.name).toLowerCase()}`;
+    fs.writeFileSync(path.join(UPLOADS_DIR, name), image.data);
+    return { url: `/uploads/${name}`, alt: image.alt || '', caption: '' };
+  });
+}
+
+// Question data for an imported item, with defaults for metadata the package lacks
+function toQuestionData(item, images, { topic = 'Imported', difficulty = 'medium' } = {}) {
+  const { metadata, points, ...fields } = item.question;
+
+  return {
+    ...fields,
+    images,
+    metadata: {
+      topic: metadata.topic || topic,
+      difficulty: metadata.difficulty || difficulty,
+      tags: metadata.tags || [],
+      estimatedTime: 5,
+      points: points || 1
+    }
+  };
+}
+
+// The report entry for an imported item
+const itemReport = item => ({
+  identifier: item.identifier,
+  href: item.href,
+  title: item.question ? item.question.title : null,
+  type: item.question ? item.question.type : null,
+  imported: Boolean(item.question),
+  issues: item.issues
+});
+
+module.exports = {
+  VERSIONS,
+  SUPPORTED_TYPES,
+  exportPackage,
+  readPackage,
+  saveItemImages,
+  toQuestionData,
+  itemReport
+};
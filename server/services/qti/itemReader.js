@@ -0,0 +1,465 @@
+// QTI assessment item → question, the reverse of itemWriter.js. Items are read by
+// interaction, so items from other systems map the same way as our own exports:
+//
+//   choiceInteraction         mcq, or true-false when the two choices are True and False;
+//                             feedbackInline in a choice is its option's explanation
+//   textEntryInteraction      numerical when it is a single float/integer response (a
+//                             short word right after the entry is its unit), short-answer
+//                             when it is a single case-insensitive string response alone
+//                             in its paragraph, otherwise fill-blank with a blank per
+//                             interaction
+//   matchInteraction          matching
+//   orderInteraction          drag-drop
+//   hotspotInteraction        hotspot (areas scaled to the authoring canvas)
+//   extendedTextInteraction   essay
+//
+// Anything an item uses that has no equivalent here is reported as an issue. Items
+// are still imported when what's lost only affects presentation or feedback
+// (level 'warning'); items whose interactions or answers can't be represented are
+// skipped (level 'error').
+
+const { HOTSPOT_CANVAS } = require('../studentQuestions');
+
+const INTERACTIONS = [
+  'choiceInteraction',
+  'textEntryInteraction',
+  'matchInteraction',
+  'orderInteraction',
+  'hotspotInteraction',
+  'extendedTextInteraction'
+];
+
+const UNSUPPORTED_INTERACTIONS = [
+  'associateInteraction',
+  'customInteraction',
+  'drawingInteraction',
+  'endAttemptInteraction',
+  'gapMatchInteraction',
+  'graphicAssociateInteraction',
+  'graphicGapMatchInteraction',
+  'graphicOrderInteraction',
+  'hottextInteraction',
+  'inlineChoiceInteraction',
+  'mediaInteraction',
+  'portableCustomInteraction',
+  'positionObjectInteraction',
+  'selectPointInteraction',
+  'sliderInteraction',
+  'uploadInteraction'
+];
+
+const KNOWN_TEMPLATES = /(match_correct|map_response|map_response_point)(\.xml)?$/;
+
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'li', 'ul', 'ol', 'blockquote', 'pre', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+const collapse = text => text.replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// Text of a node with block elements as paragraphs and line breaks kept. Text entry
+// interactions become "___" blanks; other interactions, rubric blocks and feedback
+// are left out.
+function nodeText($, node, { blanks = false } = {}) {
+  const parts = [];
+
+  const walk = current => {
+    $(current).contents().each((index, child) => {
+      if (child.type === 'text') {
+        parts.push(child.data);
+        return;
+      }
+      if (child.type !== 'tag') return;
+
+      if (child.name === 'br') {
+        parts.push('\n');
+      } else if (child.name === 'textEntryInteraction') {
+        if (blanks) parts.push('___');
+      } else if (child.name.endsWith('Interaction') || ['rubricBlock', 'feedbackInline', 'feedbackBlock', 'img', 'object'].includes(child.name)) {
+        // not part of the prompt text
+      } else if (child.name === 'prompt' || BLOCK_ELEMENTS.has(child.name)) {
+        parts.push('\n\n');
+        walk(child);
+        parts.push('\n\n');
+      } else {
+        walk(child);
+      }
+    });
+  };
+
+  walk(node);
+  return collapse(parts.join(''));
+}
+
+function readResponseDeclarations($, item) {
+  const declarations = {};
+  item.find('responseDeclaration').each((index, node) => {
+    const declaration = $(node);
+    declarations[declaration.attr('identifier')] = {
+      cardinality: declaration.attr('cardinality'),
+      baseType: declaration.attr('baseType'),
+      correct: declaration.find('correctResponse > value').map((i, value) => $(value).text().trim()).get(),
+      mapping: declaration.find('mapping > mapEntry').map((i, entry) => ({
+        key: $(entry).attr('mapKey'),
+        value: Number($(entry).attr('mappedValue')) || 0,
+        caseSensitive: $(entry).attr('caseSensitive') === 'true'
+      })).get()
+    };
+  });
+  return declarations;
+}
+
+// The correct values of a response: its correctResponse, or else the mapped values
+// that earn credit
+function correctValues(declaration) {
+  if (!declaration) return [];
+  if (declaration.correct.length > 0) return declaration.correct;
+  return declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key);
+}
+
+function readChoice($, interaction, declaration, issues) {
+  const choices = interaction.find('simpleChoice').map((index, node) => ({
+    identifier: $(node).attr('identifier'),
+    text: nodeText($, node),
+    explanation: $(node).find('feedbackInline').map((i, feedback) => nodeText($, feedback)).get().join('\n\n')
+  })).get();
+  const correct = correctValues(declaration);
+  if (correct.length === 0) return { error: 'Choice interaction has no correct response' };
+
+  const texts = choices.map(choice => choice.text.toLowerCase()).sort();
+  if (choices.length === 2 && texts[0] === 'false' && texts[1] === 'true' && correct.length === 1) {
+    const answer = choices.find(choice => choice.identifier === correct[0]);
+    if (choices.some(choice => choice.explanation)) {
+      issues.push({ level: 'warning', message: 'Feedback on the True and False choices was not imported' });
+    }
+    return { type: 'true-false', trueFalseAnswer: Boolean(answer) && answer.text.toLowerCase() === 'true' };
+  }
+
+  return {
+    type: 'mcq',
+    options: choices.map(choice => ({
+      text: choice.text,
+      isCorrect: correct.includes(choice.identifier),
+      explanation: choice.explanation
+    })),
+    randomization: { shuffleOptions: interaction.attr('shuffle') === 'true' }
+  };
+}
+
+// The tolerance of a numerical response, from an <equal> comparison in the item's
+// response processing
+function readTolerance($, item, identifier) {
+  const equal = item.find('responseProcessing equal').filter((index, node) =>
+    $(node).find(`variable[identifier="${identifier}"]`).length > 0).first();
+  if (equal.length === 0) return {};
+
+  const tolerance = Math.abs(Number(String(equal.attr('tolerance') || '0').split(/\s+/)[0])) || 0;
+  return { tolerance, toleranceType: equal.attr('toleranceMode') === 'relative' ? 'percent' : 'absolute' };
+}
+
+// Text ending the entry's paragraph, such as "m/s^2" in "<textEntryInteraction/> m/s^2",
+// is the unit. It is taken out of the body so it isn't repeated in the content.
+function readUnit($, interaction) {
+  const next = interaction.next;
+  if (!next || next.type !== 'text' || next.next) return '';
+
+  const unit = next.data.trim();
+  if (!unit || unit.length > 20 || /\s/.test(unit)) return '';
+  $(next).remove();
+  return unit;
+}
+
+// An entry with nothing else in its paragraph is an answer box rather than a blank
+function standsAlone($, interaction) {
+  const parent = interaction.parent;
+  return Boolean(parent) && (parent.name === 'itemBody' || BLOCK_ELEMENTS.has(parent.name)) &&
+    $(parent).contents().toArray().every(child => child === interaction || (child.type === 'text' && !child.data.trim()));
+}
+
+function readTextEntries($, item, interactions, declarations) {
+  const identifiers = interactions.map((index, node) => $(node).attr('responseIdentifier')).get();
+  const first = declarations[identifiers[0]];
+
+  if (identifiers.length === 1 && first && ['float', 'integer'].includes(first.baseType)) {
+    const correct = correctValues(first);
+    if (correct.length === 0 || Number.isNaN(Number(correct[0]))) return { error: 'Numeric entry has no correct value' };
+    return {
+      type: 'numerical',
+      numericalAnswer: {
+        value: Number(correct[0]),
+        ...readTolerance($, item, identifiers[0]),
+        unit: readUnit($, interactions[0])
+      }
+    };
+  }
+
+  if (identifiers.length === 1 && first && first.baseType === 'string' && standsAlone($, interactions[0]) &&
+      !first.mapping.some(entry => entry.caseSensitive)) {
+    const accepted = [...new Set([
+      ...first.correct,
+      ...first.mapping.filter(entry => entry.value > 0).map(entry => entry.key)
+    ])];
+    if (accepted.length === 0) return { error: 'Text entry has no correct response' };
+    return { type: 'short-answer', correctAnswer: accepted.length > 1 ? accepted : accepted[0] };
+  }
+
+  const fillBlankAnswers = identifiers.map((identifier, position) => {
+    // Mapped values that earn credit are accepted alternatives
+    const declaration = declarations[identifier] || { correct: [], mapping: [] };
+    const accepted = [...new Set([
+      ...declaration.correct,
+      ...declaration.mapping.filter(entry => entry.value > 0).map(entry => entry.key)
+    ])];
+    return {
+      position,
+      correctAnswer: accepted[0],
+      alternatives: accepted.slice(1),
+      caseSensitive: declaration.mapping.some(entry => entry.caseSensitive)
+    };
+  });
+  if (fillBlankAnswers.some(blank => blank.correctAnswer === undefined)) {
+    return { error: 'Text entry has no correct response' };
+  }
+
+  return { type: 'fill-blank', fillBlankAnswers, blanks: true };
+}
+
+function readMatching($, interaction, declaration, issues) {
+  const sets = interaction.find('simpleMatchSet');
+  if (sets.length !== 2) return { error: 'Match interaction needs exactly two match sets' };
+
+  const choiceText = set => $(set).find('simpleAssociableChoice').map((index, node) => ({
+    identifier: $(node).attr('identifier'),
+    text: nodeText($, node)
+  })).get();
+  const lefts = choiceText(sets[0]);
+  const rights = new Map(choiceText(sets[1]).map(choice => [choice.identifier, choice.text]));
+
+  const matches = {};
+  correctValues(declaration).forEach(pair => {
+    const [left, right] = pair.split(/\s+/);
+    if (matches[left] !== undefined) {
+      issues.push({ level: 'warning', message: 'A left-hand choice matches several right-hand choices; only the first was kept' });
+      return;
+    }
+    matches[left] = right;
+  });
+
+  const matchingPairs = lefts
+    .filter(left => rights.has(matches[left.identifier]))
+    .map(left => ({ left: left.text, right: rights.get(matches[left.identifier]) }));
+  if (matchingPairs.length === 0) return { error: 'Match interaction has no correct pairs' };
+  if (matchingPairs.length < lefts.length) {
+    issues.push({ level: 'warning', message: 'Left-hand choices without a correct match were left out' });
+  }
+
+  return {
+    type: 'matching',
+    matchingPairs,
+    randomization: { shuffleOptions: interaction.attr('shuffle') === 'true' }
+  };
+}
+
+function readOrder($, interaction, declaration) {
+  const correct = correctValues(declaration);
+  const items = interaction.find('simpleChoice').map((index, node) => ({
+    id: $(node).attr('identifier'),
+    content: nodeText($, node)
+  })).get();
+  if (correct.length !== items.length) return { error: 'Order interaction has no complete correct order' };
+
+  return {
+    type: 'drag-drop',
+    dragDropItems: items.map(item => ({ ...item, correctPosition: correct.indexOf(item.id) }))
+  };
+}
+
+// Hotspot coordinates are in the pixels of the item's image object; questions keep
+// areas in the coordinates of the authoring canvas
+function readHotspot($, interaction, declaration, issues) {
+  const object = interaction.find('object').first();
+  if (object.length === 0 || !object.attr('data')) return { error: 'Hotspot interaction has no image' };
+
+  const scaleX = HOTSPOT_CANVAS.width / (Number(object.attr('width')) || HOTSPOT_CANVAS.width);
+  const scaleY = HOTSPOT_CANVAS.height / (Number(object.attr('height')) || HOTSPOT_CANVAS.height);
+  const correct = correctValues(declaration);
+  const round = value => Math.round(value * 100) / 100;
+
+  const hotspotAreas = [];
+  interaction.find('hotspotChoice').each((index, node) => {
+    const choice = $(node);
+    const coords = String(choice.attr('coords') || '').split(',').map(Number);
+    const isCorrect = correct.includes(choice.attr('identifier'));
+
+    switch (choice.attr('shape')) {
+      case 'rect':
+        hotspotAreas.push({
+          x: round(coords[0] * scaleX),
+          y: round(coords[1] * scaleY),
+          width: round((coords[2] - coords[0]) * scaleX),
+          height: round((coords[3] - coords[1]) * scaleY),
+          isCorrect
+        });
+        break;
+      case 'circle':
+        hotspotAreas.push({
+          shape: 'circle',
+          x: round(coords[0] * scaleX),
+          y: round(coords[1] * scaleY),
+          radius: round(coords[2] * Math.min(scaleX, scaleY)),
+          isCorrect
+        });
+        break;
+      case 'poly': {
+        const points = [];
+        for (let i = 0; i + 1 < coords.length; i += 2) {
+          points.push({ x: round(coords[i] * scaleX), y: round(coords[i + 1] * scaleY) });
+        }
+        hotspotAreas.push({ shape: 'polygon', points, isCorrect });
+        break;
+      }
+      default:
+        issues.push({ level: 'warning', message: `Hotspot shape "${choice.attr('shape')}" is not supported and was left out` });
+    }
+  });
+  if (!hotspotAreas.some(area => area.isCorrect)) return { error: 'Hotspot interaction has no correct area' };
+
+  return { type: 'hotspot', hotspotAreas, hotspotImage: object.attr('data') };
+}
+
+// Rubric criteria written by our exports as "Name (weight): description"
+function readRubric($, item) {
+  const criteria = item.find('rubricBlock[view="scorer"] li').map((index, node) => {
+    const match = $(node).text().trim().match(/^(.*?)\s*\((\d+(?:\.\d+)?)\)(?::\s*(.*))?$/s);
+    return match
+      ? { name: match[1], weight: Number(match[2]), description: match[3] || '' }
+      : { name: $(node).text().trim(), weight: 1, description: '' };
+  }).get();
+  return criteria.length > 0 ? { criteria } : {};
+}
+
+// Processing that scores a match with the correct response and otherwise only sets
+// the outcomes the item's inline feedback shows, as choice items with option
+// feedback are written
+function scoresCorrectWithFeedback($, item, processing) {
+  const feedbackOutcomes = item.find('feedbackInline').map((index, node) => $(node).attr('outcomeIdentifier')).get();
+  const targets = processing.find('setOutcomeValue').map((index, node) => $(node).attr('identifier')).get();
+
+  return processing.find('responseIf > match > correct').length > 0 &&
+    targets.every(identifier => identifier === 'SCORE' || feedbackOutcomes.includes(identifier));
+}
+
+// Questions are graded by type, so scoring rules beyond the standard templates are
+// lost. Tolerances and mapped answers of text entries are read above.
+function readProcessingIssues($, item, type, issues) {
+  const processing = item.find('responseProcessing').first();
+  if (processing.length === 0) return;
+
+  const template = processing.attr('template') || processing.attr('templateLocation');
+  if (template && !KNOWN_TEMPLATES.test(template)) {
+    issues.push({ level: 'warning', message: `Response processing template "${template}" was replaced by the platform's grading` });
+  } else if (!template && !['numerical', 'fill-blank'].includes(type) &&
+      !(type === 'mcq' && scoresCorrectWithFeedback($, item, processing))) {
+    issues.push({ level: 'warning', message: 'Custom response processing was replaced by the platform\'s grading' });
+  }
+}
+
+function readUnsupportedConstructs($, item, issues) {
+  if (item.find('templateDeclaration, templateProcessing').length > 0) {
+    issues.push({ level: 'warning', message: 'Template variables are not supported; the item was imported with its authored values' });
+  }
+  // Feedback in a choice is read as its option's explanation
+  const feedback = item.find('feedbackInline, feedbackBlock')
+    .filter((index, node) => $(node).closest('simpleChoice').length === 0);
+  if (feedback.length > 0) {
+    issues.push({ level: 'warning', message: 'Inline feedback was not imported' });
+  }
+  if (item.find('stylesheet').length > 0) {
+    issues.push({ level: 'warning', message: 'Stylesheets were not imported' });
+  }
+  if (item.find('math').length > 0) {
+    issues.push({ level: 'warning', message: 'MathML was imported as plain text' });
+  }
+  if (item.attr('adaptive') === 'true') {
+    issues.push({ level: 'warning', message: 'Adaptive items are imported as a single attempt' });
+  }
+}
+
+// The question fields read from an item document, with the image paths it refers to
+// (as written in the item) and the issues found. `question` is null when the item
+// can't be imported.
+function readItem($) {
+  const item = $('assessmentItem').first();
+  if (item.length === 0) return { question: null, images: [], issues: [{ level: 'error', message: 'Not a QTI assessment item' }] };
+
+  const issues = [];
+  const body = item.find('itemBody').first();
+
+  const unsupported = UNSUPPORTED_INTERACTIONS.filter(name => body.find(name).length > 0);
+  if (unsupported.length > 0) {
+    return { question: null, images: [], issues: [{ level: 'error', message: `Unsupported interaction: ${unsupported.join(', ')}` }] };
+  }
+
+  const kinds = INTERACTIONS.filter(name => body.find(name).length > 0);
+  if (kinds.length === 0) return { question: null, images: [], issues: [{ level: 'error', message: 'Item has no interaction' }] };
+  if (kinds.length > 1 || (kinds[0] !== 'textEntryInteraction' && body.find(kinds[0]).length > 1)) {
+    return { question: null, images: [], issues: [{ level: 'error', message: 'Items with several interactions are not supported' }] };
+  }
+
+  const declarations = readResponseDeclarations($, item);
+  const interactions = body.find(kinds[0]);
+  const interaction = interactions.first();
+  const declaration = declarations[interaction.attr('responseIdentifier')];
+
+  let fields;
+  switch (kinds[0]) {
+    case 'choiceInteraction':
+      fields = readChoice($, interaction, declaration, issues);
+      break;
+    case 'textEntryInteraction':
+      fields = readTextEntries($, item, interactions, declarations);
+      break;
+    case 'matchInteraction':
+      fields = readMatching($, interaction, declaration, issues);
+      break;
+    case 'orderInteraction':
+      fields = readOrder($, interaction, declaration);
+      break;
+    case 'hotspotInteraction':
+      fields = readHotspot($, interaction, declaration, issues);
+      break;
+    default:
+      fields = { type: 'essay', essayRubric: readRubric($, item) };
+  }
+  if (fields.error) return { question: null, images: [], issues: [...issues, { level: 'error', message: fields.error }] };
+
+  readProcessingIssues($, item, fields.type, issues);
+  readUnsupportedConstructs($, item, issues);
+
+  const { blanks, hotspotImage, ...typeFields } = fields;
+  const prompt = interaction.find('prompt').first();
+  const content = [nodeText($, body, { blanks }), prompt.length > 0 ? nodeText($, prompt) : '']
+    .filter(Boolean)
+    .join('\n\n');
+
+  const images = [
+    ...(hotspotImage ? [{ src: hotspotImage, alt: '' }] : []),
+    ...body.find('img').map((index, node) => ({ src: $(node).attr('src'), alt: $(node).attr('alt') || '' })).get()
+  ].filter(image => image.src);
+
+  const maxScore = Number(item.find('outcomeDeclaration[identifier="MAXSCORE"] defaultValue value').first().text());
+  const explanation = item.find('modalFeedback').map((index, node) => nodeText($, node)).get().join('\n\n');
+
+  return {
+    question: {
+      title: item.attr('title') || item.attr('identifier'),
+      content,
+      explanation,
+      points: maxScore > 0 ? maxScore : null,
+      ...typeFields
+    },
+    images,
+    issues
+  };
+}
+
+module.exports = {
+  readItem
+};
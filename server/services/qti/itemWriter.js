@@ -0,0 +1,379 @@
+// Question → QTI assessment item. Each supported type maps to one interaction:
+//
+//   mcq / multiple-choice  choiceInteraction (maxChoices 0 when several options are correct),
+//                          option explanations as feedbackInline on their choice
+//   true-false             choiceInteraction with TRUE and FALSE choices
+//   short-answer           a string textEntryInteraction in its own paragraph, accepted
+//                          answers mapped
+//   fill-blank             a textEntryInteraction per blank, inline where the content has "___"
+//   numerical              float textEntryInteraction, tolerance in responseProcessing
+//   matching               matchInteraction, directedPair responses
+//   drag-drop              orderInteraction
+//   hotspot                hotspotInteraction over the question's first image
+//   essay                  extendedTextInteraction, rubric criteria in a scorer rubricBlock
+//
+// Other types have no QTI equivalent and are left out of exports. Items are still
+// written when a setting has no QTI equivalent (a numerical question's accepted units
+// and required unit); writeItem returns a warning for each such setting.
+
+const { element, toXml } = require('./xml');
+const { HOTSPOT_CANVAS } = require('../studentQuestions');
+
+const SUPPORTED_TYPES = ['mcq', 'multiple-choice', 'true-false', 'short-answer', 'fill-blank', 'numerical', 'matching', 'drag-drop', 'hotspot', 'essay'];
+
+const NAMESPACES = {
+  '2.1': {
+    xmlns: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd',
+    templates: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/'
+  },
+  '3.0': {
+    xmlns: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0',
+    schemaLocation: 'http://www.imsglobal.org/xsd/imsqtiasi_v3p0 https://purl.imsglobal.org/spec/qti/v3p0/schema/xsd/imsqti_asiv3p0_v1p0.xsd',
+    templates: 'https://purl.imsglobal.org/spec/qti/v3p0/rptemplates/'
+  }
+};
+
+const BLANK_PATTERN = /_{3,}/;
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+};
+
+const mimeType = href => MIME_TYPES[(href.match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase()] || 'image/png';
+
+// Plain-text content as paragraphs, keeping single line breaks
+function paragraphs(text) {
+  return String(text || '')
+    .split(/\n\s*\n/)
+    .filter(block => block.trim())
+    .map(block => element('p', {}, block.split('\n').flatMap((line, index) => (
+      index === 0 ? [line] : [element('br'), line]
+    ))));
+}
+
+function responseDeclaration(identifier, cardinality, baseType, correct = [], mapping = null) {
+  return element('responseDeclaration', { identifier, cardinality, baseType }, [
+    correct.length > 0 ? element('correctResponse', {}, correct.map(value => element('value', {}, [String(value)]))) : null,
+    mapping
+  ]);
+}
+
+const outcomeDeclaration = (identifier, value, baseType = 'float') => element('outcomeDeclaration', {
+  identifier,
+  cardinality: 'single',
+  baseType
+}, value === undefined ? [] : [element('defaultValue', {}, [element('value', {}, [String(value)])])]);
+
+// QTI 3.0 wraps the content of rubric blocks and feedback in a content body
+const contentBody = (version, children) => (version === '3.0' ? [element('contentBody', {}, children)] : children);
+
+const templateProcessing = (version, name) => element('responseProcessing', {
+  template: `${NAMESPACES[version].templates}${name}${version === '3.0' ? '.xml' : ''}`
+});
+
+const setScore = expression => element('responseProcessing', {}, [
+  element('setOutcomeValue', { identifier: 'SCORE' }, [expression])
+]);
+
+// Full credit when the condition holds
+const scoreIf = condition => element('responseCondition', {}, [
+  element('responseIf', {}, [
+    condition,
+    element('setOutcomeValue', { identifier: 'SCORE' }, [element('baseValue', { baseType: 'float' }, ['1'])])
+  ])
+]);
+
+const matchCorrect = () => element('match', {}, [
+  element('variable', { identifier: 'RESPONSE' }),
+  element('correct', { identifier: 'RESPONSE' })
+]);
+
+const choiceIdentifier = index => `CHOICE_${index + 1}`;
+
+// Option explanations are shown next to the chosen options: response processing
+// copies the response into CHOICE_FEEDBACK, which the choices' feedbackInline match
+function writeChoice(question, version) {
+  const options = question.options || [];
+  const correct = options.map((option, index) => (option.isCorrect ? choiceIdentifier(index) : null)).filter(Boolean);
+  const multiple = correct.length > 1;
+  const cardinality = multiple ? 'multiple' : 'single';
+  const hasFeedback = options.some(option => option.explanation && String(option.explanation).trim());
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', cardinality, 'identifier', correct)],
+    outcomes: hasFeedback
+      ? [element('outcomeDeclaration', { identifier: 'CHOICE_FEEDBACK', cardinality, baseType: 'identifier' })]
+      : [],
+    interaction: element('choiceInteraction', {
+      responseIdentifier: 'RESPONSE',
+      shuffle: Boolean(question.randomization && question.randomization.shuffleOptions),
+      maxChoices: multiple ? 0 : 1
+    }, options.map((option, index) => element('simpleChoice', { identifier: choiceIdentifier(index) }, [
+      option.text,
+      option.explanation && String(option.explanation).trim()
+        ? element('feedbackInline', { outcomeIdentifier: 'CHOICE_FEEDBACK', identifier: choiceIdentifier(index), showHide: 'show' }, [
+          String(option.explanation).trim()
+        ])
+        : null
+    ]))),
+    processing: hasFeedback
+      ? element('responseProcessing', {}, [
+        scoreIf(matchCorrect()),
+        element('setOutcomeValue', { identifier: 'CHOICE_FEEDBACK' }, [element('variable', { identifier: 'RESPONSE' })])
+      ])
+      : templateProcessing(version, 'match_correct')
+  };
+}
+
+function writeTrueFalse(question, version) {
+  return {
+    declarations: [responseDeclaration('RESPONSE', 'single', 'identifier', [question.trueFalseAnswer ? 'TRUE' : 'FALSE'])],
+    interaction: element('choiceInteraction', { responseIdentifier: 'RESPONSE', shuffle: false, maxChoices: 1 }, [
+      element('simpleChoice', { identifier: 'TRUE' }, ['True']),
+      element('simpleChoice', { identifier: 'FALSE' }, ['False'])
+    ]),
+    processing: templateProcessing(version, 'match_correct')
+  };
+}
+
+// A single answer box below the prompt; every accepted answer earns full credit
+function writeShortAnswer(question, version) {
+  const accepted = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer])
+    .map(value => String(value === undefined || value === null ? '' : value).trim())
+    .filter(Boolean);
+  if (accepted.length === 0) return { skipped: 'Short answer question has no correct answer' };
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', 'single', 'string', accepted.slice(0, 1),
+      element('mapping', { defaultValue: 0 }, accepted.map(value => element('mapEntry', {
+        mapKey: value,
+        mappedValue: 1,
+        caseSensitive: false
+      }))))],
+    interaction: element('p', {}, [element('textEntryInteraction', {
+      responseIdentifier: 'RESPONSE',
+      expectedLength: Math.max(10, ...accepted.map(value => value.length))
+    })]),
+    processing: templateProcessing(version, 'map_response')
+  };
+}
+
+// Blanks replace the "___" markers in the content, so the content is the body
+function writeFillBlank(question) {
+  const blanks = [...(question.fillBlankAnswers || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+  const identifier = index => `RESPONSE_${index + 1}`;
+  const entry = index => element('textEntryInteraction', {
+    responseIdentifier: identifier(index),
+    expectedLength: Math.max(10, String(blanks[index].correctAnswer || '').length)
+  });
+
+  const parts = String(question.content || '').split(BLANK_PATTERN);
+  const inline = [];
+  parts.forEach((part, index) => {
+    inline.push(part);
+    if (index < parts.length - 1 && index < blanks.length) inline.push(entry(index));
+  });
+  const extra = blanks.slice(Math.max(0, parts.length - 1)).map((blank, offset) => entry(parts.length - 1 + offset));
+
+  const declarations = blanks.map((blank, index) => {
+    const accepted = [blank.correctAnswer, ...(blank.alternatives || [])].filter(value => value !== undefined && value !== '');
+    const mapping = element('mapping', { defaultValue: 0 }, accepted.map(value => element('mapEntry', {
+      mapKey: value,
+      mappedValue: 1,
+      caseSensitive: Boolean(blank.caseSensitive)
+    })));
+    return responseDeclaration(identifier(index), 'single', 'string', accepted.slice(0, 1), mapping);
+  });
+
+  return {
+    declarations,
+    body: [
+      element('p', {}, inline.filter(part => part !== '')),
+      extra.length > 0 ? element('p', {}, extra) : null
+    ],
+    processing: setScore(element('sum', {}, blanks.map((blank, index) => element('mapResponse', { identifier: identifier(index) }))))
+  };
+}
+
+// The entry takes a number only, so the unit is printed after it and units can't be
+// checked
+function writeNumerical(question) {
+  const spec = question.numericalAnswer || {};
+  const tolerance = Math.abs(Number(spec.tolerance) || 0);
+  const match = tolerance > 0
+    ? element('equal', { toleranceMode: spec.toleranceType === 'percent' ? 'relative' : 'absolute', tolerance }, [
+      element('variable', { identifier: 'RESPONSE' }),
+      element('correct', { identifier: 'RESPONSE' })
+    ])
+    : matchCorrect();
+
+  const warnings = [];
+  if ((spec.acceptedUnits || []).filter(Boolean).length > 0) {
+    warnings.push(`Accepted units (${spec.acceptedUnits.filter(Boolean).join(', ')}) have no QTI equivalent and were left out`);
+  }
+  if (spec.unit && spec.requireUnit) {
+    warnings.push('Requiring the unit has no QTI equivalent; the exported item accepts the number alone');
+  }
+
+  return {
+    warnings,
+    declarations: [responseDeclaration('RESPONSE', 'single', 'float', [spec.value])],
+    interaction: element('p', {}, [
+      element('textEntryInteraction', { responseIdentifier: 'RESPONSE', expectedLength: 10 }),
+      spec.unit ? ` ${spec.unit}` : null
+    ]),
+    processing: element('responseProcessing', {}, [scoreIf(match)])
+  };
+}
+
+// Each correct pair earns an equal share, as the matching grader does
+function writeMatching(question, version) {
+  const pairs = question.matchingPairs || [];
+  const rights = [...new Set(pairs.map(pair => pair.right))];
+  const leftId = index => `LEFT_${index + 1}`;
+  const rightId = right => `RIGHT_${rights.indexOf(right) + 1}`;
+  const correct = pairs.map((pair, index) => `${leftId(index)} ${rightId(pair.right)}`);
+  const share = pairs.length > 0 ? Math.round((1 / pairs.length) * 10000) / 10000 : 0;
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', 'multiple', 'directedPair', correct,
+      element('mapping', { defaultValue: 0, lowerBound: 0 }, correct.map(value => element('mapEntry', { mapKey: value, mappedValue: share }))))],
+    interaction: element('matchInteraction', {
+      responseIdentifier: 'RESPONSE',
+      shuffle: Boolean(question.randomization && question.randomization.shuffleOptions),
+      maxAssociations: pairs.length
+    }, [
+      element('simpleMatchSet', {}, pairs.map((pair, index) => element('simpleAssociableChoice', { identifier: leftId(index), matchMax: 1 }, [pair.left]))),
+      element('simpleMatchSet', {}, rights.map(right => element('simpleAssociableChoice', { identifier: rightId(right), matchMax: pairs.length }, [right])))
+    ]),
+    processing: templateProcessing(version, 'map_response')
+  };
+}
+
+function writeDragDrop(question, version) {
+  const items = (question.dragDropItems || []).map((item, index) => ({ ...item, identifier: `ITEM_${index + 1}` }));
+  const correct = [...items].sort((a, b) => (a.correctPosition || 0) - (b.correctPosition || 0)).map(item => item.identifier);
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', 'ordered', 'identifier', correct)],
+    interaction: element('orderInteraction', { responseIdentifier: 'RESPONSE', shuffle: true },
+      items.map(item => element('simpleChoice', { identifier: item.identifier }, [item.content]))),
+    processing: templateProcessing(version, 'match_correct')
+  };
+}
+
+// Areas are drawn on the authoring canvas, so the image object takes its size
+function hotspotShape(area) {
+  if (area.shape === 'circle') {
+    return { shape: 'circle', coords: [area.x, area.y, Number(area.radius) || 0].join(',') };
+  }
+  if (area.shape === 'polygon' && Array.isArray(area.points)) {
+    return { shape: 'poly', coords: area.points.flatMap(point => [point.x, point.y]).join(',') };
+  }
+  const left = Math.min(area.x, area.x + area.width);
+  const top = Math.min(area.y, area.y + area.height);
+  return { shape: 'rect', coords: [left, top, left + Math.abs(area.width), top + Math.abs(area.height)].join(',') };
+}
+
+function writeHotspot(question, version, { mediaHref }) {
+  const image = question.images && question.images[0];
+  if (!image) return { skipped: 'Hotspot question has no image' };
+
+  const areas = (question.hotspotAreas || []).map((area, index) => ({ ...area, identifier: `HOTSPOT_${index + 1}` }));
+  const correct = areas.filter(area => area.isCorrect).map(area => area.identifier);
+  const href = mediaHref(image.url);
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', correct.length > 1 ? 'multiple' : 'single', 'identifier', correct)],
+    interaction: element('hotspotInteraction', { responseIdentifier: 'RESPONSE', maxChoices: correct.length > 1 ? correct.length : 1 }, [
+      element('object', { data: href, type: mimeType(href), width: HOTSPOT_CANVAS.width, height: HOTSPOT_CANVAS.height }),
+      ...areas.map(area => element('hotspotChoice', { identifier: area.identifier, ...hotspotShape(area) }))
+    ]),
+    processing: templateProcessing(version, 'match_correct'),
+    imagesInInteraction: 1
+  };
+}
+
+function writeEssay(question, version) {
+  const criteria = (question.essayRubric && question.essayRubric.criteria) || [];
+
+  return {
+    declarations: [responseDeclaration('RESPONSE', 'single', 'string')],
+    body: criteria.length > 0 ? [
+      element('rubricBlock', { view: 'scorer' }, contentBody(version, [
+        element('ul', {}, criteria.map(criterion => element('li', {}, [
+          `${criterion.name} (${Number(criterion.weight) || 1})${criterion.description ? `: ${criterion.description}` : ''}`
+        ])))
+      ]))
+    ] : [],
+    interaction: element('extendedTextInteraction', { responseIdentifier: 'RESPONSE' }),
+    processing: null
+  };
+}
+
+const writers = {
+  'mcq': writeChoice,
+  'multiple-choice': writeChoice,
+  'true-false': writeTrueFalse,
+  'short-answer': writeShortAnswer,
+  'fill-blank': writeFillBlank,
+  'numerical': writeNumerical,
+  'matching': writeMatching,
+  'drag-drop': writeDragDrop,
+  'hotspot': writeHotspot,
+  'essay': writeEssay
+};
+
+// The item XML for a question with the settings it lost as warnings, or { skipped }
+// with the reason it can't be exported. mediaHref maps an image URL to the href the
+// package stores it under.
+function writeItem(question, { identifier, version = '2.1', mediaHref = url => url }) {
+  const writer = writers[question.type];
+  if (!writer) return { skipped: `Question type "${question.type}" has no QTI equivalent` };
+
+  const parts = writer(question, version, { mediaHref });
+  if (parts.skipped) return parts;
+
+  // Fill-blank content is written with its blanks; the other types get the content
+  // and images as the prompt above the interaction
+  const images = (question.images || []).slice(parts.imagesInInteraction || 0).map(image => element('p', {}, [
+    element('img', { src: mediaHref(image.url), alt: image.alt || '' })
+  ]));
+  const body = question.type === 'fill-blank'
+    ? [...parts.body, ...images]
+    : [...(parts.body || []), ...paragraphs(question.content), ...images, parts.interaction];
+
+  const points = (question.metadata && question.metadata.points) || 1;
+  const item = element('assessmentItem', {
+    xmlns: NAMESPACES[version].xmlns,
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance',
+    'xsi:schemaLocation': NAMESPACES[version].schemaLocation,
+    identifier,
+    title: question.title,
+    adaptive: false,
+    timeDependent: false
+  }, [
+    ...parts.declarations,
+    outcomeDeclaration('SCORE', 0),
+    outcomeDeclaration('MAXSCORE', points),
+    question.explanation ? outcomeDeclaration('FEEDBACK', undefined, 'identifier') : null,
+    ...(parts.outcomes || []),
+    element('itemBody', {}, body),
+    parts.processing,
+    question.explanation ? element('modalFeedback', { outcomeIdentifier: 'FEEDBACK', identifier: 'EXPLANATION', showHide: 'hide' },
+      contentBody(version, paragraphs(question.explanation))) : null
+  ]);
+
+  return { xml: toXml(item, { version }), warnings: parts.warnings || [] };
+}
+
+module.exports = {
+  SUPPORTED_TYPES,
+  writeItem
+};
@@ -0,0 +1,91 @@
+// XML helpers shared by the QTI reader and writer.
+//
+// Items are built and read using QTI 2.1 names (camelCase elements and attributes,
+// e.g. <choiceInteraction responseIdentifier="...">). QTI 3.0 renamed every QTI
+// element to a qti- prefixed kebab-case name (<qti-choice-interaction
+// response-identifier="...">) but kept the HTML content elements, so 3.0 output is
+// renamed on the way out and 3.0 input is renamed back when it is loaded.
+
+const cheerio = require('cheerio');
+
+// HTML content elements, which keep their names in QTI 3.0
+const HTML_ELEMENTS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'li', 'object', 'ol', 'p', 'param', 'pre', 'span', 'strong', 'sub',
+  'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+const toKebab = name => name.replace(/([A-Z])/g, '-$1').toLowerCase();
+const toCamel = name => name.replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+
+function element(name, attributes = {}, children = []) {
+  return { name, attributes, children: children.filter(child => child !== null && child !== undefined) };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function elementName(name, version) {
+  if (version !== '3.0' || HTML_ELEMENTS.has(name) || name.includes(':')) return name;
+  return `qti-${toKebab(name)}`;
+}
+
+function attributeName(name, owner, version) {
+  if (version !== '3.0' || HTML_ELEMENTS.has(owner) || name.includes(':')) return name;
+  return toKebab(name);
+}
+
+// Elements with text among their children are written on one line so no whitespace
+// is added to their content
+function serialize(node, version, indent) {
+  if (typeof node !== 'object') return escapeXml(node);
+
+  const name = elementName(node.name, version);
+  const attributes = Object.keys(node.attributes)
+    .filter(key => node.attributes[key] !== undefined && node.attributes[key] !== null)
+    .map(key => ` ${attributeName(key, node.name, version)}="${escapeXml(node.attributes[key])}"`)
+    .join('');
+
+  if (node.children.length === 0) return `${indent}<${name}${attributes}/>`;
+
+  if (node.children.some(child => typeof child !== 'object')) {
+    const inline = node.children.map(child => serialize(child, version, '')).join('');
+    return `${indent}<${name}${attributes}>${inline}</${name}>`;
+  }
+
+  const children = node.children.map(child => serialize(child, version, `${indent}  `)).join('\n');
+  return `${indent}<${name}${attributes}>\n${children}\n${indent}</${name}>`;
+}
+
+// An XML document from an element tree; version '3.0' writes QTI 3.0 names
+function toXml(root, { version } = {}) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(root, version, '')}\n`;
+}
+
+// Load an XML document, renaming QTI 3.0 elements and attributes to their 2.1 names
+function loadXml(xml) {
+  const $ = cheerio.load(xml, { xml: true });
+
+  $('*').each((index, node) => {
+    if (!node.name.startsWith('qti-')) return;
+    node.name = toCamel(node.name.slice(4));
+    node.attribs = Object.keys(node.attribs).reduce((attribs, key) => {
+      attribs[key.includes(':') ? key : toCamel(key)] = node.attribs[key];
+      return attribs;
+    }, {});
+  });
+
+  return $;
+}
+
+module.exports = {
+  element,
+  escapeXml,
+  toXml,
+  loadXml
+};
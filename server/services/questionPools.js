@@ -0,0 +1,212 @@
+// Question pools: a section with a `pool` draws its questions from the question bank
+// when each attempt starts instead of listing them up front.
+//
+//   section.pool = {
+//     count,      total questions to draw (at least the sum of the strata)
+//     points,     points per drawn question
+//     filters:    { topic, tags: [], difficulty: [], type: [] } over active questions,
+//                 published or by the exam's author
+//     strata:     [{ count, difficulty?, type?, topic?, tags? }], e.g. 2 easy, 3 medium, 1 hard
+//   }
+//
+// Strata are filled first, in order, and any remaining count comes from the rest of
+// the pool. The draw is made from the attempt's layout seed and the drawn question IDs
+// are stored as attempt.layout.pools ({ [sectionId]: [questionId, ...] }), so every
+// student gets a different but equivalent paper that can be reconstructed later.
+
+const { questionRepository } = require('../repositories');
+const { sectionKey } = require('./attemptTimer');
+const { createRng, shuffle } = require('./seededRandom');
+
+const CRITERIA = ['topic', 'tags', 'difficulty', 'type'];
+
+const asList = value => (value === undefined || value === null || value === '' ? [] : [].concat(value));
+
+function buildCriteria(data = {}) {
+  return {
+    topic: data.topic || null,
+    tags: asList(data.tags),
+    difficulty: asList(data.difficulty),
+    type: asList(data.type)
+  };
+}
+
+// Normalize a pool definition from the request body
+function buildPool(data) {
+  const strata = (data.strata || [])
+    .filter(stratum => Number(stratum.count) > 0)
+    .map(stratum => ({ ...buildCriteria(stratum), count: Number(stratum.count) }));
+  const strataTotal = strata.reduce((sum, stratum) => sum + stratum.count, 0);
+
+  return {
+    count: Math.max(Number(data.count) || 0, strataTotal),
+    points: Number(data.points) || 1,
+    filters: buildCriteria(data.filters),
+    strata
+  };
+}
+
+const isPoolSection = section => Boolean(section && section.pool);
+
+// Repository filter for the questions a pool may draw from. Drafts are only drawn into
+// their own author's exams; other instructors' unpublished questions stay private.
+function poolFilter(pool, author) {
+  const { topic, tags, difficulty, type } = pool.filters || {};
+  const filter = {
+    isActive: true,
+    $or: [{ isPublished: true }, ...(author ? [{ author }] : [])]
+  };
+
+  if (topic) filter['metadata.topic'] = topic;
+  if (tags && tags.length > 0) filter['metadata.tags'] = { $in: tags };
+  if (difficulty && difficulty.length > 0) filter['metadata.difficulty'] = { $in: difficulty };
+  if (type && type.length > 0) filter.type = { $in: type };
+
+  return filter;
+}
+
+function matchesCriteria(question, criteria) {
+  const metadata = question.metadata || {};
+  return CRITERIA.every(key => {
+    const expected = asList(criteria[key]);
+    if (expected.length === 0) return true;
+    if (key === 'tags') return (metadata.tags || []).some(tag => expected.includes(tag));
+    if (key === 'type') return expected.includes(question.type);
+    return expected.includes(metadata[key]);
+  });
+}
+
+// Draw a pool's questions from its candidates. Returns the drawn questions, or the
+// first stratum (or the remainder) that doesn't have enough candidates.
+function drawFromCandidates(pool, candidates, rng) {
+  const sorted = [...candidates].sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  const picked = new Set();
+  const drawn = [];
+
+  const take = (criteria, count) => {
+    const eligible = sorted.filter(question => !picked.has(question.id) && matchesCriteria(question, criteria));
+    if (eligible.length < count) {
+      return { ...criteria, required: count, available: eligible.length };
+    }
+    shuffle(eligible, rng).slice(0, count).forEach(question => {
+      picked.add(question.id);
+      drawn.push(question);
+    });
+    return null;
+  };
+
+  for (const stratum of pool.strata || []) {
+    const shortage = take(stratum, stratum.count);
+    if (shortage) return { drawn: null, shortage };
+  }
+
+  const shortage = take({}, pool.count - drawn.length);
+  return shortage ? { drawn: null, shortage } : { drawn, shortage: null };
+}
+
+async function findPoolCandidates(pool, author) {
+  return questionRepository.find(poolFilter(pool, author));
+}
+
+// How many questions the pool can draw from, overall and per stratum, for an exam by
+// the given author
+async function checkPoolAvailability(pool, author, seed = 'availability') {
+  const candidates = await findPoolCandidates(pool, author);
+  const { shortage } = drawFromCandidates(pool, candidates, createRng(seed));
+
+  return {
+    required: pool.count,
+    available: candidates.length,
+    strata: (pool.strata || []).map(stratum => ({
+      ...stratum,
+      available: candidates.filter(question => matchesCriteria(question, stratum)).length
+    })),
+    satisfiable: !shortage,
+    shortage
+  };
+}
+
+// Draw every pool section of an exam for a new attempt. Returns the drawn questions
+// keyed by section, plus the sections that couldn't be filled.
+async function drawPoolQuestions(exam, seed) {
+  const drawn = {};
+  const shortages = [];
+
+  // A question appears at most once per paper, so pools skip questions already used
+  const used = new Set(exam.sections.filter(section => !isPoolSection(section)).flatMap(section =>
+    section.questions.map(ref => (ref.question && ref.question.id ? ref.question.id : String(ref.question)))));
+
+  for (const section of exam.sections.filter(isPoolSection)) {
+    const key = sectionKey(exam, section);
+    const candidates = (await findPoolCandidates(section.pool, exam.author)).filter(question => !used.has(question.id));
+    const result = drawFromCandidates(section.pool, candidates, createRng(seed, `pool:${key}`));
+
+    if (result.shortage) {
+      shortages.push({ sectionId: key, sectionName: section.name, ...result.shortage });
+    } else {
+      drawn[key] = result.drawn;
+      result.drawn.forEach(question => used.add(question.id));
+    }
+  }
+
+  return { drawn, shortages };
+}
+
+// The exam as one attempt sees it: each pool section holds the questions drawn for
+// that attempt (question documents or IDs), worth the pool's points each
+function applyPoolDraw(exam, drawn) {
+  if (!exam.sections.some(isPoolSection)) return exam;
+
+  const sections = exam.sections.map(section => {
+    if (!isPoolSection(section)) return section;
+    const questions = (drawn[sectionKey(exam, section)] || []).map((question, order) => ({
+      question,
+      points: section.pool.points || 1,
+      order
+    }));
+    return { ...section, questions };
+  });
+
+  return new exam.constructor({ ...exam.toObject(), sections });
+}
+
+// Question IDs of a draw, in the form stored on the attempt layout
+function drawnQuestionIds(drawn) {
+  return Object.keys(drawn).reduce((ids, key) => ({
+    ...ids,
+    [key]: drawn[key].map(question => question.id)
+  }), {});
+}
+
+// Rebuild an attempt's drawn sections from its stored layout, loading the question
+// documents when the caller needs them populated
+async function resolveAttemptExam(exam, layout, { populate = false } = {}) {
+  if (!layout || !exam.sections.some(isPoolSection)) return exam;
+
+  const drawn = {};
+  exam.sections.filter(isPoolSection).forEach(section => {
+    const key = sectionKey(exam, section);
+    drawn[key] = (layout.pools && layout.pools[key]) || [];
+  });
+
+  if (populate) {
+    const questions = await questionRepository.findByIds(Object.values(drawn).flat());
+    const byId = new Map(questions.map(question => [question.id, question]));
+    Object.keys(drawn).forEach(key => {
+      drawn[key] = drawn[key].map(id => byId.get(id)).filter(Boolean);
+    });
+  }
+
+  return applyPoolDraw(exam, drawn);
+}
+
+module.exports = {
+  buildPool,
+  isPoolSection,
+  poolFilter,
+  checkPoolAvailability,
+  drawPoolQuestions,
+  applyPoolDraw,
+  drawnQuestionIds,
+  resolveAttemptExam
+};
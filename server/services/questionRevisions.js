@@ -0,0 +1,245 @@
+// Question version history. Every change to a question's content is kept as an
+// immutable revision in the questionRevisions collection, numbered from 1, while the
+// question document holds the latest content and its number in question.revision.
+//
+// Exam sections pin the questions they list to a revision (section.questions[].revision)
+// and attempts record the revision of every question they were built from
+// (attempt.questionRevisions = { [questionId]: revision }), so editing a question
+// doesn't change what an exam asks or how a past attempt is graded. Restoring an old
+// revision adds a new revision with its content; history is never rewritten.
+//
+// Questions written before history was kept have revision 0. They are treated as
+// revision 1, which their first edit records from their content at that point.
+
+const Question = require('../models/Question');
+const { questionRepository, questionRevisionRepository } = require('../repositories');
+
+// The fields a revision captures; everything else (author, publishing, usage
+// statistics) belongs to the question rather than to a version of it
+const REVISION_FIELDS = [
+  'title',
+  'type',
+  'content',
+  'options',
+  'correctAnswer',
+  'codeTemplate',
+  'images',
+  'metadata',
+  'hints',
+  'explanation',
+  'references',
+  'adaptiveSettings',
+  'randomization',
+  'trueFalseAnswer',
+  'fillBlankAnswers',
+  'matchingPairs',
+  'numericalAnswer',
+  'dragDropItems',
+  'hotspotAreas',
+  'mathematicalExpression',
+  'essayRubric'
+];
+
+// Fields a content update may not set
+const PROTECTED_FIELDS = ['id', 'author', 'revision', 'usage', 'createdAt', 'updatedAt'];
+
+// JSON with object keys sorted, so equal content compares equal whatever order it
+// was written in
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const sameValue = (a, b) => canonical(a) === canonical(b);
+
+const currentRevision = question => question.revision || 1;
+
+function snapshotOf(question) {
+  return REVISION_FIELDS.reduce((snapshot, field) => {
+    const value = question[field];
+    snapshot[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    return snapshot;
+  }, {});
+}
+
+// Field-by-field differences between two snapshots
+function diffRevisions(from, to) {
+  return REVISION_FIELDS
+    .filter(field => !sameValue(from[field], to[field]))
+    .map(field => ({ field, before: from[field], after: to[field] }));
+}
+
+function findRevision(questionId, revision) {
+  return questionRevisionRepository.findOne({ question: questionId, revision });
+}
+
+function listRevisions(questionId) {
+  return questionRevisionRepository.find({ question: questionId })
+    .populate('editedBy', 'firstName lastName')
+    .sort({ revision: -1 });
+}
+
+// Start the history of a question just saved with revision 1
+function recordCreated(question, editedBy) {
+  return questionRevisionRepository.create({
+    question: question.id,
+    revision: 1,
+    snapshot: snapshotOf(question),
+    editedBy,
+    note: 'Created'
+  });
+}
+
+// Give a question written before history was kept its first revision
+async function ensureHistory(question) {
+  if (question.revision > 0) return question;
+
+  const updated = await questionRepository.updateById(
+    question.id,
+    { $set: { revision: 1 } },
+    { filter: { revision: 0 } }
+  );
+  // Another request recorded it first
+  if (!updated) return questionRepository.findById(question.id);
+
+  await questionRevisionRepository.create({
+    question: question.id,
+    revision: 1,
+    snapshot: snapshotOf(question),
+    editedBy: question.author,
+    note: 'Original version'
+  });
+  return updated;
+}
+
+// Save changes to a question, recording a revision when its content changes.
+// Resolves to { question, revision }, with revision null when only non-content fields
+// (such as isPublished) changed, or to { conflict: true } when the question was saved
+// by someone else after `question` was loaded.
+async function updateQuestion(question, changes, { editedBy, note = '', restoredFrom = null } = {}) {
+  const update = { ...changes };
+  PROTECTED_FIELDS.forEach(field => delete update[field]);
+
+  const current = await ensureHistory(question);
+  if (!current || current.revision !== currentRevision(question)) return { conflict: true };
+
+  const before = snapshotOf(current);
+  const after = snapshotOf({ ...current, ...update });
+
+  if (sameValue(before, after)) {
+    const saved = await questionRepository.updateById(current.id, { $set: update });
+    return { question: saved, revision: null };
+  }
+
+  const revision = current.revision + 1;
+  const saved = await questionRepository.updateById(
+    current.id,
+    { $set: { ...update, revision } },
+    { filter: { revision: current.revision } }
+  );
+  if (!saved) return { conflict: true };
+
+  const record = await questionRevisionRepository.create({
+    question: saved.id,
+    revision,
+    snapshot: snapshotOf(saved),
+    editedBy,
+    note,
+    restoredFrom
+  });
+  return { question: saved, revision: record };
+}
+
+// Make an earlier revision's content current again, as a new revision. Resolves to
+// null when the revision doesn't exist, otherwise as updateQuestion.
+async function restoreRevision(question, revision, editedBy) {
+  const record = await findRevision(question.id, revision);
+  if (!record) return null;
+
+  return updateQuestion(question, record.snapshot, {
+    editedBy,
+    note: `Restored revision ${revision}`,
+    restoredFrom: revision
+  });
+}
+
+// A question as it was at a revision. The current document stands in when it is that
+// revision, or when the revision was never recorded (a pre-history question pinned
+// before its first edit).
+async function questionAtRevision(question, revision) {
+  if (!question || !revision || revision === currentRevision(question)) return question;
+
+  const record = await findRevision(question.id, revision);
+  if (!record) return question;
+
+  return new Question({ ...question, ...record.snapshot, revision });
+}
+
+// Load questions by ID at the revisions an attempt pinned them to
+async function findQuestionsAt(ids, pins = {}) {
+  const questions = await questionRepository.findByIds(ids);
+  return Promise.all(questions.map(question => questionAtRevision(question, pins[question.id])));
+}
+
+// Revision pins for every question of an exam with populated (and drawn) sections:
+// the section's own pin where it has one, otherwise the current revision
+function examRevisionPins(examData) {
+  const pins = {};
+  examData.sections.forEach(section => {
+    section.questions.forEach(ref => {
+      if (!ref.question || typeof ref.question !== 'object') return;
+      pins[ref.question.id] = ref.revision || currentRevision(ref.question);
+    });
+  });
+  return pins;
+}
+
+// Substitute each populated question of an exam with its pinned revision
+async function applyRevisions(exam, pins = {}) {
+  const sections = await Promise.all(exam.sections.map(async section => ({
+    ...section,
+    questions: await Promise.all(section.questions.map(async ref => {
+      if (!ref.question || typeof ref.question !== 'object') return ref;
+      return { ...ref, question: await questionAtRevision(ref.question, pins[ref.question.id]) };
+    }))
+  })));
+
+  return new exam.constructor({ ...exam.toObject(), sections });
+}
+
+// Pin section question refs that don't name a revision to the current one
+async function pinSectionRevisions(sections) {
+  const unpinned = sections.flatMap(section => section.questions || []).filter(ref => !ref.revision);
+  if (unpinned.length === 0) return sections;
+
+  const questions = await questionRepository.findByIds(unpinned.map(ref => ref.question));
+  const revisions = new Map(questions.map(question => [question.id, currentRevision(question)]));
+  unpinned.forEach(ref => {
+    ref.revision = revisions.get(String(ref.question)) || 1;
+  });
+  return sections;
+}
+
+module.exports = {
+  REVISION_FIELDS,
+  snapshotOf,
+  diffRevisions,
+  findRevision,
+  listRevisions,
+  recordCreated,
+  updateQuestion,
+  restoreRevision,
+  questionAtRevision,
+  findQuestionsAt,
+  examRevisionPins,
+  applyRevisions,
+  pinSectionRevisions
+};
@@ -0,0 +1,292 @@
+// Full-text search over the question bank. An inverted index maps each stemmed word to
+// the questions it appears in, so a query only touches the questions that can match.
+// Queries are made of clauses that must all match:
+//
+//   photosynthesis light     words, stemmed ("running" finds "runs")
+//   "binary search tree"     a phrase: the words next to each other in one field
+//   recurs*                  a prefix ("recursion", "recursive", ...)
+//
+// Results are ranked by how often the words appear, weighted by field (a title match
+// counts more than one in the content) and by how rare each word is in the bank.
+//
+// The index is built from the questions collection on first use and kept current by
+// the Question model and the question repository, which call sync() after each write.
+// It lives in this process, so writes made by another server process aren't seen
+// until this one restarts. It holds every organization's questions; searches only
+// return the current organization's (services/tenancy.js).
+
+const natural = require('natural');
+const { DEFAULT_ORGANIZATION, currentOrganization, unscoped } = require('./tenancy');
+
+const FIELD_WEIGHTS = { title: 3, topic: 2, tags: 2, content: 1 };
+const FACETS = ['type', 'difficulty', 'topic', 'tags'];
+
+// How quickly repeated occurrences of a word stop adding to the score
+const SATURATION = 1.2;
+
+const tokenizer = new natural.RegexpTokenizer({ pattern: /[^\p{L}\p{N}]+/u });
+
+// Lower-cased words with accents removed, so "Café" and "cafe" are the same word
+const words = text => tokenizer.tokenize(
+  String(text || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+);
+
+const stem = word => natural.PorterStemmer.stem(word);
+
+const terms = text => words(text).map(stem);
+
+const documents = new Map();
+const postings = new Map();
+
+// 'empty' until the first search, 'building' while the collection loads, then 'ready'
+let state = 'empty';
+let building = null;
+let pending = new Map();
+
+function removeDocument(id) {
+  const document = documents.get(id);
+  if (!document) return;
+
+  Object.keys(document.weights).forEach(term => {
+    const entries = postings.get(term);
+    entries.delete(id);
+    if (entries.size === 0) postings.delete(term);
+  });
+  documents.delete(id);
+}
+
+function addDocument(question) {
+  const metadata = question.metadata || {};
+  const tags = metadata.tags || [];
+  const fields = {
+    title: terms(question.title),
+    topic: terms(metadata.topic),
+    tags: terms(tags.join(' ')),
+    content: terms(String(question.content || '').replace(/<[^>]*>/g, ' '))
+  };
+
+  // Occurrences of each term, weighted by the field they are in
+  const weights = {};
+  Object.entries(fields).forEach(([field, fieldTerms]) => {
+    fieldTerms.forEach(term => {
+      weights[term] = (weights[term] || 0) + FIELD_WEIGHTS[field];
+    });
+  });
+
+  documents.set(question.id, {
+    id: question.id,
+    fields,
+    weights,
+    type: question.type,
+    difficulty: metadata.difficulty || null,
+    topic: metadata.topic || null,
+    tags,
+    author: question.author && typeof question.author === 'object' ? question.author.id : question.author,
+    organization: question.organization || DEFAULT_ORGANIZATION,
+    isActive: question.isActive !== false,
+    createdAt: new Date(question.createdAt || 0).getTime()
+  });
+  Object.entries(weights).forEach(([term, weight]) => {
+    if (!postings.has(term)) postings.set(term, new Map());
+    postings.get(term).set(question.id, weight);
+  });
+}
+
+function apply(id, question) {
+  removeDocument(id);
+  if (question) addDocument(question);
+}
+
+// Record a write: the question as saved, or null when it was deleted
+function sync(id, question) {
+  if (state === 'empty') return;
+  if (state === 'building') {
+    pending.set(id, question);
+    return;
+  }
+  apply(id, question);
+}
+
+async function build() {
+  // Required here: the repositories load the Question model, which requires this module
+  const { questionRepository } = require('../repositories');
+
+  state = 'building';
+  pending = new Map();
+  try {
+    const questions = await unscoped(() => questionRepository.find({}));
+    documents.clear();
+    postings.clear();
+    questions.forEach(addDocument);
+    // Writes that landed while the collection was loading
+    pending.forEach((question, id) => apply(id, question));
+    state = 'ready';
+  } catch (error) {
+    state = 'empty';
+    throw error;
+  } finally {
+    pending = new Map();
+  }
+}
+
+function ensureIndex() {
+  if (state === 'ready') return Promise.resolve();
+  if (state === 'empty') {
+    building = build().finally(() => {
+      building = null;
+    });
+  }
+  return building;
+}
+
+// Split a query into phrase, prefix and word clauses
+function parseQuery(text) {
+  const clauses = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[1] !== undefined) {
+      const phrase = terms(match[1]);
+      if (phrase.length > 1) clauses.push({ kind: 'phrase', terms: phrase });
+      else if (phrase.length === 1) clauses.push({ kind: 'term', term: phrase[0] });
+      continue;
+    }
+
+    const token = match[2];
+    const parts = words(token);
+    if (parts.length === 0) continue;
+
+    // "e-mail" reads as the phrase "e mail"; in "e-ma*" only the last word is a prefix
+    const last = token.endsWith('*') ? parts.pop() : null;
+    if (parts.length > 1) clauses.push({ kind: 'phrase', terms: parts.map(stem) });
+    else if (parts.length === 1) clauses.push({ kind: 'term', term: stem(parts[0]) });
+    if (last) clauses.push({ kind: 'prefix', prefix: last, stem: stem(last) });
+  }
+
+  return clauses;
+}
+
+const idf = term => Math.log(1 + documents.size / ((postings.get(term) || new Map()).size || 1));
+
+const saturate = weight => (weight * (SATURATION + 1)) / (weight + SATURATION);
+
+function termScores(term, scores = new Map()) {
+  const entries = postings.get(term);
+  if (!entries) return scores;
+  const rarity = idf(term);
+  entries.forEach((weight, id) => {
+    scores.set(id, (scores.get(id) || 0) + saturate(weight) * rarity);
+  });
+  return scores;
+}
+
+// Weighted count of the places a phrase appears in a question
+function phraseWeight(document, phrase) {
+  let weight = 0;
+  Object.entries(document.fields).forEach(([field, fieldTerms]) => {
+    for (let start = 0; start + phrase.length <= fieldTerms.length; start++) {
+      if (phrase.every((term, offset) => fieldTerms[start + offset] === term)) {
+        weight += FIELD_WEIGHTS[field];
+      }
+    }
+  });
+  return weight;
+}
+
+// Questions matching one clause, with their score for it
+function clauseScores(clause) {
+  if (clause.kind === 'term') return termScores(clause.term);
+
+  if (clause.kind === 'prefix') {
+    const scores = new Map();
+    postings.forEach((entries, term) => {
+      if (term.startsWith(clause.prefix) || term.startsWith(clause.stem)) termScores(term, scores);
+    });
+    return scores;
+  }
+
+  const scores = new Map();
+  const [first, ...rest] = clause.terms;
+  const rarity = clause.terms.reduce((sum, term) => sum + idf(term), 0);
+  (postings.get(first) || new Map()).forEach((weight, id) => {
+    if (!rest.every(term => postings.has(term) && postings.get(term).has(id))) return;
+    const phrase = phraseWeight(documents.get(id), clause.terms);
+    if (phrase > 0) scores.set(id, saturate(phrase) * rarity);
+  });
+  return scores;
+}
+
+function matchQuery(clauses) {
+  let scores = null;
+  clauses.forEach(clause => {
+    const matched = clauseScores(clause);
+    if (scores === null) {
+      scores = matched;
+      return;
+    }
+    const combined = new Map();
+    scores.forEach((score, id) => {
+      if (matched.has(id)) combined.set(id, score + matched.get(id));
+    });
+    scores = combined;
+  });
+  return scores;
+}
+
+// Whether a question passes the filters, leaving out one facet's own filter
+function passes(document, filters, except = null) {
+  if (except !== 'type' && filters.type && document.type !== filters.type) return false;
+  if (except !== 'difficulty' && filters.difficulty && document.difficulty !== filters.difficulty) return false;
+  if (except !== 'topic' && filters.topic && document.topic !== filters.topic) return false;
+  if (except !== 'tags' && filters.tags.length > 0 && !filters.tags.some(tag => document.tags.includes(tag))) return false;
+  if (filters.author && document.author !== filters.author) return false;
+  return true;
+}
+
+// Counts for each facet value among the matches. A facet's counts ignore its own
+// filter, so the other values stay visible (and selectable) once one is chosen.
+function facetCounts(matches, filters) {
+  const facets = {};
+  FACETS.forEach(facet => {
+    const counts = new Map();
+    matches.filter(document => passes(document, filters, facet)).forEach(document => {
+      const values = facet === 'tags' ? document.tags : [document[facet]];
+      values.filter(value => value !== null && value !== undefined && value !== '').forEach(value => {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      });
+    });
+    facets[facet] = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+  });
+  return facets;
+}
+
+// Active questions matching the query text and filters. Resolves to their IDs, best
+// match first (newest first without query text), and the facet counts.
+async function search({ text = '', type, difficulty, topic, tags = [], author } = {}) {
+  await ensureIndex();
+
+  const clauses = parseQuery(String(text || ''));
+  const scores = clauses.length > 0 ? matchQuery(clauses) : null;
+  const organization = currentOrganization();
+  const matches = (scores ? [...scores.keys()] : [...documents.keys()])
+    .map(id => documents.get(id))
+    .filter(document => document.isActive && (organization === null || document.organization === organization));
+
+  const filters = { type, difficulty, topic, tags, author };
+  const results = matches
+    .filter(document => passes(document, filters))
+    .sort((a, b) => (scores ? scores.get(b.id) - scores.get(a.id) : 0) || b.createdAt - a.createdAt);
+
+  return {
+    ids: results.map(document => document.id),
+    facets: facetCounts(matches, filters)
+  };
+}
+
+module.exports = {
+  search,
+  sync
+};
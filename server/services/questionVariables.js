@@ -0,0 +1,252 @@
+// Templated questions: questions with variables, so every attempt gets its own
+// numbers. A question is templated when randomization.randomizeValues is set and
+// randomization.variables defines at least one variable:
+//
+//   { name: 'a', min: 2, max: 9, step: 1 }       a value from the range, in steps
+//   { name: 'g', values: [9.8, 9.81] }           one of the listed values (numbers or text)
+//   { name: 'area', expression: 'a * b' }        computed from the variables before it
+//
+// Any of them may set decimals to round the value. The content, explanation, hints
+// and option texts show a variable as {a} and a computed value inline as {=a * b};
+// braces around anything else (LaTeX, code) are left alone. For numerical questions,
+// numericalAnswer.value and tolerance may be expressions such as "{a} * {b}" or
+// "a * b" (see expressions.js).
+//
+// Values are drawn when an attempt starts, from the attempt's layout seed, and stored
+// with the computed answer as attempt.questionValues:
+//
+//   { [questionId]: { values: { a: 3, g: 9.81 }, answer: 29.43 } }
+//
+// The student sees and is graded against the question with those values filled in.
+
+const { RESERVED, parse, evaluate, variablesOf } = require('./expressions');
+const { createRng } = require('./seededRandom');
+
+// Draws that give an expression no finite value (a division by zero, say) are redrawn
+const MAX_DRAWS = 20;
+
+const NAME = /^[A-Za-z_]\w*$/;
+const PLACEHOLDER = /\{(=?)\s*([^{}]+?)\s*\}/g;
+const TEXT_FIELDS = ['content', 'explanation'];
+
+const questionIdOf = ref => (ref.question && ref.question.id ? ref.question.id : String(ref.question));
+
+const variablesOfQuestion = question =>
+  (question && question.randomization && Array.isArray(question.randomization.variables)
+    ? question.randomization.variables
+    : []);
+
+const isTemplated = question =>
+  Boolean(question && question.randomization && question.randomization.randomizeValues) &&
+  variablesOfQuestion(question).length > 0;
+
+// "{a} * {b}" and "a * b" are the same expression
+const expressionSource = value => String(value).replace(/\{\s*([A-Za-z_]\w*)\s*\}/g, '$1');
+
+const isExpression = value => typeof value === 'string' && value.trim() !== '' && !Number.isFinite(Number(value));
+
+const roundTo = (value, decimals) => {
+  if (typeof value !== 'number' || decimals === undefined || decimals === null || decimals === '') return value;
+  return Math.round(value * 10 ** decimals) / 10 ** decimals;
+};
+
+// Computed numbers without floating point noise: 0.1 + 0.2 is 0.3
+const clean = value => (typeof value === 'number' ? Number(value.toPrecision(12)) : value);
+
+const formatValue = value => String(clean(value));
+
+// The texts of a question that may hold placeholders
+function templateTexts(question) {
+  return [
+    ...TEXT_FIELDS.map(field => question[field]),
+    ...(question.hints || []).map(hint => (typeof hint === 'string' ? hint : hint && hint.text)),
+    ...(question.options || []).map(option => option && option.text)
+  ].filter(text => typeof text === 'string');
+}
+
+// Problems with a question's variables and placeholders, as messages for its author;
+// an empty list when it is fine or isn't templated
+function checkVariables(question) {
+  if (!isTemplated(question)) return [];
+
+  const problems = [];
+  const defined = new Set();
+  variablesOfQuestion(question).forEach((variable, index) => {
+    const label = variable && variable.name ? `Variable "${variable.name}"` : `Variable ${index + 1}`;
+    if (!variable || typeof variable.name !== 'string' || !NAME.test(variable.name)) {
+      problems.push(`${label} needs a name made of letters, digits and underscores`);
+      return;
+    }
+    if (RESERVED.includes(variable.name)) problems.push(`${label} has the name of a function or constant`);
+    if (defined.has(variable.name)) problems.push(`${label} is defined twice`);
+
+    if (variable.expression !== undefined) {
+      try {
+        const unknown = [...variablesOf(parse(expressionSource(variable.expression)))].filter(name => !defined.has(name));
+        if (unknown.length > 0) problems.push(`${label} uses ${unknown.join(', ')} before it is defined`);
+      } catch (error) {
+        problems.push(`${label}: ${error.message}`);
+      }
+    } else if (variable.values !== undefined) {
+      if (!Array.isArray(variable.values) || variable.values.length === 0) {
+        problems.push(`${label} needs at least one value`);
+      }
+    } else {
+      const min = Number(variable.min);
+      const max = Number(variable.max);
+      const step = variable.step === undefined ? 1 : Number(variable.step);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        problems.push(`${label} needs a range with min no greater than max`);
+      } else if (!Number.isFinite(step) || step <= 0) {
+        problems.push(`${label} needs a positive step`);
+      }
+    }
+    if (variable.decimals !== undefined && !(Number.isInteger(variable.decimals) && variable.decimals >= 0 && variable.decimals <= 10)) {
+      problems.push(`${label} needs decimals between 0 and 10`);
+    }
+    defined.add(variable.name);
+  });
+
+  const checkExpression = (source, where) => {
+    try {
+      const unknown = [...variablesOf(parse(expressionSource(source)))].filter(name => !defined.has(name));
+      if (unknown.length > 0) problems.push(`${where} uses undefined variables: ${unknown.join(', ')}`);
+    } catch (error) {
+      problems.push(`${where}: ${error.message}`);
+    }
+  };
+
+  templateTexts(question).forEach(text => {
+    [...text.matchAll(PLACEHOLDER)].forEach(([, computed, inner]) => {
+      if (computed) checkExpression(inner, `Placeholder {=${inner}}`);
+    });
+  });
+
+  const spec = question.numericalAnswer || {};
+  if (isExpression(spec.value)) checkExpression(spec.value, 'Numerical answer');
+  if (isExpression(spec.tolerance)) checkExpression(spec.tolerance, 'Tolerance');
+
+  return problems;
+}
+
+function drawVariable(variable, scope, rng) {
+  if (variable.expression !== undefined) return clean(evaluate(expressionSource(variable.expression), scope));
+  if (variable.values !== undefined) {
+    const value = variable.values[Math.floor(rng() * variable.values.length)];
+    // Listed numbers may arrive as text from forms
+    return isExpression(value) || typeof value !== 'string' || value.trim() === '' ? value : Number(value);
+  }
+
+  const min = Number(variable.min);
+  const step = variable.step === undefined ? 1 : Number(variable.step);
+  const count = Math.floor((Number(variable.max) - min) / step + 1e-9) + 1;
+  // Steps like 0.1 aren't exact in binary; keep the step's decimals
+  const stepDecimals = (String(step).split('.')[1] || '').length;
+  return roundTo(min + Math.floor(rng() * count) * step, stepDecimals);
+}
+
+const computeAnswer = (question, values) => {
+  const spec = question.numericalAnswer || {};
+  if (question.type !== 'numerical' || spec.value === undefined || spec.value === null || spec.value === '') return null;
+  return isExpression(spec.value) ? clean(evaluate(expressionSource(spec.value), values)) : Number(spec.value);
+};
+
+const computeTolerance = (spec, values) =>
+  (isExpression(spec.tolerance) ? clean(evaluate(expressionSource(spec.tolerance), values)) : spec.tolerance);
+
+// Values for one question and the answer they give. The same seed always gives the
+// same values. Throws when no draw gives every expression a finite value.
+function drawValues(question, seed) {
+  let lastError = null;
+  for (let draw = 0; draw < MAX_DRAWS; draw++) {
+    const rng = createRng(seed, draw === 0 ? `values:${question.id}` : `values:${question.id}:${draw}`);
+    const values = {};
+    try {
+      variablesOfQuestion(question).forEach(variable => {
+        values[variable.name] = roundTo(drawVariable(variable, values, rng), variable.decimals);
+      });
+      const answer = computeAnswer(question, values);
+      computeTolerance(question.numericalAnswer || {}, values);
+      return { values, answer };
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(`Could not draw values for question ${question.id}: ${lastError.message}`);
+}
+
+// Values for every templated question of a populated exam
+function drawExamValues(exam, seed) {
+  const drawn = {};
+  exam.sections.forEach(section => {
+    section.questions.forEach(ref => {
+      if (ref.question && typeof ref.question === 'object' && isTemplated(ref.question)) {
+        drawn[questionIdOf(ref)] = drawValues(ref.question, seed);
+      }
+    });
+  });
+  return drawn;
+}
+
+function fillText(text, values) {
+  if (typeof text !== 'string') return text;
+  return text.replace(PLACEHOLDER, (placeholder, computed, inner) => {
+    if (computed) {
+      try {
+        return formatValue(evaluate(expressionSource(inner), values));
+      } catch (error) {
+        return placeholder;
+      }
+    }
+    return Object.prototype.hasOwnProperty.call(values, inner) ? formatValue(values[inner]) : placeholder;
+  });
+}
+
+// The question with an attempt's drawn values filled in; other questions unchanged
+function instantiateQuestion(question, drawn) {
+  if (!question || typeof question !== 'object' || !drawn || !isTemplated(question)) return question;
+
+  const { values } = drawn;
+  const instance = { ...question };
+  TEXT_FIELDS.forEach(field => {
+    instance[field] = fillText(question[field], values);
+  });
+  instance.hints = (question.hints || []).map(hint => (typeof hint === 'string'
+    ? fillText(hint, values)
+    : { ...hint, text: fillText(hint && hint.text, values) }));
+  instance.options = (question.options || []).map(option => ({ ...option, text: fillText(option.text, values) }));
+
+  if (question.numericalAnswer) {
+    const spec = question.numericalAnswer;
+    instance.numericalAnswer = {
+      ...spec,
+      value: drawn.answer !== undefined && drawn.answer !== null ? drawn.answer : spec.value,
+      tolerance: computeTolerance(spec, values)
+    };
+  }
+  return instance;
+}
+
+// A populated exam object with every templated question filled in for an attempt
+function instantiateExam(examData, questionValues) {
+  if (!questionValues || Object.keys(questionValues).length === 0) return examData;
+  return {
+    ...examData,
+    sections: examData.sections.map(section => ({
+      ...section,
+      questions: section.questions.map(ref => ({
+        ...ref,
+        question: instantiateQuestion(ref.question, questionValues[questionIdOf(ref)])
+      }))
+    }))
+  };
+}
+
+module.exports = {
+  isTemplated,
+  checkVariables,
+  drawValues,
+  drawExamValues,
+  instantiateQuestion,
+  instantiateExam
+};
@@ -0,0 +1,120 @@
+const quizFormats = require('..');
+
+const metadata = { topic: 'Geography', difficulty: 'easy', tags: ['europe'], points: 2, estimatedTime: 3 };
+
+const questions = [
+  {
+    id: 'q1',
+    title: 'Capital',
+    type: 'mcq',
+    content: 'Capital of France?',
+    explanation: 'Paris has been the capital since 987',
+    options: [
+      { text: 'Paris', isCorrect: true, explanation: 'Right' },
+      { text: 'Lyon', isCorrect: false, explanation: 'Second city' }
+    ],
+    metadata
+  },
+  { id: 'q2', title: 'Sky', type: 'true-false', content: 'The sky is blue', trueFalseAnswer: true, metadata },
+  { id: 'q3', title: 'Greeting', type: 'short-answer', content: 'Say hi', correctAnswer: ['hi', 'hello'], metadata },
+  {
+    id: 'q4',
+    title: 'Gravity',
+    type: 'numerical',
+    content: 'g at sea level?',
+    numericalAnswer: { value: 9.8, tolerance: 0.1, toleranceType: 'absolute', unit: 'm/s^2' },
+    metadata
+  },
+  {
+    id: 'q5',
+    title: 'Pairs',
+    type: 'matching',
+    content: 'Match the letters',
+    matchingPairs: [{ left: 'A', right: '1' }, { left: 'B', right: '2' }],
+    metadata
+  },
+  { id: 'q6', title: 'Essay', type: 'essay', content: 'Discuss', metadata }
+];
+
+const roundTrip = (format, source = questions) => {
+  const exported = quizFormats.serialize(format, source);
+  const imported = quizFormats.parse(format, exported.content);
+  expect(imported.error).toBeUndefined();
+  return { exported, items: imported.items };
+};
+
+const withoutId = ({ id, ...question }) => question;
+
+describe('question format round-trips', () => {
+  it('keeps every field through CSV', () => {
+    const { exported, items } = roundTrip('csv');
+    expect(exported.skipped).toEqual([]);
+    items.forEach((item, index) => {
+      expect(item.issues).toEqual([]);
+      expect(item.question).toMatchObject(withoutId(questions[index]));
+    });
+  });
+
+  it.each(['moodle', 'gift'])('keeps the answers and feedback through %s', (format) => {
+    const { exported, items } = roundTrip(format);
+    expect(exported.skipped).toEqual([]);
+    expect(items.map(item => item.question.type)).toEqual(questions.map(question => question.type));
+
+    const [mcq, trueFalse, shortAnswer, numerical, matching] = items.map(item => item.question);
+    expect(mcq.title).toBe('Capital');
+    expect(mcq.explanation).toBe(questions[0].explanation);
+    expect(mcq.options).toEqual([
+      { text: 'Paris', isCorrect: true, explanation: 'Right' },
+      { text: 'Lyon', isCorrect: false, explanation: 'Second city' }
+    ]);
+    expect(trueFalse.trueFalseAnswer).toBe(true);
+    expect(shortAnswer.correctAnswer).toEqual(['hi', 'hello']);
+    expect(numerical.numericalAnswer).toMatchObject({ value: 9.8, tolerance: 0.1 });
+    expect(matching.matchingPairs).toEqual(questions[4].matchingPairs);
+  });
+
+  it('keeps choice questions through Aiken and reports the rest as skipped', () => {
+    const { exported, items } = roundTrip('aiken');
+    expect(exported.skipped.map(skipped => skipped.id)).toEqual(['q3', 'q4', 'q5', 'q6']);
+    expect(items.map(item => item.question.type)).toEqual(['mcq', 'true-false']);
+    expect(items[0].question.options.filter(option => option.isCorrect).map(option => option.text)).toEqual(['Paris']);
+  });
+
+  it('only exports templated questions as CSV', () => {
+    const templated = {
+      ...questions[3],
+      id: 'q7',
+      randomization: { randomizeValues: true, variables: [{ name: 'm', min: 1, max: 5, step: 1 }] },
+      numericalAnswer: { ...questions[3].numericalAnswer, value: 'm * 9.8' }
+    };
+    expect(quizFormats.serialize('gift', [templated]).skipped.map(skipped => skipped.id)).toEqual(['q7']);
+    expect(quizFormats.serialize('csv', [templated]).skipped).toEqual([]);
+  });
+});
+
+describe('quizFormats.parse', () => {
+  it('reads GIFT answer blocks', () => {
+    const { items } = quizFormats.parse('gift', [
+      '::Planets::Which planet is largest? {=Jupiter#Correct ~Mars ~Venus}',
+      '',
+      'Water boils at 100 degrees Celsius. {T}',
+      '',
+      'g is {#9.8:0.2} m/s^2'
+    ].join('\n'));
+
+    expect(items.map(item => item.question.type)).toEqual(['mcq', 'true-false', 'numerical']);
+    expect(items[0].question.options[0]).toEqual({ text: 'Jupiter', isCorrect: true, explanation: 'Correct' });
+    expect(items[2].question.numericalAnswer).toMatchObject({ value: 9.8, tolerance: 0.2 });
+  });
+
+  it('reports Aiken questions without an answer line by line number', () => {
+    const { items } = quizFormats.parse('aiken', 'Pick one\nA. Yes\nB. No\n\nNext\nA. x\nB. y\nANSWER: A\n');
+    expect(items[0].question).toBeNull();
+    expect(items[0].issues[0].message).toMatch(/ANSWER/);
+    expect(items[1].question.options[0].isCorrect).toBe(true);
+  });
+
+  it('fails on a file without questions', () => {
+    expect(quizFormats.parse('gift', '// just a comment\n').error).toBeDefined();
+  });
+});
@@ -0,0 +1,130 @@
+// Aiken: single-answer multiple choice as plain text.
+//
+//   What is the capital of France?
+//   A. Berlin
+//   B) Paris
+//   ANSWER: B
+//
+// The question is one line (several lines are read as one question), options are
+// lettered with "." or ")" and the ANSWER line ends the question. A question whose
+// options are True and False is imported as true-false.
+
+const { titleFrom, isTrueFalseChoice } = require('./text');
+
+const OPTION_LINE = /^([A-Z])[.)]\s+(.*)$/;
+const ANSWER_LINE = /^ANSWER:\s*([A-Z])\s*$/i;
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+const singleLine = text => String(text || '').replace(/\s*\n\s*/g, ' ').trim();
+
+function toQuestion(block) {
+  const content = block.text.join('\n');
+  const title = titleFrom(content, `Question on line ${block.line}`);
+  const item = { line: block.line, title, question: null, issues: [] };
+
+  if (block.options.length < 2) {
+    item.issues.push({ level: 'error', message: 'A question needs at least two options' });
+    return item;
+  }
+  if (!block.answer) {
+    item.issues.push({ level: 'error', message: 'Missing ANSWER line' });
+    return item;
+  }
+  const answer = block.options.find(option => option.letter === block.answer);
+  if (!answer) {
+    item.issues.push({ level: 'error', message: `ANSWER ${block.answer} is not one of the options` });
+    return item;
+  }
+
+  const texts = block.options.map(option => option.text);
+  item.question = isTrueFalseChoice(texts)
+    ? { title, type: 'true-false', content, trueFalseAnswer: answer.text.trim().toLowerCase() === 'true' }
+    : {
+      title,
+      type: 'mcq',
+      content,
+      options: block.options.map(option => ({ text: option.text, isCorrect: option === answer, explanation: '' }))
+    };
+  return item;
+}
+
+// Read Aiken text. Returns one item per question with the question fields or the
+// reason it can't be imported.
+function parse(text) {
+  const items = [];
+  let block = null;
+
+  const finish = () => {
+    if (block) items.push(toQuestion(block));
+    block = null;
+  };
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+
+    const answer = line.match(ANSWER_LINE);
+    const option = line.match(OPTION_LINE);
+
+    if (answer && block) {
+      block.answer = answer[1].toUpperCase();
+      finish();
+    } else if (option && block && block.text.length > 0) {
+      block.options.push({ letter: option[1], text: option[2].trim() });
+    } else if (block && block.options.length > 0) {
+      // Question text after options: the previous question never got its ANSWER line
+      finish();
+      block = { line: index + 1, text: [line], options: [] };
+    } else if (block) {
+      block.text.push(line);
+    } else {
+      block = { line: index + 1, text: [line], options: [] };
+    }
+  });
+  finish();
+
+  return { items };
+}
+
+function writeQuestion(question) {
+  if (question.type === 'true-false') {
+    const answer = question.trueFalseAnswer === true || question.trueFalseAnswer === 'true';
+    return [singleLine(question.content), 'A. True', 'B. False', `ANSWER: ${answer ? 'A' : 'B'}`];
+  }
+
+  const options = question.options || [];
+  const correct = options.filter(option => option.isCorrect);
+  if (correct.length !== 1) return { skipped: 'Aiken questions have exactly one correct option' };
+  if (options.length > LETTERS.length) return { skipped: 'Aiken questions have at most 26 options' };
+
+  return [
+    singleLine(question.content),
+    ...options.map((option, index) => `${LETTERS[index]}. ${singleLine(option.text)}`),
+    `ANSWER: ${LETTERS[options.indexOf(correct[0])]}`
+  ];
+}
+
+// Aiken text for the given questions. Only multiple choice with a single answer and
+// true-false questions can be written; the rest are returned as skipped.
+function serialize(questions) {
+  const blocks = [];
+  const skipped = [];
+
+  questions.forEach(question => {
+    const lines = ['mcq', 'multiple-choice', 'true-false'].includes(question.type)
+      ? writeQuestion(question)
+      : { skipped: `Question type "${question.type}" has no Aiken equivalent` };
+    if (lines.skipped) {
+      skipped.push({ id: question.id, title: question.title, reason: lines.skipped });
+      return;
+    }
+    blocks.push(lines.join('\n'));
+  });
+
+  return { content: blocks.length > 0 ? `${blocks.join('\n\n')}\n` : '', exported: blocks.length, skipped };
+}
+
+module.exports = {
+  parse,
+  serialize
+};
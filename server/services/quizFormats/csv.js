@@ -0,0 +1,307 @@
+// Question CSV: one question per row under a header row, covering every field a
+// question type uses so an export can be imported again unchanged. Columns may come
+// in any order and all but title and type may be left out or empty.
+//
+//   title, type             required; type is one of Question.TYPES
+//   content, explanation    text (line breaks are kept inside quoted cells)
+//   topic, difficulty       difficulty is easy, medium or hard
+//   tags                    separated by ";" (or a JSON array when a tag has a ";")
+//   points, estimatedTime   numbers
+//   correctAnswer           short-answer answer; a JSON array for several accepted ones
+//   trueFalseAnswer         true or false
+//   mathematicalExpression  text
+//
+// These columns hold JSON in the shape the question stores:
+//
+//   options                 [{ "text", "isCorrect", "explanation" }]
+//   fillBlankAnswers        [{ "position", "correctAnswer", "alternatives", "caseSensitive" }]
+//   matchingPairs           [{ "left", "right" }]
+//   numericalAnswer         { "value", "tolerance", "toleranceType", "unit", "acceptedUnits" }
+//   dragDropItems           [{ "id", "content", "correctPosition" }]
+//   hotspotAreas, essayRubric, codeTemplate, hints, images, references,
+//   randomization, adaptiveSettings
+//
+// For older files, optionTexts ("a|b|c") with correctOptions (indexes or texts, "0|2")
+// is read when there is no options column. Cells follow RFC 4180: cells with commas,
+// quotes or line breaks are quoted and quotes inside them doubled.
+
+const Question = require('../../models/Question');
+const { isTemplated } = require('../questionVariables');
+
+const COLUMNS = [
+  'title', 'type', 'content', 'topic', 'difficulty', 'tags', 'points', 'estimatedTime',
+  'explanation', 'hints', 'options', 'correctAnswer', 'trueFalseAnswer', 'fillBlankAnswers',
+  'matchingPairs', 'numericalAnswer', 'dragDropItems', 'hotspotAreas', 'essayRubric',
+  'codeTemplate', 'mathematicalExpression', 'images', 'references', 'randomization',
+  'adaptiveSettings'
+];
+
+const LEGACY_COLUMNS = ['optionTexts', 'correctOptions'];
+
+const JSON_ARRAYS = ['hints', 'options', 'fillBlankAnswers', 'matchingPairs', 'dragDropItems', 'hotspotAreas', 'images', 'references'];
+const JSON_OBJECTS = ['numericalAnswer', 'essayRubric', 'codeTemplate', 'randomization', 'adaptiveSettings'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Rows of cells with the line each row starts on. Quoted cells may hold commas,
+// doubled quotes and line breaks.
+function readRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const source = String(text).replace(/^\uFEFF/, '');
+  for (let index = 0; index < source.length; index++) {
+    const character = source[index];
+
+    if (quoted) {
+      if (character === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') line++;
+        cell += character;
+      }
+    } else if (character === '"' && cell === '') {
+      quoted = true;
+    } else if (character === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && source[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push({ line: rowLine, cells: row });
+      row = [];
+      cell = '';
+      line++;
+      rowLine = line;
+    } else {
+      cell += character;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push({ line: rowLine, cells: row });
+  }
+
+  return { rows: rows.filter(entry => entry.cells.some(value => value.trim() !== '')), unterminated: quoted };
+}
+
+function readJson(value, column, shape, errors) {
+  try {
+    const parsed = JSON.parse(value);
+    const isArray = Array.isArray(parsed);
+    if ((shape === 'array' && !isArray) || (shape === 'object' && (isArray || parsed === null || typeof parsed !== 'object'))) {
+      errors.push(`${column} must be a JSON ${shape}`);
+      return undefined;
+    }
+    return parsed;
+  } catch (error) {
+    errors.push(`${column} is not valid JSON`);
+    return undefined;
+  }
+}
+
+function readNumber(value, column, errors) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    errors.push(`${column} must be a number of 0 or more`);
+    return undefined;
+  }
+  return number;
+}
+
+function readTags(value, errors) {
+  if (value.trim().startsWith('[')) return readJson(value, 'tags', 'array', errors);
+  return value.split(';').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Options from the older optionTexts / correctOptions columns
+function readLegacyOptions(record) {
+  const correct = (record.correctOptions || '').split('|').map(value => value.trim());
+  return record.optionTexts.split('|').map((text, index) => ({
+    text: text.trim(),
+    isCorrect: correct.includes(String(index)) || correct.includes(text.trim()),
+    explanation: ''
+  }));
+}
+
+// What each type needs to be gradable
+function checkAnswers(question, errors) {
+  switch (question.type) {
+    case 'mcq':
+    case 'multiple-choice':
+      if (!question.options || question.options.length < 2) errors.push('options needs at least two options');
+      else if (!question.options.some(option => option.isCorrect)) errors.push('options needs at least one correct option');
+      break;
+    case 'true-false':
+      if (typeof question.trueFalseAnswer !== 'boolean') errors.push('trueFalseAnswer must be true or false');
+      break;
+    case 'short-answer':
+      if (!question.correctAnswer || (Array.isArray(question.correctAnswer) && question.correctAnswer.length === 0)) {
+        errors.push('correctAnswer is required');
+      }
+      break;
+    case 'fill-blank':
+      if (!question.fillBlankAnswers || question.fillBlankAnswers.length === 0) errors.push('fillBlankAnswers needs at least one blank');
+      break;
+    case 'matching':
+      if (!question.matchingPairs || question.matchingPairs.length === 0) errors.push('matchingPairs needs at least one pair');
+      break;
+    case 'numerical':
+      // Templated questions may compute the value; their expressions are checked on import
+      if (!question.numericalAnswer || !(Number.isFinite(Number(question.numericalAnswer.value)) ||
+        (isTemplated(question) && typeof question.numericalAnswer.value === 'string'))) {
+        errors.push('numericalAnswer needs a numeric value');
+      }
+      break;
+    case 'drag-drop':
+      if (!question.dragDropItems || question.dragDropItems.length < 2) errors.push('dragDropItems needs at least two items');
+      break;
+    case 'hotspot':
+      if (!question.hotspotAreas || !question.hotspotAreas.some(area => area.isCorrect)) {
+        errors.push('hotspotAreas needs at least one correct area');
+      }
+      break;
+    default:
+  }
+}
+
+function readRecord(record, line) {
+  const errors = [];
+  const question = { metadata: {} };
+
+  if (!record.title || !record.title.trim()) errors.push('title is required');
+  if (!record.type || !record.type.trim()) errors.push('type is required');
+  else if (!Question.TYPES.includes(record.type.trim()) && record.type.trim() !== 'multiple-choice') {
+    errors.push(`type "${record.type.trim()}" is not a question type`);
+  }
+
+  question.title = (record.title || '').trim();
+  question.type = (record.type || '').trim();
+  ['content', 'explanation', 'mathematicalExpression'].forEach(column => {
+    if (record[column]) question[column] = record[column];
+  });
+
+  if (record.topic && record.topic.trim()) question.metadata.topic = record.topic.trim();
+  if (record.difficulty && record.difficulty.trim()) {
+    const difficulty = record.difficulty.trim().toLowerCase();
+    if (DIFFICULTIES.includes(difficulty)) question.metadata.difficulty = difficulty;
+    else errors.push('difficulty must be easy, medium or hard');
+  }
+  if (record.tags) question.metadata.tags = readTags(record.tags, errors);
+  if (record.points) question.metadata.points = readNumber(record.points, 'points', errors);
+  if (record.estimatedTime) question.metadata.estimatedTime = readNumber(record.estimatedTime, 'estimatedTime', errors);
+
+  if (record.correctAnswer) {
+    question.correctAnswer = record.correctAnswer.trim().startsWith('[')
+      ? readJson(record.correctAnswer, 'correctAnswer', 'array', errors)
+      : record.correctAnswer;
+  }
+  if (record.trueFalseAnswer) {
+    const value = record.trueFalseAnswer.trim().toLowerCase();
+    if (value === 'true' || value === 'false') question.trueFalseAnswer = value === 'true';
+    else errors.push('trueFalseAnswer must be true or false');
+  }
+
+  JSON_ARRAYS.forEach(column => {
+    if (record[column] && record[column].trim()) question[column] = readJson(record[column], column, 'array', errors);
+  });
+  JSON_OBJECTS.forEach(column => {
+    if (record[column] && record[column].trim()) question[column] = readJson(record[column], column, 'object', errors);
+  });
+  if (!question.options && record.optionTexts) question.options = readLegacyOptions(record);
+
+  // Answers are only checked once the cells themselves parsed
+  if (errors.length === 0) checkAnswers(question, errors);
+
+  return {
+    line,
+    title: question.title || `Row on line ${line}`,
+    question: errors.length === 0 ? question : null,
+    issues: errors.map(message => ({ level: 'error', message }))
+  };
+}
+
+// Read question CSV. Returns one item per row with the question fields or what's
+// wrong with the row, plus notes about the file as a whole.
+function parse(text) {
+  const { rows, unterminated } = readRows(text);
+  if (rows.length === 0) return { error: 'The file is empty' };
+
+  const header = rows[0].cells.map(cell => cell.trim());
+  const missing = ['title', 'type'].filter(column => !header.includes(column));
+  if (missing.length > 0) return { error: `The header row is missing the ${missing.join(' and ')} column${missing.length > 1 ? 's' : ''}` };
+
+  const notes = [];
+  const unknown = header.filter(column => column && !COLUMNS.includes(column) && !LEGACY_COLUMNS.includes(column));
+  if (unknown.length > 0) notes.push(`Unknown columns were ignored: ${unknown.join(', ')}`);
+  if (unterminated) notes.push('The last quoted cell is never closed; the file may be cut short');
+
+  const items = rows.slice(1).map(row => {
+    const record = {};
+    header.forEach((column, index) => {
+      if (column) record[column] = row.cells[index] !== undefined ? row.cells[index] : '';
+    });
+    const item = readRecord(record, row.line);
+    if (row.cells.length > header.length) {
+      item.issues.push({ level: 'warning', message: 'The row has more cells than the header; the extra cells were ignored' });
+    }
+    return item;
+  });
+
+  return { items, notes };
+}
+
+function writeCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const isEmpty = value => value === null || value === undefined || value === ''
+  || (Array.isArray(value) && value.length === 0)
+  || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+function questionRow(question) {
+  const metadata = question.metadata || {};
+  const tags = metadata.tags || [];
+  const values = {
+    title: question.title,
+    type: question.type,
+    content: question.content,
+    topic: metadata.topic,
+    difficulty: metadata.difficulty,
+    tags: tags.some(tag => String(tag).includes(';')) ? JSON.stringify(tags) : tags.join(';'),
+    points: metadata.points,
+    estimatedTime: metadata.estimatedTime,
+    explanation: question.explanation,
+    correctAnswer: Array.isArray(question.correctAnswer) ? JSON.stringify(question.correctAnswer) : question.correctAnswer,
+    trueFalseAnswer: question.trueFalseAnswer === null || question.trueFalseAnswer === undefined ? '' : String(question.trueFalseAnswer),
+    mathematicalExpression: question.mathematicalExpression
+  };
+  [...JSON_ARRAYS, ...JSON_OBJECTS].forEach(column => {
+    values[column] = isEmpty(question[column]) ? '' : JSON.stringify(question[column]);
+  });
+
+  return COLUMNS.map(column => writeCell(values[column])).join(',');
+}
+
+// CSV for the given questions. Every type is written, so nothing is skipped. The byte
+// order mark lets spreadsheet programs detect UTF-8.
+function serialize(questions) {
+  const lines = [COLUMNS.join(','), ...questions.map(questionRow)];
+  return { content: `\uFEFF${lines.join('\r\n')}\r\n`, exported: questions.length, skipped: [] };
+}
+
+module.exports = {
+  COLUMNS,
+  readRows,
+  parse,
+  serialize
+};
@@ -0,0 +1,366 @@
+// GIFT, Moodle's plain text question format. Questions are separated by blank lines;
+// each has optional "::title::", optional [html|moodle|markdown|plain] text format
+// and one answer block in braces:
+//
+//   {=right ~wrong ~wrong}         mcq; "~%50%" weights make a multi-answer mcq
+//   {T} / {FALSE}                  true-false
+//   {=answer =alternative}         short-answer
+//   text {=answer} more text       fill-blank (missing word); a choice block in the
+//                                  middle of the text is a fill-blank of its right answer
+//   {#9.8:0.1} / {#9.7..9.9}       numerical, with a tolerance or as a range
+//   {=left -> right =...}          matching
+//   {}                             essay
+//
+// "#feedback" after an answer is its feedback, "####feedback" the general feedback
+// (explanation). $CATEGORY: lines set the topic of the questions after them. Special
+// characters ~ = # { } : are escaped with a backslash.
+
+const { htmlToText, titleFrom, topicFromCategory, rubricLines, readRubricLines, absoluteTolerance } = require('./text');
+
+const BLANK_PATTERN = /_{3,}/;
+const SPECIAL_CHARACTERS = /([~=#{}:\\])/g;
+
+const escapeGift = value => String(value || '').replace(SPECIAL_CHARACTERS, '\\$1').replace(/\n/g, '\\n');
+
+const unescapeGift = value => value.replace(/\\(n|.)/g, (match, character) => (character === 'n' ? '\n' : character));
+
+// Position of the first unescaped occurrence of `token` at or after `from`
+function findUnescaped(text, token, from = 0) {
+  for (let index = from; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text.startsWith(token, index)) {
+      return index;
+    }
+  }
+  return -1;
+}
+
+// Split on unescaped separators, keeping the separator as the start of each part
+function splitAnswers(text) {
+  const answers = [];
+  let start = -1;
+  for (let index = 0; index < text.length; index++) {
+    if (text[index] === '\\') {
+      index++;
+    } else if (text[index] === '=' || text[index] === '~') {
+      if (start >= 0) answers.push(text.slice(start, index));
+      start = index;
+    }
+  }
+  if (start >= 0) answers.push(text.slice(start));
+  return answers;
+}
+
+// One "=answer#feedback" / "~%50%answer" entry
+function readAnswer(raw) {
+  let body = raw.slice(1);
+  let weight = raw[0] === '=' ? 100 : 0;
+  const weightMatch = body.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+  if (weightMatch) {
+    weight = Number(weightMatch[1]);
+    body = body.slice(weightMatch[0].length);
+  }
+
+  const feedbackAt = findUnescaped(body, '#');
+  const text = feedbackAt >= 0 ? body.slice(0, feedbackAt) : body;
+  const feedback = feedbackAt >= 0 ? body.slice(feedbackAt + 1) : '';
+  return { prefix: raw[0], weight, text: unescapeGift(text).trim(), raw: text, feedback: unescapeGift(feedback).trim() };
+}
+
+const readText = (text, format) => (format === 'html' ? htmlToText(text) : unescapeGift(text).trim());
+
+function readChoices(answers, issues) {
+  const options = answers.map(answer => ({ text: answer.text, isCorrect: answer.weight > 0, explanation: answer.feedback }));
+  const positive = answers.filter(answer => answer.weight > 0);
+  const total = positive.reduce((sum, answer) => sum + answer.weight, 0);
+  if (positive.length > 1 && Math.abs(total - 100) > 1) {
+    issues.push({ level: 'warning', message: 'Answer weights were replaced by per-option credit' });
+  }
+  return options;
+}
+
+// "9.8:0.1", "9.7..9.9" or "9.8"
+function readNumber(text) {
+  const range = text.match(/^(-?[\d.eE+-]+)\s*\.\.\s*(-?[\d.eE+-]+)$/);
+  if (range) {
+    const min = Number(range[1]);
+    const max = Number(range[2]);
+    if (Number.isNaN(min) || Number.isNaN(max)) return null;
+    // Rounded so 3.1..3.2 is 3.15 ± 0.05 rather than a float artefact
+    const round = number => Number(number.toPrecision(12));
+    return { value: round((min + max) / 2), tolerance: round(Math.abs(max - min) / 2) };
+  }
+
+  const [value, tolerance] = text.split(':').map(part => part.trim());
+  if (value === '' || Number.isNaN(Number(value)) || (tolerance !== undefined && Number.isNaN(Number(tolerance)))) return null;
+  return { value: Number(value), tolerance: Number(tolerance) || 0 };
+}
+
+function readNumerical(block, issues) {
+  const entries = block.trim().startsWith('=') ? splitAnswers(block).map(readAnswer) : [readAnswer(`=${block}`)];
+  const best = entries.filter(entry => entry.weight === 100)[0] || entries[0];
+  const number = best ? readNumber(unescapeGift(best.raw).trim()) : null;
+  if (!number) return { error: 'Numerical answer is not a number' };
+  if (entries.length > 1) issues.push({ level: 'warning', message: 'Only the fully correct numerical answer was kept' });
+
+  return {
+    type: 'numerical',
+    numericalAnswer: { value: number.value, tolerance: number.tolerance, toleranceType: 'absolute', unit: '' }
+  };
+}
+
+// The question fields for an answer block, given the text around it
+function readAnswerBlock(block, { before, after }, issues) {
+  const trimmed = block.trim();
+  const missingWord = after.trim() !== '';
+
+  if (trimmed === '') return { type: 'essay', essayRubric: {} };
+
+  const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+  if (trueFalse) {
+    if (trueFalse[2]) issues.push({ level: 'warning', message: 'True/false feedback was not imported' });
+    return { type: 'true-false', trueFalseAnswer: trueFalse[1].toUpperCase().startsWith('T') };
+  }
+
+  if (trimmed.startsWith('#')) return readNumerical(trimmed.slice(1), issues);
+
+  const answers = splitAnswers(trimmed).map(readAnswer);
+  if (answers.length === 0) return { error: 'Answer block has no answers' };
+
+  if (answers.every(answer => answer.prefix === '=' && findUnescaped(answer.raw, '->') >= 0)) {
+    return {
+      type: 'matching',
+      matchingPairs: answers.map(answer => {
+        const arrow = findUnescaped(answer.raw, '->');
+        return { left: unescapeGift(answer.raw.slice(0, arrow)).trim(), right: unescapeGift(answer.raw.slice(arrow + 2)).trim() };
+      })
+    };
+  }
+
+  const choice = answers.some(answer => answer.prefix === '~');
+  const accepted = answers.filter(answer => answer.weight > 0).map(answer => answer.text);
+  if (accepted.length === 0) return { error: 'Answer block has no correct answer' };
+
+  if (missingWord) {
+    if (choice) issues.push({ level: 'warning', message: 'The wrong choices of a missing-word question were dropped' });
+    return {
+      type: 'fill-blank',
+      content: `${before.trimEnd()} ___ ${after.trimStart()}`,
+      fillBlankAnswers: [{ position: 0, correctAnswer: accepted[0], alternatives: accepted.slice(1), caseSensitive: false }]
+    };
+  }
+
+  if (choice) return { type: 'mcq', options: readChoices(answers, issues) };
+  return { type: 'short-answer', correctAnswer: accepted.length > 1 ? accepted : accepted[0] };
+}
+
+function readQuestion(source, line) {
+  const issues = [];
+  let text = source;
+  let title = '';
+
+  const titleMatch = text.match(/^::((?:\\.|[^:\\]|:(?!:))*)::/);
+  if (titleMatch) {
+    title = unescapeGift(titleMatch[1]).trim();
+    text = text.slice(titleMatch[0].length);
+  }
+
+  let format = 'moodle';
+  const formatMatch = text.match(/^\s*\[(html|moodle|markdown|plain)\]/);
+  if (formatMatch) {
+    format = formatMatch[1];
+    text = text.slice(formatMatch[0].length);
+  }
+
+  const open = findUnescaped(text, '{');
+  const close = open >= 0 ? findUnescaped(text, '}', open) : -1;
+  const fallbackTitle = `Question on line ${line}`;
+
+  if (open < 0 || close < 0) {
+    const content = readText(text, format);
+    return { line, title: title || titleFrom(content, fallbackTitle), question: null, issues: [{ level: 'error', message: 'Descriptions without an answer block are not imported' }] };
+  }
+  if (findUnescaped(text, '{', close) >= 0) {
+    return { line, title: title || fallbackTitle, question: null, issues: [{ level: 'error', message: 'Questions with several answer blocks are not supported' }] };
+  }
+
+  let block = text.slice(open + 1, close);
+  let explanation = '';
+  const generalFeedbackAt = findUnescaped(block, '####');
+  if (generalFeedbackAt >= 0) {
+    explanation = readText(block.slice(generalFeedbackAt + 4), format);
+    block = block.slice(0, generalFeedbackAt);
+  }
+
+  const before = readText(text.slice(0, open), format);
+  const after = readText(text.slice(close + 1), format);
+  const fields = readAnswerBlock(block, { before, after }, issues);
+  const content = fields.content || [before, after].filter(Boolean).join('\n\n');
+  const questionTitle = title || titleFrom(content, fallbackTitle);
+
+  if (fields.error) return { line, title: questionTitle, question: null, issues: [...issues, { level: 'error', message: fields.error }] };
+
+  // Our own exports carry the essay rubric as the general feedback
+  const rubricAt = fields.type === 'essay' ? explanation.search(/(^|\n\n)Rubric:\n/) : -1;
+  if (rubricAt >= 0) {
+    fields.essayRubric = readRubricLines(explanation.slice(explanation.indexOf('Rubric:', rubricAt) + 'Rubric:'.length));
+    explanation = explanation.slice(0, rubricAt).trim();
+  }
+
+  return {
+    line,
+    title: questionTitle,
+    question: { title: questionTitle, content, explanation, ...fields },
+    issues
+  };
+}
+
+// Questions separated by blank lines, with comment lines removed and the category
+// each belongs to
+function splitQuestions(text) {
+  const questions = [];
+  let category = '';
+  let current = null;
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const line = raw.trim();
+    if (line.startsWith('//')) return;
+
+    if (line === '') {
+      if (current) questions.push(current);
+      current = null;
+      return;
+    }
+
+    const categoryMatch = line.match(/^\$CATEGORY:\s*(.*)$/i);
+    if (categoryMatch && !current) {
+      category = topicFromCategory(categoryMatch[1]);
+      return;
+    }
+
+    if (current) {
+      current.lines.push(raw);
+    } else {
+      current = { line: index + 1, category, lines: [raw] };
+    }
+  });
+  if (current) questions.push(current);
+
+  return questions;
+}
+
+// Read GIFT text. Returns one item per question with the question fields or the
+// reason it can't be imported.
+function parse(text) {
+  const items = splitQuestions(text).map(entry => {
+    const item = readQuestion(entry.lines.join('\n').trim(), entry.line);
+    if (item.question && entry.category) item.question.metadata = { topic: entry.category };
+    return item;
+  });
+  return { items };
+}
+
+const answerFeedback = text => (text ? `#${escapeGift(text)}` : '');
+
+// Answer weights Moodle accepts, e.g. 33.33333 for a third
+const formatWeight = weight => String(Math.round(weight * 100000) / 100000);
+
+function writeChoices(options) {
+  const correct = options.filter(option => option.isCorrect);
+  const wrong = options.length - correct.length;
+
+  if (correct.length === 1) {
+    return options.map(option => `${option.isCorrect ? '=' : '~'}${escapeGift(option.text)}${answerFeedback(option.explanation)}`);
+  }
+  return options.map(option => {
+    const weight = option.isCorrect ? 100 / correct.length : -100 / wrong;
+    return `~%${formatWeight(weight)}%${escapeGift(option.text)}${answerFeedback(option.explanation)}`;
+  });
+}
+
+// The answer block and the text around it, or { skipped }
+function writeAnswer(question) {
+  const content = escapeGift(question.content);
+
+  switch (question.type) {
+    case 'mcq':
+    case 'multiple-choice': {
+      const options = question.options || [];
+      if (!options.some(option => option.isCorrect)) return { skipped: 'Multiple choice question has no correct option' };
+      return { before: content, block: writeChoices(options).join(' ') };
+    }
+    case 'true-false':
+      return { before: content, block: question.trueFalseAnswer === true || question.trueFalseAnswer === 'true' ? 'TRUE' : 'FALSE' };
+    case 'short-answer': {
+      const answers = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer]).filter(Boolean);
+      if (answers.length === 0) return { skipped: 'Short answer question has no answer' };
+      return { before: content, block: answers.map(answer => `=${escapeGift(answer)}`).join(' ') };
+    }
+    case 'numerical': {
+      const spec = question.numericalAnswer || {};
+      if (!Number.isFinite(Number(spec.value))) return { skipped: 'Numerical question has no answer' };
+      const tolerance = absoluteTolerance(spec);
+      return { before: content, block: `#${Number(spec.value)}${tolerance > 0 ? `:${formatWeight(tolerance)}` : ''}` };
+    }
+    case 'fill-blank': {
+      const blanks = question.fillBlankAnswers || [];
+      if (blanks.length !== 1) return { skipped: 'GIFT missing-word questions have exactly one blank' };
+      const blank = blanks[0];
+      const block = [blank.correctAnswer, ...(blank.alternatives || [])].map(answer => `=${escapeGift(answer)}`).join(' ');
+      const text = question.content || '';
+      const marker = text.match(BLANK_PATTERN);
+      if (!marker) return { before: content, block };
+      return {
+        before: escapeGift(text.slice(0, marker.index).trimEnd()),
+        block,
+        after: escapeGift(text.slice(marker.index + marker[0].length).trimStart())
+      };
+    }
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      if (pairs.length === 0) return { skipped: 'Matching question has no pairs' };
+      return { before: content, block: pairs.map(pair => `=${escapeGift(pair.left)} -> ${escapeGift(pair.right)}`).join(' ') };
+    }
+    case 'essay': {
+      const rubric = rubricLines(question.essayRubric);
+      return { before: content, block: '', rubric: rubric.length > 0 ? `Rubric:\n${rubric.join('\n')}` : '' };
+    }
+    default:
+      return { skipped: `Question type "${question.type}" has no GIFT equivalent` };
+  }
+}
+
+// GIFT text for the given questions, grouped under a $CATEGORY per topic
+function serialize(questions) {
+  const lines = [];
+  const skipped = [];
+  let exported = 0;
+  let category = null;
+
+  questions.forEach(question => {
+    const answer = writeAnswer(question);
+    if (answer.skipped) {
+      skipped.push({ id: question.id, title: question.title, reason: answer.skipped });
+      return;
+    }
+
+    const topic = (question.metadata && question.metadata.topic) || '';
+    if (topic && topic !== category) {
+      lines.push(`$CATEGORY: $course$/top/${topic}`, '');
+      category = topic;
+    }
+
+    const generalFeedback = [question.explanation, answer.rubric].filter(Boolean).join('\n\n');
+    const block = `{${answer.block ? `${answer.block}` : ''}${generalFeedback ? `####${escapeGift(generalFeedback)}` : ''}}`;
+    lines.push(`::${escapeGift(question.title)}:: ${[answer.before, block, answer.after].filter(Boolean).join(' ')}`, '');
+    exported++;
+  });
+
+  return { content: lines.join('\n'), exported, skipped };
+}
+
+module.exports = {
+  parse,
+  serialize
+};
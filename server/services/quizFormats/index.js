@@ -0,0 +1,78 @@
+// Question interchange formats: our own CSV and the formats of other quiz systems,
+// Moodle XML, GIFT and Aiken. Each format module reads text into items and writes
+// questions back out:
+//
+//   parse(text)           { items: [{ line?, title, question, issues }], notes? } or { error }
+//   serialize(questions)  { content, exported, skipped: [{ id, title, reason }] }
+//
+// An item's question holds the fields the format carries (null when it can't be
+// imported); issues are { level: 'warning' | 'error', message } as in QTI imports.
+
+const moodleXml = require('./moodleXml');
+const gift = require('./gift');
+const aiken = require('./aiken');
+const csv = require('./csv');
+const { isTemplated } = require('../questionVariables');
+
+const FORMATS = {
+  csv: { module: csv, contentType: 'text/csv', filename: 'questions.csv' },
+  moodle: { module: moodleXml, contentType: 'application/xml', filename: 'questions-moodle.xml' },
+  gift: { module: gift, contentType: 'text/plain', filename: 'questions-gift.txt' },
+  aiken: { module: aiken, contentType: 'text/plain', filename: 'questions-aiken.txt' }
+};
+
+const NAMES = Object.keys(FORMATS);
+
+// Read questions in one of the formats. Each item gets its position in the file and
+// complete question data, with defaults for the metadata the format lacks.
+function parse(format, text, { topic = 'Imported', difficulty = 'medium' } = {}) {
+  const parsed = FORMATS[format].module.parse(text);
+  if (parsed.error) return parsed;
+  if (parsed.items.length === 0) return { error: 'No questions were found in the file' };
+
+  return {
+    items: parsed.items.map((item, index) => {
+      if (!item.question) return { ...item, position: index + 1 };
+
+      const { metadata = {}, ...fields } = item.question;
+      return {
+        ...item,
+        position: index + 1,
+        question: {
+          ...fields,
+          metadata: {
+            topic: metadata.topic || topic,
+            difficulty: metadata.difficulty || difficulty,
+            tags: metadata.tags || [],
+            estimatedTime: metadata.estimatedTime !== undefined ? metadata.estimatedTime : 5,
+            points: metadata.points || 1
+          }
+        }
+      };
+    }),
+    notes: parsed.notes || []
+  };
+}
+
+// Write questions in one of the formats, with the response headers for the download.
+// Other quiz systems can't draw our variables, so only CSV keeps templated questions.
+function serialize(format, questions) {
+  const { module, contentType, filename } = FORMATS[format];
+  const templated = format === 'csv' ? [] : questions.filter(isTemplated);
+  const result = module.serialize(questions.filter(question => !templated.includes(question)));
+  return {
+    ...result,
+    skipped: [
+      ...templated.map(question => ({ id: question.id, title: question.title, reason: 'Templated questions with variables can only be exported as CSV or JSON' })),
+      ...result.skipped
+    ],
+    contentType,
+    filename
+  };
+}
+
+module.exports = {
+  NAMES,
+  parse,
+  serialize
+};
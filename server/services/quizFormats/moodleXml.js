@@ -0,0 +1,461 @@
+// Moodle XML quiz files: a <quiz> of <question type="..."> elements, with
+// type="category" entries setting the category (topic) of the questions after them.
+//
+//   multichoice    mcq (answers with a positive fraction are correct)
+//   truefalse      true-false
+//   shortanswer    short-answer (fully correct answers are accepted answers)
+//   numerical      numerical, with the unit of multiplier 1 as its unit
+//   matching       matching
+//   essay          essay, the grader information holding the rubric
+//   ordering       drag-drop, answers in their correct order
+//   cloze          fill-blank when every embedded answer is SHORTANSWER; fill-blank
+//                  questions are exported this way
+//
+// Other question types (calculated, drag-and-drop onto images, ...) are reported and
+// skipped. Images and embedded files are not carried over.
+
+const cheerio = require('cheerio');
+const { element, toXml } = require('../qti/xml');
+const {
+  htmlToText,
+  textToHtml,
+  titleFrom,
+  topicFromCategory,
+  rubricLines,
+  readRubricLines,
+  absoluteTolerance
+} = require('./text');
+
+const BLANK_PATTERN = /_{3,}/g;
+const CLOZE_PATTERN = /\{(\d*):(\w+):((?:\\.|[^}\\])*)\}/g;
+const CLOZE_SHORT_ANSWER = { SHORTANSWER: false, SA: false, MW: false, SHORTANSWER_C: true, SAC: true, MWC: true };
+
+// Text of a Moodle text field (<questiontext format="html"><text>...</text>)
+function fieldText($, node) {
+  const field = $(node);
+  if (field.length === 0) return '';
+  const text = field.children('text').first().text();
+  return (field.attr('format') || 'html') === 'html' ? htmlToText(text) : text.trim();
+}
+
+const childText = ($, question, name) => $(question).children(name).first().text().trim();
+
+const isTrue = value => value === 'true' || value === '1';
+
+function readAnswers($, question) {
+  return $(question).children('answer').map((index, node) => ({
+    fraction: Number($(node).attr('fraction')) || 0,
+    text: fieldText($, node),
+    feedback: fieldText($, $(node).children('feedback').first()),
+    tolerance: Number($(node).children('tolerance').first().text()) || 0
+  })).get();
+}
+
+function readMultichoice($, question, issues) {
+  const answers = readAnswers($, question);
+  if (!answers.some(answer => answer.fraction > 0)) return { error: 'Multiple choice question has no correct answer' };
+
+  const positive = answers.filter(answer => answer.fraction > 0);
+  if (positive.length === 1 && positive[0].fraction < 100) {
+    issues.push({ level: 'warning', message: 'A partially correct answer was imported as the correct answer' });
+  }
+
+  return {
+    type: 'mcq',
+    options: answers.map(answer => ({ text: answer.text, isCorrect: answer.fraction > 0, explanation: answer.feedback })),
+    randomization: { shuffleOptions: isTrue(childText($, question, 'shuffleanswers')) }
+  };
+}
+
+function readTrueFalse($, question) {
+  const correct = readAnswers($, question).find(answer => answer.fraction === 100);
+  if (!correct) return { error: 'True/false question has no correct answer' };
+  return { type: 'true-false', trueFalseAnswer: correct.text.toLowerCase() === 'true' };
+}
+
+function readShortAnswer($, question, issues) {
+  const answers = readAnswers($, question);
+  const accepted = answers.filter(answer => answer.fraction === 100).map(answer => answer.text);
+  if (accepted.length === 0) return { error: 'Short answer question has no fully correct answer' };
+  if (answers.some(answer => answer.fraction > 0 && answer.fraction < 100)) {
+    issues.push({ level: 'warning', message: 'Partially correct answers were dropped' });
+  }
+  if (accepted.some(answer => answer.includes('*'))) {
+    issues.push({ level: 'warning', message: 'Wildcards (*) in answers are matched literally' });
+  }
+  if (isTrue(childText($, question, 'usecase'))) {
+    issues.push({ level: 'warning', message: 'Short answers are always matched without case sensitivity' });
+  }
+  return { type: 'short-answer', correctAnswer: accepted.length > 1 ? accepted : accepted[0] };
+}
+
+function readNumerical($, question, issues) {
+  const answers = readAnswers($, question).filter(answer => answer.text !== '*');
+  const correct = answers.find(answer => answer.fraction === 100);
+  if (!correct || Number.isNaN(Number(correct.text))) return { error: 'Numerical question has no correct value' };
+  if (answers.length > 1) issues.push({ level: 'warning', message: 'Only the fully correct numerical answer was kept' });
+
+  const units = $(question).find('units > unit').map((index, node) => ({
+    name: $(node).children('unit_name').text().trim(),
+    multiplier: Number($(node).children('multiplier').text()) || 1
+  })).get();
+  const sameUnits = units.filter(unit => unit.multiplier === 1 && unit.name);
+  if (units.length > sameUnits.length) {
+    issues.push({ level: 'warning', message: 'Units with a multiplier other than 1 were dropped' });
+  }
+
+  return {
+    type: 'numerical',
+    numericalAnswer: {
+      value: Number(correct.text),
+      tolerance: Math.abs(correct.tolerance),
+      toleranceType: 'absolute',
+      unit: sameUnits.length > 0 ? sameUnits[0].name : '',
+      acceptedUnits: sameUnits.slice(1).map(unit => unit.name)
+    }
+  };
+}
+
+function readMatching($, question, issues) {
+  const subquestions = $(question).children('subquestion').map((index, node) => ({
+    left: fieldText($, node),
+    right: $(node).find('answer > text').first().text().trim()
+  })).get();
+  const pairs = subquestions.filter(pair => pair.left);
+  if (pairs.length === 0) return { error: 'Matching question has no pairs' };
+  if (pairs.length < subquestions.length) {
+    issues.push({ level: 'warning', message: 'Extra wrong answers were dropped' });
+  }
+  return {
+    type: 'matching',
+    matchingPairs: pairs,
+    randomization: { shuffleOptions: isTrue(childText($, question, 'shuffleanswers')) }
+  };
+}
+
+function readOrdering($, question) {
+  const answers = readAnswers($, question);
+  if (answers.length < 2) return { error: 'Ordering question needs at least two items' };
+  return {
+    type: 'drag-drop',
+    dragDropItems: answers.map((answer, index) => ({ id: `item-${index + 1}`, content: answer.text, correctPosition: index }))
+  };
+}
+
+function readEssay($, question) {
+  return { type: 'essay', essayRubric: readRubricLines(fieldText($, $(question).children('graderinfo').first())) };
+}
+
+// "=Paris#Right~%100%Parigi~%50%Rome" → [{ fraction, text }], feedback dropped
+function readClozeAnswers(body) {
+  const answers = [];
+  let current = '';
+  let feedback = false;
+  for (let index = 0; index < body.length; index++) {
+    const character = body[index];
+    if (character === '\\' && index + 1 < body.length) {
+      if (!feedback) current += body[index + 1];
+      index++;
+    } else if (character === '~') {
+      answers.push(current);
+      current = '';
+      feedback = false;
+    } else if (character === '#') {
+      feedback = true;
+    } else if (!feedback) {
+      current += character;
+    }
+  }
+  answers.push(current);
+
+  return answers.map(answer => {
+    const match = answer.match(/^(=|%(-?\d+(?:\.\d+)?)%)?([\s\S]*)$/);
+    return { fraction: match[1] === '=' ? 100 : Number(match[2]) || 0, text: htmlToText(match[3]) };
+  });
+}
+
+function readCloze($, question, issues) {
+  const html = $(question).children('questiontext').first().children('text').first().text();
+  const blanks = [];
+  let unsupported = null;
+
+  const marked = html.replace(CLOZE_PATTERN, (match, weight, type, body) => {
+    const subtype = type.toUpperCase();
+    if (!(subtype in CLOZE_SHORT_ANSWER)) {
+      unsupported = unsupported || subtype;
+      return match;
+    }
+    const answers = readClozeAnswers(body);
+    const accepted = answers.filter(answer => answer.fraction === 100).map(answer => answer.text);
+    if (answers.some(answer => answer.fraction > 0 && answer.fraction < 100)) {
+      issues.push({ level: 'warning', message: 'Partially correct answers in a blank were dropped' });
+    }
+    blanks.push({
+      position: blanks.length,
+      correctAnswer: accepted[0],
+      alternatives: accepted.slice(1),
+      caseSensitive: CLOZE_SHORT_ANSWER[subtype]
+    });
+    return '___';
+  });
+
+  if (unsupported) return { error: `Embedded ${unsupported} answers are not supported; only short answer blanks are` };
+  if (blanks.length === 0) return { error: 'Embedded answers question has no blanks' };
+  if (blanks.some(blank => blank.correctAnswer === undefined)) return { error: 'A blank has no fully correct answer' };
+
+  return { type: 'fill-blank', content: htmlToText(marked), fillBlankAnswers: blanks };
+}
+
+const readers = {
+  multichoice: readMultichoice,
+  truefalse: readTrueFalse,
+  shortanswer: readShortAnswer,
+  numerical: readNumerical,
+  matching: readMatching,
+  ordering: readOrdering,
+  essay: readEssay,
+  cloze: readCloze
+};
+
+function readQuestion($, question, position, category) {
+  const type = $(question).attr('type');
+  const issues = [];
+  const content = fieldText($, $(question).children('questiontext').first());
+  const title = childText($, question, 'name') || titleFrom(content, `Question ${position}`);
+  const item = { index: position, title, question: null, issues };
+
+  if (type === 'description') {
+    issues.push({ level: 'error', message: 'Descriptions have no answer and are not imported' });
+    return item;
+  }
+  if (!readers[type]) {
+    issues.push({ level: 'error', message: `Moodle question type "${type}" is not supported` });
+    return item;
+  }
+
+  const fields = readers[type]($, question, issues);
+  if (fields.error) {
+    issues.push({ level: 'error', message: fields.error });
+    return item;
+  }
+
+  const questionHtml = $(question).children('questiontext').first().children('text').first().text();
+  if ($(question).find('file').length > 0 || /<img\b/i.test(questionHtml)) {
+    issues.push({ level: 'warning', message: 'Images and embedded files were not imported' });
+  }
+  if ($(question).children('hint').length > 0) {
+    issues.push({ level: 'warning', message: 'Hints were not imported' });
+  }
+
+  const points = Number(childText($, question, 'defaultgrade'));
+  const tags = $(question).find('tags > tag > text').map((index, node) => $(node).text().trim()).get().filter(Boolean);
+
+  item.question = {
+    title,
+    content,
+    explanation: fieldText($, $(question).children('generalfeedback').first()),
+    ...fields,
+    metadata: { topic: category, tags, points: points > 0 ? points : null }
+  };
+  return item;
+}
+
+// Read a Moodle XML quiz. Returns one item per question with the question fields or
+// the reason it can't be imported, or { error } when the file isn't a quiz.
+function parse(text) {
+  const $ = cheerio.load(String(text), { xml: true });
+  if ($('quiz').length === 0) return { error: 'The file is not a Moodle XML quiz' };
+
+  const items = [];
+  let category = '';
+  $('quiz > question').each((index, question) => {
+    if ($(question).attr('type') === 'category') {
+      category = topicFromCategory($(question).find('category > text').first().text());
+      return;
+    }
+    items.push(readQuestion($, question, items.length + 1, category));
+  });
+
+  return { items };
+}
+
+const textField = (name, text, format = 'html') => element(name, { format }, [
+  element('text', {}, [format === 'html' ? textToHtml(text) : String(text)])
+]);
+
+const plainAnswer = (fraction, text, children = []) => element('answer', { fraction, format: 'moodle_auto_format' }, [
+  element('text', {}, [String(text)]),
+  ...children
+]);
+
+const formatFraction = fraction => String(Math.round(fraction * 100000) / 100000);
+
+function writeChoiceAnswers(options) {
+  const correct = options.filter(option => option.isCorrect).length;
+  const wrong = options.length - correct;
+  return options.map(option => {
+    const fraction = option.isCorrect ? 100 / correct : (correct > 1 ? -100 / wrong : 0);
+    return element('answer', { fraction: formatFraction(fraction), format: 'html' }, [
+      element('text', {}, [textToHtml(option.text)]),
+      textField('feedback', option.explanation || '')
+    ]);
+  });
+}
+
+const escapeCloze = value => String(value).replace(/([}#~/"\\])/g, '\\$1');
+
+// A cloze question text with a SHORTANSWER field per blank, placed at the content's
+// "___" markers (or after the text when the content has too few markers)
+function clozeText(question) {
+  const blanks = [...(question.fillBlankAnswers || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+  const fields = blanks.map(blank => {
+    const answers = [blank.correctAnswer, ...(blank.alternatives || [])].map(answer => `=${escapeCloze(answer)}`).join('~');
+    return `{1:${blank.caseSensitive ? 'SHORTANSWER_C' : 'SHORTANSWER'}:${answers}}`;
+  });
+
+  let next = 0;
+  let text = String(question.content || '').replace(BLANK_PATTERN, match => (next < fields.length ? `\u0000${next++}\u0000` : match));
+  while (next < fields.length) text += ` \u0000${next++}\u0000`;
+
+  const html = textToHtml(text).replace(/\u0000(\d+)\u0000/g, (match, index) => fields[Number(index)]
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'));
+  return element('questiontext', { format: 'html' }, [element('text', {}, [html])]);
+}
+
+// The Moodle type and type-specific elements of a question, or { skipped }
+function writeFields(question) {
+  switch (question.type) {
+    case 'mcq':
+    case 'multiple-choice': {
+      const options = question.options || [];
+      if (!options.some(option => option.isCorrect)) return { skipped: 'Multiple choice question has no correct option' };
+      const shuffle = !question.randomization || question.randomization.shuffleOptions !== false;
+      return {
+        type: 'multichoice',
+        children: [
+          element('single', {}, [String(options.filter(option => option.isCorrect).length === 1)]),
+          element('shuffleanswers', {}, [String(shuffle)]),
+          element('answernumbering', {}, ['abc']),
+          ...writeChoiceAnswers(options)
+        ]
+      };
+    }
+    case 'true-false': {
+      const answer = question.trueFalseAnswer === true || question.trueFalseAnswer === 'true';
+      return {
+        type: 'truefalse',
+        children: [plainAnswer(answer ? 100 : 0, 'true'), plainAnswer(answer ? 0 : 100, 'false')]
+      };
+    }
+    case 'short-answer': {
+      const answers = (Array.isArray(question.correctAnswer) ? question.correctAnswer : [question.correctAnswer]).filter(Boolean);
+      if (answers.length === 0) return { skipped: 'Short answer question has no answer' };
+      return {
+        type: 'shortanswer',
+        children: [element('usecase', {}, ['0']), ...answers.map(answer => plainAnswer(100, answer))]
+      };
+    }
+    case 'numerical': {
+      const spec = question.numericalAnswer || {};
+      if (!Number.isFinite(Number(spec.value))) return { skipped: 'Numerical question has no answer' };
+      const units = [spec.unit, ...(spec.acceptedUnits || [])].filter(Boolean);
+      return {
+        type: 'numerical',
+        children: [
+          plainAnswer(100, Number(spec.value), [element('tolerance', {}, [formatFraction(absoluteTolerance(spec))])]),
+          units.length > 0 ? element('units', {}, units.map(unit => element('unit', {}, [
+            element('multiplier', {}, ['1']),
+            element('unit_name', {}, [unit])
+          ]))) : null
+        ]
+      };
+    }
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      if (pairs.length === 0) return { skipped: 'Matching question has no pairs' };
+      return {
+        type: 'matching',
+        children: [
+          element('shuffleanswers', {}, ['true']),
+          ...pairs.map(pair => element('subquestion', { format: 'html' }, [
+            element('text', {}, [textToHtml(pair.left)]),
+            element('answer', {}, [element('text', {}, [String(pair.right)])])
+          ]))
+        ]
+      };
+    }
+    case 'drag-drop': {
+      const items = [...(question.dragDropItems || [])].sort((a, b) => (a.correctPosition || 0) - (b.correctPosition || 0));
+      if (items.length < 2) return { skipped: 'Drag and drop question needs at least two items' };
+      return {
+        type: 'ordering',
+        children: [
+          element('layouttype', {}, ['VERTICAL']),
+          element('selecttype', {}, ['ALL']),
+          element('selectcount', {}, ['0']),
+          element('gradingtype', {}, ['ABSOLUTE_POSITION']),
+          ...items.map(item => plainAnswer(1, item.content))
+        ]
+      };
+    }
+    case 'essay':
+      return {
+        type: 'essay',
+        children: [
+          element('responseformat', {}, ['editor']),
+          element('responserequired', {}, ['1']),
+          element('responsefieldlines', {}, ['15']),
+          textField('graderinfo', rubricLines(question.essayRubric).join('\n'))
+        ]
+      };
+    case 'fill-blank':
+      if ((question.fillBlankAnswers || []).length === 0) return { skipped: 'Fill in the blank question has no blanks' };
+      return { type: 'cloze', questionText: clozeText(question), children: [] };
+    default:
+      return { skipped: `Question type "${question.type}" has no Moodle XML equivalent` };
+  }
+}
+
+// A Moodle XML quiz of the given questions, with a category per topic
+function serialize(questions) {
+  const entries = [];
+  const skipped = [];
+  let exported = 0;
+  let category = null;
+
+  questions.forEach(question => {
+    const fields = writeFields(question);
+    if (fields.skipped) {
+      skipped.push({ id: question.id, title: question.title, reason: fields.skipped });
+      return;
+    }
+
+    const metadata = question.metadata || {};
+    if (metadata.topic && metadata.topic !== category) {
+      entries.push(element('question', { type: 'category' }, [
+        element('category', {}, [element('text', {}, [`$course$/top/${metadata.topic}`])])
+      ]));
+      category = metadata.topic;
+    }
+
+    const tags = metadata.tags || [];
+    entries.push(element('question', { type: fields.type }, [
+      element('name', {}, [element('text', {}, [String(question.title)])]),
+      fields.questionText || textField('questiontext', question.content),
+      textField('generalfeedback', question.explanation || ''),
+      element('defaultgrade', {}, [String(metadata.points || 1)]),
+      element('penalty', {}, ['0']),
+      element('hidden', {}, ['0']),
+      ...fields.children,
+      tags.length > 0 ? element('tags', {}, tags.map(tag => element('tag', {}, [element('text', {}, [tag])]))) : null
+    ]));
+    exported++;
+  });
+
+  return { content: toXml(element('quiz', {}, entries)), exported, skipped };
+}
+
+module.exports = {
+  parse,
+  serialize
+};
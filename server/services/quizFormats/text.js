@@ -0,0 +1,101 @@
+// Text helpers shared by the Moodle XML, GIFT and Aiken formats.
+
+const cheerio = require('cheerio');
+
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'li', 'ul', 'ol', 'blockquote', 'pre', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+const collapse = text => text.replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// Plain text of an HTML fragment, with block elements as paragraphs and line breaks kept
+function htmlToText(html) {
+  const $ = cheerio.load(`<div id="root">${html || ''}</div>`, {}, false);
+  const parts = [];
+
+  const walk = node => {
+    $(node).contents().each((index, child) => {
+      if (child.type === 'text') {
+        parts.push(child.data);
+      } else if (child.type === 'tag' && child.name === 'br') {
+        parts.push('\n');
+      } else if (child.type === 'tag' && BLOCK_ELEMENTS.has(child.name)) {
+        parts.push('\n\n');
+        walk(child);
+        parts.push('\n\n');
+      } else if (child.type === 'tag') {
+        walk(child);
+      }
+    });
+  };
+
+  walk($('#root'));
+  return collapse(parts.join(''));
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// HTML for plain text: paragraphs at blank lines, <br> at single line breaks
+function textToHtml(text) {
+  return String(text || '')
+    .split(/\n{2,}/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('');
+}
+
+// A question title from its text: the first line, shortened
+function titleFrom(text, fallback) {
+  const line = String(text || '').split('\n').find(part => part.trim()) || '';
+  const title = line.trim();
+  if (!title) return fallback;
+  return title.length > 80 ? `${title.slice(0, 77)}...` : title;
+}
+
+// Moodle categories are paths such as "$course$/top/Physics/Kinematics"; the last part
+// is the topic
+function topicFromCategory(category) {
+  const parts = String(category || '').split('/').map(part => part.trim())
+    .filter(part => part && !/^\$\w+\$$/.test(part) && part !== 'top');
+  return parts.length > 0 ? parts[parts.length - 1] : '';
+}
+
+// Essay rubric criteria written one per line as "name (weight): description"
+function rubricLines(rubric) {
+  return ((rubric && rubric.criteria) || []).map(criterion => (
+    `${criterion.name} (${criterion.weight || 1})${criterion.description ? `: ${criterion.description}` : ''}`
+  ));
+}
+
+function readRubricLines(text) {
+  const criteria = String(text || '').split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const match = line.match(/^(.*?)\s*\((\d+(?:\.\d+)?)\)(?::\s*(.*))?$/);
+    return match
+      ? { name: match[1], weight: Number(match[2]), description: match[3] || '' }
+      : { name: line, weight: 1, description: '' };
+  });
+  return criteria.length > 0 ? { criteria } : {};
+}
+
+// Numerical tolerance as an absolute amount, as Moodle and GIFT store it
+function absoluteTolerance(spec) {
+  const tolerance = Math.abs(Number(spec.tolerance) || 0);
+  return spec.toleranceType === 'percent' ? Math.abs(Number(spec.value) || 0) * tolerance / 100 : tolerance;
+}
+
+const isTrueFalseChoice = texts => {
+  const sorted = texts.map(text => text.trim().toLowerCase()).sort();
+  return sorted.length === 2 && sorted[0] === 'false' && sorted[1] === 'true';
+};
+
+module.exports = {
+  htmlToText,
+  textToHtml,
+  titleFrom,
+  topicFromCategory,
+  rubricLines,
+  readRubricLines,
+  absoluteTolerance,
+  isTrueFalseChoice
+};
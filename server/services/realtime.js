@@ -0,0 +1,23 @@
+// Socket.io registry. index.js attaches the server once it is created; routes and
+// background jobs emit through here rather than requiring index.js, which would be
+// a circular import and leave them holding an undefined io.
+
+let io = null;
+
+const attachIO = server => {
+  io = server;
+};
+
+const getIO = () => io;
+
+// Notify everyone watching an exam (instructors monitoring the proctoring room)
+const emitToExam = (examId, event, payload) => {
+  if (!io) return;
+  io.to(`exam-${examId}`).emit(event, payload);
+};
+
+module.exports = {
+  attachIO,
+  getIO,
+  emitToExam
+};
@@ -0,0 +1,186 @@
+// Exam scoring policies. Answers are graded one by one (grading.js) with the exam's
+// partial credit and negative marking options; this module turns the points earned
+// on each answer into the exam result according to exam.grading.method:
+//
+//   points      every point counts the same: earned points / available points
+//   percentage  every question counts the same, whatever its points: the mean share
+//               of each question's points earned
+//   weighted    each section's percentage counts by exam.grading.sectionWeights
+//               ({ [sectionId]: percent }, adding up to 100)
+//   adaptive    harder questions count for more: each question's points are scaled
+//               by exam.grading.difficultyWeights (easy 1, medium 1.5, hard 2 by default)
+//
+// The breakdown stored on the attempt (attempt.scoreBreakdown) is
+//
+//   {
+//     method, maxScore,
+//     sections: [{ sectionId, name, score, maxScore, percentage, weight, questionCount }]
+//   }
+//
+// where a section's percentage follows the method and weight is its share of the
+// final percentage: its section weight for 'weighted', otherwise its share of what the
+// method counts (points, questions or difficulty-weighted points).
+
+const { sectionKey } = require('./attemptTimer');
+const { resolveAttemptExam } = require('./questionPools');
+const { findQuestionsAt } = require('./questionRevisions');
+const { determineGrade } = require('./gradeScale');
+
+const METHODS = ['points', 'percentage', 'weighted', 'adaptive'];
+const PARTIAL_CREDIT = ['all-or-nothing', 'per-option'];
+const DEFAULT_DIFFICULTY_WEIGHTS = { easy: 1, medium: 1.5, hard: 2 };
+
+const round = value => Math.round(value * 100) / 100;
+const clampPercentage = value => Math.max(0, Math.min(100, value));
+const questionIdOf = ref => (ref.question && ref.question.id ? ref.question.id : String(ref.question));
+
+function getMethod(exam) {
+  const method = exam.grading && exam.grading.method;
+  return METHODS.includes(method) ? method : 'points';
+}
+
+// Options for grading individual answers of this exam
+function gradingOptions(exam) {
+  const grading = exam.grading || {};
+  const negativeMarking = grading.negativeMarking || {};
+  return {
+    partialCredit: PARTIAL_CREDIT.includes(grading.partialCredit) ? grading.partialCredit : 'all-or-nothing',
+    negativeMarking: negativeMarking.enabled ? Number(negativeMarking.penalty) || 0 : 0
+  };
+}
+
+// Section weights must name existing sections and add up to 100%
+function validateSectionWeights(exam, sectionWeights = {}) {
+  const keys = exam.sections.map(section => sectionKey(exam, section));
+  const unknown = Object.keys(sectionWeights).find(key => !keys.includes(key));
+  if (unknown) return `Unknown section "${unknown}" in section weights`;
+
+  const total = keys.reduce((sum, key) => sum + (Number(sectionWeights[key]) || 0), 0);
+  if (Math.abs(total - 100) > 0.01) {
+    return `Section weights must add up to 100% (currently ${round(total)}%)`;
+  }
+  return null;
+}
+
+function difficultyWeight(exam, question) {
+  const weights = { ...DEFAULT_DIFFICULTY_WEIGHTS, ...((exam.grading && exam.grading.difficultyWeights) || {}) };
+  const difficulty = question && question.metadata && question.metadata.difficulty;
+  return Number(weights[difficulty]) || 1;
+}
+
+// Percentage of a list of { earned, maxPoints, weight } entries under a method
+function percentageOf(entries, method) {
+  if (entries.length === 0) return 0;
+
+  if (method === 'percentage') {
+    const fractions = entries.map(entry => (entry.maxPoints > 0 ? entry.earned / entry.maxPoints : 0));
+    return clampPercentage((fractions.reduce((sum, value) => sum + value, 0) / fractions.length) * 100);
+  }
+
+  const weightOf = entry => (method === 'adaptive' ? entry.weight : 1);
+  const earned = entries.reduce((sum, entry) => sum + entry.earned * weightOf(entry), 0);
+  const available = entries.reduce((sum, entry) => sum + entry.maxPoints * weightOf(entry), 0);
+  return available > 0 ? clampPercentage((earned / available) * 100) : 0;
+}
+
+// Score stored answer records ({ questionId, points }) against an exam whose sections
+// list the attempt's questions. questionsById is only needed for 'adaptive'.
+function scoreSections(exam, answers, questionsById = {}) {
+  const method = getMethod(exam);
+  const earnedById = new Map(answers.map(answer => [String(answer.questionId), Number(answer.points) || 0]));
+
+  const sections = exam.sections.map(section => {
+    const entries = section.questions.map(ref => {
+      const questionId = questionIdOf(ref);
+      return {
+        earned: earnedById.get(questionId) || 0,
+        maxPoints: ref.points || 1,
+        weight: difficultyWeight(exam, questionsById[questionId])
+      };
+    });
+
+    return {
+      sectionId: sectionKey(exam, section),
+      name: section.name,
+      entries,
+      score: round(entries.reduce((sum, entry) => sum + entry.earned, 0)),
+      maxScore: round(entries.reduce((sum, entry) => sum + entry.maxPoints, 0)),
+      percentage: percentageOf(entries, method),
+      questionCount: entries.length
+    };
+  });
+
+  const allEntries = sections.flatMap(section => section.entries);
+  const maxScore = round(sections.reduce((sum, section) => sum + section.maxScore, 0));
+  let percentage = percentageOf(allEntries, method);
+  let weightOf = section => (maxScore > 0 ? (section.maxScore / maxScore) * 100 : 0);
+
+  if (method === 'weighted') {
+    // Weights are normalized, so sections added after the weights were set count for nothing
+    const sectionWeights = (exam.grading && exam.grading.sectionWeights) || {};
+    const totalWeight = sections.reduce((sum, section) => sum + (Number(sectionWeights[section.sectionId]) || 0), 0);
+    if (totalWeight > 0) {
+      weightOf = section => ((Number(sectionWeights[section.sectionId]) || 0) / totalWeight) * 100;
+      percentage = sections.reduce((sum, section) => sum + section.percentage * weightOf(section) / 100, 0);
+    }
+  } else if (method === 'percentage') {
+    weightOf = section => (allEntries.length > 0 ? (section.questionCount / allEntries.length) * 100 : 0);
+  } else if (method === 'adaptive') {
+    const weightedMax = allEntries.reduce((sum, entry) => sum + entry.maxPoints * entry.weight, 0);
+    weightOf = section => (weightedMax > 0
+      ? (section.entries.reduce((sum, entry) => sum + entry.maxPoints * entry.weight, 0) / weightedMax) * 100
+      : 0);
+  }
+
+  return {
+    method,
+    score: Math.max(0, round(sections.reduce((sum, section) => sum + section.score, 0))),
+    maxScore,
+    percentage: round(clampPercentage(percentage)),
+    sections: sections.map(section => ({
+      sectionId: section.sectionId,
+      name: section.name,
+      score: section.score,
+      maxScore: section.maxScore,
+      percentage: round(section.percentage),
+      weight: round(weightOf(section)),
+      questionCount: section.questionCount
+    }))
+  };
+}
+
+// Final result of an attempt from its stored answers: score, percentage, grade and the
+// breakdown to store on the attempt
+async function scoreAttempt(attempt, exam) {
+  const attemptExam = await resolveAttemptExam(exam, attempt.layout);
+
+  let questionsById = {};
+  if (getMethod(exam) === 'adaptive') {
+    const questions = await findQuestionsAt(
+      attemptExam.sections.flatMap(section => section.questions.map(questionIdOf)),
+      attempt.questionRevisions);
+    questionsById = questions.reduce((acc, question) => ({ ...acc, [question.id]: question }), {});
+  }
+
+  const result = scoreSections(attemptExam, attempt.answers, questionsById);
+  return {
+    score: result.score,
+    percentage: result.percentage,
+    grade: determineGrade(exam, result.percentage),
+    scoreBreakdown: {
+      method: result.method,
+      maxScore: result.maxScore,
+      sections: result.sections
+    }
+  };
+}
+
+module.exports = {
+  METHODS,
+  PARTIAL_CREDIT,
+  DEFAULT_DIFFICULTY_WEIGHTS,
+  gradingOptions,
+  validateSectionWeights,
+  scoreSections,
+  scoreAttempt
+};
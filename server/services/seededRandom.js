@@ -0,0 +1,36 @@
+// Reproducible randomness. A seed string plus a scope (e.g. a section or question id)
+// always yields the same sequence, so anything drawn from it can be recomputed later.
+
+const crypto = require('crypto');
+
+// New random seed to store alongside whatever it randomizes
+const createSeed = () => crypto.randomBytes(16).toString('hex');
+
+// mulberry32 generator seeded from a SHA-256 of seed and scope; returns floats in [0, 1)
+function createRng(seed, scope = '') {
+  let state = crypto.createHash('sha256').update(`${seed}:${scope}`).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Unbiased Fisher–Yates shuffle of a copy of items
+function shuffle(items, rng) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+module.exports = {
+  createSeed,
+  createRng,
+  shuffle
+};
@@ -0,0 +1,53 @@
+// Descriptive statistics shared by the item analysis and exam reports. Variances are
+// population variances (divided by n): the reports describe the attempts there are,
+// which is also what the KR-20 and Cronbach's alpha formulas expect.
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+const mean = values => sum(values) / values.length;
+
+function variance(values) {
+  if (values.length === 0) return 0;
+  const center = mean(values);
+  return sum(values.map(value => (value - center) ** 2)) / values.length;
+}
+
+const standardDeviation = values => Math.sqrt(variance(values));
+
+// Pearson correlation, or null without two values or any variation to compare
+function correlation(xs, ys) {
+  if (xs.length < 2) return null;
+  const meanX = mean(xs);
+  const meanY = mean(ys);
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  xs.forEach((x, index) => {
+    covariance += (x - meanX) * (ys[index] - meanY);
+    varianceX += (x - meanX) ** 2;
+    varianceY += (ys[index] - meanY) ** 2;
+  });
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// The pth percentile (0-100) of sorted values, interpolating between neighbours
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+module.exports = {
+  round,
+  sum,
+  mean,
+  variance,
+  standardDeviation,
+  correlation,
+  percentile
+};
@@ -0,0 +1,118 @@
+// What a student sees of a question while taking an exam: everything the question's
+// renderer needs and nothing that gives the answer away. Each renderer submits the
+// answer value documented in grading.js, so the fields below are the other half of
+// that contract:
+//
+//   mcq / multiple-choice  options [{ id, text }]; multipleSelect when more than one
+//                          option is correct, in which case an array is submitted
+//   numerical              numerical { expectsUnit, requireUnit }
+//   fill-blank             blankCount; content marks blanks with three or more underscores
+//   matching               matching { left: [...], right: [...] }
+//   drag-drop              dragDropItems [{ id, content }]
+//   hotspot                hotspot { image, width, height, maxClicks }, with clicks in
+//                          the coordinates of the canvas the areas were drawn on
+//   code                   codeTemplate { language, template }
+//   essay                  essayRubric { minLength, maxLength }
+//
+// Choices the attempt layout didn't shuffle are sorted, so their authored order (often
+// the answer order for matching and drag-drop questions) isn't shown either.
+
+// The authoring widget draws hotspot areas on a canvas of this size
+const HOTSPOT_CANVAS = { width: 600, height: 400 };
+
+const byText = (a, b) => String(a).localeCompare(String(b));
+
+function toStudentQuestion(question, { shuffled = false } = {}) {
+  if (!question || typeof question !== 'object') return question;
+
+  const view = {
+    id: question.id,
+    title: question.title,
+    type: question.type,
+    content: question.content,
+    images: (question.images || []).map(image => ({ url: image.url, alt: image.alt, caption: image.caption })),
+    metadata: { difficulty: question.metadata && question.metadata.difficulty }
+  };
+
+  switch (question.type) {
+    case 'mcq':
+    case 'multiple-choice': {
+      const options = question.options || [];
+      view.options = options.map(option => ({
+        id: option.id !== undefined ? option.id : option.text,
+        text: option.text
+      }));
+      view.multipleSelect = options.filter(option => option.isCorrect).length > 1;
+      break;
+    }
+    case 'numerical': {
+      const spec = question.numericalAnswer || {};
+      view.numerical = { expectsUnit: Boolean(spec.unit), requireUnit: Boolean(spec.unit && spec.requireUnit) };
+      break;
+    }
+    case 'fill-blank':
+      view.blankCount = (question.fillBlankAnswers || []).length;
+      break;
+    case 'matching': {
+      const pairs = question.matchingPairs || [];
+      view.matching = {
+        left: pairs.map(pair => pair.left),
+        right: question.matchingChoices || pairs.map(pair => pair.right).sort(byText)
+      };
+      break;
+    }
+    case 'drag-drop': {
+      const items = (question.dragDropItems || []).map(item => ({
+        id: item.id !== undefined ? item.id : item.content,
+        content: item.content
+      }));
+      view.dragDropItems = shuffled ? items : items.sort((a, b) => byText(a.content, b.content));
+      break;
+    }
+    case 'hotspot':
+      view.hotspot = {
+        image: question.images && question.images[0] ? question.images[0].url : null,
+        ...HOTSPOT_CANVAS,
+        maxClicks: Math.max(1, (question.hotspotAreas || []).filter(area => area.isCorrect).length)
+      };
+      break;
+    case 'code': {
+      const template = question.codeTemplate || {};
+      view.codeTemplate = { language: template.language, template: template.template || '' };
+      break;
+    }
+    case 'essay': {
+      const rubric = question.essayRubric || {};
+      view.essayRubric = { minLength: rubric.minLength, maxLength: rubric.maxLength };
+      break;
+    }
+    default:
+      break;
+  }
+
+  return view;
+}
+
+// An exam object (after applyLayout) with every question reduced to its student view
+function toStudentExam(examData, layout) {
+  const shuffledIds = new Set(Object.keys((layout && layout.options) || {}));
+
+  return {
+    ...examData,
+    sections: examData.sections.map(section => ({
+      ...section,
+      questions: section.questions.map(ref => ({
+        ...ref,
+        question: toStudentQuestion(ref.question, {
+          shuffled: Boolean(ref.question && shuffledIds.has(ref.question.id))
+        })
+      }))
+    }))
+  };
+}
+
+module.exports = {
+  HOTSPOT_CANVAS,
+  toStudentQuestion,
+  toStudentExam
+};
@@ -0,0 +1,87 @@
+// Organizations (tenants) and which one the current request works in.
+//
+// Users, questions, exams, attempts and everything hanging off them (revisions,
+// templates, courses, groups) belong to one organization through their
+// `organization` field. Documents from before organizations existed have no such
+// field and belong to the default organization; model constructors fill that in, and
+// leave it empty on unsaved documents until Model.create() assigns one.
+//
+// Every API request runs in a tenant context (see middleware()): the default
+// organization until auth() has identified the user, then the user's own. The tenant
+// repositories and models read the context, so queries only ever see the current
+// organization's documents and new documents are created in it; routes don't pass
+// the organization around. Code running outside a request (the attempt sweeper,
+// startup) has no context and sees every organization, and so does unscoped().
+//
+// Super-admins manage the organizations and may work inside any of them by sending
+// its ID in the X-Organization header.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_ORGANIZATION = 'default';
+
+const storage = new AsyncLocalStorage();
+
+// The organization the current code runs for, or null when it may see all of them
+function currentOrganization() {
+  const store = storage.getStore();
+  return store ? store.organization : null;
+}
+
+// Whether a document is visible in the current context
+function inCurrentOrganization(doc) {
+  const organization = currentOrganization();
+  return organization === null || (doc.organization || DEFAULT_ORGANIZATION) === organization;
+}
+
+// The organization a new document is created in. Inside an organization that's always
+// the current one, whatever the document data says; code running across
+// organizations picks one (or gets the default).
+function organizationForNew(organization) {
+  return currentOrganization() || organization || DEFAULT_ORGANIZATION;
+}
+
+// Run fn inside an organization, or across all of them with null. Awaited inside the
+// context, since repository queries only run once they're awaited.
+function runInOrganization(organization, fn) {
+  return storage.run({ organization }, async () => fn());
+}
+
+function unscoped(fn) {
+  return runInOrganization(null, fn);
+}
+
+// Switch the current request to another organization
+function setOrganization(req, organization) {
+  const store = storage.getStore();
+  if (store) store.organization = organization;
+  req.organizationId = organization;
+}
+
+// Wrap middleware that loses the async context, such as multer, which hands the
+// request on from its stream callbacks, so the next handlers still run in the
+// request's organization
+function keepOrganization(handler) {
+  return (req, res, next) => handler(req, res, error => {
+    storage.run({ organization: req.organizationId || DEFAULT_ORGANIZATION }, () => next(error));
+  });
+}
+
+// App-level middleware giving each request its own context, starting in the default
+// organization so anonymous requests never see other organizations' data
+function middleware(req, res, next) {
+  req.organizationId = DEFAULT_ORGANIZATION;
+  storage.run({ organization: DEFAULT_ORGANIZATION }, next);
+}
+
+module.exports = {
+  DEFAULT_ORGANIZATION,
+  currentOrganization,
+  inCurrentOrganization,
+  organizationForNew,
+  runInOrganization,
+  unscoped,
+  setOrganization,
+  keepOrganization,
+  middleware
+};
@@ -0,0 +1,396 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// In-process database implementing the subset of the Firestore Admin API the
+// models and repositories use: collections, document references, where/orderBy/
+// limit/offset queries, getAll, batches and transactions. Values are stored as
+// JSON-compatible data with dates kept as { _seconds, _nanoseconds } like Firestore
+// timestamps, so convertTimestamps() handles both backends the same way.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+function autoId() {
+  const bytes = crypto.randomBytes(20);
+  return Array.from(bytes, byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+function isTimestamp(value) {
+  return value !== null && typeof value === 'object' && typeof value._seconds === 'number';
+}
+
+// Deep-copy a value into its stored form
+function encode(value) {
+  if (value === undefined || typeof value === 'function') return undefined;
+  if (value instanceof Date) {
+    const millis = value.getTime();
+    return { _seconds: Math.floor(millis / 1000), _nanoseconds: (millis % 1000) * 1e6 };
+  }
+  if (value && typeof value.toDate === 'function') return encode(value.toDate());
+  if (Array.isArray(value)) return value.map(item => (item === undefined ? null : encode(item)));
+  if (value !== null && typeof value === 'object') {
+    if (isTimestamp(value)) return { _seconds: value._seconds, _nanoseconds: value._nanoseconds || 0 };
+    return Object.keys(value).reduce((result, key) => {
+      const encoded = encode(value[key]);
+      if (encoded !== undefined) result[key] = encoded;
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function readField(data, field) {
+  return field.split('.').reduce((value, part) =>
+    (value === null || value === undefined ? undefined : value[part]), data);
+}
+
+function writeField(data, field, value) {
+  const parts = field.split('.');
+  let target = data;
+  parts.slice(0, -1).forEach(part => {
+    if (target[part] === null || typeof target[part] !== 'object' || Array.isArray(target[part])) target[part] = {};
+    target = target[part];
+  });
+  if (value === undefined) {
+    delete target[parts[parts.length - 1]];
+  } else {
+    target[parts[parts.length - 1]] = value;
+  }
+}
+
+// Comparable form of a stored value: timestamps become milliseconds
+function comparable(value) {
+  if (isTimestamp(value)) return value._seconds * 1000 + Math.floor((value._nanoseconds || 0) / 1e6);
+  return value;
+}
+
+function equal(a, b) {
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+}
+
+function compare(a, b) {
+  const left = comparable(a);
+  const right = comparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  if (typeof left === 'number' && typeof right === 'number') return left - right;
+  return String(left) < String(right) ? -1 : 1;
+}
+
+function matchesWhere(data, { field, op, value }) {
+  const actual = readField(data, field);
+  const expected = encode(value);
+
+  switch (op) {
+    case '==':
+      return equal(actual, expected);
+    case '!=':
+      return actual !== undefined && !equal(actual, expected);
+    case '<':
+      return actual !== undefined && actual !== null && compare(actual, expected) < 0;
+    case '<=':
+      return actual !== undefined && actual !== null && compare(actual, expected) <= 0;
+    case '>':
+      return actual !== undefined && actual !== null && compare(actual, expected) > 0;
+    case '>=':
+      return actual !== undefined && actual !== null && compare(actual, expected) >= 0;
+    case 'in':
+      return expected.some(item => equal(actual, item));
+    case 'not-in':
+      return actual !== undefined && !expected.some(item => equal(actual, item));
+    case 'array-contains':
+      return Array.isArray(actual) && actual.some(item => equal(item, expected));
+    case 'array-contains-any':
+      return Array.isArray(actual) && actual.some(item => expected.some(candidate => equal(item, candidate)));
+    default:
+      throw new Error(`Unsupported query operator "${op}"`);
+  }
+}
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  data() {
+    return clone(this.storedData);
+  }
+
+  get(field) {
+    return clone(readField(this.storedData || {}, field));
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(database, collection, id) {
+    this.database = database;
+    this.collectionName = collection;
+    this.id = id;
+    this.path = `${collection}/${id}`;
+  }
+
+  async get() {
+    return new DocumentSnapshot(this, this.database.readDocument(this.collectionName, this.id));
+  }
+
+  async set(data, options = {}) {
+    this.database.commit([{ type: 'set', ref: this, data, merge: options.merge }]);
+  }
+
+  async update(data) {
+    this.database.commit([{ type: 'update', ref: this, data }]);
+  }
+
+  async delete() {
+    this.database.commit([{ type: 'delete', ref: this }]);
+  }
+}
+
+class Query {
+  constructor(database, collection, constraints = {}) {
+    this.database = database;
+    this.collectionName = collection;
+    this.constraints = { filters: [], orders: [], limit: null, offset: 0, ...constraints };
+  }
+
+  refine(changes) {
+    return new Query(this.database, this.collectionName, { ...this.constraints, ...changes });
+  }
+
+  where(field, op, value) {
+    return this.refine({ filters: [...this.constraints.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this.refine({ orders: [...this.constraints.orders, { field, direction }] });
+  }
+
+  limit(count) {
+    return this.refine({ limit: count });
+  }
+
+  offset(count) {
+    return this.refine({ offset: count });
+  }
+
+  async get() {
+    const { filters, orders, limit, offset } = this.constraints;
+    let entries = this.database.listDocuments(this.collectionName)
+      .filter(([, data]) => filters.every(filter => matchesWhere(data, filter)));
+
+    // Like Firestore, ordering on a field excludes documents that lack it
+    orders.forEach(({ field }) => {
+      entries = entries.filter(([, data]) => readField(data, field) !== undefined);
+    });
+    if (orders.length > 0) {
+      entries.sort(([, a], [, b]) => {
+        for (const { field, direction } of orders) {
+          const result = compare(readField(a, field), readField(b, field));
+          if (result !== 0) return direction === 'desc' ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    entries = entries.slice(offset || 0);
+    if (limit !== null) entries = entries.slice(0, limit);
+
+    return new QuerySnapshot(entries.map(([id, data]) =>
+      new DocumentSnapshot(new DocumentReference(this.database, this.collectionName, id), data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(database, collection) {
+    super(database, collection);
+    this.id = collection;
+  }
+
+  doc(id) {
+    return new DocumentReference(this.database, this.collectionName, id || autoId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class WriteBatch {
+  constructor(database) {
+    this.database = database;
+    this.writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this.writes.push({ type: 'set', ref, data, merge: options.merge });
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this.database.commit(this.writes);
+  }
+}
+
+class Transaction extends WriteBatch {
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+}
+
+class LocalDatabase {
+  constructor({ filePath = null } = {}) {
+    this.collections = new Map();
+    this.filePath = filePath;
+    this.transactionQueue = Promise.resolve();
+    this.persistTimer = null;
+    this.dirty = false;
+
+    if (filePath) {
+      this.load();
+      // Pending writes are flushed synchronously if the process exits first
+      process.on('exit', () => this.flush());
+    }
+  }
+
+  collection(name) {
+    return new CollectionReference(this, name);
+  }
+
+  async getAll(...refs) {
+    return Promise.all(refs.map(ref => ref.get()));
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Transactions run one at a time, so a read-modify-write inside one is atomic
+  runTransaction(updateFunction) {
+    const run = this.transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      this.commit(transaction.writes);
+      return result;
+    });
+    this.transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  settings() {
+    // Firestore client settings have no local equivalent
+  }
+
+  documents(collection) {
+    if (!this.collections.has(collection)) this.collections.set(collection, new Map());
+    return this.collections.get(collection);
+  }
+
+  readDocument(collection, id) {
+    return this.documents(collection).get(id);
+  }
+
+  listDocuments(collection) {
+    return [...this.documents(collection).entries()];
+  }
+
+  // Validate every write before applying any, so a batch is all-or-nothing
+  commit(writes) {
+    const applied = writes.map(({ type, ref, data, merge }) => {
+      const current = this.readDocument(ref.collectionName, ref.id);
+
+      if (type === 'delete') return { ref, next: undefined };
+      if (type === 'update' && current === undefined) {
+        const error = new Error(`No document to update: ${ref.path}`);
+        error.code = 5;
+        throw error;
+      }
+
+      if (type === 'set' && !merge) return { ref, next: encode(data) };
+
+      const next = clone(current) || {};
+      if (type === 'update') {
+        // update() treats dotted keys as field paths
+        Object.keys(data).forEach(field => writeField(next, field, encode(data[field])));
+      } else {
+        Object.assign(next, encode(data));
+      }
+      return { ref, next };
+    });
+
+    applied.forEach(({ ref, next }) => {
+      const documents = this.documents(ref.collectionName);
+      if (next === undefined) documents.delete(ref.id);
+      else documents.set(ref.id, next);
+    });
+
+    if (this.filePath && applied.length > 0) this.schedulePersist();
+  }
+
+  toJSON() {
+    const snapshot = {};
+    this.collections.forEach((documents, name) => {
+      snapshot[name] = Object.fromEntries(documents);
+    });
+    return snapshot;
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) return;
+    const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+    Object.keys(snapshot).forEach(name => {
+      this.collections.set(name, new Map(Object.entries(snapshot[name])));
+    });
+  }
+
+  schedulePersist() {
+    this.dirty = true;
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.flush(), 100);
+    this.persistTimer.unref();
+  }
+
+  // Write to a temporary file and rename it so a crash never leaves a truncated database
+  flush() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    if (!this.filePath || !this.dirty) return;
+    this.dirty = false;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.toJSON()));
+    fs.renameSync(tempPath, this.filePath);
+  }
+}
+
+module.exports = LocalDatabase;
@@ -0,0 +1,50 @@
+const path = require('path');
+const LocalDatabase = require('./LocalDatabase');
+
+// Storage backends, selected with STORAGE_BACKEND:
+//   firestore - Google Cloud Firestore via the Firebase Admin SDK (default)
+//   memory    - in-process database, emptied on restart
+//   file      - in-process database persisted to STORAGE_FILE_PATH
+// All backends expose the same Firestore-style API (collection/doc/where/getAll/
+// runTransaction), so models and repositories never branch on the backend.
+const BACKENDS = {
+  firestore: () => {
+    const { initializeFirebase, admin } = require('../config/firebase');
+    initializeFirebase();
+    return admin.firestore();
+  },
+  memory: () => new LocalDatabase(),
+  file: () => new LocalDatabase({
+    filePath: path.resolve(process.env.STORAGE_FILE_PATH || path.join(__dirname, '../data/quizethic-db.json'))
+  })
+};
+
+let database = null;
+let backendName = null;
+
+const initializeStorage = (backend = process.env.STORAGE_BACKEND || 'firestore') => {
+  if (database) {
+    return database;
+  }
+
+  const createDatabase = BACKENDS[backend];
+  if (!createDatabase) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+
+  database = createDatabase();
+  backendName = backend;
+  return database;
+};
+
+// Get the active database, initializing the configured backend on first use
+const getDatabase = () => database || initializeStorage();
+
+const getBackendName = () => backendName;
+
+module.exports = {
+  initializeStorage,
+  getDatabase,
+  getBackendName,
+  LocalDatabase
+};